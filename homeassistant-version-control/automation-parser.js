@@ -1,14 +1,19 @@
 import fs from 'fs';
-import yaml from 'js-yaml';
 import {
   gitCheckIsRepo,
   gitLog,
   gitShowFileAtCommit,
   gitDiff,
-  gitRaw
+  gitRaw,
+  gitBlobsAtCommit,
+  gitShowBlob,
+  gitFileVersions
 } from './utils/git.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { HaTag, loadHaYaml, dumpHaYaml, itemDomainOfKey, resolveIncludeGraph } from './utils/includes.js';
+import { matchItem } from './utils/identity.js';
+import { indexKey, getIndexedItems, setIndexedItems } from './utils/history-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,96 +24,28 @@ const __dirname = path.dirname(__filename);
 const BASE_DIR = __dirname;
 
 /**
- * Parse configuration.yaml to find automation and script file locations
+ * Follow configuration.yaml's includes to find automation, script and scene file locations
+ * Packages and every !include variant are resolved by resolveIncludeGraph().
  * @param {string} configPath - Path to the config directory
- * @returns {Object} Object with automationPaths and scriptPaths arrays
+ * @returns {Object} Object with automationPaths, scriptPaths and scenePaths arrays
  */
 export async function getConfigFilePaths(configPath) {
   console.log('[getConfigFilePaths] Looking for configuration.yaml in:', configPath);
-  const configFile = path.join(configPath, 'configuration.yaml');
-  const automationPaths = [];
-  const scriptPaths = [];
+  const graph = await resolveIncludeGraph(configPath);
 
-  try {
-    const configContent = await fs.promises.readFile(configFile, 'utf-8');
-    console.log('[getConfigFilePaths] Found configuration.yaml, parsing...');
-
-    // Manually parse for automation and script directives
-    // Handle Home Assistant's !include syntax
-    const lines = configContent.split('\n');
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-
-      // Match automation: !include filename.yaml
-      const autoMatch = trimmedLine.match(/^automation:\s*!include\s+(.+)$/);
-      if (autoMatch) {
-        const file = autoMatch[1].trim();
-        automationPaths.push(path.join(configPath, file));
-      }
-
-      // Match script: !include filename.yaml
-      const scriptMatch = trimmedLine.match(/^script:\s*!include\s+(.+)$/);
-      if (scriptMatch) {
-        const file = scriptMatch[1].trim();
-        scriptPaths.push(path.join(configPath, file));
-      }
-
-      // Match automation: !include_dir_list dir_name
-      const autoDirMatch = trimmedLine.match(/^automation:\s*!include_dir_list\s+(.+)$/);
-      if (autoDirMatch) {
-        const dir = autoDirMatch[1].trim();
-        const fullDir = path.join(configPath, dir);
-        try {
-          const files = await fs.promises.readdir(fullDir);
-          for (const file of files) {
-            if (file.endsWith('.yaml') || file.endsWith('.yml')) {
-              automationPaths.push(path.join(fullDir, file));
-            }
-          }
-        } catch (err) {
-          // Directory might not exist, ignore
-        }
-      }
-
-      // Match script: !include_dir_list dir_name
-      const scriptDirMatch = trimmedLine.match(/^script:\s*!include_dir_list\s+(.+)$/);
-      if (scriptDirMatch) {
-        const dir = scriptDirMatch[1].trim();
-        const fullDir = path.join(configPath, dir);
-        try {
-          const files = await fs.promises.readdir(fullDir);
-          for (const file of files) {
-            if (file.endsWith('.yaml') || file.endsWith('.yml')) {
-              scriptPaths.push(path.join(fullDir, file));
-            }
-          }
-        } catch (err) {
-          // Directory might not exist, ignore
-        }
-      }
-    }
-
-    // Default fallback if nothing found in config
-    if (automationPaths.length === 0) {
-      automationPaths.push(path.join(configPath, 'automations.yaml'));
-    }
-    if (scriptPaths.length === 0) {
-      scriptPaths.push(path.join(configPath, 'scripts.yaml'));
-    }
-
-  } catch (error) {
-    // If configuration.yaml doesn't exist or can't be read, use defaults
-    automationPaths.push(path.join(configPath, 'automations.yaml'));
-    scriptPaths.push(path.join(configPath, 'scripts.yaml'));
-  }
+  // Default locations when configuration.yaml can't be read or doesn't define a domain
+  const automationPaths = graph && graph.automation.length > 0 ? graph.automation : [path.join(configPath, 'automations.yaml')];
+  const scriptPaths = graph && graph.script.length > 0 ? graph.script : [path.join(configPath, 'scripts.yaml')];
+  const scenePaths = graph && graph.scene.length > 0 ? graph.scene : [path.join(configPath, 'scenes.yaml')];
 
   console.log('[getConfigFilePaths] Automation paths:', automationPaths);
   console.log('[getConfigFilePaths] Script paths:', scriptPaths);
-  return { automationPaths, scriptPaths };
+  console.log('[getConfigFilePaths] Scene paths:', scenePaths);
+  return { automationPaths, scriptPaths, scenePaths };
 }
 
 /**
- * Helper to find the start line of an automation or script
+ * Helper to find the start line of an automation, script or scene
  */
 function findStartLine(lines, item) {
   if (!item) return 1;
@@ -134,9 +71,215 @@ function findStartLine(lines, item) {
     }
   }
 
+  // Scenes have a name instead of an alias
+  if (item.name) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if ((line.startsWith('name:') || line.startsWith('- name:')) && line.includes(item.name)) {
+        return i + 1;
+      }
+    }
+  }
+
   return 1;
 }
 
+const WRAPPER_KEYS = { automation: 'automations', script: 'scripts', scene: 'scenes' };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof HaTag);
+}
+
+// Files !include_dir_list / !include_dir_named point at hold a single item
+function isSingleItem(data, type) {
+  if (type === 'automation') return !!(data.trigger || data.triggers || data.use_blueprint);
+  if (type === 'script') return !!(data.sequence || data.use_blueprint);
+  return !!(data.name && data.entities);
+}
+
+/**
+ * Find where a file keeps its automations, scripts or scenes
+ * Besides automations.yaml-style files this understands package files ("automation:" or labelled
+ * keys like "automation manual:", at the top or per package) and single-item include files.
+ * Items from several package keys are merged in file order, so index-based ids stay stable.
+ * @param {*} data - Parsed file content
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} filePath - File path (a single script is named after its file)
+ * @returns {Object} { data, layout, wrapperKey } - data in the shape the parsers expect;
+ *   layout is 'file', 'single', 'package' (one top-level key, wrapperKey names it) or 'packages'
+ */
+function itemLayoutOf(data, type, filePath) {
+  const wrapperKey = WRAPPER_KEYS[type];
+  if (!isPlainObject(data) || data[wrapperKey]) return { data, layout: 'file', wrapperKey };
+
+  const found = [];
+  let isPackage = false;
+  const scan = (pkg, keyPath) => {
+    for (const [key, value] of Object.entries(pkg)) {
+      const domain = itemDomainOfKey(key);
+      if (domain) isPackage = true;
+      if (domain === type && value && typeof value === 'object' && !(value instanceof HaTag)) {
+        found.push({ keyPath: [...keyPath, key], value });
+      }
+    }
+  };
+  scan(data, []);
+  if (isPlainObject(data.homeassistant) && isPlainObject(data.homeassistant.packages)) {
+    for (const [name, pkg] of Object.entries(data.homeassistant.packages)) {
+      if (isPlainObject(pkg)) scan(pkg, ['homeassistant', 'packages', name]);
+    }
+  }
+  if (!isPackage) {
+    // !include_dir_merge_named package files: one package per top-level key
+    for (const [name, pkg] of Object.entries(data)) {
+      if (isPlainObject(pkg) && Object.keys(pkg).some(key => itemDomainOfKey(key))) scan(pkg, [name]);
+    }
+  }
+
+  if (isPackage) {
+    let merged;
+    if (type === 'script') {
+      merged = Object.assign({}, ...found.filter(entry => isPlainObject(entry.value)).map(entry => entry.value));
+    } else {
+      merged = found.flatMap(entry => (Array.isArray(entry.value) ? entry.value : [entry.value]));
+    }
+    const single = found.length === 1 && found[0].keyPath.length === 1;
+    return {
+      data: { [wrapperKey]: merged },
+      layout: single ? 'package' : 'packages',
+      wrapperKey: single ? found[0].keyPath[0] : wrapperKey
+    };
+  }
+
+  if (isSingleItem(data, type)) {
+    const name = path.basename(filePath).replace(/\.ya?ml$/, '');
+    return { data: { [wrapperKey]: type === 'script' ? { [name]: data } : [data] }, layout: 'single', wrapperKey };
+  }
+
+  return { data, layout: 'file', wrapperKey };
+}
+
+/**
+ * Parse a file's content into the shape the parsers expect (see itemLayoutOf())
+ * @param {string} content - YAML text
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} filePath - File path
+ * @returns {*} Parsed data
+ */
+function loadItemData(content, type, filePath) {
+  return itemLayoutOf(loadHaYaml(content), type, filePath).data;
+}
+
+/**
+ * Build automation entries from a parsed automation file
+ * @param {*} data - Parsed YAML content of the file
+ * @param {Array<string>} fileLines - Raw file lines (used to locate each item)
+ * @param {string} relativeToConfigPath - File path relative to the config directory
+ * @param {string} filePath - Absolute file path
+ * @param {number} mtime - File modification time
+ * @returns {Array} List of automation objects
+ */
+function parseAutomationItems(data, fileLines, relativeToConfigPath, filePath, mtime) {
+  const items = [];
+
+  // Check if automations is wrapped in an 'automations' key (array or object)
+  if (data.automations) {
+    if (Array.isArray(data.automations)) {
+      data.automations.forEach((auto, index) => {
+        if (auto.alias) {
+          // Use UUID if available, otherwise fall back to index
+          // Format: automations:FILE:UUID_OR_INDEX
+          const uniqueId = auto.id || index;
+
+          items.push({
+            id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+            // Also store the raw ID for matching
+            rawId: auto.id,
+            name: auto.alias,
+            type: 'automation',
+            file: relativeToConfigPath, // Store relative path
+            index: index,
+            content: auto,
+            line: findStartLine(fileLines, auto),
+            fullPath: filePath,
+            mtime: mtime
+          });
+        }
+      });
+    } else {
+      // Object format
+      Object.keys(data.automations).forEach(autoName => {
+        const auto = data.automations[autoName];
+        // Use UUID if available, otherwise fall back to key name
+        const uniqueId = auto.id || autoName;
+
+        items.push({
+          id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+          rawId: auto.id,
+          name: autoName,
+          type: 'automation',
+          file: relativeToConfigPath, // Store relative path
+          key: autoName,
+          content: auto,
+          line: findStartLine(fileLines, auto),
+          fullPath: filePath,
+          mtime: mtime
+        });
+      });
+    }
+  } else {
+    // Standard Home Assistant format: automations at root level
+    // Check if this looks like an automation by checking for automation-specific properties
+    if (Array.isArray(data)) {
+      data.forEach((auto, index) => {
+        if (auto && typeof auto === 'object' && auto.alias) {
+          const uniqueId = auto.id || index;
+          items.push({
+            id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+            rawId: auto.id,
+            name: auto.alias,
+            type: 'automation',
+            file: relativeToConfigPath,
+            index: index,
+            content: auto,
+            line: findStartLine(fileLines, auto),
+            fullPath: filePath,
+            mtime: mtime
+          });
+        }
+      });
+    } else {
+      Object.keys(data).forEach(key => {
+        const auto = data[key];
+        // Skip comments and other non-object entries
+        if (auto && typeof auto === 'object' && auto.alias) {
+          // Automations have triggers (or trigger) and/or conditions
+          const hasTriggers = auto.triggers || auto.trigger;
+
+          // If it has triggers, it's an automation
+          if (hasTriggers) {
+            const uniqueId = auto.id || key;
+            items.push({
+              id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+              rawId: auto.id,
+              name: auto.alias || key,
+              type: 'automation',
+              file: relativeToConfigPath, // Store relative path
+              key: key,
+              content: auto,
+              line: findStartLine(fileLines, auto),
+              fullPath: filePath,
+              mtime: mtime
+            });
+          }
+        }
+      });
+    }
+  }
+
+  return items;
+}
+
 /**
  * Extract all automations from YAML files
  * @param {string} configPath - Path to the config directory
@@ -163,107 +306,13 @@ export async function extractAutomations(configPath = null) {
 
         const content = await fs.promises.readFile(filePath, 'utf-8');
         const fileLines = content.split(/\r\n?|\n/);
-        const data = yaml.load(content);
+        const data = loadItemData(content, 'automation', filePath);
 
         if (data) {
           // Ensure the file path is relative to configPath for Git operations
           const relativeToConfigPath = path.relative(configPath, filePath);
           const mtime = fileStats.mtimeMs;
-
-          // Check if automations is wrapped in an 'automations' key (array or object)
-          if (data.automations) {
-            if (Array.isArray(data.automations)) {
-              data.automations.forEach((auto, index) => {
-                if (auto.alias) {
-                  // Use UUID if available, otherwise fall back to index
-                  // Format: automations:FILE:UUID_OR_INDEX
-                  const uniqueId = auto.id || index;
-
-                  automations.push({
-                    id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                    // Also store the raw ID for matching
-                    rawId: auto.id,
-                    name: auto.alias,
-                    type: 'automation',
-                    file: relativeToConfigPath, // Store relative path
-                    index: index,
-                    content: auto,
-                    line: findStartLine(fileLines, auto),
-                    fullPath: filePath,
-                    mtime: mtime
-                  });
-                }
-              });
-            } else {
-              // Object format
-              Object.keys(data.automations).forEach(autoName => {
-                const auto = data.automations[autoName];
-                // Use UUID if available, otherwise fall back to key name
-                const uniqueId = auto.id || autoName;
-
-                automations.push({
-                  id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                  rawId: auto.id,
-                  name: autoName,
-                  type: 'automation',
-                  file: relativeToConfigPath, // Store relative path
-                  key: autoName,
-                  content: auto,
-                  line: findStartLine(fileLines, auto),
-                  fullPath: filePath,
-                  mtime: mtime
-                });
-              });
-            }
-          } else {
-            // Standard Home Assistant format: automations at root level
-            // Check if this looks like an automation by checking for automation-specific properties
-            if (Array.isArray(data)) {
-              data.forEach((auto, index) => {
-                if (auto && typeof auto === 'object' && auto.alias) {
-                  const uniqueId = auto.id || index;
-                  automations.push({
-                    id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                    rawId: auto.id,
-                    name: auto.alias,
-                    type: 'automation',
-                    file: relativeToConfigPath,
-                    index: index,
-                    content: auto,
-                    line: findStartLine(fileLines, auto),
-                    fullPath: filePath,
-                    mtime: mtime
-                  });
-                }
-              });
-            } else {
-              Object.keys(data).forEach(key => {
-                const auto = data[key];
-                // Skip comments and other non-object entries
-                if (auto && typeof auto === 'object' && auto.alias) {
-                  // Automations have triggers (or trigger) and/or conditions
-                  const hasTriggers = auto.triggers || auto.trigger;
-
-                  // If it has triggers, it's an automation
-                  if (hasTriggers) {
-                    const uniqueId = auto.id || key;
-                    automations.push({
-                      id: `automations:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                      rawId: auto.id,
-                      name: auto.alias || key,
-                      type: 'automation',
-                      file: relativeToConfigPath, // Store relative path
-                      key: key,
-                      content: auto,
-                      line: findStartLine(fileLines, auto),
-                      fullPath: filePath,
-                      mtime: mtime
-                    });
-                  }
-                }
-              });
-            }
-          }
+          automations.push(...parseAutomationItems(data, fileLines, relativeToConfigPath, filePath, mtime));
         }
       } catch (error) {
         // Skip invalid YAML files
@@ -278,6 +327,92 @@ export async function extractAutomations(configPath = null) {
   return automations;
 }
 
+/**
+ * Build script entries from a parsed script file
+ * @param {*} data - Parsed YAML content of the file
+ * @param {Array<string>} fileLines - Raw file lines (used to locate each item)
+ * @param {string} relativeToConfigPath - File path relative to the config directory
+ * @param {string} filePath - Absolute file path
+ * @param {number} mtime - File modification time
+ * @returns {Array} List of script objects
+ */
+function parseScriptItems(data, fileLines, relativeToConfigPath, filePath, mtime) {
+  const items = [];
+
+  // Check if scripts is wrapped in a 'scripts' key (array or object)
+  if (data.scripts) {
+    if (Array.isArray(data.scripts)) {
+      data.scripts.forEach((script, index) => {
+        if (script.alias) {
+          const uniqueId = script.id || index;
+          items.push({
+            id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+            rawId: script.id,
+            name: script.alias,
+            type: 'script',
+            file: relativeToConfigPath, // Store relative path
+            index: index,
+            content: script,
+            line: findStartLine(fileLines, script),
+            fullPath: filePath,
+            mtime: mtime
+          });
+        }
+      });
+    } else {
+      // Object format
+      Object.keys(data.scripts).forEach(scriptName => {
+        const script = data.scripts[scriptName];
+        const uniqueId = script.id || scriptName;
+        items.push({
+          id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+          rawId: script.id,
+          name: scriptName,
+          type: 'script',
+          file: relativeToConfigPath, // Store relative path
+          key: scriptName,
+          content: data.scripts[scriptName],
+          line: findStartLine(fileLines, data.scripts[scriptName]),
+          fullPath: filePath,
+          mtime: mtime
+        });
+      });
+    }
+  } else {
+    // Standard Home Assistant format: scripts at root level
+    // Check if this looks like a script by checking for script-specific properties
+    Object.keys(data).forEach(key => {
+      const script = data[key];
+      // Skip comments and other non-object entries
+      if (script && typeof script === 'object' && script.alias) {
+        // Scripts have sequence
+        // Automations have triggers (or trigger) and/or conditions
+        const hasTriggers = script.triggers || script.trigger;
+        const hasSequence = script.sequence;
+
+        // If it has sequence but NOT triggers, it's a script
+        if (hasSequence && !hasTriggers) {
+          const uniqueId = script.id || key;
+          items.push({
+            id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+            rawId: script.id,
+            name: script.alias || key,
+            type: 'script',
+            file: relativeToConfigPath, // Store relative path
+            key: key,
+            content: script,
+            line: findStartLine(fileLines, script),
+            fullPath: filePath,
+            mtime: mtime
+          });
+        }
+      }
+    });
+  }
+
+  return items;
+}
+
 /**
  * Extract all scripts from YAML files
  * @param {string} configPath - Path to the config directory
@@ -304,83 +439,13 @@ export async function extractScripts(configPath = null) {
 
         const content = await fs.promises.readFile(filePath, 'utf-8');
         const fileLines = content.split(/\r\n?|\n/);
-        const data = yaml.load(content);
+        const data = loadItemData(content, 'script', filePath);
 
         if (data) {
           // Ensure the file path is relative to configPath for Git operations
           const relativeToConfigPath = path.relative(configPath, filePath);
           const mtime = fileStats.mtimeMs;
-
-          // Check if scripts is wrapped in a 'scripts' key (array or object)
-          if (data.scripts) {
-            if (Array.isArray(data.scripts)) {
-              data.scripts.forEach((script, index) => {
-                if (script.alias) {
-                  const uniqueId = script.id || index;
-                  scripts.push({
-                    id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                    rawId: script.id,
-                    name: script.alias,
-                    type: 'script',
-                    file: relativeToConfigPath, // Store relative path
-                    index: index,
-                    content: script,
-                    line: findStartLine(fileLines, script),
-                    fullPath: filePath,
-                    mtime: mtime
-                  });
-                }
-              });
-            } else {
-              // Object format
-              Object.keys(data.scripts).forEach(scriptName => {
-                const script = data.scripts[scriptName];
-                const uniqueId = script.id || scriptName;
-                scripts.push({
-                  id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                  rawId: script.id,
-                  name: scriptName,
-                  type: 'script',
-                  file: relativeToConfigPath, // Store relative path
-                  key: scriptName,
-                  content: data.scripts[scriptName],
-                  line: findStartLine(fileLines, data.scripts[scriptName]),
-                  fullPath: filePath,
-                  mtime: mtime
-                });
-              });
-            }
-          } else {
-            // Standard Home Assistant format: scripts at root level
-            // Check if this looks like a script by checking for script-specific properties
-            Object.keys(data).forEach(key => {
-              const script = data[key];
-              // Skip comments and other non-object entries
-              if (script && typeof script === 'object' && script.alias) {
-                // Scripts have sequence
-                // Automations have triggers (or trigger) and/or conditions
-                const hasTriggers = script.triggers || script.trigger;
-                const hasSequence = script.sequence;
-
-                // If it has sequence but NOT triggers, it's a script
-                if (hasSequence && !hasTriggers) {
-                  const uniqueId = script.id || key;
-                  scripts.push({
-                    id: `scripts:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
-                    rawId: script.id,
-                    name: script.alias || key,
-                    type: 'script',
-                    file: relativeToConfigPath, // Store relative path
-                    key: key,
-                    content: script,
-                    line: findStartLine(fileLines, script),
-                    fullPath: filePath,
-                    mtime: mtime
-                  });
-                }
-              }
-            });
-          }
+          scripts.push(...parseScriptItems(data, fileLines, relativeToConfigPath, filePath, mtime));
         }
       } catch (error) {
         // Skip invalid YAML files
@@ -395,6 +460,327 @@ export async function extractScripts(configPath = null) {
   return scripts;
 }
 
+/**
+ * Build scene entries from a parsed scene file
+ * Scenes are a list of { id, name, entities }, at the root or under a 'scenes' key.
+ * @param {*} data - Parsed YAML content of the file
+ * @param {Array<string>} fileLines - Raw file lines (used to locate each item)
+ * @param {string} relativeToConfigPath - File path relative to the config directory
+ * @param {string} filePath - Absolute file path
+ * @param {number} mtime - File modification time
+ * @returns {Array} List of scene objects
+ */
+function parseSceneItems(data, fileLines, relativeToConfigPath, filePath, mtime) {
+  const items = [];
+  const scenes = Array.isArray(data) ? data : data.scenes;
+  if (!Array.isArray(scenes)) return items;
+
+  scenes.forEach((scene, index) => {
+    if (scene && typeof scene === 'object' && scene.name) {
+      const uniqueId = scene.id || index;
+      items.push({
+        id: `scenes:${encodeURIComponent(relativeToConfigPath)}:${uniqueId}`,
+        rawId: scene.id,
+        name: scene.name,
+        type: 'scene',
+        file: relativeToConfigPath, // Store relative path
+        index: index,
+        content: scene,
+        line: findStartLine(fileLines, scene),
+        fullPath: filePath,
+        mtime: mtime
+      });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Extract all scenes from YAML files
+ * @param {string} configPath - Path to the config directory
+ * @returns {Array} List of scene objects
+ */
+export async function extractScenes(configPath = null) {
+  const scenes = [];
+  const targetPath = configPath || BASE_DIR;
+
+  try {
+    // Get scene paths from configuration.yaml
+    const { scenePaths } = await getConfigFilePaths(targetPath);
+
+    for (const filePath of scenePaths) {
+      try {
+        let fileStats;
+        try {
+          fileStats = await fs.promises.stat(filePath);
+        } catch (e) {
+          continue; // Skip non-existent files
+        }
+
+        const content = await fs.promises.readFile(filePath, 'utf-8');
+        const fileLines = content.split(/\r\n?|\n/);
+        const data = loadItemData(content, 'scene', filePath);
+
+        if (data) {
+          const relativeToConfigPath = path.relative(targetPath, filePath);
+          scenes.push(...parseSceneItems(data, fileLines, relativeToConfigPath, filePath, fileStats.mtimeMs));
+        }
+      } catch (error) {
+        // Skip invalid YAML files
+        console.log(`Skipping ${filePath}: invalid YAML`);
+      }
+    }
+
+  } catch (error) {
+    console.error('Error extracting scenes:', error);
+  }
+
+  return scenes;
+}
+
+/**
+ * Parse one revision of a file into automation, script or scene entries
+ * @param {string} content - Raw file content ('' when the file doesn't exist at that revision)
+ * @param {string} relativePath - File path relative to the config directory
+ * @param {string} configPath - Path to the config directory
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @returns {Array|null} List of entries, or null if the content isn't valid YAML
+ */
+export function parseItemsFromContent(content, relativePath, configPath, type) {
+  let data;
+  try {
+    data = loadItemData(content, type, relativePath);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== 'object') return [];
+
+  const fileLines = content.split(/\r\n?|\n/);
+  const fullPath = path.join(configPath, relativePath);
+  if (type === 'automation') return parseAutomationItems(data, fileLines, relativePath, fullPath, null);
+  if (type === 'scene') return parseSceneItems(data, fileLines, relativePath, fullPath, null);
+  return parseScriptItems(data, fileLines, relativePath, fullPath, null);
+}
+
+/**
+ * Get the items in one version of a file, parsing it only if the history index hasn't seen it
+ * @param {string} blobHash - Git blob hash of the file version
+ * @param {string} file - File path relative to the config directory
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array>} Entries like parseItemsFromContent() returns, without line numbers
+ */
+async function itemsInBlob(blobHash, file, type, configPath) {
+  const key = indexKey(blobHash, type, file);
+  let records = await getIndexedItems(key);
+  if (!records) {
+    // Invalid YAML indexes as no items, like a missing file
+    const items = parseItemsFromContent(await gitShowBlob(blobHash), file, configPath, type) || [];
+    records = items.map(item => ({
+      identifier: item.id.split(':').slice(2).join(':'),
+      rawId: item.rawId,
+      name: item.name,
+      key: item.key,
+      index: item.index,
+      content: item.content
+    }));
+    await setIndexedItems(key, records);
+  }
+
+  const prefix = WRAPPER_KEYS[type];
+  return records.map(({ identifier, contentHash, ...record }) => ({
+    ...record,
+    id: `${prefix}:${encodeURIComponent(file)}:${identifier}`,
+    type,
+    file
+  }));
+}
+
+/**
+ * Get the items in a file at a commit (none if the file didn't exist)
+ * @param {string} commitHash - The commit hash
+ * @param {string} file - File path relative to the config directory
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array>} See itemsInBlob()
+ */
+async function itemsAtCommit(commitHash, file, type, configPath) {
+  const blobs = await gitBlobsAtCommit(commitHash, [file]);
+  return blobs[file] ? itemsInBlob(blobs[file], file, type, configPath) : [];
+}
+
+// Find an item by the identifier part of its id: its YAML id, else its key or index
+function findItemByIdentifier(items, identifier) {
+  return items.find(item => item.rawId !== undefined && item.rawId !== null && String(item.rawId) === identifier) ||
+    items.find(item => item.key === identifier || String(item.index) === identifier) ||
+    null;
+}
+
+/**
+ * Index the automations, scripts and scenes in a commit so their history opens without parsing
+ * Called after each commit; versions already in the index are skipped.
+ * @param {string} commitHash - The commit hash
+ * @param {string} configPath - Path to the config directory
+ */
+export async function indexItemsInCommit(commitHash, configPath) {
+  const { automationPaths, scriptPaths, scenePaths } = await getConfigFilePaths(configPath);
+  const filesByType = {
+    automation: automationPaths.map(p => path.relative(configPath, p)),
+    script: scriptPaths.map(p => path.relative(configPath, p)),
+    scene: scenePaths.map(p => path.relative(configPath, p))
+  };
+
+  for (const [type, files] of Object.entries(filesByType)) {
+    const blobs = await gitBlobsAtCommit(commitHash, files);
+    for (const [file, blobHash] of Object.entries(blobs)) {
+      await itemsInBlob(blobHash, file, type, configPath);
+    }
+  }
+}
+
+/**
+ * Find automations, scripts or scenes that are in git history but not in the current config
+ * Every version of the type's files is read from the history index.
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array>} [{ id, rawId, name, file, lastSeenDate, lastSeenHash }], most recently seen first
+ */
+export async function findDeletedItems(type, configPath) {
+  const extract = { automation: extractAutomations, script: extractScripts, scene: extractScenes }[type];
+  const currentIds = new Set((await extract(configPath)).map(item => item.id));
+
+  const paths = await getConfigFilePaths(configPath);
+  const files = [...new Set(paths[`${type}Paths`].map(p => path.relative(configPath, p)))];
+  const versions = await gitFileVersions(files);
+
+  const deleted = new Map();
+  const seenBlobs = new Set();
+  // Newest first, so the first sighting of an item is its last
+  for (const version of versions) {
+    for (const [file, blobHash] of Object.entries(version.blobs)) {
+      if (!blobHash || seenBlobs.has(`${file}:${blobHash}`)) continue;
+      seenBlobs.add(`${file}:${blobHash}`);
+
+      for (const item of await itemsInBlob(blobHash, file, type, configPath)) {
+        if (currentIds.has(item.id) || deleted.has(item.id)) continue;
+        deleted.set(item.id, {
+          id: item.id,
+          rawId: item.rawId,
+          name: item.name,
+          file,
+          lastSeenDate: version.date,
+          lastSeenHash: version.hash
+        });
+      }
+    }
+  }
+
+  return [...deleted.values()].sort((a, b) => new Date(b.lastSeenDate) - new Date(a.lastSeenDate));
+}
+
+// Key items by their YAML id, falling back to key and then alias, so that inserting an
+// automation doesn't show every automation below it as modified
+function diffItems(type, before, after, file, previousFile) {
+  const identity = item => String(item.rawId || item.key || item.name);
+  const beforeById = new Map(before.map(item => [identity(item), item]));
+  const afterById = new Map(after.map(item => [identity(item), item]));
+  const changes = [];
+
+  for (const [key, item] of afterById) {
+    const previous = beforeById.get(key);
+    if (!previous) {
+      changes.push({ type, action: 'added', id: item.id, name: item.name, file });
+    } else if (JSON.stringify(previous.content) !== JSON.stringify(item.content)) {
+      changes.push({ type, action: 'modified', id: item.id, name: item.name, file });
+    }
+  }
+  for (const [key, item] of beforeById) {
+    if (!afterById.has(key)) {
+      changes.push({ type, action: 'removed', id: item.id, name: item.name, file: previousFile });
+    }
+  }
+  return changes;
+}
+
+// Relative automation, script and scene file paths, by type
+async function itemFilesByType(configPath) {
+  const { automationPaths, scriptPaths, scenePaths } = await getConfigFilePaths(configPath);
+  return [
+    { type: 'automation', files: new Set(automationPaths.map(p => path.relative(configPath, p))) },
+    { type: 'script', files: new Set(scriptPaths.map(p => path.relative(configPath, p))) },
+    { type: 'scene', files: new Set(scenePaths.map(p => path.relative(configPath, p))) }
+  ];
+}
+
+/**
+ * Compare staged automation, script and scene files against HEAD
+ * @param {string} configPath - Path to the config directory
+ * @param {Array} stagedFiles - Staged entries from gitStatus() ({ path, oldPath, index })
+ * @returns {Array} List of changes: { type, action, id, name, file }
+ */
+export async function getStagedItemChanges(configPath, stagedFiles) {
+  const fileTypes = await itemFilesByType(configPath);
+  const changes = [];
+
+  const readRevision = async (revision, filePath) => {
+    try {
+      return await gitRaw(['show', `${revision}:${filePath}`]);
+    } catch (error) {
+      return ''; // File doesn't exist at this revision
+    }
+  };
+
+  for (const stagedFile of stagedFiles) {
+    const filePath = stagedFile.path;
+    const previousPath = stagedFile.oldPath || filePath;
+
+    for (const { type, files } of fileTypes) {
+      if (!files.has(filePath) && !files.has(previousPath)) continue;
+
+      const before = parseItemsFromContent(await readRevision('HEAD', previousPath), previousPath, configPath, type);
+      const after = stagedFile.index === 'D'
+        ? []
+        : parseItemsFromContent(await readRevision('', filePath), filePath, configPath, type);
+
+      // Unparseable YAML on either side - leave this file to the plain file-based message
+      if (before === null || after === null) continue;
+
+      changes.push(...diffItems(type, before, after, filePath, previousPath));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Find the automations, scripts and scenes each commit added, modified or removed
+ * Both sides of every changed file come from the history index, so this works for commits
+ * made before the change trailers existed.
+ * @param {Array} commits - Commits from gitLogChanges()
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { commitHash: [{ type, action, id, name, file }] }
+ */
+export async function getCommitItemChanges(commits, configPath) {
+  const fileTypes = await itemFilesByType(configPath);
+  const itemsOf = (blobHash, file, type) => (blobHash ? itemsInBlob(blobHash, file, type, configPath) : []);
+  const result = {};
+
+  for (const commit of commits) {
+    const changes = [];
+    for (const change of commit.files) {
+      for (const { type, files } of fileTypes) {
+        if (!files.has(change.file)) continue;
+        const before = await itemsOf(change.oldBlob, change.file, type);
+        const after = await itemsOf(change.newBlob, change.file, type);
+        changes.push(...diffItems(type, before, after, change.file, change.file));
+      }
+    }
+    result[commit.hash] = changes;
+  }
+  return result;
+}
+
 /**
  * Scan all YAML files in the directory
  * @param {string} rootDir - Root directory to scan
@@ -478,143 +864,145 @@ async function findYamlFiles(type) {
   return knownFiles;
 }
 
+/**
+ * Find the automation an id points at now, and what's needed to recognize it in older versions
+ * @param {string} automationId - The automation ID
+ * @param {string} configPath - The config path
+ * @returns {Promise<Object>} { gitFilePath, identifier, reference, others, otherFiles } -
+ *   reference is null when the automation no longer exists; others are the other automations
+ */
+async function automationIdentityOf(automationId, configPath) {
+  const [, encodedPath, identifier] = automationId.split(':');
+  const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
+
+  const automations = await extractAutomations(configPath);
+  const reference = automations.find(auto => auto.id === automationId) || null;
+  const others = automations.filter(auto => auto !== reference);
+
+  const { automationPaths } = await getConfigFilePaths(configPath);
+  const otherFiles = [...new Set(automationPaths.map(filePath => path.relative(configPath, filePath)))]
+    .filter(file => file !== gitFilePath);
+
+  return { gitFilePath, identifier, reference, others, otherFiles };
+}
+
+/**
+ * Find an automation in a commit
+ * With a reference the automation is matched by identity (see matchItem()), so index shifts,
+ * renames and id changes don't lose it. Without one (a deleted automation) the id's
+ * identifier is looked up directly.
+ * @param {string} commitHash - The commit hash
+ * @param {string} file - File to look in first
+ * @param {Object} identity - automationIdentityOf() result; identity.reference may be a newer version
+ * @param {string} configPath - The config path
+ * @param {Object} [options]
+ * @param {boolean} [options.searchOtherFiles=true] - Look for it in the other automation files if it isn't in file
+ * @param {Object} [options.blobs] - Blob of each automation file at the commit (from gitFileVersions()), if known
+ * @returns {Promise<Object|null>} Entry from itemsInBlob(); its file says where it was found
+ */
+async function findAutomationAtCommit(commitHash, file, identity, configPath, { searchOtherFiles = true, blobs = null } = {}) {
+  const itemsAt = (filePath) => {
+    if (blobs && filePath in blobs) {
+      return blobs[filePath] ? itemsInBlob(blobs[filePath], filePath, 'automation', configPath) : [];
+    }
+    return itemsAtCommit(commitHash, filePath, 'automation', configPath);
+  };
+
+  const items = await itemsAt(file);
+  const { reference, identifier, others } = identity;
+  if (!reference) return findItemByIdentifier(items, identifier);
+
+  const match = matchItem(reference, items, { others });
+  if (match || !searchOtherFiles) return match;
+
+  // Moved between files - only trust an id or alias match there
+  for (const otherFile of identity.otherFiles.filter(f => f !== file)) {
+    const moved = matchItem(reference, await itemsAt(otherFile), { others, bySimilarity: false });
+    if (moved) return moved;
+  }
+  return null;
+}
+
 /**
  * Get the history of changes for a specific automation
+ * The automation is followed by identity rather than by its id's identifier: each version is
+ * matched against the next newer one, so history survives index shifts, renames, id changes
+ * and moves to another automation file.
  * @param {string} automationId - The automation ID
  * @returns {Array} List of commits that affected this automation
  */
 export async function getAutomationHistory(automationId, configPath) {
-  const [, encodedPath, identifier] = automationId.split(':');
-  const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
   const commits = [];
   const debugMessages = [];
 
-  debugMessages.push(`[getAutomationHistory] Searching history for file: ${gitFilePath}, identifier: ${identifier}`);
-  debugMessages.push(`[getAutomationHistory] Using Git base directory: ${configPath}`);
-
   try {
     const isRepo = await gitCheckIsRepo();
     if (!isRepo) {
       debugMessages.push(`[getAutomationHistory] ERROR: ${configPath} is NOT a Git repository.`);
       return { success: false, history: [], debugMessages };
     }
-    debugMessages.push(`[getAutomationHistory] ${configPath} IS a Git repository.`);
 
-    try {
-      // Check if the file is tracked by Git (or WAS tracked)
-      // We accept error here because for deleted files, it might fail ls-files check if we don't look carefully,
-      // but strictly speaking we just want to look at logs.
-      await gitRaw(['ls-files', '--error-unmatch', gitFilePath]);
-      debugMessages.push(`[getAutomationHistory] File ${gitFilePath} IS tracked by Git.`);
-    } catch (lsFilesError) {
-      // If it's a deleted file, it won't be in ls-files. But we can still check log.
-      // Only return if log is empty later.
-      debugMessages.push(`[getAutomationHistory] File ${gitFilePath} is not currently tracked (might be deleted). Continuing to check logs.`);
+    const identity = await automationIdentityOf(automationId, configPath);
+    const { gitFilePath, identifier } = identity;
+    debugMessages.push(`[getAutomationHistory] Searching history for file: ${gitFilePath}, identifier: ${identifier}`);
+    if (!identity.reference) {
+      debugMessages.push(`[getAutomationHistory] Automation not found on disk, looking it up by identifier.`);
     }
 
-    const log = await gitLog({ file: gitFilePath });
-    debugMessages.push(`[getAutomationHistory] Found ${log.all.length} commits for file ${gitFilePath}`);
+    // Commits to any automation file, so a move from another file is seen
+    const versions = await gitFileVersions([gitFilePath, ...identity.otherFiles]);
+    debugMessages.push(`[getAutomationHistory] Found ${versions.length} commits for the automation files`);
 
-    if (log.all.length === 0) {
+    if (versions.length === 0) {
       debugMessages.push(`[getAutomationHistory] No Git history found for the file: ${gitFilePath}.`);
       return { success: false, history: [], debugMessages };
     }
 
     let candidate = null;
-
-    for (const commit of log.all) {
-      try {
-        debugMessages.push(`[getAutomationHistory] Checking commit: ${commit.hash.substring(0, 7)} - ${commit.message}`);
-        const content = await gitShowFileAtCommit(commit.hash, gitFilePath);
-
-        const data = yaml.load(content);
-
-        let auto = null;
-        if (data) {
-          // Helper to find by ID or Key/Index
-          const findAutomation = (collection, isArray) => {
-            if (isArray) {
-              // Try to find by UUID first
-              const found = collection.find(item => item && item.id === identifier);
-              if (found) return found;
-              // Fallback to index if identifier is numeric
-              if (!isNaN(parseInt(identifier))) {
-                return collection[parseInt(identifier)];
-              }
-            } else { // Object
-              // Try to find by UUID first (values)
-              const found = Object.values(collection).find(item => item && item.id === identifier);
-              if (found) return found;
-              // Fallback to key
-              return collection[identifier];
-            }
-            return null;
-          };
-
-          if (data.automations) {
-            if (Array.isArray(data.automations)) {
-              auto = findAutomation(data.automations, true);
-              debugMessages.push(`[getAutomationHistory] Array lookup for ${identifier}: ${!!auto}`);
-            } else {
-              auto = findAutomation(data.automations, false);
-              debugMessages.push(`[getAutomationHistory] Object lookup for ${identifier}: ${!!auto}`);
-            }
-          } else {
-            // Standard Home Assistant format (root level array or object)
-            if (Array.isArray(data)) {
-              auto = findAutomation(data, true);
-            } else {
-              auto = findAutomation(data, false);
-            }
-            debugMessages.push(`[getAutomationHistory] Root lookup for ${identifier}: ${!!auto}`);
-          }
-        } else {
-          debugMessages.push(`[getAutomationHistory] No YAML data parsed from file at commit ${commit.hash.substring(0, 7)}`);
-        }
-
-        if (auto) {
-          const currentCommitObj = {
-            hash: commit.hash,
-            date: commit.date,
-            message: commit.message,
-            author: commit.author_name,
-            automation: auto
-          };
-
-          if (!candidate) {
-            // First relevant commit encountered (newest)
-            candidate = currentCommitObj;
-          } else {
-            if (JSON.stringify(candidate.automation) === JSON.stringify(auto)) {
-              // Same content, found an older version. Update candidate to older.
-              // usage: older commit is better represents "when this state started"
-              candidate = currentCommitObj;
-              debugMessages.push(`[getAutomationHistory] Same content found in older commit ${commit.hash.substring(0, 7)}. Updating candidate.`);
-            } else {
-              // Content changed. The PREVIOUS candidate was the start of the newer block.
-              commits.push(candidate);
-              debugMessages.push(`[getAutomationHistory] Content changed in commit ${commit.hash.substring(0, 7)}. Pushing previous candidate.`);
-              candidate = currentCommitObj;
-            }
-          }
-        } else {
-          // Automation missing in this commit.
-          // If we had a candidate, it means the automation was CREATED at the candidate commit.
-          if (candidate) {
-            commits.push(candidate);
-            candidate = null;
-            debugMessages.push(`[getAutomationHistory] Automation missing in commit ${commit.hash.substring(0, 7)}. Last candidate was creation point.`);
-          }
-        }
-
-      } catch (error) {
-        debugMessages.push(`[getAutomationHistory] Error processing commit ${commit.hash.substring(0, 7)} for file ${gitFilePath}: ${error.message}`);
-        // If error (e.g. file didn't exist), treat as missing? 
-        // Safer to just ignore and keep candidate if we suspect transient error, but generally gitShowFileAtCommit throws if file missing.
+    let trackedFile = gitFilePath;
+
+    for (const commit of versions) {
+      // Only look in other files right after a version was found; before its creation the
+      // automation is in none of them, and matching against every file at every commit is slow
+      const auto = await findAutomationAtCommit(commit.hash, trackedFile, identity, configPath, {
+        searchOtherFiles: !!candidate,
+        blobs: commit.blobs
+      });
+
+      if (!auto) {
+        // Automation missing in this commit.
+        // If we had a candidate, it means the automation was CREATED at the candidate commit.
         if (candidate) {
           commits.push(candidate);
           candidate = null;
+          debugMessages.push(`[getAutomationHistory] Automation missing in commit ${commit.hash.substring(0, 7)}. Last candidate was creation point.`);
         }
+        continue;
+      }
+
+      if (auto.file !== trackedFile) {
+        debugMessages.push(`[getAutomationHistory] Automation was in ${auto.file} at commit ${commit.hash.substring(0, 7)}.`);
+        trackedFile = auto.file;
+      }
+      // Match older versions against this one, so gradual renames and edits are followed
+      identity.reference = auto;
+
+      const currentCommitObj = {
+        hash: commit.hash,
+        date: commit.date,
+        message: commit.message,
+        author: commit.authorName,
+        file: auto.file,
+        automation: auto.content
+      };
+
+      if (candidate && JSON.stringify(candidate.automation) === JSON.stringify(auto.content)) {
+        // Same content, found an older version - the older commit is when this state started
+        candidate = currentCommitObj;
+      } else {
+        // Content changed. The PREVIOUS candidate was the start of the newer block.
+        if (candidate) commits.push(candidate);
+        candidate = currentCommitObj;
       }
     }
 
@@ -634,7 +1022,8 @@ export async function getAutomationHistory(automationId, configPath) {
 
 /**
  * Get just the commit metadata for an automation's file (fast, no YAML parsing)
- * This enables progressive loading by returning commit list quickly
+ * This enables progressive loading by returning commit list quickly. Commits to the other
+ * automation files are included too, since the automation may have been moved from one.
  * @param {string} automationId - The automation ID
  * @param {string} configPath - The config path
  * @returns {Object} List of commit metadata (hash, date, message)
@@ -649,7 +1038,9 @@ export async function getAutomationHistoryMetadata(automationId, configPath) {
       return { success: false, commits: [], error: 'Not a Git repository' };
     }
 
-    const log = await gitLog({ file: gitFilePath });
+    const { automationPaths } = await getConfigFilePaths(configPath);
+    const files = [...new Set([gitFilePath, ...automationPaths.map(filePath => path.relative(configPath, filePath))])];
+    const log = await gitLog({ files });
 
     if (log.all.length === 0) {
       return { success: false, commits: [], error: 'No history found' };
@@ -677,61 +1068,173 @@ export async function getAutomationHistoryMetadata(automationId, configPath) {
 
 /**
  * Get a specific automation's content at a specific commit
+ * The automation is matched by identity against its current version (see findAutomationAtCommit()).
  * @param {string} automationId - The automation ID  
  * @param {string} commitHash - The commit hash
  * @param {string} configPath - The config path
- * @returns {Object} The automation content at that commit
+ * @returns {Object} The automation content at that commit, and the file it was in
  */
 export async function getAutomationAtCommit(automationId, commitHash, configPath) {
-  const [, encodedPath, identifier] = automationId.split(':');
+  try {
+    const identity = await automationIdentityOf(automationId, configPath);
+    const auto = await findAutomationAtCommit(commitHash, identity.gitFilePath, identity, configPath);
+
+    return { success: !!auto, automation: auto ? auto.content : null, file: auto ? auto.file : null };
+  } catch (error) {
+    console.error(`[getAutomationAtCommit] Error at commit ${commitHash}:`, error);
+    return { success: false, automation: null, error: error.message };
+  }
+}
+
+/**
+ * Get just the commit metadata for a script's file (fast, no YAML parsing)
+ * @param {string} scriptId - The script ID
+ * @param {string} configPath - The config path
+ * @returns {Object} List of commit metadata
+ */
+export async function getScriptHistoryMetadata(scriptId, configPath) {
+  const [, encodedPath, identifier] = scriptId.split(':');
+  const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
+
+  try {
+    const isRepo = await gitCheckIsRepo();
+    if (!isRepo) {
+      return { success: false, commits: [], error: 'Not a Git repository' };
+    }
+
+    const log = await gitLog({ file: gitFilePath });
+
+    if (log.all.length === 0) {
+      return { success: false, commits: [], error: 'No history found' };
+    }
+
+    const commits = log.all.map(commit => ({
+      hash: commit.hash,
+      date: commit.date,
+      message: commit.message,
+      author: commit.author_name
+    }));
+
+    return {
+      success: true,
+      commits,
+      identifier,
+      gitFilePath
+    };
+  } catch (error) {
+    console.error('[getScriptHistoryMetadata] Error:', error);
+    return { success: false, commits: [], error: error.message };
+  }
+}
+
+/**
+ * Get a specific script's content at a specific commit
+ * @param {string} scriptId - The script ID
+ * @param {string} commitHash - The commit hash
+ * @param {string} configPath - The config path
+ * @returns {Object} The script content at that commit
+ */
+export async function getScriptAtCommit(scriptId, commitHash, configPath) {
+  const [, encodedPath, identifier] = scriptId.split(':');
+  const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
+
+  try {
+    const script = findItemByIdentifier(await itemsAtCommit(commitHash, gitFilePath, 'script', configPath), identifier);
+    return { success: !!script, script: script ? script.content : null };
+  } catch (error) {
+    console.error(`[getScriptAtCommit] Error at commit ${commitHash}:`, error);
+    return { success: false, script: null, error: error.message };
+  }
+}
+
+/**
+ * Get the history of changes for a specific script
+ * Each version of the file is read from the history index, so only versions not seen
+ * before are parsed.
+ * @param {string} scriptId - The script ID
+ * @returns {Array} List of commits that affected this script
+ */
+export async function getScriptHistory(scriptId, configPath) {
+  const [, encodedPath, identifier] = scriptId.split(':');
   const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
+  const commits = [];
+  const debugMessages = [];
+
+  debugMessages.push(`[getScriptHistory] Searching history for file: ${gitFilePath}, identifier: ${identifier}`);
 
   try {
-    const content = await gitShowFileAtCommit(commitHash, gitFilePath);
-    const data = yaml.load(content);
+    const isRepo = await gitCheckIsRepo();
+    if (!isRepo) {
+      debugMessages.push(`[getScriptHistory] ERROR: ${configPath} is NOT a Git repository.`);
+      return { success: false, history: [], debugMessages };
+    }
+
+    const versions = await gitFileVersions([gitFilePath]);
+    debugMessages.push(`[getScriptHistory] Found ${versions.length} commits for file ${gitFilePath}`);
 
-    if (!data) {
-      return { success: false, automation: null, error: 'No YAML data' };
+    if (versions.length === 0) {
+      debugMessages.push(`[getScriptHistory] No Git history found for the file: ${gitFilePath}.`);
+      return { success: false, history: [], debugMessages };
     }
 
-    // Helper to find by ID or Key/Index
-    const findAutomation = (collection, isArray) => {
-      if (isArray) {
-        const found = collection.find(item => item && item.id === identifier);
-        if (found) return found;
-        if (!isNaN(parseInt(identifier))) {
-          return collection[parseInt(identifier)];
+    let candidate = null;
+
+    for (const commit of versions) {
+      const blobHash = commit.blobs[gitFilePath];
+      const items = blobHash ? await itemsInBlob(blobHash, gitFilePath, 'script', configPath) : [];
+      const script = findItemByIdentifier(items, identifier);
+
+      if (!script) {
+        // Script missing - the last candidate was where it was created
+        if (candidate) {
+          commits.push(candidate);
+          candidate = null;
+          debugMessages.push(`[getScriptHistory] Script missing in commit ${commit.hash.substring(0, 7)}. Last candidate was creation point.`);
         }
+        continue;
+      }
+
+      const currentCommitObj = {
+        hash: commit.hash,
+        date: commit.date,
+        message: commit.message,
+        author: commit.authorName,
+        script: script.content
+      };
+
+      if (candidate && JSON.stringify(candidate.script) === JSON.stringify(script.content)) {
+        // Same content, update candidate to older commit
+        candidate = currentCommitObj;
       } else {
-        const found = Object.values(collection).find(item => item && item.id === identifier);
-        if (found) return found;
-        return collection[identifier];
+        // Content changed
+        if (candidate) commits.push(candidate);
+        candidate = currentCommitObj;
       }
-      return null;
-    };
+    }
 
-    let auto = null;
-    if (data.automations) {
-      auto = findAutomation(data.automations, Array.isArray(data.automations));
-    } else {
-      auto = findAutomation(data, Array.isArray(data));
+    if (candidate) {
+      commits.push(candidate);
+      debugMessages.push(`[getScriptHistory] Pushing final candidate (oldest).`);
     }
 
-    return { success: !!auto, automation: auto };
-  } catch (error) {
-    console.error(`[getAutomationAtCommit] Error at commit ${commitHash}:`, error);
-    return { success: false, automation: null, error: error.message };
+    debugMessages.push(`[getScriptHistory] Total scripts found in history: ${commits.length}`);
+  }
+  catch (error) {
+    debugMessages.push(`[getScriptHistory] Critical error getting script history: ${error.message}`);
+    return { success: false, history: [], debugMessages };
   }
+
+  return { success: commits.length > 0, history: commits, debugMessages };
 }
 
 /**
- * Get just the commit metadata for a script's file (fast, no YAML parsing)
- * @param {string} scriptId - The script ID
+ * Get just the commit metadata for a scene's file (fast, no YAML parsing)
+ * @param {string} sceneId - The scene ID
  * @param {string} configPath - The config path
  * @returns {Object} List of commit metadata
  */
-export async function getScriptHistoryMetadata(scriptId, configPath) {
-  const [, encodedPath, identifier] = scriptId.split(':');
+export async function getSceneHistoryMetadata(sceneId, configPath) {
+  const [, encodedPath, identifier] = sceneId.split(':');
   const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
 
   try {
@@ -760,198 +1263,101 @@ export async function getScriptHistoryMetadata(scriptId, configPath) {
       gitFilePath
     };
   } catch (error) {
-    console.error('[getScriptHistoryMetadata] Error:', error);
+    console.error('[getSceneHistoryMetadata] Error:', error);
     return { success: false, commits: [], error: error.message };
   }
 }
 
 /**
- * Get a specific script's content at a specific commit
- * @param {string} scriptId - The script ID
+ * Get a specific scene's content at a specific commit
+ * @param {string} sceneId - The scene ID
  * @param {string} commitHash - The commit hash
  * @param {string} configPath - The config path
- * @returns {Object} The script content at that commit
+ * @returns {Object} The scene content at that commit
  */
-export async function getScriptAtCommit(scriptId, commitHash, configPath) {
-  const [, encodedPath, identifier] = scriptId.split(':');
+export async function getSceneAtCommit(sceneId, commitHash, configPath) {
+  const [, encodedPath, identifier] = sceneId.split(':');
   const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
 
   try {
     const content = await gitShowFileAtCommit(commitHash, gitFilePath);
-    const data = yaml.load(content);
-
-    if (!data) {
-      return { success: false, script: null, error: 'No YAML data' };
-    }
-
-    // Helper to find by ID or Key/Index
-    const findScript = (collection, isArray) => {
-      if (isArray) {
-        const found = collection.find(item => item && item.id === identifier);
-        if (found) return found;
-        if (!isNaN(parseInt(identifier))) {
-          return collection[parseInt(identifier)];
-        }
-      } else {
-        const found = Object.values(collection).find(item => item && item.id === identifier);
-        if (found) return found;
-        return collection[identifier];
-      }
-      return null;
-    };
-
-    let script = null;
-    if (data.scripts) {
-      script = findScript(data.scripts, Array.isArray(data.scripts));
-    } else {
-      script = findScript(data, Array.isArray(data));
-    }
-
-    return { success: !!script, script };
+    const scene = await getAutomationOrScriptFromContent(content, identifier, 'scene', gitFilePath);
+    return { success: !!scene, scene };
   } catch (error) {
-    console.error(`[getScriptAtCommit] Error at commit ${commitHash}:`, error);
-    return { success: false, script: null, error: error.message };
+    console.error(`[getSceneAtCommit] Error at commit ${commitHash}:`, error);
+    return { success: false, scene: null, error: error.message };
   }
 }
 
 /**
- * Get the history of changes for a specific script
- * @param {string} scriptId - The script ID
- * @returns {Array} List of commits that affected this script
+ * Get the history of changes for a specific scene
+ * Consecutive commits where the scene didn't change are collapsed into the oldest one.
+ * @param {string} sceneId - The scene ID
+ * @returns {Array} List of commits that affected this scene
  */
-export async function getScriptHistory(scriptId, configPath) {
-  const [, encodedPath, identifier] = scriptId.split(':');
+export async function getSceneHistory(sceneId, configPath) {
+  const [, encodedPath, identifier] = sceneId.split(':');
   const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
   const commits = [];
   const debugMessages = [];
 
-  debugMessages.push(`[getScriptHistory] Searching history for file: ${gitFilePath}, identifier: ${identifier}`);
-  debugMessages.push(`[getScriptHistory] Using Git base directory: ${configPath}`);
+  debugMessages.push(`[getSceneHistory] Searching history for file: ${gitFilePath}, identifier: ${identifier}`);
 
   try {
     const isRepo = await gitCheckIsRepo();
     if (!isRepo) {
-      debugMessages.push(`[getScriptHistory] ERROR: ${configPath} is NOT a Git repository.`);
+      debugMessages.push(`[getSceneHistory] ERROR: ${configPath} is NOT a Git repository.`);
       return { success: false, history: [], debugMessages };
     }
-    debugMessages.push(`[getScriptHistory] ${configPath} IS a Git repository.`);
-
-    try {
-      // Check if the file is tracked by Git
-      await gitRaw(['ls-files', '--error-unmatch', gitFilePath]);
-      debugMessages.push(`[getScriptHistory] File ${gitFilePath} IS tracked by Git.`);
-    } catch (lsFilesError) {
-      debugMessages.push(`[getScriptHistory] File ${gitFilePath} is not currently tracked (might be deleted). Continuing to check logs.`);
-    }
 
     const log = await gitLog({ file: gitFilePath });
-    debugMessages.push(`[getScriptHistory] Found ${log.all.length} commits for file ${gitFilePath}`);
+    debugMessages.push(`[getSceneHistory] Found ${log.all.length} commits for file ${gitFilePath}`);
 
     if (log.all.length === 0) {
-      debugMessages.push(`[getScriptHistory] No Git history found for the file: ${gitFilePath}.`);
       return { success: false, history: [], debugMessages };
     }
 
     let candidate = null;
 
     for (const commit of log.all) {
+      let scene = null;
       try {
-        debugMessages.push(`[getScriptHistory] Checking commit: ${commit.hash.substring(0, 7)} - ${commit.message}`);
         const content = await gitShowFileAtCommit(commit.hash, gitFilePath);
-
-        const data = yaml.load(content);
-
-        let script = null;
-        if (data) {
-          // Helper to find by ID or Key/Index
-          const findScript = (collection, isArray) => {
-            if (isArray) {
-              // Try to find by UUID first
-              const found = collection.find(item => item && item.id === identifier);
-              if (found) return found;
-              // Fallback to index if identifier is numeric
-              if (!isNaN(parseInt(identifier))) {
-                return collection[parseInt(identifier)];
-              }
-            } else { // Object
-              // Try to find by UUID first (values)
-              const found = Object.values(collection).find(item => item && item.id === identifier);
-              if (found) return found;
-              // Fallback to key
-              return collection[identifier];
-            }
-            return null;
-          };
-
-          if (data.scripts) {
-            if (Array.isArray(data.scripts)) {
-              script = findScript(data.scripts, true);
-            } else {
-              script = findScript(data.scripts, false);
-            }
-          } else {
-            // Standard format (root level)
-            if (Array.isArray(data)) { // Unlikely but possible for scripts? Generally scripts are objects or under 'script' 
-              script = findScript(data, true);
-            } else {
-              script = findScript(data, false);
-            }
-          }
-        } else {
-          debugMessages.push(`[getScriptHistory] No YAML data parsed from file at commit ${commit.hash.substring(0, 7)}`);
-        }
-
-        if (script) {
-          const currentCommitObj = {
-            hash: commit.hash,
-            date: commit.date,
-            message: commit.message,
-            author: commit.author_name,
-            script: script
-          };
-
-          if (!candidate) {
-            candidate = currentCommitObj;
-          } else {
-            if (JSON.stringify(candidate.script) === JSON.stringify(script)) {
-              // Same content, update candidate to older commit
-              candidate = currentCommitObj;
-              debugMessages.push(`[getScriptHistory] Same content found in older commit ${commit.hash.substring(0, 7)}. Updating candidate.`);
-            } else {
-              // Content changed
-              commits.push(candidate);
-              debugMessages.push(`[getScriptHistory] Content changed in commit ${commit.hash.substring(0, 7)}. Pushing previous candidate.`);
-              candidate = currentCommitObj;
-            }
-          }
-        } else {
-          // Script missing
-          if (candidate) {
-            commits.push(candidate);
-            candidate = null;
-            debugMessages.push(`[getScriptHistory] Script missing in commit ${commit.hash.substring(0, 7)}. Last candidate was creation point.`);
-          }
-          debugMessages.push(`[getScriptHistory] Script NOT found in commit ${commit.hash.substring(0, 7)} with identifier ${identifier}`);
-        }
+        scene = await getAutomationOrScriptFromContent(content, identifier, 'scene', gitFilePath);
+      } catch (error) {
+        debugMessages.push(`[getSceneHistory] Error processing commit ${commit.hash.substring(0, 7)}: ${error.message}`);
       }
-      catch (error) {
-        debugMessages.push(`[getScriptHistory] Error processing commit ${commit.hash.substring(0, 7)} for file ${gitFilePath}: ${error.message}`);
+
+      if (!scene) {
+        // Scene missing - the last candidate was where it was created
         if (candidate) {
           commits.push(candidate);
           candidate = null;
         }
+        continue;
+      }
+
+      const currentCommitObj = {
+        hash: commit.hash,
+        date: commit.date,
+        message: commit.message,
+        author: commit.author_name,
+        scene: scene
+      };
+
+      if (candidate && JSON.stringify(candidate.scene) !== JSON.stringify(scene)) {
+        commits.push(candidate);
       }
+      candidate = currentCommitObj;
     }
 
     if (candidate) {
       commits.push(candidate);
-      debugMessages.push(`[getScriptHistory] Pushing final candidate (oldest).`);
     }
 
-    debugMessages.push(`[getScriptHistory] Total scripts found in history: ${commits.length}`);
-  }
-  catch (error) {
-    debugMessages.push(`[getScriptHistory] Critical error getting script history: ${error.message}`);
+    debugMessages.push(`[getSceneHistory] Total scene versions found in history: ${commits.length}`);
+  } catch (error) {
+    debugMessages.push(`[getSceneHistory] Critical error getting scene history: ${error.message}`);
     return { success: false, history: [], debugMessages };
   }
 
@@ -1004,15 +1410,35 @@ export async function getScriptDiff(scriptId, commitHash, configPath) {
 }
 
 /**
- * Helper to get a specific automation/script object from a file's content at a given commit.
+ * Get the diff for a specific version of a scene
+ * @param {string} sceneId - The scene ID
+ * @param {string} commitHash - The commit hash
+ * @returns {string} The diff
+ */
+export async function getSceneDiff(sceneId, commitHash, configPath) {
+  const [, encodedPath] = sceneId.split(':');
+  const gitFilePath = decodeURIComponent(encodedPath).replace(/^\//, '');
+  const prevHash = `${commitHash}^`;
+
+  try {
+    const diff = await gitDiff([`${prevHash}`, commitHash, '--', gitFilePath]);
+    return diff;
+  } catch (error) {
+    console.error('Error getting scene diff:', error);
+    return null;
+  }
+}
+
+/**
+ * Helper to get a specific automation/script/scene object from a file's content at a given commit.
  * This logic is duplicated from getAutomationHistory/getScriptHistory but is needed here.
  */
-async function getAutomationOrScriptFromContent(content, identifier, type) {
-  const data = yaml.load(content);
+async function getAutomationOrScriptFromContent(content, identifier, type, filePath) {
+  const data = loadItemData(content, type, filePath);
   if (!data) return null;
 
   let item = null;
-  const key = type === 'automation' ? 'automations' : 'scripts';
+  const key = { automation: 'automations', script: 'scripts', scene: 'scenes' }[type];
 
   const findItem = (collection, isArray) => {
     if (isArray) {
@@ -1046,12 +1472,243 @@ async function getAutomationOrScriptFromContent(content, identifier, type) {
   return item;
 }
 
+/**
+ * Locate an automation/script in parsed YAML by id, then by index or key
+ * @param {*} data - Parsed file content
+ * @param {string} wrapperKey - 'automations' or 'scripts' (items may be nested under it)
+ * @param {string} identifier - Item id, index or key
+ * @returns {Object|null} { wrapped, isArray, collection, position } where position is an index or key
+ */
+function locateItem(data, wrapperKey, identifier) {
+  if (!data || typeof data !== 'object') return null;
+  const wrapped = !!data[wrapperKey];
+  const collection = wrapped ? data[wrapperKey] : data;
+  if (!collection || typeof collection !== 'object') return null;
+
+  const isArray = Array.isArray(collection);
+  if (isArray) {
+    let index = collection.findIndex(item => item && item.id === identifier);
+    if (index === -1 && !isNaN(parseInt(identifier)) && collection[parseInt(identifier)]) {
+      index = parseInt(identifier);
+    }
+    return index === -1 ? null : { wrapped, isArray, collection, position: index };
+  }
+
+  let key = Object.keys(collection).find(k => collection[k] && collection[k].id === identifier);
+  if (key === undefined && collection[identifier] !== undefined) key = identifier;
+  return key === undefined ? null : { wrapped, isArray, collection, position: key };
+}
+
+/**
+ * Split the entries of a block sequence/mapping (at the root or under wrapperKey) into line ranges
+ * Leading comments stay with their entry; trailing blank lines and outdented comments are left
+ * between entries. Returns null for layouts we can't split safely (flow style, odd indentation).
+ * @param {Array<string>} lines - File lines
+ * @param {string|null} wrapperKey - Top-level key holding the entries, or null for root
+ * @returns {Object|null} { entries: [{ start, end }], indent, regionEnd }
+ */
+function findEntryRanges(lines, wrapperKey) {
+  const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && line.trim() !== '---';
+  const indentOf = line => line.length - line.trimStart().length;
+  const isSequenceItem = line => /^-(\s|$)/.test(line.trimStart());
+
+  let regionStart = 0;
+  let regionEnd = lines.length;
+  if (wrapperKey) {
+    const escapedKey = wrapperKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const keyLine = lines.findIndex(line => new RegExp(`^${escapedKey}:\\s*(#.*)?$`).test(line));
+    if (keyLine === -1) return null;
+    regionStart = keyLine + 1;
+    for (let i = regionStart; i < lines.length; i++) {
+      if (isContent(lines[i]) && indentOf(lines[i]) === 0 && !isSequenceItem(lines[i])) {
+        regionEnd = i;
+        break;
+      }
+    }
+  }
+
+  let firstContent = -1;
+  for (let i = regionStart; i < regionEnd; i++) {
+    if (isContent(lines[i])) {
+      firstContent = i;
+      break;
+    }
+  }
+  if (firstContent === -1) return null;
+
+  const indent = indentOf(lines[firstContent]);
+  const isSequence = isSequenceItem(lines[firstContent]);
+  const starts = [];
+  for (let i = firstContent; i < regionEnd; i++) {
+    if (!isContent(lines[i])) continue;
+    const lineIndent = indentOf(lines[i]);
+    if (lineIndent < indent) return null;
+    if (lineIndent === indent) {
+      if (isSequenceItem(lines[i]) !== isSequence) return null;
+      starts.push(i);
+    }
+  }
+
+  // Pull comments directly above an entry into that entry (comments above the first entry
+  // are treated as a file/section header and stay where they are)
+  const entryStarts = starts.map((start, n) => {
+    let top = start;
+    while (n > 0 && lines[top - 1].trim().startsWith('#') && indentOf(lines[top - 1]) === indent) {
+      top--;
+    }
+    return { top, start };
+  });
+
+  const entries = entryStarts.map(({ top }, n) => {
+    let end = n + 1 < entryStarts.length ? entryStarts[n + 1].top : regionEnd;
+    while (end > entryStarts[n].start + 1 && !isContent(lines[end - 1]) && indentOf(lines[end - 1]) <= indent) {
+      end--;
+    }
+    return { start: top, end };
+  });
+
+  return { entries, indent, regionEnd };
+}
+
+/**
+ * An item that can't be restored without rewriting the rest of its file
+ * Restores refuse rather than re-serialize the file, which would drop comments and formatting.
+ */
+export class InPlaceRestoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InPlaceRestoreError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Restore one automation/script by splicing its original text into the current file
+ * Everything outside the item's line range (comments, formatting, other items) is kept
+ * byte-for-byte. Returns null when the layout can't be spliced safely.
+ * @param {string} committedContent - File content at the commit being restored from
+ * @param {string} currentContent - File content on disk
+ * @param {string} wrapperKey - 'automations' or 'scripts'
+ * @param {string} identifier - Item id, index or key (from the item ID)
+ * @param {Function} findTarget - (collection, isArray, committedPosition, restoredItem) => index/key to replace, or null to append
+ * @returns {string|null} Updated file content
+ */
+function spliceItemText(committedContent, currentContent, wrapperKey, identifier, findTarget) {
+  try {
+    if (!currentContent.trim()) return null;
+
+    const committedData = loadHaYaml(committedContent);
+    const source = locateItem(committedData, wrapperKey, identifier);
+    if (!source) return null;
+    const restoredItem = source.collection[source.position];
+
+    const committedLines = committedContent.split(/\r?\n/);
+    const sourceLayout = findEntryRanges(committedLines, source.wrapped ? wrapperKey : null);
+    const sourceKeys = source.isArray ? null : Object.keys(source.collection);
+    const sourceCount = source.isArray ? source.collection.length : sourceKeys.length;
+    if (!sourceLayout || sourceLayout.entries.length !== sourceCount) return null;
+    const sourceIndex = source.isArray ? source.position : sourceKeys.indexOf(source.position);
+    const sourceRange = sourceLayout.entries[sourceIndex];
+    let itemLines = committedLines.slice(sourceRange.start, sourceRange.end);
+
+    const currentData = loadHaYaml(currentContent);
+    const wrapped = !!(currentData && currentData[wrapperKey]);
+    if (wrapped !== source.wrapped) return null;
+    const collection = wrapped ? currentData[wrapperKey] : currentData;
+    if (!collection || typeof collection !== 'object' || Array.isArray(collection) !== source.isArray) return null;
+
+    const eol = currentContent.includes('\r\n') ? '\r\n' : '\n';
+    const lines = currentContent.split(/\r?\n/);
+    const layout = findEntryRanges(lines, wrapped ? wrapperKey : null);
+    const keys = source.isArray ? null : Object.keys(collection);
+    const count = source.isArray ? collection.length : keys.length;
+    if (!layout || layout.entries.length !== count) return null;
+
+    // Match the current file's indentation
+    const delta = layout.indent - sourceLayout.indent;
+    if (delta !== 0) {
+      itemLines = itemLines.map(line => {
+        if (!line.trim()) return line;
+        if (delta > 0) return ' '.repeat(delta) + line;
+        const removable = Math.min(-delta, line.length - line.trimStart().length);
+        return line.substring(removable);
+      });
+    }
+
+    const target = findTarget(collection, source.isArray, source.position, restoredItem);
+    const targetIndex = target === null || target === undefined
+      ? -1
+      : (source.isArray ? target : keys.indexOf(target));
+
+    let expectedPosition;
+    if (targetIndex >= 0 && targetIndex < layout.entries.length) {
+      const range = layout.entries[targetIndex];
+      lines.splice(range.start, range.end - range.start, ...itemLines);
+      expectedPosition = target;
+    } else {
+      // Keep the blank-line spacing used between existing entries
+      const lastEntry = layout.entries[layout.entries.length - 1];
+      const spaced = layout.entries.length > 1 && lines[layout.entries[1].start - 1].trim() === '';
+      lines.splice(lastEntry.end, 0, ...(spaced ? ['', ...itemLines] : itemLines));
+      expectedPosition = source.isArray ? collection.length : source.position;
+    }
+
+    const updatedContent = lines.join(eol);
+
+    // Make sure the spliced file parses to exactly the restored item
+    const verifyData = loadHaYaml(updatedContent);
+    const verifyCollection = wrapped ? verifyData[wrapperKey] : verifyData;
+    if (!verifyCollection || JSON.stringify(verifyCollection[expectedPosition]) !== JSON.stringify(restoredItem)) {
+      return null;
+    }
+
+    return updatedContent;
+  } catch (error) {
+    console.log(`[spliceItemText] Could not splice ${identifier}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Restore an item that lives in an include or package file instead of an automations.yaml-style list
+ * Single-item files are restored whole; items under one package key are spliced in place.
+ * Anything else can't be written back without losing the file's structure, so it's refused.
+ * @param {Object} layout - itemLayoutOf() result for the committed file
+ * @param {string} committedFileContent - File content at the commit being restored from
+ * @param {string} currentFileContent - File content on disk
+ * @param {string} fullPath - Absolute file path
+ * @param {string} identifier - Item id, index or key (from the item ID)
+ * @param {Function} findTarget - See spliceItemText()
+ * @returns {Promise<boolean|null>} true once restored, or null for plain files
+ * @throws {InPlaceRestoreError} If the item can't be restored without rewriting the file
+ */
+async function restoreIncludedItem(layout, committedFileContent, currentFileContent, fullPath, identifier, findTarget) {
+  if (layout.layout === 'file') return null;
+
+  if (layout.layout === 'single') {
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, committedFileContent);
+    return true;
+  }
+
+  if (layout.layout === 'package') {
+    const splicedYaml = spliceItemText(committedFileContent, currentFileContent, layout.wrapperKey, identifier, findTarget);
+    if (splicedYaml !== null) {
+      await fs.promises.writeFile(fullPath, splicedYaml);
+      return true;
+    }
+  }
+
+  throw new InPlaceRestoreError(`Can't restore '${identifier}' on its own in ${path.basename(fullPath)}; restore the whole file instead`);
+}
+
 /**
  * Restore an automation to a specific version
  * @param {string} automationId - The automation ID
  * @param {string} commitHash - The commit hash to restore to
  * @param {string} configPath - The base directory for Git operations
  * @returns {boolean} Success status
+ * @throws {InPlaceRestoreError} If the automation can't be restored without rewriting the rest of its file
  */
 export async function restoreAutomation(automationId, commitHash, configPath) {
   const [, encodedPath, identifier] = automationId.split(':');
@@ -1063,37 +1720,27 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
     const commitDetails = await gitLog({ maxCount: 1 });
     const commitDate = new Date(commitDetails.all[0]?.date || Date.now()).toLocaleString();
 
-    // 2. Get the restored automation object from the specified commit
-    const committedFileContent = await gitShowFileAtCommit(commitHash, gitFilePath);
-
-    // Helper to find by ID or Key/Index (duplicated from getAutomationHistory to stay self-contained)
-    const findAutomation = (collection, isArray) => {
-      if (isArray) {
-        const found = collection.find(item => item && item.id === identifier);
-        if (found) return found;
-        if (!isNaN(parseInt(identifier))) {
-          return collection[parseInt(identifier)];
-        }
-      } else {
-        const found = Object.values(collection).find(item => item && item.id === identifier);
-        if (found) return found;
-        return collection[identifier];
-      }
-      return null;
-    };
+    // 2. Find the automation in the commit by identity - by then it may have had another index,
+    // id or file - and get that file's content
+    const identity = await automationIdentityOf(automationId, configPath);
+    const source = await findAutomationAtCommit(commitHash, identity.gitFilePath, identity, configPath);
 
-    const data = yaml.load(committedFileContent);
-    let restoredAutomation = null;
-    if (data) {
-      if (data.automations) {
-        restoredAutomation = findAutomation(data.automations, Array.isArray(data.automations));
-      } else {
-        restoredAutomation = findAutomation(data, Array.isArray(data));
-      }
+    if (!source) {
+      console.error(`[restoreAutomation] Could not find automation ${identifier} in commit ${commitHash} of file ${gitFilePath}`);
+      return false;
     }
 
-    if (!restoredAutomation) {
-      console.error(`[restoreAutomation] Could not find automation ${identifier} in commit ${commitHash} of file ${gitFilePath}`);
+    const committedFileContent = await gitShowFileAtCommit(commitHash, source.file);
+    // Where the automation was in the committed file
+    const committedIdentifier = source.rawId !== undefined && source.rawId !== null
+      ? source.rawId
+      : (source.key !== undefined ? source.key : String(source.index));
+    const committedLayout = itemLayoutOf(loadHaYaml(committedFileContent), 'automation', source.file);
+    const data = committedLayout.data;
+    const restoredAutomation = source.content;
+
+    if (source.file !== identity.gitFilePath && committedLayout.layout !== 'file') {
+      console.error(`[restoreAutomation] Automation '${identifier}' was in ${source.file} at that commit; restore that file instead`);
       return false;
     }
 
@@ -1113,9 +1760,40 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
       currentFileContent = '';
     }
 
-    let currentData = yaml.load(currentFileContent) || (Array.isArray(data.automations || data) ? [] : {});
+    // 4. Splice only this automation's text into the file so comments and formatting are kept
+    const findTarget = (collection, isArray, committedKey, restored) => {
+      if (isArray) {
+        let index = collection.findIndex(item => item && ((restored.id !== undefined && item.id === restored.id) || item.id === identifier));
+        // Automations without an id are replaced at their current index
+        if (index === -1 && /^\d+$/.test(identifier) && collection[identifier] && collection[identifier].id === undefined) {
+          index = parseInt(identifier);
+        }
+        return index >= 0 ? index : null;
+      }
+      if (collection[committedKey] !== undefined) return committedKey;
+      return collection[identifier] !== undefined ? identifier : null;
+    };
+    const restoredIncluded = await restoreIncludedItem(committedLayout, committedFileContent, currentFileContent, fullPath, committedIdentifier, findTarget);
+    if (restoredIncluded !== null) {
+      if (restoredIncluded) console.log(`[restoreAutomation] ✓ Automation '${identifier}' restored from ${commitDate} (in place)`);
+      return restoredIncluded;
+    }
+
+    const splicedYaml = spliceItemText(committedFileContent, currentFileContent, 'automations', committedIdentifier, findTarget);
+
+    if (splicedYaml !== null) {
+      await fs.promises.writeFile(fullPath, splicedYaml);
+      console.log(`[restoreAutomation] ✓ Automation '${identifier}' restored from ${commitDate} (in place)`);
+      return true;
+    }
+    if (currentFileContent.trim()) {
+      throw new InPlaceRestoreError(`Automation '${identifier}' can't be restored in place in ${gitFilePath}; restore the whole file instead`);
+    }
+
+    // The file is empty or gone, so there's nothing else in it to keep
+    let currentData = loadHaYaml(currentFileContent) || (Array.isArray(data.automations || data) ? [] : {});
 
-    // 4. Locate and add/replace the specific automation in the current data structure
+    // 5. Locate and add/replace the specific automation in the current data structure
     // We need to match where to put it. 
     // If it's automations.yaml (root array), we append or replace.
     // If it's split config, it depends on structure.
@@ -1138,7 +1816,7 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
 
     if (Array.isArray(targetContainer)) {
       // Array: find index of existing item with same ID
-      const existingIndex = targetContainer.findIndex(item => item.id === restoredAutomation.id || item.id === identifier); // Check both UUID and original identifier if it was UUID
+      const existingIndex = findTarget(targetContainer, true, null, restoredAutomation) ?? -1;
 
       if (existingIndex >= 0) {
         targetContainer[existingIndex] = restoredAutomation;
@@ -1168,15 +1846,10 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
       targetContainer[targetKey] = restoredAutomation;
     }
 
-    // 5. Dump the modified data back to YAML
-    const updatedYaml = yaml.dump(currentData, {
-      indent: 2,
-      lineWidth: -1,  // Don't wrap lines
-      noRefs: true,   // Don't use references
-      sortKeys: false // Keep key order
-    });
+    // 6. Dump the modified data back to YAML
+    const updatedYaml = dumpHaYaml(currentData);
 
-    // 6. Write the updated YAML back to the file
+    // 7. Write the updated YAML back to the file
     // Ensure directory exists
     await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
     await fs.promises.writeFile(fullPath, updatedYaml);
@@ -1184,6 +1857,7 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
 
     return true;
   } catch (error) {
+    if (error instanceof InPlaceRestoreError) throw error;
     console.error('[restoreAutomation] Error:', error);
     return false;
   }
@@ -1195,6 +1869,7 @@ export async function restoreAutomation(automationId, commitHash, configPath) {
  * @param {string} commitHash - The commit hash to restore to
  * @param {string} configPath - The base directory for Git operations
  * @returns {boolean} Success status
+ * @throws {InPlaceRestoreError} If the script can't be restored without rewriting the rest of its file
  */
 export async function restoreScript(scriptId, commitHash, configPath) {
   const [, encodedPath, identifier] = scriptId.split(':');
@@ -1208,7 +1883,7 @@ export async function restoreScript(scriptId, commitHash, configPath) {
 
     // 2. Get the restored script object from the specified commit
     const committedFileContent = await gitShowFileAtCommit(commitHash, gitFilePath);
-    const restoredScript = await getAutomationOrScriptFromContent(committedFileContent, identifier, 'script');
+    const restoredScript = await getAutomationOrScriptFromContent(committedFileContent, identifier, 'script', gitFilePath);
 
     if (!restoredScript) {
       console.error(`[restoreScript] Could not find script ${identifier} in commit ${commitHash} of file ${gitFilePath}`);
@@ -1217,7 +1892,36 @@ export async function restoreScript(scriptId, commitHash, configPath) {
 
     // 3. Get the current content of the file from disk
     const currentFileContent = await fs.promises.readFile(fullPath, 'utf-8');
-    let currentData = yaml.load(currentFileContent);
+
+    // Splice only this script's text into the file so comments and formatting are kept
+    const findTarget = (collection, isArray, committedKey) => {
+      if (isArray) {
+        const index = parseInt(identifier);
+        return index >= 0 && index < collection.length ? index : null;
+      }
+      return collection[committedKey] !== undefined ? committedKey : null;
+    };
+    const committedLayout = itemLayoutOf(loadHaYaml(committedFileContent), 'script', gitFilePath);
+    const restoredIncluded = await restoreIncludedItem(committedLayout, committedFileContent, currentFileContent, fullPath, identifier, findTarget);
+    if (restoredIncluded !== null) {
+      if (restoredIncluded) console.log(`[restoreScript] ✓ Script '${identifier}' restored from ${commitDate} (in place)`);
+      return restoredIncluded;
+    }
+
+    const splicedYaml = spliceItemText(committedFileContent, currentFileContent, 'scripts', identifier, findTarget);
+
+    if (splicedYaml !== null) {
+      await fs.promises.writeFile(fullPath, splicedYaml);
+      console.log(`[restoreScript] ✓ Script '${identifier}' restored from ${commitDate} (in place)`);
+      console.log(`[restoreScript] ✓ File watcher will auto-commit this change`);
+      return true;
+    }
+    if (currentFileContent.trim()) {
+      throw new InPlaceRestoreError(`Script '${identifier}' can't be restored in place in ${gitFilePath}; restore the whole file instead`);
+    }
+
+    // The file is empty, so there's nothing else in it to keep
+    let currentData = loadHaYaml(currentFileContent);
 
     if (!currentData) {
       console.error(`[restoreScript] Could not parse current YAML content for file ${gitFilePath}`);
@@ -1248,12 +1952,7 @@ export async function restoreScript(scriptId, commitHash, configPath) {
     }
 
     // 5. Dump the modified data back to YAML
-    const updatedYaml = yaml.dump(currentData, {
-      indent: 2,
-      lineWidth: -1,  // Don't wrap lines
-      noRefs: true,   // Don't use references
-      sortKeys: false // Keep key order
-    });
+    const updatedYaml = dumpHaYaml(currentData);
 
     // 6. Write the updated YAML back to the file
     await fs.promises.writeFile(fullPath, updatedYaml);
@@ -1262,7 +1961,95 @@ export async function restoreScript(scriptId, commitHash, configPath) {
 
     return true;
   } catch (error) {
+    if (error instanceof InPlaceRestoreError) throw error;
     console.error('[restoreScript] Error:', error);
     return false;
   }
 }
+
+/**
+ * Restore a scene to a specific version
+ * @param {string} sceneId - The scene ID
+ * @param {string} commitHash - The commit hash to restore to
+ * @param {string} configPath - The base directory for Git operations
+ * @returns {boolean} Success status
+ * @throws {InPlaceRestoreError} If the scene can't be restored without rewriting the rest of its file
+ */
+export async function restoreScene(sceneId, commitHash, configPath) {
+  const [, encodedPath, identifier] = sceneId.split(':');
+  const gitFilePath = decodeURIComponent(encodedPath); // This is the relative path to the file
+  const fullPath = path.join(configPath, gitFilePath);
+
+  try {
+    const committedFileContent = await gitShowFileAtCommit(commitHash, gitFilePath);
+    const restoredScene = await getAutomationOrScriptFromContent(committedFileContent, identifier, 'scene', gitFilePath);
+
+    if (!restoredScene) {
+      console.error(`[restoreScene] Could not find scene ${identifier} in commit ${commitHash} of file ${gitFilePath}`);
+      return false;
+    }
+
+    let currentFileContent = '';
+    try {
+      currentFileContent = await fs.promises.readFile(fullPath, 'utf-8');
+    } catch (e) {
+      console.log(`[restoreScene] File ${fullPath} not found, initializing new`);
+    }
+
+    // Splice only this scene's text into the file so comments and formatting are kept
+    const findTarget = (collection, isArray, committedIndex, restored) => {
+      // Scenes without an id are identified by their position
+      if (!restored.id) return committedIndex < collection.length ? committedIndex : null;
+      const index = collection.findIndex(item => item && item.id === restored.id);
+      return index >= 0 ? index : null;
+    };
+    const committedLayout = itemLayoutOf(loadHaYaml(committedFileContent), 'scene', gitFilePath);
+    const restoredIncluded = await restoreIncludedItem(committedLayout, committedFileContent, currentFileContent, fullPath, identifier, findTarget);
+    if (restoredIncluded !== null) {
+      if (restoredIncluded) console.log(`[restoreScene] ✓ Scene '${identifier}' restored from ${commitHash.substring(0, 8)} (in place)`);
+      return restoredIncluded;
+    }
+
+    const splicedYaml = spliceItemText(committedFileContent, currentFileContent, 'scenes', identifier, findTarget);
+
+    if (splicedYaml !== null) {
+      await fs.promises.writeFile(fullPath, splicedYaml);
+      console.log(`[restoreScene] ✓ Scene '${identifier}' restored from ${commitHash.substring(0, 8)} (in place)`);
+      return true;
+    }
+    if (currentFileContent.trim()) {
+      throw new InPlaceRestoreError(`Scene '${identifier}' can't be restored in place in ${gitFilePath}; restore the whole file instead`);
+    }
+
+    // The file is empty or gone, so there's nothing else in it to keep
+
+    const committedData = loadHaYaml(committedFileContent);
+    const currentData = loadHaYaml(currentFileContent) || (Array.isArray(committedData) ? [] : { scenes: [] });
+    const scenes = Array.isArray(currentData) ? currentData : (currentData.scenes = currentData.scenes || []);
+    if (!Array.isArray(scenes)) {
+      console.error(`[restoreScene] Unexpected scene layout in ${gitFilePath}`);
+      return false;
+    }
+
+    const existingIndex = restoredScene.id
+      ? scenes.findIndex(item => item && item.id === restoredScene.id)
+      : (parseInt(identifier) < scenes.length ? parseInt(identifier) : -1);
+    if (existingIndex >= 0) {
+      scenes[existingIndex] = restoredScene;
+    } else {
+      scenes.push(restoredScene);
+    }
+
+    const updatedYaml = dumpHaYaml(currentData);
+
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, updatedYaml);
+    console.log(`[restoreScene] ✓ Scene '${identifier}' restored from ${commitHash.substring(0, 8)}`);
+
+    return true;
+  } catch (error) {
+    if (error instanceof InPlaceRestoreError) throw error;
+    console.error('[restoreScene] Error:', error);
+    return false;
+  }
+}
@@ -11,16 +11,22 @@ let currentMode = 'timeline';
 let currentSelection = null;
 let modalData = null;
 let allCommits = [];
+let timelineCursor = null; // Where the next (older) Timeline page starts; null once the first commit is loaded
+let timelineObserver = null;
+const TIMELINE_PAGE_SIZE = 50;
 let currentlyDisplayedCommitHash = null;
 let sortState = {
   files: localStorage.getItem('sort_files') || 'recently_modified',
   automations: localStorage.getItem('sort_automations') || 'name_asc',
-  scripts: localStorage.getItem('sort_scripts') || 'name_asc'
+  scripts: localStorage.getItem('sort_scripts') || 'name_asc',
+  scenes: localStorage.getItem('sort_scenes') || 'name_asc',
+  timeline: localStorage.getItem('sort_timeline') || 'all'
 };
+let pinsByHash = new Map();
 
 // Keyboard navigation state
 let keyboardNav = {
-  currentList: null,  // 'commits', 'files', 'automations', 'scripts'
+  currentList: null,  // 'commits', 'files', 'automations', 'scripts', 'scenes', 'helpers', 'entities', 'dashboards', 'blueprints', 'packages', 'integrations', 'esphome'
   selectedIndex: -1,
   items: []
 };
@@ -219,8 +225,11 @@ async function loadSettings() {
         document.getElementById('historyRetention').checked = settings.historyRetention;
         localStorage.setItem('historyRetention', settings.historyRetention);
 
-        // Retention type (hardcoded to time now)
-        localStorage.setItem('retentionType', 'time');
+        // Retention type ('time' merges everything past the period, 'tiered' thins it out)
+        const retentionType = settings.retentionType === 'tiered' ? 'tiered' : 'time';
+        document.getElementById('retentionType').value = retentionType;
+        localStorage.setItem('retentionType', retentionType);
+        handleRetentionTypeChange();
 
         // Retention value
         document.getElementById('retentionValue').value = settings.retentionValue;
@@ -230,6 +239,12 @@ async function loadSettings() {
         document.getElementById('retentionUnit').value = settings.retentionUnit;
         localStorage.setItem('retentionUnit', settings.retentionUnit);
 
+        // Helper tracking
+        document.getElementById('trackHelpers').checked = settings.trackHelpers === true;
+
+        // Registry snapshots
+        document.getElementById('trackRegistries').checked = settings.trackRegistries === true;
+
         // Run cleanup on commit
 
       }
@@ -333,9 +348,12 @@ window.addEventListener('DOMContentLoaded', async () => {
   // Load diff view format setting (radio buttons)
   const diffViewSplit = document.getElementById('diffViewSplit');
   const diffViewUnified = document.getElementById('diffViewUnified');
+  const diffViewStructure = document.getElementById('diffViewStructure');
   if (diffViewSplit && diffViewUnified) {
     if (diffViewFormat === 'split') {
       diffViewSplit.checked = true;
+    } else if (diffViewFormat === 'structure' && diffViewStructure) {
+      diffViewStructure.checked = true;
     } else {
       diffViewUnified.checked = true;
     }
@@ -379,6 +397,9 @@ window.addEventListener('DOMContentLoaded', async () => {
 
   // Initialize the view
   switchMode(currentMode);
+
+  // Hear about new versions, cleanups and pushes as they happen
+  connectEventStream();
 });
 
 function injectDiffStyle() {
@@ -995,11 +1016,10 @@ function switchDiffStyle(styleId) {
   // showNotification(`Diff style: ${styleName}`, 'success', 1500);
 }
 
-function toggleDiffViewFormat(isSplit) {
-  const newFormat = isSplit ? 'split' : 'unified';
+function toggleDiffViewFormat(newFormat) {
+  // 'unified' | 'split' | 'structure' (key-level tree diff)
   diffViewFormat = newFormat;
   localStorage.setItem('diffViewFormat', newFormat);
-  // showNotification(`Diff view: ${isSplit ? 'Side-by-Side' : 'Unified'}`, 'success', 1500);
 
   // Re-render the currently displayed view
   refreshCurrentView();
@@ -1054,6 +1074,50 @@ function refreshCurrentView() {
     } else {
       showScriptHistory(currentSelection.id);
     }
+  } else if (currentSelection.type === 'scene') {
+    if (currentSceneHistory && currentSceneHistory.length > 0) {
+      displaySceneHistory();
+    } else {
+      showSceneHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'helper') {
+    if (currentHelperHistory && currentHelperHistory.length > 0) {
+      displayHelperHistory();
+    } else {
+      showHelperHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'entity') {
+    showEntityHistory(currentSelection.id);
+  } else if (currentSelection.type === 'lovelace') {
+    if (currentLovelaceHistory && currentLovelaceHistory.length > 0) {
+      displayLovelaceHistory();
+    } else {
+      showLovelaceHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'blueprint') {
+    if (currentBlueprintHistory && currentBlueprintHistory.length > 0) {
+      displayBlueprintHistory();
+    } else {
+      showBlueprintHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'package') {
+    if (currentPackageHistory && currentPackageHistory.length > 0) {
+      displayPackageHistory();
+    } else {
+      showPackageHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'integration') {
+    if (currentIntegrationHistory && currentIntegrationHistory.length > 0) {
+      displayIntegrationItemHistory();
+    } else {
+      showIntegrationItemHistory(currentSelection.id);
+    }
+  } else if (currentSelection.type === 'esphome') {
+    if (currentEsphomeHistory && currentEsphomeHistory.length > 0) {
+      displayEsphomeDeviceHistory();
+    } else {
+      showEsphomeDeviceHistory(currentSelection.file);
+    }
   }
 }
 
@@ -1202,24 +1266,133 @@ function openSettings() {
 
   // Load extensions settings
   loadExtensionsSettings();
+
+  // Load API tokens
+  document.getElementById('apiTokenCreated').style.display = 'none';
+  loadApiTokens();
 }
 
 function closeSettings() {
   document.getElementById('settingsModal').classList.remove('active');
 }
 
+// API tokens for the direct-access port
+async function loadApiTokens() {
+  const list = document.getElementById('apiTokenList');
+  if (!list) return;
+
+  try {
+    const [tokensResponse, appSettingsResponse] = await Promise.all([
+      fetch(`${API}/auth/tokens`),
+      fetch(`${API}/app-settings`)
+    ]);
+    const data = await tokensResponse.json();
+    const appSettings = await appSettingsResponse.json();
+
+    if (!data.success) {
+      list.innerHTML = `<div class="api-token-empty">${escapeHtml(data.error)}</div>`;
+      return;
+    }
+
+    let html = '';
+    if (appSettings.directAccessAuth === false) {
+      html += `<div class="api-token-empty">${t('settings.api_token_auth_disabled')}</div>`;
+    }
+
+    if (data.tokens.length === 0) {
+      html += `<div class="api-token-empty">${t('settings.api_token_none')}</div>`;
+    }
+
+    html += data.tokens.map(token => `
+      <div class="api-token-row">
+        <div>
+          <div class="api-token-name">${escapeHtml(token.name)} <span class="api-token-scope">${t(`settings.api_token_scope_${token.scope}`)}</span></div>
+          <div class="api-token-meta">${token.lastUsed
+            ? t('settings.api_token_last_used', { date: getFormattedDate(token.lastUsed) })
+            : t('settings.api_token_never_used')}</div>
+        </div>
+        <button class="btn" onclick="revokeApiToken('${token.id}', this)" data-name="${escapeHtml(token.name)}">${t('settings.api_token_revoke')}</button>
+      </div>
+    `).join('');
+
+    list.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to load API tokens:', error);
+    list.innerHTML = '';
+  }
+}
+
+async function createApiToken() {
+  const nameInput = document.getElementById('apiTokenName');
+  const name = nameInput.value.trim();
+  const scope = document.getElementById('apiTokenScope').value;
+
+  if (!name) {
+    showNotification(t('settings.api_token_name_required'), 'error', 3000);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API}/auth/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, scope })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showNotification(`Error: ${data.error}`, 'error', 5000);
+      return;
+    }
+
+    nameInput.value = '';
+    document.getElementById('apiTokenCreatedValue').textContent = data.token;
+    document.getElementById('apiTokenCreated').style.display = 'block';
+    try {
+      await copyToClipboard(data.token);
+      showNotification('Token copied to clipboard', 'success', 3000);
+    } catch (err) {
+      // Token stays visible for manual copying
+    }
+    loadApiTokens();
+  } catch (error) {
+    console.error('Create token error:', error);
+    showNotification(`Error: ${error.message}`, 'error', 5000);
+  }
+}
+
+async function revokeApiToken(id, button) {
+  if (!confirm(t('settings.api_token_revoke_confirm', { name: button.dataset.name }))) return;
+
+  try {
+    const response = await fetch(`${API}/auth/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (data.success) {
+      loadApiTokens();
+    } else {
+      showNotification(`Error: ${data.error}`, 'error', 5000);
+    }
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    showNotification(`Error: ${error.message}`, 'error', 5000);
+  }
+}
+
 async function saveSettings() {
   // Get settings values
   const darkMode = document.getElementById('themeDark').checked;
   const debounceTime = document.getElementById('debounceTime').value;
   const debounceTimeUnit = document.getElementById('debounceTimeUnit').value;
 
-  const retentionType = 'time'; // Hardcoded as UI option removed
+  const retentionType = document.getElementById('retentionType').value;
   const retentionValue = document.getElementById('retentionValue').value;
   const retentionUnit = document.getElementById('retentionUnit').value;
   const historyRetention = document.getElementById('historyRetention').checked;
-  const diffViewSplit = document.getElementById('diffViewSplit').checked;
-  const newDiffViewFormat = diffViewSplit ? 'split' : 'unified';
+  const trackHelpers = document.getElementById('trackHelpers').checked;
+  const trackRegistries = document.getElementById('trackRegistries').checked;
+  const checkedDiffView = document.querySelector('input[name="diffViewFormat"]:checked');
+  const newDiffViewFormat = checkedDiffView ? checkedDiffView.value : 'split';
   const newDiffStyle = document.getElementById('diffStyle').value;
 
   // Save to localStorage
@@ -1252,6 +1425,8 @@ async function saveSettings() {
         retentionType,
         retentionValue,
         retentionUnit,
+        trackHelpers,
+        trackRegistries,
         extensions: currentExtensions
       })
     });
@@ -1307,6 +1482,13 @@ function handleRetentionToggle() {
   }
 }
 
+function handleRetentionTypeChange() {
+  const tiered = document.getElementById('retentionType').value === 'tiered';
+  document.getElementById('retentionPeriodOptions').style.display = tiered ? 'none' : 'grid';
+  document.getElementById('retentionTimeDesc').style.display = tiered ? 'none' : 'block';
+  document.getElementById('retentionTieredDesc').style.display = tiered ? 'block' : 'none';
+}
+
 // =====================================
 // Cloud Sync Functions
 // =====================================
@@ -2124,6 +2306,22 @@ function handleSearch(event) {
       filterAutomations(query);
     } else if (currentMode === 'scripts') {
       filterScripts(query);
+    } else if (currentMode === 'scenes') {
+      filterScenes(query);
+    } else if (currentMode === 'helpers') {
+      filterHelpers(query);
+    } else if (currentMode === 'entities') {
+      filterRegistryEntities(query);
+    } else if (currentMode === 'dashboards') {
+      filterDashboardViews(query);
+    } else if (currentMode === 'blueprints') {
+      filterBlueprints(query);
+    } else if (currentMode === 'packages') {
+      filterPackages(query);
+    } else if (currentMode === 'integrations') {
+      filterIntegrationItems(query);
+    } else if (currentMode === 'esphome') {
+      filterEsphomeDevices(query);
     }
   }, 300);
 }
@@ -2145,7 +2343,49 @@ async function clearSearch() {
     displayAutomations(allAutomations);
   } else if (currentMode === 'scripts') {
     displayScripts(allScripts);
+  } else if (currentMode === 'scenes') {
+    displayScenes(allScenes);
+  } else if (currentMode === 'helpers') {
+    displayHelpers(allHelpers);
+  } else if (currentMode === 'entities') {
+    displayRegistryEntities(allRegistryEntities);
+  } else if (currentMode === 'dashboards') {
+    displayDashboardViews(allDashboardViews);
+  } else if (currentMode === 'blueprints') {
+    displayBlueprints(allBlueprints);
+  } else if (currentMode === 'packages') {
+    displayPackages(allPackages);
+  } else if (currentMode === 'integrations') {
+    displayIntegrationItems(allIntegrationItems);
+  } else if (currentMode === 'esphome') {
+    displayEsphomeDevices(allEsphomeDevices);
+  }
+}
+
+/**
+ * Parse the structured trailers the file watcher adds to commit bodies
+ * "Changed-Item:" lines hold JSON ({ type, action, id, name, file }), "Changed-File:" lines a path
+ * @param {string} body - Commit body
+ * @returns {{items: Array, files: Array<string>}}
+ */
+function parseChangeTrailers(body) {
+  const items = [];
+  const files = [];
+  if (!body) return { items, files };
+
+  for (const line of body.split('\n')) {
+    if (line.startsWith('Changed-Item: ')) {
+      try {
+        items.push(JSON.parse(line.substring('Changed-Item: '.length)));
+      } catch (e) {
+        // Ignore malformed trailers
+      }
+    } else if (line.startsWith('Changed-File: ')) {
+      files.push(line.substring('Changed-File: '.length).trim());
+    }
   }
+
+  return { items, files };
 }
 
 async function filterCommits(query) {
@@ -2154,11 +2394,114 @@ async function filterCommits(query) {
     return;
   }
 
-  const filtered = allCommits.filter(commit =>
-    commit.message.toLowerCase().includes(query)
-  );
+  // Match the subject, the automations, scripts and files named in the trailers, and those the commit changed
+  const filtered = allCommits.filter(commit => {
+    if (commit.message.toLowerCase().includes(query)) return true;
+    const { items, files } = parseChangeTrailers(commit.body);
+    items.push(...(commit.items || []));
+    files.push(...(commit.files || []).map(file => file.file));
+    return items.some(item => (item.name || '').toLowerCase().includes(query) || (item.from || '').toLowerCase().includes(query)) ||
+      files.some(file => file.toLowerCase().includes(query));
+  });
 
   await displayCommits(filtered);
+
+  // Offer a search through file contents across all of history
+  const searchInfo = document.getElementById('searchInfo');
+  if (searchInfo) {
+    searchInfo.innerHTML = `<a href="#" class="search-contents-link" onclick="searchHistoryContents(); return false;">${t('timeline.search_contents')}</a>`;
+  }
+}
+
+/**
+ * Search file contents across history (git pickaxe)
+ * Supports "/regex/", plus path:<file>, since:<date> and until:<date> filters in the query.
+ */
+async function searchHistoryContents() {
+  const rawQuery = document.getElementById('searchInput').value.trim();
+  const searchInfo = document.getElementById('searchInfo');
+  if (!rawQuery) return;
+
+  const params = new URLSearchParams();
+  const terms = [];
+  for (const token of rawQuery.split(/\s+/)) {
+    const filter = token.match(/^(path|since|until):(.+)$/);
+    if (filter) {
+      params.set(filter[1], filter[2]);
+    } else {
+      terms.push(token);
+    }
+  }
+
+  let text = terms.join(' ');
+  const regexMatch = text.match(/^\/(.+)\/$/);
+  if (regexMatch) {
+    text = regexMatch[1];
+    params.set('regex', 'true');
+  }
+  if (!text) return;
+  params.set('q', text);
+
+  document.getElementById('leftPanel').innerHTML = `<div class="empty">${t('timeline.searching_contents')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/git/search?${params.toString()}`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    displayContentSearchResults(data.commits);
+    if (searchInfo) {
+      searchInfo.textContent = t('timeline.content_results', { count: data.commits.length });
+    }
+  } catch (error) {
+    console.error('Error searching history:', error);
+    document.getElementById('leftPanel').innerHTML = `<div class="empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function displayContentSearchResults(commits) {
+  if (!commits.length) {
+    document.getElementById('leftPanel').innerHTML = `<div class="empty">${t('timeline.no_content_matches')}</div>`;
+    return;
+  }
+
+  let html = '';
+  for (const commit of commits) {
+    const timeString = new Date(commit.date).toLocaleString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+
+    // Show the matching lines of the first matching hunks
+    let hunksHtml = '';
+    for (const file of commit.files.slice(0, 2)) {
+      const changedLines = file.hunks[0].matchedLines.slice(0, 4);
+      hunksHtml += `
+        <div class="search-hunk-file">${escapeHtml(file.path)}</div>
+        <pre class="search-hunk">${changedLines.map(line => `<span class="${line.startsWith('+') ? 'search-hunk-added' : 'search-hunk-removed'}">${escapeHtml(line)}</span>`).join('\n')}</pre>
+      `;
+    }
+
+    html += `
+      <div class="commit" onclick="showCommit('${commit.hash}')" id="commit-${commit.hash}">
+        <div class="commit-time">${timeString}</div>
+        <div class="commit-file" title="${escapeHtml(commit.message)}">${escapeHtml(commit.message)}</div>
+        ${hunksHtml}
+      </div>
+    `;
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('timeline.select_commit')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  const commitItems = Array.from(document.querySelectorAll('.commit'));
+  updateKeyboardNavState('commits', commitItems);
 }
 
 function filterFiles(query) {
@@ -2204,6 +2547,133 @@ function filterScripts(query) {
   displayScripts(filtered);
 }
 
+function filterScenes(query) {
+  if (!query) {
+    displayScenes(allScenes);
+    return;
+  }
+
+  const filtered = allScenes.filter(scene =>
+    scene.name.toLowerCase().includes(query) ||
+    scene.file.toLowerCase().includes(query)
+  );
+
+  displayScenes(filtered);
+}
+
+function filterHelpers(query) {
+  if (!query) {
+    displayHelpers(allHelpers);
+    return;
+  }
+
+  const filtered = allHelpers.filter(helper =>
+    helper.name.toLowerCase().includes(query) ||
+    helper.itemId.toLowerCase().includes(query) ||
+    helper.domain.toLowerCase().includes(query)
+  );
+
+  displayHelpers(filtered);
+}
+
+function filterBlueprints(query) {
+  if (!query) {
+    displayBlueprints(allBlueprints);
+    return;
+  }
+
+  // Also match the automations that use a blueprint
+  const filtered = allBlueprints.filter(blueprint =>
+    blueprint.name.toLowerCase().includes(query) ||
+    blueprint.file.toLowerCase().includes(query) ||
+    blueprint.users.some(user => user.name.toLowerCase().includes(query))
+  );
+
+  displayBlueprints(filtered);
+}
+
+function filterPackages(query) {
+  if (!query) {
+    displayPackages(allPackages);
+    return;
+  }
+
+  // Also match the domains a package configures
+  const filtered = allPackages.filter(pkg =>
+    pkg.name.toLowerCase().includes(query) ||
+    pkg.file.toLowerCase().includes(query) ||
+    pkg.domains.some(domain => domain.toLowerCase().includes(query))
+  );
+
+  displayPackages(filtered);
+}
+
+function filterIntegrationItems(query) {
+  if (!query) {
+    displayIntegrationItems(allIntegrationItems);
+    return;
+  }
+
+  const filtered = allIntegrationItems.filter(item =>
+    item.name.toLowerCase().includes(query) ||
+    item.domain.toLowerCase().includes(query) ||
+    (item.kind && item.kind.toLowerCase().includes(query)) ||
+    item.file.toLowerCase().includes(query)
+  );
+
+  displayIntegrationItems(filtered);
+}
+
+function filterEsphomeDevices(query) {
+  if (!query) {
+    displayEsphomeDevices(allEsphomeDevices);
+    return;
+  }
+
+  const filtered = allEsphomeDevices.filter(device =>
+    device.name.toLowerCase().includes(query) ||
+    (device.friendlyName && device.friendlyName.toLowerCase().includes(query)) ||
+    (device.board && device.board.toLowerCase().includes(query)) ||
+    device.files.some(file => file.toLowerCase().includes(query))
+  );
+
+  displayEsphomeDevices(filtered);
+}
+
+function filterDashboardViews(query) {
+  if (!query) {
+    displayDashboardViews(allDashboardViews);
+    return;
+  }
+
+  const filtered = allDashboardViews.filter(view =>
+    view.title.toLowerCase().includes(query) ||
+    view.dashboardTitle.toLowerCase().includes(query) ||
+    view.cards.some(card => String(card.label).toLowerCase().includes(query))
+  );
+
+  displayDashboardViews(filtered);
+}
+
+function filterRegistryEntities(query) {
+  if (!query) {
+    displayRegistryEntities(allRegistryEntities);
+    return;
+  }
+
+  const filtered = allRegistryEntities.filter(entity =>
+    entity.entity_id.includes(query) ||
+    (entity.name || '').toLowerCase().includes(query)
+  );
+
+  // Old entity ids aren't in the list any more, but their history can still be looked up
+  const entityId = query.trim();
+  const lookupId = /^[a-z0-9_]+\.[a-z0-9_]+$/.test(entityId) && !filtered.some(entity => entity.entity_id === entityId)
+    ? entityId
+    : null;
+  displayRegistryEntities(filtered, lookupId);
+}
+
 function navigateToPath(path) {
   // Navigate to a folder path
   if (!path) {
@@ -2222,11 +2692,18 @@ function handleSortChange(value) {
   sortState[currentMode] = value;
   localStorage.setItem(`sort_${currentMode}`, value);
 
+  // The timeline can only be filtered to pinned versions
+  if (currentMode === 'timeline') {
+    loadTimeline();
+    return;
+  }
+
   // If 'deleted' is selected, load deleted items instead of sorting
   if (value === 'deleted') {
     if (currentMode === 'files') loadDeletedFiles();
     else if (currentMode === 'automations') loadDeletedAutomations();
     else if (currentMode === 'scripts') loadDeletedScripts();
+    else if (currentMode === 'scenes') loadDeletedScenes();
     return;
   }
 
@@ -2234,6 +2711,7 @@ function handleSortChange(value) {
   if (currentMode === 'files') loadFiles();
   else if (currentMode === 'automations') loadAutomations();
   else if (currentMode === 'scripts') loadScripts();
+  else if (currentMode === 'scenes') loadScenes();
 }
 
 function sortItems(items, sortType) {
@@ -2282,16 +2760,18 @@ async function switchMode(mode) {
   rightPanelActions.innerHTML = '';
 
   // Show/hide sort controls based on mode
-  if (['files', 'automations', 'scripts'].includes(mode)) {
+  if (['files', 'automations', 'scripts', 'scenes'].includes(mode)) {
     leftPanelActions.style.display = 'block';
 
     // Ensure valid sort state for this mode (prevent selecting removed option)
-    if ((mode === 'automations' || mode === 'scripts') && sortState[mode] === 'recently_modified') {
+    if ((mode === 'automations' || mode === 'scripts' || mode === 'scenes') && sortState[mode] === 'recently_modified') {
       sortState[mode] = 'default';
       localStorage.setItem(`sort_${mode}`, 'default');
     }
 
     sortSelect.value = sortState[mode];
+  } else if (mode === 'timeline') {
+    leftPanelActions.style.display = 'block';
   } else {
     leftPanelActions.style.display = 'none';
   }
@@ -2313,11 +2793,20 @@ async function switchMode(mode) {
   }
 
   // Handle sort options visibility
+  // "All Versions" / "Pinned" only apply to the timeline, the rest only to the lists
+  sortSelect.querySelectorAll('option').forEach(option => {
+    const timelineOption = option.value === 'all' || option.value === 'pinned';
+    option.hidden = timelineOption !== (mode === 'timeline');
+  });
+  if (mode === 'timeline') {
+    sortSelect.value = sortState.timeline;
+  }
+
   let dateDescOption = sortSelect.querySelector('option[value="recently_modified"]');
   let defaultOption = sortSelect.querySelector('option[value="default"]');
 
-  if (mode === 'automations' || mode === 'scripts') {
-    // AUTOMATIONS / SCRIPTS MODE
+  if (mode === 'automations' || mode === 'scripts' || mode === 'scenes') {
+    // AUTOMATIONS / SCRIPTS / SCENES MODE
 
     // 1. Remove "Recently Modified"
     if (dateDescOption) {
@@ -2395,6 +2884,70 @@ async function switchMode(mode) {
     rightPanelTitle.textContent = t('scripts.script_history');
     rightPanelTitle.setAttribute('data-i18n', 'scripts.script_history');
     await loadScripts();
+  } else if (mode === 'scenes') {
+    leftPanelTitle.textContent = t('scenes.title');
+    leftPanelTitle.setAttribute('data-i18n', 'scenes.title');
+    searchInput.placeholder = t('scenes.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'scenes.search_placeholder');
+    rightPanelTitle.textContent = t('scenes.scene_history');
+    rightPanelTitle.setAttribute('data-i18n', 'scenes.scene_history');
+    await loadScenes();
+  } else if (mode === 'helpers') {
+    leftPanelTitle.textContent = t('helpers.title');
+    leftPanelTitle.setAttribute('data-i18n', 'helpers.title');
+    searchInput.placeholder = t('helpers.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'helpers.search_placeholder');
+    rightPanelTitle.textContent = t('helpers.helper_history');
+    rightPanelTitle.setAttribute('data-i18n', 'helpers.helper_history');
+    await loadHelpers();
+  } else if (mode === 'entities') {
+    leftPanelTitle.textContent = t('entities.title');
+    leftPanelTitle.setAttribute('data-i18n', 'entities.title');
+    searchInput.placeholder = t('entities.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'entities.search_placeholder');
+    rightPanelTitle.textContent = t('entities.entity_history');
+    rightPanelTitle.setAttribute('data-i18n', 'entities.entity_history');
+    await loadRegistryEntities();
+  } else if (mode === 'dashboards') {
+    leftPanelTitle.textContent = t('dashboards.title');
+    leftPanelTitle.setAttribute('data-i18n', 'dashboards.title');
+    searchInput.placeholder = t('dashboards.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'dashboards.search_placeholder');
+    rightPanelTitle.textContent = t('dashboards.view_history');
+    rightPanelTitle.setAttribute('data-i18n', 'dashboards.view_history');
+    await loadDashboards();
+  } else if (mode === 'blueprints') {
+    leftPanelTitle.textContent = t('blueprints.title');
+    leftPanelTitle.setAttribute('data-i18n', 'blueprints.title');
+    searchInput.placeholder = t('blueprints.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'blueprints.search_placeholder');
+    rightPanelTitle.textContent = t('blueprints.blueprint_history');
+    rightPanelTitle.setAttribute('data-i18n', 'blueprints.blueprint_history');
+    await loadBlueprints();
+  } else if (mode === 'packages') {
+    leftPanelTitle.textContent = t('packages.title');
+    leftPanelTitle.setAttribute('data-i18n', 'packages.title');
+    searchInput.placeholder = t('packages.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'packages.search_placeholder');
+    rightPanelTitle.textContent = t('packages.package_history');
+    rightPanelTitle.setAttribute('data-i18n', 'packages.package_history');
+    await loadPackages();
+  } else if (mode === 'integrations') {
+    leftPanelTitle.textContent = t('integrations.title');
+    leftPanelTitle.setAttribute('data-i18n', 'integrations.title');
+    searchInput.placeholder = t('integrations.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'integrations.search_placeholder');
+    rightPanelTitle.textContent = t('integrations.item_history');
+    rightPanelTitle.setAttribute('data-i18n', 'integrations.item_history');
+    await loadIntegrationItems();
+  } else if (mode === 'esphome') {
+    leftPanelTitle.textContent = t('esphome.title');
+    leftPanelTitle.setAttribute('data-i18n', 'esphome.title');
+    searchInput.placeholder = t('esphome.search_placeholder');
+    searchInput.setAttribute('data-i18n', 'esphome.search_placeholder');
+    rightPanelTitle.textContent = t('esphome.device_history');
+    rightPanelTitle.setAttribute('data-i18n', 'esphome.device_history');
+    await loadEsphomeDevices();
   }
 
   // Clear search input when switching modes
@@ -2422,16 +2975,52 @@ function refreshCurrent() {
     loadAutomations();
   } else if (currentMode === 'scripts') {
     loadScripts();
+  } else if (currentMode === 'scenes') {
+    loadScenes();
+  } else if (currentMode === 'helpers') {
+    loadHelpers();
+  } else if (currentMode === 'entities') {
+    loadRegistryEntities();
+  } else if (currentMode === 'dashboards') {
+    loadDashboards();
+  } else if (currentMode === 'blueprints') {
+    loadBlueprints();
+  } else if (currentMode === 'packages') {
+    loadPackages();
+  } else if (currentMode === 'integrations') {
+    loadIntegrationItems();
+  } else if (currentMode === 'esphome') {
+    loadEsphomeDevices();
   }
 }
 
 async function loadTimeline() {
   try {
-    const response = await fetch(`${API}/git/history`);
+    const [response] = await Promise.all([
+      fetch(`${API}/git/timeline?limit=${TIMELINE_PAGE_SIZE}`),
+      loadPins()
+    ]);
     const data = await response.json();
 
     if (data.success) {
-      allCommits = data.log.all;
+      timelineCursor = null;
+      if (sortState.timeline === 'pinned') {
+        // Pinned versions can be older than the recent history, so list them from the pins
+        allCommits = Array.from(pinsByHash.values()).map(pin => ({
+          hash: pin.commitHash,
+          date: pin.commitDate,
+          message: pin.commitMessage,
+          body: ''
+        }));
+        if (allCommits.length === 0) {
+          document.getElementById('leftPanel').innerHTML =
+            `<div class="empty">${t('timeline.no_pinned_versions')}</div>`;
+          return;
+        }
+      } else {
+        allCommits = data.commits;
+        timelineCursor = data.nextCursor;
+      }
       await displayCommits(allCommits);
     }
   } catch (error) {
@@ -2439,114 +3028,162 @@ async function loadTimeline() {
   }
 }
 
-function hasActualChanges(commit) {
-  // Check if commit is a "Startup backup" with 0 files
-  if (commit.message.includes('Startup backup') && commit.message.includes('0 files')) {
-    return false;
+// Append the next page of older versions, keeping the selected version open
+async function loadMoreTimeline() {
+  const button = document.getElementById('loadMoreTimelineBtn');
+  if (!timelineCursor || (button && button.disabled)) return;
+  if (button) {
+    button.disabled = true;
+    button.textContent = t('timeline.loading_more');
   }
 
-  // Check for "Auto-save" pattern with no actual file changes
-  // The API doesn't provide direct info about file changes, so we use heuristics
-  // If it's an "Auto-save" commit, we consider it as having changes
-  // unless it's specifically marked as having 0 files
-  if (commit.message.startsWith('Auto-save:')) {
-    return true; // Keep auto-save commits
-  }
+  try {
+    const response = await fetch(`${API}/git/timeline?cursor=${timelineCursor}&limit=${TIMELINE_PAGE_SIZE}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
 
-  // For other commits (restores, manual saves, etc.), assume they have changes
-  return true;
+    const known = new Set(allCommits.map(commit => commit.hash));
+    allCommits = allCommits.concat(data.commits.filter(commit => !known.has(commit.hash)));
+    timelineCursor = data.nextCursor;
+
+    // The list is re-rendered; keep the reader where they were
+    const scroller = document.getElementById('leftPanel').parentElement;
+    const scrollTop = scroller.scrollTop;
+    await displayCommits(allCommits, { keepSelection: true });
+    scroller.scrollTop = scrollTop;
+  } catch (error) {
+    console.error('Error loading more versions:', error);
+    if (button) {
+      button.disabled = false;
+      button.textContent = t('timeline.load_more');
+    }
+  }
 }
 
-async function displayCommits(commits) {
-  // Get the showChangedOnly setting based on current tab
-  // Timeline: false (show all commits), Other tabs: true (show only files with changes)
-  const showChangedOnly = currentMode !== 'timeline';
+// Live updates from GET /api/events; EventSource reconnects on its own after a drop
+let eventSource = null;
 
-  // Filter commits if the setting is enabled
-  let filteredCommits = commits;
-  if (showChangedOnly) {
-    // Show loading indicator
-    document.getElementById('leftPanel').innerHTML = `<div class="empty" data-i18n="timeline.filtering_commits">${t('timeline.filtering_commits')}</div>`;
+function connectEventStream() {
+  if (eventSource || typeof EventSource === 'undefined') return;
+  eventSource = new EventSource(`${API}/events`);
 
-    // Filter out commits that clearly have no changes
-    filteredCommits = commits.filter(commit => {
-      // Remove "Startup backup" commits with 0 files
-      if (commit.message.includes('Startup backup') && commit.message.includes('0 files')) {
-        return false;
-      }
-      // Keep all other commits (Auto-save, Restore, etc.)
-      return true;
-    });
+  eventSource.addEventListener('commit', event => {
+    const commit = JSON.parse(event.data);
+    showNotification(t('events.new_version', { message: commit.message }), 'info', 4000);
+    insertNewTimelineVersions();
+  });
 
-    // Now check each commit for actual content changes
-    // This is expensive but ensures we only show commits with real changes
-    console.log('[Filter] Checking commits for actual changes...');
-    const commitsWithChanges = [];
+  // Automatic cleanups run after every version and usually find nothing to merge; only
+  // the runs that rewrite history are announced
+  eventSource.addEventListener('retention', event => {
+    const cleanup = JSON.parse(event.data);
+    if (cleanup.stage === 'merging') {
+      showNotification(t('events.cleanup_started', { count: cleanup.commitsToMerge }), 'info');
+    } else if (cleanup.stage === 'completed' && cleanup.backupBranch) {
+      showNotification(cleanup.message || t('events.cleanup_completed'), 'success', 5000);
+      // Kept versions get new hashes, so the whole list is out of date
+      if (currentMode === 'timeline') loadTimeline();
+    } else if (cleanup.stage === 'failed') {
+      showNotification(t('events.cleanup_failed', { error: cleanup.error }), 'error', 6000);
+    }
+  });
 
-    for (const commit of filteredCommits) {
-      try {
-        // Fetch commit details to get the list of files
-        const response = await fetch(`${API}/git/commit-details?commitHash=${commit.hash}`);
-        const data = await response.json();
-
-        if (data.success) {
-          // Parse files from status
-          const lines = data.status.split('\n').filter(line => line.trim());
-          const files = lines.slice(1).map(line => {
-            const parts = line.split('\t');
-            return { status: parts[0], file: parts[1] };
-          }).filter(f => f.file);
-
-          if (files.length === 0) {
-            // No files changed, skip this commit
-            console.log(`[Filter] Skipping ${commit.hash.substring(0, 8)}: no files`);
-            continue;
-          }
+  // Successful pushes happen after every commit for some setups; only failures are worth a toast
+  eventSource.addEventListener('push', event => {
+    const push = JSON.parse(event.data);
+    if (!push.success) {
+      showNotification(t('events.push_failed', { error: push.error }), 'error', 6000);
+    }
+  });
+}
 
-          // Check if any file has actual content changes
-          let hasActualChanges = false;
-          for (const file of files.slice(0, 5)) { // Check up to 5 files to limit API calls
-            try {
-              // Get current file content
-              const currentResponse = await fetch(`${API}/file-content?filePath=${encodeURIComponent(file.file)}`);
-              const currentData = await currentResponse.json();
-              const currentContent = currentData.success ? currentData.content : '';
-
-              // Get commit version content
-              const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(file.file)}&commitHash=${commit.hash}`);
-              const commitData = await commitResponse.json();
-              const commitContent = commitData.success ? commitData.content : '';
-
-              // Compare contents
-              if (currentContent !== commitContent) {
-                hasActualChanges = true;
-                break;
-              }
-            } catch (e) {
-              // If we can't check the file, include the commit
-              hasActualChanges = true;
-              break;
-            }
-          }
+// Put versions made since the Timeline was loaded at its top, keeping the selected version open
+async function insertNewTimelineVersions() {
+  if (currentMode !== 'timeline' || sortState.timeline === 'pinned') return;
+  // The search results are left alone; the new versions show up when the search is cleared
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput && searchInput.value.trim()) return;
 
-          if (hasActualChanges) {
-            commitsWithChanges.push(commit);
-            console.log(`[Filter] Keeping ${commit.hash.substring(0, 8)}: has changes`);
-          } else {
-            console.log(`[Filter] Skipping ${commit.hash.substring(0, 8)}: no actual changes`);
-          }
-        } else {
-          // If we can't get commit details, include it
-          commitsWithChanges.push(commit);
-        }
-      } catch (error) {
-        console.error(`[Filter] Error checking commit ${commit.hash}:`, error);
-        // If error, include the commit to be safe
-        commitsWithChanges.push(commit);
-      }
+  try {
+    const response = await fetch(`${API}/git/timeline?limit=${TIMELINE_PAGE_SIZE}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+
+    const known = new Set(allCommits.map(commit => commit.hash));
+    const added = data.commits.filter(commit => !known.has(commit.hash));
+    if (added.length === 0) return;
+
+    if (added.length === data.commits.length) {
+      // Nothing overlaps (many versions since, or history was rewritten): start over from this page
+      allCommits = data.commits;
+      timelineCursor = data.nextCursor;
+    } else {
+      allCommits = added.concat(allCommits);
+    }
+
+    const scroller = document.getElementById('leftPanel').parentElement;
+    const scrollTop = scroller.scrollTop;
+    await displayCommits(allCommits, { keepSelection: true });
+    scroller.scrollTop = scrollTop;
+
+    for (const commit of added) {
+      const element = document.getElementById(`commit-${commit.hash}`);
+      if (element) element.classList.add('new-version');
     }
+  } catch (error) {
+    console.error('Error loading new versions:', error);
+  }
+}
+
+async function loadPins() {
+  try {
+    const response = await fetch(`${API}/pins`);
+    const data = await response.json();
+    if (data.success) {
+      pinsByHash = new Map(data.pins.map(pin => [pin.commitHash, pin]));
+    }
+  } catch (error) {
+    console.error('Error loading pins:', error);
+  }
+}
+
+function hasActualChanges(commit) {
+  // Check if commit is a "Startup backup" with 0 files
+  if (commit.message.includes('Startup backup') && commit.message.includes('0 files')) {
+    return false;
+  }
+
+  // Check for "Auto-save" pattern with no actual file changes
+  // The API doesn't provide direct info about file changes, so we use heuristics
+  // If it's an "Auto-save" commit, we consider it as having changes
+  // unless it's specifically marked as having 0 files
+  if (commit.message.startsWith('Auto-save:')) {
+    return true; // Keep auto-save commits
+  }
+
+  // For other commits (restores, manual saves, etc.), assume they have changes
+  return true;
+}
+
+async function displayCommits(commits, { keepSelection = false } = {}) {
+  // Get the showChangedOnly setting based on current tab
+  // Timeline: false (show all commits), Other tabs: true (show only files with changes)
+  const showChangedOnly = currentMode !== 'timeline';
 
-    filteredCommits = commitsWithChanges;
+  // Filter commits if the setting is enabled
+  let filteredCommits = commits;
+  if (showChangedOnly) {
+    // Filter out commits that clearly have no changes
+    filteredCommits = commits.filter(commit => {
+      // Remove "Startup backup" commits with 0 files
+      if (commit.message.includes('Startup backup') && commit.message.includes('0 files')) {
+        return false;
+      }
+      // Pinned versions are listed without their files; keep them
+      if (!commit.files) return true;
+      // Keep commits where a file still differs from the one on disk
+      return commit.files.some(file => file.differsFromDisk);
+    });
     console.log(`[Filter] Filtered ${commits.length} commits down to ${filteredCommits.length} with changes`);
   }
 
@@ -2593,8 +3230,12 @@ async function displayCommits(commits) {
         let fileName = commit.message;
 
         // Try to extract filename from various commit message formats
+        // Pattern 0: "Automation 'X' modified; script 'y' added" (has Changed-Item trailers)
+        if (parseChangeTrailers(commit.body).items.length > 0) {
+          fileName = escapeHtml(commit.message);
+        }
         // Pattern 1: "file1.yaml, file2.yaml" (multiple files)
-        if (commit.message.includes(',')) {
+        else if (commit.message.includes(',')) {
           // Keep the comma-separated list as-is
           fileName = commit.message;
         }
@@ -2641,10 +3282,24 @@ async function displayCommits(commits) {
         // Remove surrounding quotes from filenames (e.g. "pizza-avocado 1 copy.yaml" becomes pizza-avocado 1 copy.yaml)
         fileName = fileName.replace(/^["']|["']$/g, '');
 
+        const pin = pinsByHash.get(commit.hash);
+        const pinBadge = pin
+          ? `<div class="pin-badge" title="${escapeHtml(pin.note)}">${escapeHtml(pin.label)}</div>`
+          : '';
+
+        // entity_id renames are easy to miss in a long subject, so each gets its own badge
+        const renameBadges = parseChangeTrailers(commit.body).items
+          .filter(item => item.type === 'entity' && item.action === 'renamed')
+          .map(item => `<div class="rename-badge">${escapeHtml(item.from)} → ${escapeHtml(item.name)}</div>`)
+          .join('');
+
         html += `
               <div class="commit" onclick="showCommit('${commit.hash}')" id="commit-${commit.hash}">
                 <div class="commit-time">${timeString}</div>
                 <div class="commit-file" title="${fileName}">${fileName}</div>
+                ${renderCommitSummary(commit)}
+                ${pinBadge}
+                ${renameBadges}
               </div>
             `;
       }
@@ -2656,11 +3311,31 @@ async function displayCommits(commits) {
     }
   }
 
+  // Older pages load when the end of the list scrolls into view (or on click); not while
+  // searching or listing pins
+  const canLoadMore = timelineCursor && commits === allCommits;
+  if (canLoadMore) {
+    html += `<button class="btn load-more-btn" id="loadMoreTimelineBtn" onclick="loadMoreTimeline()">${t('timeline.load_more')}</button>`;
+  }
+
   document.getElementById('leftPanel').innerHTML = html;
 
-  // Show placeholder message - don't auto-select (matches Files/Automations/Scripts tabs behavior)
-  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('timeline.select_commit')}</div>`;
-  document.getElementById('rightPanelActions').innerHTML = '';
+  if (timelineObserver) timelineObserver.disconnect();
+  if (canLoadMore && 'IntersectionObserver' in window) {
+    timelineObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) loadMoreTimeline();
+    }, { rootMargin: '200px' });
+    timelineObserver.observe(document.getElementById('loadMoreTimelineBtn'));
+  }
+
+  if (keepSelection && currentSelection && currentSelection.type === 'commit') {
+    const selected = document.getElementById(`commit-${currentSelection.hash}`);
+    if (selected) selected.classList.add('selected');
+  } else {
+    // Show placeholder message - don't auto-select (matches Files/Automations/Scripts tabs behavior)
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('timeline.select_commit')}</div>`;
+    document.getElementById('rightPanelActions').innerHTML = '';
+  }
 
   // Update keyboard navigation
   const commitItems = Array.from(document.querySelectorAll('.commit'));
@@ -2670,6 +3345,32 @@ async function displayCommits(commits) {
   hideFloatingConfirmRestoreButton();
 }
 
+// Line counts and file count of a commit, plus the automations, scripts and scenes it changed
+// when the subject doesn't already name them (commits made before the change trailers)
+function renderCommitSummary(commit) {
+  if (!commit.files) return '';
+
+  const added = commit.files.reduce((sum, file) => sum + (file.added || 0), 0);
+  const removed = commit.files.reduce((sum, file) => sum + (file.removed || 0), 0);
+  const fileCount = commit.files.length > 1 ? `<span>${t('timeline.file_count', { count: commit.files.length })}</span>` : '';
+  let html = `
+                <div class="commit-stats">
+                  <span class="stat-added">+${added}</span>
+                  <span class="stat-removed">−${removed}</span>
+                  ${fileCount}
+                </div>`;
+
+  const items = commit.items || [];
+  if (items.length > 0 && parseChangeTrailers(commit.body).items.length === 0) {
+    const MAX_NAMES = 3;
+    const names = items.slice(0, MAX_NAMES).map(item => escapeHtml(item.name || item.id)).join(', ');
+    const more = items.length > MAX_NAMES ? ` ${t('timeline.more_items', { count: items.length - MAX_NAMES })}` : '';
+    html += `
+                <div class="commit-items" title="${names}">${names}${more}</div>`;
+  }
+  return html;
+}
+
 function toggleDateGroup(bucket) {
   const header = document.getElementById(`header-${bucket}`);
   const content = document.getElementById(`content-${bucket}`);
@@ -2799,9 +3500,9 @@ async function displayCommitDiff(status, hash, diff, commitDate = null) {
   if (diffMode === 'shifted' && compareToCurrent) {
     // Find this commit's position in allCommits
     const commitIndex = allCommits.findIndex(c => c.hash === hash);
-    isOldestCommit = commitIndex === allCommits.length - 1;
+    isOldestCommit = commitIndex === allCommits.length - 1 && !timelineCursor;
 
-    if (!isOldestCommit && commitIndex !== -1) {
+    if (!isOldestCommit && commitIndex !== -1 && commitIndex + 1 < allCommits.length) {
       // Get the next older commit hash
       const compareCommit = allCommits[commitIndex + 1];
       compareHash = compareCommit.hash;
@@ -3044,9 +3745,14 @@ async function displayCommitDiff(status, hash, diff, commitDate = null) {
 
   const fileSummary = [...changedFilesSummary, ...unchangedFilesSummary].join('<br>') || (showChangedOnly ? t('timeline.no_files_with_changes') : t('timeline.all_files'));
 
+  const pinButton = `
+      <button class="btn" onclick="openPinModal('${hash}')">
+        ${pinsByHash.has(hash) ? t('timeline.edit_pin') : t('timeline.pin_version')}
+      </button>`;
+
   // Show restore button if there are changes
   if (filesWithChanges.length > 0) {
-    document.getElementById('rightPanelActions').innerHTML = `
+    document.getElementById('rightPanelActions').innerHTML = `${pinButton}
       <button 
         id="restore-commit-btn"
         class="btn restore" 
@@ -3060,7 +3766,7 @@ async function displayCommitDiff(status, hash, diff, commitDate = null) {
       </button>
     `;
   } else {
-    document.getElementById('rightPanelActions').innerHTML = '';
+    document.getElementById('rightPanelActions').innerHTML = pinButton;
   }
 
   // Build the HTML for the right panel
@@ -3086,6 +3792,9 @@ async function displayCommitDiff(status, hash, diff, commitDate = null) {
 let currentFileHistory = []; // Store file history for time slider
 let currentFileHistoryIndex = 0; // Current position in history
 let isScanningHistory = false; // Flag to track if we are currently scanning history
+let fileHistoryCursor = null; // Where the next (older) page of the file's history starts
+let fileHistoryScan = null; // The file history being read; replaced when another file is opened
+let fileHistoryLoading = null; // Pending request for the next page
 
 async function loadScripts() {
   if (sortState.scripts === 'deleted') {
@@ -3111,6 +3820,175 @@ async function loadScripts() {
   }
 }
 
+async function loadHelpers() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/helpers`);
+    const data = await response.json();
+
+    if (!data.success) {
+      leftPanel.innerHTML = `<div class="error">${t('helpers.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    } else if (!data.enabled) {
+      allHelpers = [];
+      leftPanel.innerHTML = `<div class="empty">${t('helpers.tracking_disabled')}</div>`;
+    } else {
+      // Group by type, then by name
+      allHelpers = data.helpers.sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name));
+      displayHelpers(allHelpers);
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('helpers.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadBlueprints() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/blueprints`);
+    const data = await response.json();
+
+    if (data.success) {
+      allBlueprints = data.blueprints.sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name));
+      displayBlueprints(allBlueprints);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('blueprints.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('blueprints.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadPackages() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/packages`);
+    const data = await response.json();
+
+    if (data.success) {
+      allPackages = data.packages.sort((a, b) => a.name.localeCompare(b.name));
+      displayPackages(allPackages);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('packages.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('packages.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadIntegrationItems() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/items`);
+    const data = await response.json();
+
+    if (data.success) {
+      allIntegrationItems = data.items.sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name));
+      displayIntegrationItems(allIntegrationItems);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('integrations.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('integrations.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadEsphomeDevices() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/esphome/devices`);
+    const data = await response.json();
+
+    if (data.success) {
+      allEsphomeDevices = data.devices.sort((a, b) => (a.friendlyName || a.name).localeCompare(b.friendlyName || b.name));
+      displayEsphomeDevices(allEsphomeDevices);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('esphome.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('esphome.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadDashboards() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/lovelace/dashboards`);
+    const data = await response.json();
+
+    if (data.success) {
+      // One list entry per view, labelled with its dashboard
+      allDashboardViews = data.dashboards.flatMap(dashboard => dashboard.views.map(view => ({
+        ...view,
+        dashboardTitle: dashboard.title,
+        urlPath: dashboard.urlPath,
+        file: dashboard.file
+      })));
+      displayDashboardViews(allDashboardViews);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('dashboards.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('dashboards.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadRegistryEntities() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/registry/entities`);
+    const data = await response.json();
+
+    if (!data.success) {
+      leftPanel.innerHTML = `<div class="error">${t('entities.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    } else if (!data.enabled) {
+      allRegistryEntities = [];
+      leftPanel.innerHTML = `<div class="empty">${t('entities.tracking_disabled')}</div>`;
+    } else {
+      allRegistryEntities = data.entities.sort((a, b) => a.deleted - b.deleted || a.entity_id.localeCompare(b.entity_id));
+      displayRegistryEntities(allRegistryEntities);
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('entities.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+async function loadScenes() {
+  if (sortState.scenes === 'deleted') {
+    return loadDeletedScenes();
+  }
+
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/scenes`);
+    const data = await response.json();
+
+    if (data.success) {
+      allScenes = data.scenes;
+      displayScenes(sortItems(data.scenes, sortState.scenes));
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('scenes.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('scenes.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
 async function loadAutomations() {
   if (sortState.automations === 'deleted') {
     return loadDeletedAutomations();
@@ -3317,6 +4195,59 @@ async function selectDeletedScript(scriptId, name) {
   await showScriptHistory(scriptId);
 }
 
+// Load deleted scenes (scenes that exist in git history but not in current config)
+async function loadDeletedScenes() {
+  const leftPanel = document.getElementById('leftPanel');
+  leftPanel.innerHTML = `<div class="empty" data-i18n="app.loading">Loading...</div>`;
+
+  try {
+    const response = await fetch(`${API}/scenes/deleted`);
+    const data = await response.json();
+
+    if (data.success) {
+      displayDeletedScenes(data.scenes);
+    } else {
+      leftPanel.innerHTML = `<div class="error">${t('scenes.error_loading', { error: escapeHtml(data.error) })}</div>`;
+    }
+  } catch (error) {
+    leftPanel.innerHTML = `<div class="error">${t('scenes.error_loading', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+function displayDeletedScenes(scenes) {
+  const leftPanel = document.getElementById('leftPanel');
+  deletedScenes = scenes || [];
+
+  if (!scenes || scenes.length === 0) {
+    leftPanel.innerHTML = `<div class="empty" data-i18n="scenes.deleted_empty_state">${t('scenes.deleted_empty_state')}</div>`;
+    return;
+  }
+
+  leftPanel.innerHTML = scenes.map(scene => {
+    const lastSeen = getFormattedDate(scene.lastSeenDate);
+    const sceneItemId = 'deleted-scene-' + scene.id.replace(/[:/\.]/g, '-');
+    return `
+      <div class="file deleted" id="${sceneItemId}" onclick="selectDeletedScene('${escapeHtml(scene.id)}')">
+        <div class="file-path">
+          <div class="file-name">${escapeHtml(scene.name)}</div>
+          <div class="file-path-text">${escapeHtml(scene.file)}</div>
+          <div class="file-last-seen">${t('scenes.last_seen', { date: lastSeen })}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  updateKeyboardNavState('scenes', Array.from(document.querySelectorAll('.file')));
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('scenes.select_scene')}</div>`;
+}
+
+// Scene names often contain quotes, so they're looked up here rather than passed through onclick
+async function selectDeletedScene(sceneId) {
+  const scene = deletedScenes.find(s => s.id === sceneId);
+  currentSelection = { type: 'deleted_scene', id: sceneId, name: scene ? scene.name : sceneId };
+  await showSceneHistory(sceneId);
+}
+
 function createFolderBreadcrumb(filePath) {
   const parts = filePath.split('/');
   let html = `<span class="breadcrumb-item clickable" onclick="navigateToPath('')">config</span>`;
@@ -3478,76 +4409,22 @@ async function showFileHistory(filePath) {
       // Initialize with empty history
       currentFileHistory = [];
       currentFileHistoryIndex = 0;
-      let lastKeptContent = null;
-      let isFirstVersion = true;
-      isScanningHistory = true;
-
-      // Process versions progressively
-      for (let i = 0; i < data.log.all.length; i++) {
-        const commit = data.log.all[i];
-
-        try {
-          const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${commit.hash}`);
-          const commitData = await commitResponse.json();
-          const commitContent = commitData.success ? commitData.content : '';
-
-          // Check if there are actual visible differences from the CURRENT version
-          const diffVsCurrent = generateDiff(commitContent, currentContent, {
-            returnNullIfNoChanges: true,
-            filePath: filePath
-          });
-
-          // Skip if identical to live
-          if (diffVsCurrent === null) continue;
-
-          // Check against the last kept version to avoid consecutive duplicates
-          if (lastKeptContent !== null) {
-            const diffVsLast = generateDiff(commitContent, lastKeptContent, {
-              returnNullIfNoChanges: true,
-              filePath: filePath
-            });
-            if (diffVsLast === null) continue;
-          }
+      fileHistoryCursor = data.nextCursor;
+      const scan = { filePath, nextFilePath: data.nextFilePath, currentContent, lastKeptContent: null };
+      fileHistoryScan = scan;
 
-          // Add this version to history
-          commit.content = commitContent;
-          currentFileHistory.push(commit);
-          lastKeptContent = commitContent;
-
-          // Display immediately when we find the first valid version
-          if (isFirstVersion) {
-            isFirstVersion = false;
-            displayFileHistory(filePath);
-          } else {
-            // Update the navigation controls for subsequent versions
-            updateFileHistoryNavigation(filePath);
-          }
-        } catch (error) {
-          console.error(`Error checking commit ${commit.hash}:`, error);
-        }
+      isScanningHistory = true;
+      await scanFileHistoryPage(scan, data.log.all);
+      // A file whose recent versions all match the one on disk may still have older changes
+      while (currentFileHistory.length === 0 && fileHistoryCursor && fileHistoryScan === scan) {
+        await loadMoreFileHistory();
       }
-
+      if (fileHistoryScan !== scan) return; // Another file was opened meanwhile
 
       // Scanning complete
       isScanningHistory = false;
       if (currentFileHistory.length > 0) {
-        // Check if the oldest commit is when the file was added
-        // by seeing if the file exists in the parent commit
-        const oldestCommit = currentFileHistory[currentFileHistory.length - 1];
-        try {
-          // Try to fetch the file from the parent commit (commitHash^)
-          const parentResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${oldestCommit.hash}^`);
-          const parentData = await parentResponse.json();
-
-          // If file doesn't exist in parent, this commit added the file
-          if (!parentData.success) {
-            oldestCommit.status = 'A';
-          }
-        } catch (error) {
-          // If there's an error (e.g., no parent commit), assume it was added
-          oldestCommit.status = 'A';
-        }
-
+        if (!fileHistoryCursor) await markFileHistoryStart(filePath);
         updateFileHistoryNavigation(filePath);
       }
 
@@ -3594,32 +4471,185 @@ async function showFileHistory(filePath) {
   }
 }
 
-// Helper function to update navigation controls without reloading the diff
-function updateFileHistoryNavigation(filePath) {
-  const historyPosition = document.getElementById('historyPosition');
-  const prevBtn = document.getElementById('prevBtn');
-  const nextBtn = document.getElementById('nextBtn');
-
-  if (historyPosition && prevBtn && nextBtn) {
-    const currentCommit = currentFileHistory[currentFileHistoryIndex];
-    if (isScanningHistory) {
-      historyPosition.textContent = `${currentFileHistoryIndex + 1} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
-    } else {
-      historyPosition.textContent = `${currentFileHistoryIndex + 1} of ${currentFileHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
-    }
-
-    // Update button states
-    prevBtn.disabled = currentFileHistoryIndex === 0;
-    nextBtn.disabled = currentFileHistoryIndex === currentFileHistory.length - 1;
+/**
+ * Add the versions of a file from one page of its history to currentFileHistory
+ * Versions that match the file on disk, or the previously kept version, are skipped.
+ * @param {Object} scan - The history being read ({ filePath, nextFilePath, currentContent, lastKeptContent })
+ * @param {Array} commits - Commits from /api/git/file-history
+ */
+async function scanFileHistoryPage(scan, commits) {
+  const { filePath } = scan;
+  if (commits.length === 0) return;
+
+  // Fetch every version in one request per path the file had (a rename splits a page);
+  // identical versions share one content
+  const blobHashes = new Map();
+  const contents = {};
+  for (const versionPath of new Set(commits.map(commit => commit.file || filePath))) {
+    const versionsResponse = await fetch(`${API}/git/file-at-commits`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filePath: versionPath,
+        commitHashes: commits.filter(commit => (commit.file || filePath) === versionPath).map(commit => commit.hash)
+      })
+    });
+    const versionsData = await versionsResponse.json();
+    if (!versionsData.success) throw new Error(versionsData.error);
+    versionsData.versions.forEach(({ commitHash, blobHash }) => blobHashes.set(commitHash, blobHash));
+    Object.assign(contents, versionsData.contents);
   }
-}
+  if (fileHistoryScan !== scan) return;
+
+  // Process versions progressively
+  commits.forEach(commit => {
+    const blobHash = blobHashes.get(commit.hash);
+
+    try {
+      const commitContent = blobHash ? contents[blobHash] : '';
+
+      // Check if there are actual visible differences from the CURRENT version
+      const diffVsCurrent = generateDiff(commitContent, scan.currentContent, {
+        returnNullIfNoChanges: true,
+        filePath: filePath
+      });
+
+      // Skip if identical to live
+      if (diffVsCurrent === null) return;
+
+      // Check against the last kept version to avoid consecutive duplicates
+      if (scan.lastKeptContent !== null) {
+        const diffVsLast = generateDiff(commitContent, scan.lastKeptContent, {
+          returnNullIfNoChanges: true,
+          filePath: filePath
+        });
+        if (diffVsLast === null) return;
+      }
+
+      // Add this version to history
+      commit.content = commitContent;
+      currentFileHistory.push(commit);
+      scan.lastKeptContent = commitContent;
+
+      // Display immediately when we find the first valid version
+      if (currentFileHistory.length === 1) {
+        displayFileHistory(filePath);
+      } else {
+        // Update the navigation controls for subsequent versions
+        updateFileHistoryNavigation(filePath);
+      }
+    } catch (error) {
+      console.error(`Error checking commit ${commit.hash}:`, error);
+    }
+  });
+}
+
+/**
+ * Read the next page of the open file's history, if there is one
+ * Concurrent calls share the same request.
+ * @returns {Promise<void>}
+ */
+function loadMoreFileHistory() {
+  if (fileHistoryLoading) return fileHistoryLoading;
+  const scan = fileHistoryScan;
+  if (!scan || !fileHistoryCursor) return Promise.resolve();
+
+  fileHistoryLoading = (async () => {
+    try {
+      const response = await fetch(`${API}/git/file-history?filePath=${encodeURIComponent(scan.nextFilePath || scan.filePath)}&cursor=${fileHistoryCursor}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      if (fileHistoryScan !== scan) return;
+
+      fileHistoryCursor = data.nextCursor;
+      scan.nextFilePath = data.nextFilePath;
+      await scanFileHistoryPage(scan, data.log.all);
+      if (fileHistoryScan !== scan) return;
+
+      if (!fileHistoryCursor && currentFileHistory.length > 0) await markFileHistoryStart(scan.filePath);
+      if (currentFileHistory.length > 0) updateFileHistoryNavigation(scan.filePath);
+    } catch (error) {
+      console.error('Error loading older versions:', error);
+      // Stop at what we have rather than retrying in a loop
+      if (fileHistoryScan === scan) fileHistoryCursor = null;
+    } finally {
+      fileHistoryLoading = null;
+    }
+  })();
+  return fileHistoryLoading;
+}
+
+// With the whole history read, mark the oldest version as the one that added the file
+// if the file doesn't exist in its parent commit
+async function markFileHistoryStart(filePath) {
+  const oldestCommit = currentFileHistory[currentFileHistory.length - 1];
+  try {
+    // Try to fetch the file from the parent commit (commitHash^), under the name it had there
+    const parentPath = oldestCommit.oldPath || oldestCommit.file || filePath;
+    const parentResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(parentPath)}&commitHash=${oldestCommit.hash}^`);
+    const parentData = await parentResponse.json();
+
+    // If file doesn't exist in parent, this commit added the file
+    if (!parentData.success) {
+      oldestCommit.status = 'A';
+    }
+  } catch (error) {
+    // If there's an error (e.g., no parent commit), assume it was added
+    oldestCommit.status = 'A';
+  }
+}
+
+// Helper function to update navigation controls without reloading the diff
+function updateFileHistoryNavigation(filePath) {
+  const historyPosition = document.getElementById('historyPosition');
+  const prevBtn = document.getElementById('prevBtn');
+  const nextBtn = document.getElementById('nextBtn');
+
+  if (historyPosition && prevBtn && nextBtn) {
+    const currentCommit = currentFileHistory[currentFileHistoryIndex];
+    if (isScanningHistory || fileHistoryCursor) {
+      historyPosition.textContent = `${currentFileHistoryIndex + 1} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+    } else {
+      historyPosition.textContent = `${currentFileHistoryIndex + 1} of ${currentFileHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+    }
+
+    // Update button states
+    prevBtn.disabled = currentFileHistoryIndex === 0;
+    nextBtn.disabled = currentFileHistoryIndex === currentFileHistory.length - 1 && !fileHistoryCursor;
+  }
+}
 
 let allAutomations = [];
 let allScripts = [];
+let allScenes = [];
+let deletedScenes = [];
 let currentAutomationHistory = []; // Store automation history for time slider
 let currentAutomationHistoryIndex = 0; // Current position in history
 let currentScriptHistory = []; // Store script history for time slider
 let currentScriptHistoryIndex = 0; // Current position in history
+let currentSceneHistory = []; // Store scene history for time slider
+let currentSceneHistoryIndex = 0; // Current position in history
+let allHelpers = [];
+let allRegistryEntities = [];
+let allDashboardViews = [];
+let currentLovelaceHistory = []; // Store view/card history for time slider
+let currentLovelaceHistoryIndex = 0; // Current position in history
+let currentHelperHistory = []; // Store helper history for time slider
+let currentHelperHistoryIndex = 0; // Current position in history
+let allBlueprints = [];
+let currentBlueprintHistory = []; // Store blueprint history for time slider
+let currentBlueprintHistoryIndex = 0; // Current position in history
+let allPackages = [];
+let currentPackageHistory = []; // Store package history for time slider
+let currentPackageHistoryIndex = 0; // Current position in history
+let currentPackageDomain = ''; // Domain block being compared ('' = whole package)
+let packageActionDomains = []; // Domains in the picker, by option index
+let allIntegrationItems = [];
+let currentIntegrationHistory = []; // Store item history for time slider
+let currentIntegrationHistoryIndex = 0; // Current position in history
+let allEsphomeDevices = [];
+let currentEsphomeHistory = []; // Store device history for time slider
+let currentEsphomeHistoryIndex = 0; // Current position in history
 
 
 
@@ -4275,52 +5305,1491 @@ async function loadScriptHistoryDiff() {
     rightLabel = formatDateForBanner(currentCommit.date);
   }
 
-  const startLine = (script && script.line) ? (script.line - 1) : 0;
+  const startLine = (script && script.line) ? (script.line - 1) : 0;
+
+  // renderDiff expects (commitContent, currentContent) -> generateDiff(currentContent, commitContent)
+  // So we pass (Right, Left) to renderDiff
+  const diffHtml = renderDiff(rightContent, leftContent, document.getElementById('scriptDiffContent'), {
+    leftLabel: leftLabel,
+    rightLabel: rightLabel,
+    startLineOffset: startLine,
+    filePath: 'scripts.yaml'
+  });
+
+  if ((diffHtml) || (currentSelection && currentSelection.type === 'deleted_script')) {
+    document.getElementById('rightPanelActions').innerHTML = `<button class="btn restore" onclick="restoreScriptVersion('${escapeHtml(currentSelection.id)}')" title="${t('diff.tooltip_overwrite_script')}">${t('timeline.restore_commit')}</button>`;
+  } else {
+    document.getElementById('rightPanelActions').innerHTML = '';
+  }
+}
+
+function navigateScriptHistory(direction) {
+  const newIndex = currentScriptHistoryIndex + direction;
+
+  if (newIndex < 0 || newIndex >= currentScriptHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentScriptHistoryIndex = newIndex;
+  loadScriptHistoryDiff();
+}
+
+// Helper function to update navigation controls without reloading the diff
+function updateScriptHistoryNavigation() {
+  const historyPosition = document.getElementById('scriptHistoryPosition');
+  const prevBtn = document.getElementById('scriptPrevBtn');
+  const nextBtn = document.getElementById('scriptNextBtn');
+
+  if (historyPosition && prevBtn && nextBtn) {
+    const currentCommit = currentScriptHistory[currentScriptHistoryIndex];
+    if (isScanningHistory) {
+      historyPosition.textContent = `${currentScriptHistoryIndex + 1} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+    } else {
+      historyPosition.textContent = `${currentScriptHistoryIndex + 1} of ${currentScriptHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+    }
+
+    // Update button states
+    prevBtn.disabled = currentScriptHistoryIndex === 0;
+    nextBtn.disabled = currentScriptHistoryIndex === currentScriptHistory.length - 1;
+  }
+}
+
+function displayScenes(scenes) {
+  let html = '';
+
+  if (scenes.length === 0) {
+    html = `<div class="empty">${t('scenes.empty_state')}</div>`;
+  } else {
+    scenes.forEach(scene => {
+      const sceneId = 'scene-' + scene.id.replace(/[:/]/g, '-');
+      html += `
+            <div class="file" onclick="showSceneHistory('${escapeHtml(scene.id)}')" id="${sceneId}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(scene.name)}</div>
+                <div class="file-path-text">${escapeHtml(scene.file)}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('scenes.select_scene')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('scenes', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+async function showSceneHistory(sceneId) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const sceneElId = sortState.scenes === 'deleted'
+    ? 'deleted-scene-' + sceneId.replace(/[:/\.]/g, '-')
+    : 'scene-' + sceneId.replace(/[:/]/g, '-');
+
+  const element = document.getElementById(sceneElId);
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  if (sortState.scenes !== 'deleted') {
+    currentSelection = { type: 'scene', id: sceneId };
+  }
+
+  let scene = allScenes.find(s => s.id === sceneId);
+  const displayName = scene ? scene.name : (currentSelection?.name || 'Scene');
+
+  document.getElementById('rightPanelTitle').textContent = displayName;
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = '';
+
+  try {
+    // PROGRESSIVE LOADING: First fetch just commit metadata (fast - no YAML parsing)
+    const metadataResponse = await fetch(`${API}/scene/${encodeURIComponent(sceneId)}/history-metadata`);
+    const metadataResult = await metadataResponse.json();
+
+    if (!metadataResult.success || metadataResult.commits.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    // Handle deleted scenes
+    if (!scene && currentSelection && currentSelection.type === 'deleted_scene') {
+      const parts = sceneId.split(':');
+      scene = {
+        id: sceneId,
+        name: currentSelection.name,
+        file: parts.length >= 2 ? decodeURIComponent(parts[1]) : 'scenes.yaml',
+        content: null
+      };
+    }
+
+    const currentContent = scene && scene.content ? dumpYaml(scene.content) : '';
+
+    currentSceneHistory = [];
+    currentSceneHistoryIndex = 0;
+    let lastKeptContent = null;
+    let isFirstVersion = true;
+    isScanningHistory = true;
+
+    // PROGRESSIVE LOADING: Fetch content per commit and show the first version straight away
+    for (const commit of metadataResult.commits) {
+      const contentResponse = await fetch(`${API}/scene/${encodeURIComponent(sceneId)}/at-commit?commitHash=${encodeURIComponent(commit.hash)}`);
+      const contentResult = await contentResponse.json();
+
+      if (!contentResult.success || !contentResult.scene) {
+        continue; // Skip commits where the scene doesn't exist
+      }
+
+      const commitContent = dumpYaml(contentResult.scene);
+
+      // Skip versions identical to the live scene or to the last version kept
+      if (generateDiff(commitContent, currentContent, { returnNullIfNoChanges: true, filePath: scene?.file }) === null) continue;
+      if (lastKeptContent !== null &&
+        generateDiff(commitContent, lastKeptContent, { returnNullIfNoChanges: true, filePath: scene?.file }) === null) continue;
+
+      currentSceneHistory.push({
+        hash: commit.hash,
+        date: commit.date,
+        message: commit.message,
+        author: commit.author,
+        scene: contentResult.scene,
+        yamlContent: commitContent
+      });
+      lastKeptContent = commitContent;
+
+      if (isFirstVersion) {
+        isFirstVersion = false;
+        displaySceneHistory();
+      } else {
+        updateSceneHistoryNavigation();
+      }
+    }
+
+    isScanningHistory = false;
+    if (currentSceneHistory.length > 0) {
+      updateSceneHistoryNavigation();
+      return;
+    }
+
+    // No versions with changes - show the current content as a no-change diff
+    const mostRecent = metadataResult.commits[0];
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="file-history-viewer">
+            <div class="file-history-header">
+              <div class="file-history-info">
+                <div class="history-position">1 of 1 — ${formatDateForBanner(mostRecent.date)} (${mostRecent.hash.substring(0, 8)})</div>
+              </div>
+              <div class="file-history-actions">
+                <button class="btn" disabled style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+                <button class="btn" disabled style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+              </div>
+            </div>
+            <div id="sceneDiffContent"></div>
+          </div>
+        `;
+
+    renderDiff(currentContent, currentContent, document.getElementById('sceneDiffContent'), {
+      leftLabel: 'Current Version',
+      rightLabel: 'Current Version',
+      filePath: scene?.file
+    });
+  } catch (error) {
+    isScanningHistory = false;
+    console.error('Error loading scene history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displaySceneHistory() {
+  if (currentSceneHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="sceneHistoryPosition">1 of ${currentSceneHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="scenePrevBtn" onclick="navigateSceneHistory(-1)" ${currentSceneHistoryIndex === 0 ? 'disabled' : ''} style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="sceneNextBtn" onclick="navigateSceneHistory(1)" ${currentSceneHistoryIndex === currentSceneHistory.length - 1 ? 'disabled' : ''} style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="diff-view-container" id="sceneDiffContent"></div>
+        </div>
+      `;
+
+  showFloatingConfirmRestoreButton();
+  loadSceneHistoryDiff();
+}
+
+function loadSceneHistoryDiff() {
+  const currentCommit = currentSceneHistory[currentSceneHistoryIndex];
+  updateSceneHistoryNavigation();
+
+  const isDeleted = currentSelection && currentSelection.type === 'deleted_scene';
+  const scene = allScenes.find(s => s.id === currentSelection.id) || (isDeleted ? { content: null, line: 0 } : null);
+  if (!scene) return;
+
+  const currentContent = scene.content ? dumpYaml(scene.content) : '';
+  const commitContent = currentCommit.yamlContent || dumpYaml(currentCommit.scene);
+  let leftContent;
+  let leftLabel;
+  let rightLabel = formatDateForBanner(currentCommit.date);
+
+  if (compareToCurrent) {
+    if (isDeleted) {
+      // Deleted scenes have nothing to compare to, so show the historical content on its own
+      leftContent = commitContent;
+      leftLabel = rightLabel;
+      rightLabel = 'Content';
+    } else {
+      leftContent = currentContent;
+      leftLabel = 'Current Version';
+    }
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentSceneHistory[currentSceneHistoryIndex + 1];
+    leftContent = parentCommit ? (parentCommit.yamlContent || dumpYaml(parentCommit.scene)) : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  const diffHtml = renderDiff(commitContent, leftContent, document.getElementById('sceneDiffContent'), {
+    leftLabel,
+    rightLabel,
+    startLineOffset: scene.line ? scene.line - 1 : 0,
+    filePath: 'scenes.yaml'
+  });
+
+  if (diffHtml || isDeleted) {
+    document.getElementById('rightPanelActions').innerHTML = `<button class="btn restore" onclick="restoreSceneVersion('${escapeHtml(currentSelection.id)}')" title="${t('scenes.restore_scene')}">${t('timeline.restore_commit')}</button>`;
+  } else {
+    document.getElementById('rightPanelActions').innerHTML = '';
+  }
+}
+
+function navigateSceneHistory(direction) {
+  const newIndex = currentSceneHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentSceneHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentSceneHistoryIndex = newIndex;
+  loadSceneHistoryDiff();
+}
+
+// Update the position text and buttons without reloading the diff
+function updateSceneHistoryNavigation() {
+  const historyPosition = document.getElementById('sceneHistoryPosition');
+  const prevBtn = document.getElementById('scenePrevBtn');
+  const nextBtn = document.getElementById('sceneNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentSceneHistory[currentSceneHistoryIndex];
+  const position = isScanningHistory
+    ? `${currentSceneHistoryIndex + 1}`
+    : `${currentSceneHistoryIndex + 1} of ${currentSceneHistory.length}`;
+  historyPosition.textContent = `${position} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentSceneHistoryIndex === 0;
+  nextBtn.disabled = currentSceneHistoryIndex === currentSceneHistory.length - 1;
+}
+
+function displayHelpers(helpers) {
+  let html = '';
+
+  if (helpers.length === 0) {
+    html = `<div class="empty">${t('helpers.empty_state')}</div>`;
+  } else {
+    helpers.forEach(helper => {
+      const helperElId = 'helper-' + helper.id.replace(/[:/\.%]/g, '-');
+      html += `
+            <div class="file" onclick="showHelperHistory('${escapeHtml(helper.id)}')" id="${helperElId}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(helper.name)}</div>
+                <div class="file-path-text">${escapeHtml(helper.domain)}.${escapeHtml(helper.itemId)}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('helpers.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('helpers', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+async function showHelperHistory(helperId) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById('helper-' + helperId.replace(/[:/\.%]/g, '-'));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  currentSelection = { type: 'helper', id: helperId };
+  const helper = allHelpers.find(h => h.id === helperId);
+
+  document.getElementById('rightPanelTitle').textContent = helper ? helper.name : t('helpers.helper_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/helper/${encodeURIComponent(helperId)}/history`);
+    const data = await response.json();
+
+    // The server already collapses unchanged versions; also drop the one matching the live helper
+    const currentContent = helper ? dumpYaml(helper.content) : '';
+    currentHelperHistory = (data.history || [])
+      .map(entry => ({ ...entry, yamlContent: dumpYaml(entry.helper) }))
+      .filter(entry => entry.yamlContent !== currentContent);
+    currentHelperHistoryIndex = 0;
+
+    if (currentHelperHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    displayHelperHistory();
+  } catch (error) {
+    console.error('Error loading helper history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayHelperHistory() {
+  if (currentHelperHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="helperHistoryPosition">1 of ${currentHelperHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="helperPrevBtn" onclick="navigateHelperHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="helperNextBtn" onclick="navigateHelperHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="diff-view-container" id="helperDiffContent"></div>
+        </div>
+      `;
+
+  loadHelperHistoryDiff();
+}
+
+function loadHelperHistoryDiff() {
+  const currentCommit = currentHelperHistory[currentHelperHistoryIndex];
+  updateHelperHistoryNavigation();
+
+  const helper = allHelpers.find(h => h.id === currentSelection.id);
+  const currentContent = helper ? dumpYaml(helper.content) : '';
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    leftContent = currentContent;
+    leftLabel = 'Current Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentHelperHistory[currentHelperHistoryIndex + 1];
+    leftContent = parentCommit ? parentCommit.yamlContent : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(currentCommit.yamlContent, leftContent, document.getElementById('helperDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: helper ? helper.file : ''
+  });
+
+  document.getElementById('rightPanelActions').innerHTML = `<button class="btn restore" onclick="restoreHelperVersion('${escapeHtml(currentSelection.id)}')" title="${t('helpers.restore_helper')}">${t('timeline.restore_commit')}</button>`;
+}
+
+function navigateHelperHistory(direction) {
+  const newIndex = currentHelperHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentHelperHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentHelperHistoryIndex = newIndex;
+  loadHelperHistoryDiff();
+}
+
+function updateHelperHistoryNavigation() {
+  const historyPosition = document.getElementById('helperHistoryPosition');
+  const prevBtn = document.getElementById('helperPrevBtn');
+  const nextBtn = document.getElementById('helperNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentHelperHistory[currentHelperHistoryIndex];
+  historyPosition.textContent = `${currentHelperHistoryIndex + 1} of ${currentHelperHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentHelperHistoryIndex === 0;
+  nextBtn.disabled = currentHelperHistoryIndex === currentHelperHistory.length - 1;
+}
+
+function blueprintElementId(file) {
+  return 'blueprint-' + file.replace(/[^a-zA-Z0-9_-]/g, '-');
+}
+
+function displayBlueprints(blueprints) {
+  let html = '';
+
+  if (blueprints.length === 0) {
+    html = `<div class="empty">${t('blueprints.empty_state')}</div>`;
+  } else {
+    blueprints.forEach(blueprint => {
+      const usage = blueprint.users.length > 0
+        ? ` · ${t('blueprints.used_by', { count: blueprint.users.length })}`
+        : '';
+      html += `
+            <div class="file" onclick="showBlueprintHistory('${escapeHtml(blueprint.file)}')" id="${blueprintElementId(blueprint.file)}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(blueprint.name)}</div>
+                <div class="file-path-text">${escapeHtml(blueprint.domain)}/${escapeHtml(blueprint.path)}${usage}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('blueprints.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('blueprints', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+async function showBlueprintHistory(file) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById(blueprintElementId(file));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  currentSelection = { type: 'blueprint', id: file };
+  const blueprint = allBlueprints.find(b => b.file === file);
+
+  document.getElementById('rightPanelTitle').textContent = blueprint ? blueprint.name : t('blueprints.blueprint_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/blueprint/history?path=${encodeURIComponent(file)}`);
+    const data = await response.json();
+
+    currentBlueprintHistory = data.history || [];
+    currentBlueprintHistoryIndex = 0;
+
+    if (currentBlueprintHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    displayBlueprintHistory();
+  } catch (error) {
+    console.error('Error loading blueprint history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayBlueprintHistory() {
+  if (currentBlueprintHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="blueprintHistoryPosition">1 of ${currentBlueprintHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="blueprintPrevBtn" onclick="navigateBlueprintHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="blueprintNextBtn" onclick="navigateBlueprintHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="blueprint-users" id="blueprintUsers"></div>
+          <div class="diff-view-container" id="blueprintDiffContent"></div>
+        </div>
+      `;
+
+  loadBlueprintHistoryDiff();
+}
+
+function loadBlueprintHistoryDiff() {
+  const currentCommit = currentBlueprintHistory[currentBlueprintHistoryIndex];
+  updateBlueprintHistoryNavigation();
+
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    // The newest commit is the closest thing to the file on disk
+    leftContent = currentBlueprintHistory[0].content || '';
+    leftLabel = 'Latest Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentBlueprintHistory[currentBlueprintHistoryIndex + 1];
+    leftContent = parentCommit ? parentCommit.content || '' : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(currentCommit.content || '', leftContent, document.getElementById('blueprintDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: currentSelection.id
+  });
+
+  renderBlueprintUsers(currentCommit);
+}
+
+// The automations that used this version of the blueprint, with the inputs they passed it then
+function renderBlueprintUsers(version) {
+  const container = document.getElementById('blueprintUsers');
+  if (!container) return;
+
+  if (version.deleted) {
+    container.innerHTML = `<div class="blueprint-users-title">${t('blueprints.deleted_version')}</div>`;
+    return;
+  }
+  if (version.users.length === 0) {
+    container.innerHTML = `<div class="blueprint-users-title">${t('blueprints.no_users')}</div>`;
+    return;
+  }
+
+  const inputNames = new Map((version.blueprint ? version.blueprint.inputs : []).map(input => [input.key, input.name]));
+  let html = `<div class="blueprint-users-title">${t('blueprints.users_title', { count: version.users.length })}</div>`;
+  version.users.forEach(user => {
+    const fields = Object.entries(user.input).map(([key, value]) => {
+      const unknown = user.unknown.includes(key) ? ` <span class="blueprint-input-warning">${t('blueprints.input_unknown')}</span>` : '';
+      const shown = typeof value === 'object' && value !== null ? dumpYaml(value).trim() : String(value);
+      return `
+                <div class="entity-version-label" title="${escapeHtml(key)}">${escapeHtml(inputNames.get(key) || key)}${unknown}</div>
+                <div class="blueprint-input-value">${escapeHtml(shown)}</div>`;
+    }).join('');
+    const missing = user.missing.map(key => `
+                <div class="entity-version-label" title="${escapeHtml(key)}">${escapeHtml(inputNames.get(key) || key)}</div>
+                <div class="blueprint-input-warning">${t('blueprints.input_missing')}</div>`).join('');
+
+    html += `
+            <div class="entity-version">
+              <div class="file-name">${escapeHtml(user.name)}</div>
+              <div class="entity-version-date">${escapeHtml(user.file)}</div>
+              <div class="entity-version-fields">${fields}${missing}</div>
+            </div>
+          `;
+  });
+  container.innerHTML = html;
+}
+
+function navigateBlueprintHistory(direction) {
+  const newIndex = currentBlueprintHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentBlueprintHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentBlueprintHistoryIndex = newIndex;
+  loadBlueprintHistoryDiff();
+}
+
+function updateBlueprintHistoryNavigation() {
+  const historyPosition = document.getElementById('blueprintHistoryPosition');
+  const prevBtn = document.getElementById('blueprintPrevBtn');
+  const nextBtn = document.getElementById('blueprintNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentBlueprintHistory[currentBlueprintHistoryIndex];
+  historyPosition.textContent = `${currentBlueprintHistoryIndex + 1} of ${currentBlueprintHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentBlueprintHistoryIndex === 0;
+  nextBtn.disabled = currentBlueprintHistoryIndex === currentBlueprintHistory.length - 1;
+}
+
+function packageElementId(packageId) {
+  return 'package-' + packageId.replace(/[^a-zA-Z0-9_-]/g, '-');
+}
+
+function displayPackages(packages) {
+  let html = '';
+
+  if (packages.length === 0) {
+    html = `<div class="empty">${t('packages.empty_state')}</div>`;
+  } else {
+    packages.forEach(pkg => {
+      html += `
+            <div class="file" onclick="showPackageHistory(allPackages[${allPackages.indexOf(pkg)}].id)" id="${packageElementId(pkg.id)}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(pkg.name)}</div>
+                <div class="file-path-text">${escapeHtml(pkg.file)} · ${escapeHtml(pkg.domains.join(', '))}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('packages.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('packages', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+// One domain block (or the whole package) as YAML, from the per-domain text the server sends
+function packageYaml(blocks, domain) {
+  const keys = domain ? [domain] : Object.keys(blocks);
+  return keys
+    .filter(key => key in blocks)
+    .map(key => `${key}:\n${blocks[key].replace(/\n$/, '').split('\n').map(line => '  ' + line).join('\n')}\n`)
+    .join('');
+}
+
+async function showPackageHistory(packageId) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById(packageElementId(packageId));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  currentSelection = { type: 'package', id: packageId };
+  currentPackageDomain = '';
+  const pkg = allPackages.find(p => p.id === packageId);
+
+  document.getElementById('rightPanelTitle').textContent = pkg ? pkg.name : t('packages.package_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/package/${encodeURIComponent(packageId)}/history`);
+    const data = await response.json();
+
+    currentPackageHistory = data.history || [];
+    currentPackageHistoryIndex = 0;
+
+    if (currentPackageHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    displayPackageHistory();
+  } catch (error) {
+    console.error('Error loading package history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayPackageHistory() {
+  if (currentPackageHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="packageHistoryPosition">1 of ${currentPackageHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="packagePrevBtn" onclick="navigatePackageHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="packageNextBtn" onclick="navigatePackageHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="package-changes" id="packageChanges"></div>
+          <div class="diff-view-container" id="packageDiffContent"></div>
+        </div>
+      `;
+
+  loadPackageHistoryDiff();
+}
+
+function loadPackageHistoryDiff() {
+  const currentCommit = currentPackageHistory[currentPackageHistoryIndex];
+  updatePackageHistoryNavigation();
+
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    const pkg = allPackages.find(p => p.id === currentSelection.id);
+    leftContent = pkg ? packageYaml(pkg.blocks, currentPackageDomain) : '';
+    leftLabel = 'Current Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentPackageHistory[currentPackageHistoryIndex + 1];
+    leftContent = parentCommit ? packageYaml(parentCommit.blocks, currentPackageDomain) : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(packageYaml(currentCommit.blocks, currentPackageDomain), leftContent, document.getElementById('packageDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: 'package.yaml'
+  });
+
+  renderPackageChanges(currentCommit);
+  renderPackageActions();
+}
+
+// The domains this version changed; clicking one narrows the diff to it
+function renderPackageChanges(version) {
+  const container = document.getElementById('packageChanges');
+  if (!container) return;
+
+  if (version.changes.length === 0) {
+    container.innerHTML = t('packages.no_changed_domains');
+    return;
+  }
+
+  container.innerHTML = `<span>${t('packages.changed_domains')}</span>` + version.changes.map((change, index) => `
+        <span class="package-change package-change-${change.action} ${change.domain === currentPackageDomain ? 'selected' : ''}"
+          onclick="selectPackageDomain(currentPackageHistory[currentPackageHistoryIndex].changes[${index}].domain)"
+          title="${t(`packages.action_${change.action}`)}">${escapeHtml(change.domain)}</span>`).join('');
+}
+
+// Domain picker, plus the restore button when a single domain is shown
+function renderPackageActions() {
+  const version = currentPackageHistory[currentPackageHistoryIndex];
+  const pkg = allPackages.find(p => p.id === currentSelection.id);
+  const domains = [...new Set([...(pkg ? pkg.domains : []), ...Object.keys(version.blocks)])];
+
+  const options = [`<option value="">${t('packages.whole_package')}</option>`]
+    .concat(domains.map((domain, index) => `<option value="${index}" ${domain === currentPackageDomain ? 'selected' : ''}>${escapeHtml(domain)}</option>`));
+  let restoreButton = '';
+  if (currentPackageDomain) {
+    // A domain this version didn't have is removed from the package
+    const label = currentPackageDomain in version.blocks ? 'packages.restore_domain' : 'packages.remove_domain';
+    restoreButton = `<button class="btn restore" onclick="restorePackageDomainVersion()" title="${t('packages.restore_domain_title', { domain: escapeHtml(currentPackageDomain) })}">${t(label, { domain: escapeHtml(currentPackageDomain) })}</button>`;
+  }
+
+  packageActionDomains = domains;
+  document.getElementById('rightPanelActions').innerHTML = `
+        <select class="sort-select" onchange="selectPackageDomain(this.value === '' ? '' : packageActionDomains[this.value])" title="${t('packages.select_domain')}">${options.join('')}</select>
+        ${restoreButton}
+      `;
+}
+
+function selectPackageDomain(domain) {
+  currentPackageDomain = domain;
+  loadPackageHistoryDiff();
+}
+
+function navigatePackageHistory(direction) {
+  const newIndex = currentPackageHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentPackageHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentPackageHistoryIndex = newIndex;
+  loadPackageHistoryDiff();
+}
+
+function updatePackageHistoryNavigation() {
+  const historyPosition = document.getElementById('packageHistoryPosition');
+  const prevBtn = document.getElementById('packagePrevBtn');
+  const nextBtn = document.getElementById('packageNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentPackageHistory[currentPackageHistoryIndex];
+  historyPosition.textContent = `${currentPackageHistoryIndex + 1} of ${currentPackageHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentPackageHistoryIndex === 0;
+  nextBtn.disabled = currentPackageHistoryIndex === currentPackageHistory.length - 1;
+}
+
+function integrationElementId(itemId) {
+  return 'integration-' + itemId.replace(/[^a-zA-Z0-9_-]/g, '-');
+}
+
+function displayIntegrationItems(items) {
+  let html = '';
+
+  if (items.length === 0) {
+    html = `<div class="empty">${t('integrations.empty_state')}</div>`;
+  } else {
+    items.forEach(item => {
+      const kind = item.kind ? ` · ${escapeHtml(item.kind)}` : '';
+      html += `
+            <div class="file" onclick="showIntegrationItemHistory(allIntegrationItems[${allIntegrationItems.indexOf(item)}].id)" id="${integrationElementId(item.id)}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(item.name)}</div>
+                <div class="file-path-text">${escapeHtml(item.domain)}${kind} · ${escapeHtml(item.file)}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('integrations.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('integrations', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+async function showIntegrationItemHistory(itemId) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById(integrationElementId(itemId));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  currentSelection = { type: 'integration', id: itemId };
+  const item = allIntegrationItems.find(i => i.id === itemId);
+
+  document.getElementById('rightPanelTitle').textContent = item ? item.name : t('integrations.item_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/item/${encodeURIComponent(itemId)}/history`);
+    const data = await response.json();
+
+    currentIntegrationHistory = (data.history || []).map(entry => ({ ...entry, yamlContent: dumpYaml(entry.content) }));
+    currentIntegrationHistoryIndex = 0;
+
+    if (currentIntegrationHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    displayIntegrationItemHistory();
+  } catch (error) {
+    console.error('Error loading item history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayIntegrationItemHistory() {
+  if (currentIntegrationHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="integrationHistoryPosition">1 of ${currentIntegrationHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="integrationPrevBtn" onclick="navigateIntegrationItemHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="integrationNextBtn" onclick="navigateIntegrationItemHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="diff-view-container" id="integrationDiffContent"></div>
+        </div>
+      `;
+
+  document.getElementById('rightPanelActions').innerHTML = `
+        <button class="btn restore" onclick="restoreIntegrationItemVersion()" title="${t('integrations.restore_item')}">${t('timeline.restore_commit')}</button>
+      `;
+
+  loadIntegrationItemHistoryDiff();
+}
+
+function loadIntegrationItemHistoryDiff() {
+  const currentCommit = currentIntegrationHistory[currentIntegrationHistoryIndex];
+  updateIntegrationItemHistoryNavigation();
+
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    const item = allIntegrationItems.find(i => i.id === currentSelection.id);
+    leftContent = item ? dumpYaml(item.content) : '';
+    leftLabel = 'Current Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentIntegrationHistory[currentIntegrationHistoryIndex + 1];
+    leftContent = parentCommit ? parentCommit.yamlContent : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(currentCommit.yamlContent, leftContent, document.getElementById('integrationDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: 'item.yaml'
+  });
+}
+
+function navigateIntegrationItemHistory(direction) {
+  const newIndex = currentIntegrationHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentIntegrationHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentIntegrationHistoryIndex = newIndex;
+  loadIntegrationItemHistoryDiff();
+}
+
+function updateIntegrationItemHistoryNavigation() {
+  const historyPosition = document.getElementById('integrationHistoryPosition');
+  const prevBtn = document.getElementById('integrationPrevBtn');
+  const nextBtn = document.getElementById('integrationNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentIntegrationHistory[currentIntegrationHistoryIndex];
+  historyPosition.textContent = `${currentIntegrationHistoryIndex + 1} of ${currentIntegrationHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentIntegrationHistoryIndex === 0;
+  nextBtn.disabled = currentIntegrationHistoryIndex === currentIntegrationHistory.length - 1;
+}
+
+function esphomeElementId(file) {
+  return 'esphome-' + file.replace(/[^a-zA-Z0-9_-]/g, '-');
+}
+
+function displayEsphomeDevices(devices) {
+  let html = '';
+
+  if (devices.length === 0) {
+    html = `<div class="empty">${t('esphome.empty_state')}</div>`;
+  } else {
+    devices.forEach(device => {
+      const hardware = [device.platform, device.board].filter(Boolean).map(escapeHtml).join(' / ');
+      const files = device.files.length > 1 ? ` · ${t('esphome.file_count', { count: device.files.length })}` : '';
+      html += `
+            <div class="file" onclick="showEsphomeDeviceHistory(allEsphomeDevices[${allEsphomeDevices.indexOf(device)}].file)" id="${esphomeElementId(device.file)}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(device.friendlyName || device.name)}</div>
+                <div class="file-path-text">${escapeHtml(device.file)}${hardware ? ` · ${hardware}` : ''}${files}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('esphome.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('esphome', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+async function showEsphomeDeviceHistory(file) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById(esphomeElementId(file));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
+  }
+
+  currentSelection = { type: 'esphome', file };
+  const device = allEsphomeDevices.find(d => d.file === file);
+
+  document.getElementById('rightPanelTitle').textContent = device ? (device.friendlyName || device.name) : t('esphome.device_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/esphome/device/history?path=${encodeURIComponent(file)}`);
+    const data = await response.json();
+
+    currentEsphomeHistory = data.history || [];
+    currentEsphomeHistoryIndex = 0;
+
+    if (currentEsphomeHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      return;
+    }
+
+    displayEsphomeDeviceHistory();
+  } catch (error) {
+    console.error('Error loading device history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayEsphomeDeviceHistory() {
+  if (currentEsphomeHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="esphomeHistoryPosition">1 of ${currentEsphomeHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="esphomePrevBtn" onclick="navigateEsphomeDeviceHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="esphomeNextBtn" onclick="navigateEsphomeDeviceHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="esphome-version-info" id="esphomeVersionInfo"></div>
+          <div class="diff-view-container" id="esphomeDiffContent"></div>
+        </div>
+      `;
+
+  loadEsphomeDeviceHistoryDiff();
+}
+
+// Board, framework and OTA changes, plus the files this version was built from
+function renderEsphomeVersionInfo(version) {
+  const container = document.getElementById('esphomeVersionInfo');
+  if (!container) return;
+
+  const changes = version.changes.map(change => `
+        <div class="esphome-change" title="${escapeHtml(change.before || '—')} → ${escapeHtml(change.after || '—')}">
+          ${t(`esphome.change_${change.kind}`)}
+        </div>`).join('');
+  const files = version.files.map(file => `<span class="esphome-file">${escapeHtml(file)}</span>`).join('');
+  const missing = version.missing.length > 0
+    ? `<div class="esphome-missing">${t('esphome.missing_files', { files: version.missing.map(escapeHtml).join(', ') })}</div>`
+    : '';
+  const remote = version.remotePackages.length > 0
+    ? `<div class="esphome-remote">${t('esphome.remote_packages', { packages: version.remotePackages.map(escapeHtml).join(', ') })}</div>`
+    : '';
+
+  container.innerHTML = `${changes}<div class="esphome-files"><span>${t('esphome.built_from')}</span>${files}</div>${missing}${remote}`;
+}
+
+function loadEsphomeDeviceHistoryDiff() {
+  const currentCommit = currentEsphomeHistory[currentEsphomeHistoryIndex];
+  updateEsphomeDeviceHistoryNavigation();
+  renderEsphomeVersionInfo(currentCommit);
+
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    const device = allEsphomeDevices.find(d => d.file === currentSelection.file);
+    leftContent = device ? device.config : '';
+    leftLabel = 'Current Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentEsphomeHistory[currentEsphomeHistoryIndex + 1];
+    leftContent = parentCommit ? parentCommit.config : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(currentCommit.config, leftContent, document.getElementById('esphomeDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: currentSelection.file
+  });
+}
+
+function navigateEsphomeDeviceHistory(direction) {
+  const newIndex = currentEsphomeHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentEsphomeHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentEsphomeHistoryIndex = newIndex;
+  loadEsphomeDeviceHistoryDiff();
+}
+
+function updateEsphomeDeviceHistoryNavigation() {
+  const historyPosition = document.getElementById('esphomeHistoryPosition');
+  const prevBtn = document.getElementById('esphomePrevBtn');
+  const nextBtn = document.getElementById('esphomeNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
+
+  const currentCommit = currentEsphomeHistory[currentEsphomeHistoryIndex];
+  historyPosition.textContent = `${currentEsphomeHistoryIndex + 1} of ${currentEsphomeHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentEsphomeHistoryIndex === 0;
+  nextBtn.disabled = currentEsphomeHistoryIndex === currentEsphomeHistory.length - 1;
+}
+
+function lovelaceElementId(lovelaceId) {
+  return 'lovelace-' + lovelaceId.replace(/[^a-zA-Z0-9_-]/g, '-');
+}
+
+function displayDashboardViews(views) {
+  let html = '';
+
+  if (views.length === 0) {
+    html = `<div class="empty">${t('dashboards.empty_state')}</div>`;
+  } else {
+    views.forEach(view => {
+      html += `
+            <div class="file" onclick="showLovelaceHistory(allDashboardViews[${allDashboardViews.indexOf(view)}].id)" id="${lovelaceElementId(view.id)}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(view.title)}</div>
+                <div class="file-path-text">${escapeHtml(view.dashboardTitle)} · ${t('dashboards.card_count', { count: view.cards.length })}</div>
+              </div>
+            </div>
+          `;
+    });
+  }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('dashboards.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('dashboards', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
+}
+
+// The view an id belongs to, and the card if it names one
+function findDashboardItem(lovelaceId) {
+  const viewId = lovelaceId.split('/')[0];
+  const view = allDashboardViews.find(v => v.id === viewId);
+  const card = view && viewId !== lovelaceId ? view.cards.find(c => c.id === lovelaceId) : null;
+  return { view, card };
+}
+
+// Current content of a view or card, for comparing against history
+function currentLovelaceContent(lovelaceId) {
+  const { view, card } = findDashboardItem(lovelaceId);
+  if (!view) return '';
+  if (!card) return dumpYaml(view.content);
+  const content = card.cardPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), view.content);
+  return content ? dumpYaml(content) : '';
+}
+
+async function showLovelaceHistory(lovelaceId) {
+  const { view, card } = findDashboardItem(lovelaceId);
+
+  // Picking a card keeps its view selected in the list
+  if (!card) {
+    document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+    const element = view ? document.getElementById(lovelaceElementId(view.id)) : null;
+    if (element) {
+      element.classList.add('selected');
+      // Update keyboard navigation index to match clicked item
+      const clickedIndex = keyboardNav.items.indexOf(element);
+      if (clickedIndex !== -1) {
+        if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+          keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+        }
+        keyboardNav.selectedIndex = clickedIndex;
+      }
+    }
+  }
+
+  currentSelection = { type: 'lovelace', id: lovelaceId };
+  document.getElementById('rightPanelTitle').textContent = view
+    ? (card ? `${view.title} › ${card.label}` : view.title)
+    : t('dashboards.view_history');
+  document.getElementById('rightPanelActions').innerHTML = '';
+  document.getElementById('rightPanel').innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
+
+  try {
+    const response = await fetch(`${API}/lovelace/${encodeURIComponent(lovelaceId)}/history`);
+    const data = await response.json();
+
+    // The server already collapses unchanged versions; also drop the one matching the live dashboard
+    const currentContent = currentLovelaceContent(lovelaceId);
+    currentLovelaceHistory = (data.history || [])
+      .map(entry => ({ ...entry, yamlContent: dumpYaml(entry.content) }))
+      .filter(entry => entry.yamlContent !== currentContent);
+    currentLovelaceHistoryIndex = 0;
+
+    if (currentLovelaceHistory.length === 0) {
+      document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+      renderLovelaceActions();
+      return;
+    }
+
+    displayLovelaceHistory();
+  } catch (error) {
+    console.error('Error loading dashboard history:', error);
+    document.getElementById('rightPanel').innerHTML = `
+          <div class="empty">${t('history.error_loading', { error: error.message })}</div>
+        `;
+  }
+}
+
+function displayLovelaceHistory() {
+  if (currentLovelaceHistory.length === 0) {
+    document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('history.no_changes')}</div>`;
+    return;
+  }
+
+  document.getElementById('rightPanel').innerHTML = `
+        <div class="file-history-viewer">
+          <div class="file-history-header">
+            <div class="file-history-info">
+              <div class="history-position" id="lovelaceHistoryPosition">1 of ${currentLovelaceHistory.length}</div>
+            </div>
+            <div class="file-history-actions">
+              <button class="btn" id="lovelacePrevBtn" onclick="navigateLovelaceHistory(-1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
+              <button class="btn" id="lovelaceNextBtn" onclick="navigateLovelaceHistory(1)" style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+            </div>
+          </div>
+          <div class="diff-view-container" id="lovelaceDiffContent"></div>
+        </div>
+      `;
+
+  loadLovelaceHistoryDiff();
+}
+
+// Card picker, plus the restore button when a whole view is shown (cards can't be restored on their own)
+function renderLovelaceActions(canRestore = false) {
+  const { view, card } = findDashboardItem(currentSelection.id);
+  if (!view) {
+    document.getElementById('rightPanelActions').innerHTML = '';
+    return;
+  }
+
+  const options = [`<option value="${escapeHtml(view.id)}">${t('dashboards.whole_view')}</option>`]
+    .concat(view.cards.map(c => `<option value="${escapeHtml(c.id)}" ${card && card.id === c.id ? 'selected' : ''}>${escapeHtml(String(c.label))}</option>`));
+  const restoreButton = canRestore && !card
+    ? `<button class="btn restore" onclick="restoreLovelaceViewVersion()" title="${t('dashboards.restore_view')}">${t('timeline.restore_commit')}</button>`
+    : '';
+
+  document.getElementById('rightPanelActions').innerHTML = `
+        <select class="sort-select" onchange="showLovelaceHistory(this.value)" title="${t('dashboards.select_card')}">${options.join('')}</select>
+        ${restoreButton}
+      `;
+}
+
+function loadLovelaceHistoryDiff() {
+  const currentCommit = currentLovelaceHistory[currentLovelaceHistoryIndex];
+  updateLovelaceHistoryNavigation();
+
+  let leftContent;
+  let leftLabel;
+
+  if (compareToCurrent) {
+    leftContent = currentLovelaceContent(currentSelection.id);
+    leftLabel = 'Current Version';
+  } else {
+    // Compare against the previous version in the history
+    const parentCommit = currentLovelaceHistory[currentLovelaceHistoryIndex + 1];
+    leftContent = parentCommit ? parentCommit.yamlContent : '';
+    leftLabel = 'Before';
+  }
+
+  // renderDiff takes (right, left)
+  renderDiff(currentCommit.yamlContent, leftContent, document.getElementById('lovelaceDiffContent'), {
+    leftLabel,
+    rightLabel: formatDateForBanner(currentCommit.date),
+    filePath: 'dashboard.yaml'
+  });
+
+  renderLovelaceActions(true);
+}
+
+function navigateLovelaceHistory(direction) {
+  const newIndex = currentLovelaceHistoryIndex + direction;
+  if (newIndex < 0 || newIndex >= currentLovelaceHistory.length) {
+    return; // Out of bounds
+  }
+
+  currentLovelaceHistoryIndex = newIndex;
+  loadLovelaceHistoryDiff();
+}
 
-  // renderDiff expects (commitContent, currentContent) -> generateDiff(currentContent, commitContent)
-  // So we pass (Right, Left) to renderDiff
-  const diffHtml = renderDiff(rightContent, leftContent, document.getElementById('scriptDiffContent'), {
-    leftLabel: leftLabel,
-    rightLabel: rightLabel,
-    startLineOffset: startLine,
-    filePath: 'scripts.yaml'
-  });
+function updateLovelaceHistoryNavigation() {
+  const historyPosition = document.getElementById('lovelaceHistoryPosition');
+  const prevBtn = document.getElementById('lovelacePrevBtn');
+  const nextBtn = document.getElementById('lovelaceNextBtn');
+  if (!historyPosition || !prevBtn || !nextBtn) return;
 
-  if ((diffHtml) || (currentSelection && currentSelection.type === 'deleted_script')) {
-    document.getElementById('rightPanelActions').innerHTML = `<button class="btn restore" onclick="restoreScriptVersion('${escapeHtml(currentSelection.id)}')" title="${t('diff.tooltip_overwrite_script')}">${t('timeline.restore_commit')}</button>`;
+  const currentCommit = currentLovelaceHistory[currentLovelaceHistoryIndex];
+  historyPosition.textContent = `${currentLovelaceHistoryIndex + 1} of ${currentLovelaceHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+
+  prevBtn.disabled = currentLovelaceHistoryIndex === 0;
+  nextBtn.disabled = currentLovelaceHistoryIndex === currentLovelaceHistory.length - 1;
+}
+
+function displayRegistryEntities(entities, lookupId = null) {
+  let html = '';
+
+  // Entity ids only contain [a-z0-9_.], so they are safe inside the onclick
+  if (lookupId) {
+    html += `
+          <div class="file" onclick="showEntityHistory('${lookupId}')" id="entity-${lookupId.replace('.', '-')}">
+            <div class="file-icon"></div>
+            <div class="file-path">
+              <div class="file-name">${t('entities.lookup_history', { entity_id: lookupId })}</div>
+            </div>
+          </div>
+        `;
+  }
+
+  if (entities.length === 0 && !lookupId) {
+    html = `<div class="empty">${t('entities.empty_state')}</div>`;
   } else {
-    document.getElementById('rightPanelActions').innerHTML = '';
+    entities.forEach(entity => {
+      const details = entity.deleted ? t('entities.status_deleted') : (entity.name ? escapeHtml(entity.name) : escapeHtml(entity.platform || ''));
+      html += `
+            <div class="file" onclick="showEntityHistory('${entity.entity_id}')" id="entity-${entity.entity_id.replace('.', '-')}">
+              <div class="file-icon"></div>
+              <div class="file-path">
+                <div class="file-name">${escapeHtml(entity.entity_id)}</div>
+                <div class="file-path-text">${details}</div>
+              </div>
+            </div>
+          `;
+    });
   }
+
+  document.getElementById('leftPanel').innerHTML = html;
+  document.getElementById('rightPanel').innerHTML = `<div class="empty">${t('entities.select_item')}</div>`;
+  document.getElementById('rightPanelActions').innerHTML = '';
+
+  updateKeyboardNavState('entities', Array.from(document.querySelectorAll('.file')));
+  hideFloatingConfirmRestoreButton();
 }
 
-function navigateScriptHistory(direction) {
-  const newIndex = currentScriptHistoryIndex + direction;
+function describeEntityStatus(version) {
+  if (version.deleted) return t('entities.status_deleted');
+  if (version.disabled_by) return t('entities.status_disabled', { by: escapeHtml(version.disabled_by) });
+  return t('entities.status_enabled');
+}
 
-  if (newIndex < 0 || newIndex >= currentScriptHistory.length) {
-    return; // Out of bounds
+async function showEntityHistory(entityId) {
+  document.querySelectorAll('.file').forEach(f => f.classList.remove('selected'));
+
+  const element = document.getElementById('entity-' + entityId.replace('.', '-'));
+  if (element) {
+    element.classList.add('selected');
+    // Update keyboard navigation index to match clicked item
+    const clickedIndex = keyboardNav.items.indexOf(element);
+    if (clickedIndex !== -1) {
+      if (keyboardNav.selectedIndex >= 0 && keyboardNav.items[keyboardNav.selectedIndex]) {
+        keyboardNav.items[keyboardNav.selectedIndex].classList.remove('keyboard-selected');
+      }
+      keyboardNav.selectedIndex = clickedIndex;
+    }
   }
 
-  currentScriptHistoryIndex = newIndex;
-  loadScriptHistoryDiff();
-}
+  currentSelection = { type: 'entity', id: entityId };
+  document.getElementById('rightPanelTitle').textContent = entityId;
+  document.getElementById('rightPanelActions').innerHTML = '';
+  const rightPanel = document.getElementById('rightPanel');
+  rightPanel.innerHTML = `<div class="empty" data-i18n="app.loading">${t('app.loading')}</div>`;
 
-// Helper function to update navigation controls without reloading the diff
-function updateScriptHistoryNavigation() {
-  const historyPosition = document.getElementById('scriptHistoryPosition');
-  const prevBtn = document.getElementById('scriptPrevBtn');
-  const nextBtn = document.getElementById('scriptNextBtn');
+  try {
+    const response = await fetch(`${API}/registry/entity/${encodeURIComponent(entityId)}/history`);
+    const data = await response.json();
 
-  if (historyPosition && prevBtn && nextBtn) {
-    const currentCommit = currentScriptHistory[currentScriptHistoryIndex];
-    if (isScanningHistory) {
-      historyPosition.textContent = `${currentScriptHistoryIndex + 1} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
-    } else {
-      historyPosition.textContent = `${currentScriptHistoryIndex + 1} of ${currentScriptHistory.length} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
+    if (!data.success) {
+      rightPanel.innerHTML = `<div class="empty">${t('entities.not_found', { entity_id: escapeHtml(entityId) })}</div>`;
+      return;
     }
 
-    // Update button states
-    prevBtn.disabled = currentScriptHistoryIndex === 0;
-    nextBtn.disabled = currentScriptHistoryIndex === currentScriptHistory.length - 1;
+    // Newest first; each version lists what it looked like from that commit on.
+    // Registry history is a record only - there is nothing to restore from here
+    let html = `<div class="entity-history"><div class="entity-history-note">${t('entities.read_only_note')}</div>`;
+    data.history.forEach((version, index) => {
+      const previous = data.history[index + 1];
+      const renamed = previous && previous.entity_id !== version.entity_id
+        ? `<div class="rename-badge">${escapeHtml(previous.entity_id)} → ${escapeHtml(version.entity_id)}</div>`
+        : '';
+      const area = version.area_name
+        ? escapeHtml(version.area_name) + (version.area_from_device ? ` ${t('entities.area_from_device')}` : '')
+        : '—';
+
+      html += `
+            <div class="entity-version">
+              <div class="entity-version-date">${formatDateForBanner(version.date)} (${version.hash.substring(0, 8)})</div>
+              ${renamed}
+              <div class="entity-version-fields">
+                <div class="entity-version-label">${t('entities.field_entity_id')}</div><div>${escapeHtml(version.entity_id)}</div>
+                ${version.deleted ? '' : `
+                <div class="entity-version-label">${t('entities.field_name')}</div><div>${escapeHtml(version.name || '—')}</div>
+                <div class="entity-version-label">${t('entities.field_area')}</div><div>${area}</div>
+                <div class="entity-version-label">${t('entities.field_device')}</div><div>${escapeHtml(version.device_name || '—')}</div>`}
+                <div class="entity-version-label">${t('entities.field_status')}</div><div>${describeEntityStatus(version)}</div>
+              </div>
+            </div>
+          `;
+    });
+    html += '</div>';
+    rightPanel.innerHTML = html;
+  } catch (error) {
+    console.error('Error loading entity history:', error);
+    rightPanel.innerHTML = `<div class="empty">${t('history.error_loading', { error: error.message })}</div>`;
   }
 }
 
@@ -4515,7 +6984,7 @@ function displayFileHistory(filePath) {
             </div>
                                           <div class="file-history-actions">
                                             <button class="btn" id="prevBtn" onclick="navigateFileHistory(-1)" ${currentFileHistoryIndex === 0 ? 'disabled' : ''} style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">◀</button>
-                                            <button class="btn" id="nextBtn" onclick="navigateFileHistory(1)" ${currentFileHistoryIndex === currentFileHistory.length - 1 ? 'disabled' : ''} style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
+                                            <button class="btn" id="nextBtn" onclick="navigateFileHistory(1)" ${currentFileHistoryIndex === currentFileHistory.length - 1 && !fileHistoryCursor ? 'disabled' : ''} style="border: 1px solid var(--border-subtle); min-width: 36px; padding: 8px 12px;">▶</button>
                                           </div>          </div>
           <div class="diff-view-container" id="fileDiffContent"></div>
         </div>
@@ -4553,7 +7022,7 @@ async function loadFileHistoryDiff(filePath) {
 
   // Update position indicator
   // Update position indicator
-  if (isScanningHistory) {
+  if (isScanningHistory || fileHistoryCursor) {
     document.getElementById('historyPosition').textContent =
       `${currentFileHistoryIndex + 1} — ${formatDateForBanner(currentCommit.date)} (${currentCommit.hash.substring(0, 8)})`;
   } else {
@@ -4563,10 +7032,13 @@ async function loadFileHistoryDiff(filePath) {
 
   // Update button states
   document.getElementById('prevBtn').disabled = currentFileHistoryIndex === 0;
-  document.getElementById('nextBtn').disabled = currentFileHistoryIndex === currentFileHistory.length - 1;
+  document.getElementById('nextBtn').disabled = currentFileHistoryIndex === currentFileHistory.length - 1 && !fileHistoryCursor;
 
   // Check if this is a newly added file (using status from git log)
   const isNewlyAdded = currentCommit.status === 'A';
+  // Versions from before a rename are under the file's old name
+  const commitPath = currentCommit.file || filePath;
+  const parentPath = currentCommit.oldPath || commitPath;
 
   let leftContent = '';
   let rightContent = '';
@@ -4584,7 +7056,7 @@ async function loadFileHistoryDiff(filePath) {
 
     if (isDeletedFile) {
       // For deleted files, show the historical version content and indicate the file no longer exists
-      const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${currentCommit.hash}`);
+      const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(commitPath)}&commitHash=${currentCommit.hash}`);
       const commitData = await commitResponse.json();
       const commitContent = commitData.success ? commitData.content : '';
 
@@ -4603,7 +7075,7 @@ async function loadFileHistoryDiff(filePath) {
       rightLabel = 'Current Version';
     } else {
       // Normal files: compare current to the version being viewed
-      const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${currentCommit.hash}`);
+      const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(commitPath)}&commitHash=${currentCommit.hash}`);
       const commitData = await commitResponse.json();
       const commitContent = commitData.success ? commitData.content : '';
 
@@ -4615,7 +7087,7 @@ async function loadFileHistoryDiff(filePath) {
   } else {
     // Compare to Current OFF: Compare selected version to its parent (GitHub-style)
     // Get the version content
-    const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${currentCommit.hash}`);
+    const commitResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(commitPath)}&commitHash=${currentCommit.hash}`);
     const commitData = await commitResponse.json();
     const commitContent = commitData.success ? commitData.content : '';
 
@@ -4627,7 +7099,7 @@ async function loadFileHistoryDiff(filePath) {
       rightLabel = formatDateForBanner(currentCommit.date);
     } else {
       // Get the parent commit's version
-      const parentResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(filePath)}&commitHash=${currentCommit.hash}^`);
+      const parentResponse = await fetch(`${API}/git/file-at-commit?filePath=${encodeURIComponent(parentPath)}&commitHash=${currentCommit.hash}^`);
       const parentData = await parentResponse.json();
       const parentContent = parentData.success ? parentData.content : '';
 
@@ -4654,9 +7126,13 @@ async function loadFileHistoryDiff(filePath) {
   }
 }
 
-function navigateFileHistory(direction) {
+async function navigateFileHistory(direction) {
   const newIndex = currentFileHistoryIndex + direction;
 
+  // Past the oldest loaded version - read older pages until there's one to show
+  while (newIndex >= currentFileHistory.length && fileHistoryCursor) {
+    await loadMoreFileHistory();
+  }
   if (newIndex < 0 || newIndex >= currentFileHistory.length) {
     return; // Out of bounds
   }
@@ -4666,6 +7142,9 @@ function navigateFileHistory(direction) {
 
   // Reload the diff for the new position
   loadFileHistoryDiff(filePath);
+
+  // Reaching the oldest loaded version starts reading the next page
+  if (newIndex === currentFileHistory.length - 1 && fileHistoryCursor) loadMoreFileHistory();
 }
 
 async function restoreFileVersion(filePath) {
@@ -4678,7 +7157,7 @@ async function restoreFileVersion(filePath) {
     const response = await fetch(`${API}/restore-file`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ filePath, commitHash: currentCommit.hash })
+      body: JSON.stringify({ filePath, sourcePath: currentCommit.file || filePath, commitHash: currentCommit.hash })
     });
     const data = await response.json();
 
@@ -4812,6 +7291,156 @@ async function restoreScriptVersion(scriptId) {
   }
 }
 
+async function restoreSceneVersion(sceneId) {
+  let scene = allScenes.find(s => s.id === sceneId);
+
+  if (!scene && currentSelection && currentSelection.type === 'deleted_scene' && currentSelection.id === sceneId) {
+    scene = { id: sceneId, name: currentSelection.name };
+  }
+
+  if (!scene) {
+    showNotification('Scene not found', 'error');
+    return;
+  }
+
+  try {
+    const { hash: commitHash } = currentSceneHistory[currentSceneHistoryIndex];
+
+    const response = await fetch(`${API}/scene/${encodeURIComponent(sceneId)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      const key = data.reloaded ? 'scenes.scene_restored_reloaded' : 'scenes.scene_restored';
+      showNotification(t(key, { name: scene.name }));
+      loadScenes();
+    } else {
+      showNotification('Error: ' + (data.error || data.message), 'error');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Error restoring scene: ' + error.message, 'error');
+  }
+}
+
+async function restoreHelperVersion(helperId) {
+  const helper = allHelpers.find(h => h.id === helperId);
+  const name = helper ? helper.name : helperId.split(':').slice(2).join(':');
+
+  try {
+    const { hash: commitHash } = currentHelperHistory[currentHelperHistoryIndex];
+
+    const response = await fetch(`${API}/helper/${encodeURIComponent(helperId)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      // Home Assistant only loads the restored helper on restart
+      showNotification(t('helpers.helper_restored', { name }), 'success', 12000, {
+        label: 'Restart Home Assistant',
+        callback: restartHomeAssistant
+      });
+      loadHelpers();
+    } else {
+      showNotification('Error: ' + (data.error || data.message), 'error');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Error restoring helper: ' + error.message, 'error');
+  }
+}
+
+async function restoreLovelaceViewVersion() {
+  const viewId = currentSelection.id;
+  const { view } = findDashboardItem(viewId);
+  const title = view ? view.title : viewId;
+
+  try {
+    const { hash: commitHash } = currentLovelaceHistory[currentLovelaceHistoryIndex];
+
+    const response = await fetch(`${API}/lovelace/${encodeURIComponent(viewId)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      const key = data.reloaded ? 'dashboards.view_restored_reloaded' : 'dashboards.view_restored';
+      showNotification(t(key, { name: title }));
+      loadDashboards();
+    } else {
+      showNotification('Error: ' + (data.error || data.message), 'error');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Error restoring view: ' + error.message, 'error');
+  }
+}
+
+async function restorePackageDomainVersion() {
+  const packageId = currentSelection.id;
+  const domain = currentPackageDomain;
+  const pkg = allPackages.find(p => p.id === packageId);
+  const name = pkg ? pkg.name : packageId;
+
+  try {
+    const { hash: commitHash } = currentPackageHistory[currentPackageHistoryIndex];
+
+    const response = await fetch(`${API}/package/${encodeURIComponent(packageId)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash, domain })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      const key = data.reloaded ? 'packages.domain_restored_reloaded' : 'packages.domain_restored';
+      showNotification(t(key, { domain, name }));
+      loadPackages();
+    } else {
+      showNotification('Error: ' + (data.error || data.message), 'error');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Error restoring package: ' + error.message, 'error');
+  }
+}
+
+async function restoreIntegrationItemVersion() {
+  const itemId = currentSelection.id;
+  const item = allIntegrationItems.find(i => i.id === itemId);
+  const name = item ? item.name : itemId;
+
+  try {
+    const { hash: commitHash } = currentIntegrationHistory[currentIntegrationHistoryIndex];
+
+    const response = await fetch(`${API}/item/${encodeURIComponent(itemId)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      const key = data.reloaded ? 'integrations.item_restored_reloaded' : 'integrations.item_restored';
+      showNotification(t(key, { name }));
+      loadIntegrationItems();
+    } else {
+      showNotification('Error: ' + (data.error || data.message), 'error');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Error restoring item: ' + error.message, 'error');
+  }
+}
+
 function showModal(file, hash, commitContent, currentContent, diff) {
   document.getElementById('modalTitle').textContent = `Changes in ${file}`;
   document.getElementById('commitInfo').innerHTML =
@@ -4999,6 +7628,11 @@ function generateDiff(oldText, newText, options = {}) {
   // Generate style switcher was removed - now in settings
   const styleSwitcherHtml = '';
 
+  // Structure mode: key-level tree diff computed by the server (non-YAML files fall back to unified)
+  if (diffViewFormat === 'structure' && (!filePath || /\.(yaml|yml|json)$/i.test(filePath))) {
+    return renderStructureDiffPlaceholder(safeOldText, safeNewText, leftLabel, rightLabel);
+  }
+
   // Choose rendering based on user preference
   if (diffViewFormat === 'split') {
     return `
@@ -5034,6 +7668,96 @@ function generateDiff(oldText, newText, options = {}) {
   }
 }
 
+// Structure diff: the placeholder is returned synchronously like the other diff
+// formats, then filled in once the server has computed the tree diff.
+// Both texts ride along in the placeholder and are only sent once it is in the page,
+// so generateDiff() calls that just check for changes never reach the server.
+function renderStructureDiffPlaceholder(oldText, newText, leftLabel, rightLabel) {
+  const escapeAttribute = (text) => escapeHtml(text).replace(/"/g, '&quot;');
+
+  return `
+    <div class="diff-header-unified">
+      <div class="diff-header-text">
+        ${leftLabel} vs ${rightLabel}
+      </div>
+    </div>
+    <div class="diff-viewer-shell ${currentDiffStyle}">
+      <div class="structure-diff" data-old-content="${escapeAttribute(oldText)}" data-new-content="${escapeAttribute(newText)}">
+        <div class="empty">${t('diff.loading_diff')}</div>
+      </div>
+    </div>
+  `;
+}
+
+// Load structure diffs as their placeholders are inserted into the page
+new MutationObserver(() => {
+  document.querySelectorAll('.structure-diff[data-old-content]').forEach(loadStructureDiff);
+}).observe(document.body, { childList: true, subtree: true });
+
+async function loadStructureDiff(container) {
+  const { oldContent, newContent } = container.dataset;
+  container.removeAttribute('data-old-content');
+  container.removeAttribute('data-new-content');
+
+  try {
+    const response = await fetch(`${API}/diff/structure`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ oldContent, newContent })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      container.innerHTML = `<div class="empty">${t('diff.structure_failed', { error: escapeHtml(data.error || '') })}</div>`;
+      return;
+    }
+    container.innerHTML = renderStructureChanges(data.changes);
+  } catch (error) {
+    console.error('Error loading structure diff:', error);
+    container.innerHTML = `<div class="empty">${t('diff.structure_failed', { error: escapeHtml(error.message) })}</div>`;
+  }
+}
+
+function formatStructureValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return json.length > 120 ? `${json.substring(0, 117)}...` : json;
+  }
+  return String(value);
+}
+
+// Render changes as e.g. "trigger[0].at: 07:00 → 07:30"
+function renderStructureChanges(changes) {
+  if (!changes || changes.length === 0) {
+    return `<div class="empty">${t('diff.no_changes_detected')}</div>`;
+  }
+
+  const markers = { added: '+', removed: '−', changed: '~', moved: '↕' };
+
+  return changes.map(change => {
+    const path = escapeHtml(change.path || t('diff.structure_root'));
+    let detail;
+    if (change.type === 'changed') {
+      detail = `${escapeHtml(formatStructureValue(change.oldValue))} → ${escapeHtml(formatStructureValue(change.newValue))}`;
+    } else if (change.type === 'added') {
+      detail = escapeHtml(formatStructureValue(change.newValue));
+    } else if (change.type === 'removed') {
+      detail = escapeHtml(formatStructureValue(change.oldValue));
+    } else {
+      detail = escapeHtml(t('diff.structure_moved', { from: change.from, to: change.to }));
+    }
+
+    return `
+      <div class="structure-diff-row structure-diff-${change.type}">
+        <span class="structure-diff-marker">${markers[change.type] || ''}</span>
+        <span class="structure-diff-path">${path}:</span>
+        <span class="structure-diff-value">${detail}</span>
+      </div>
+    `;
+  }).join('');
+}
+
 // Helper function to render hunks with separators for gaps
 function renderHunksWithSeparators(hunks, format = 'unified', totalLines = 0, diffId = null, startLineOffset = 0) {
   if (hunks.length === 0) return '';
@@ -5538,6 +8262,78 @@ function closeRestorePreview() {
   restorePreviewData = null;
 }
 
+// Pinned versions
+let pinModalHash = null;
+
+function openPinModal(hash) {
+  pinModalHash = hash;
+  const pin = pinsByHash.get(hash);
+  document.getElementById('pinLabel').value = pin ? pin.label : '';
+  document.getElementById('pinNote').value = pin ? pin.note : '';
+  document.getElementById('pinNote').placeholder = t('timeline.pin_note_placeholder');
+  document.getElementById('unpinBtn').style.display = pin ? '' : 'none';
+  document.getElementById('pinModal').classList.add('active');
+  document.getElementById('pinLabel').focus();
+}
+
+function closePinModal() {
+  document.getElementById('pinModal').classList.remove('active');
+  pinModalHash = null;
+}
+
+async function savePin() {
+  const label = document.getElementById('pinLabel').value.trim();
+  const note = document.getElementById('pinNote').value.trim();
+  if (!label) {
+    showNotification(t('timeline.pin_label_required'), 'error');
+    return;
+  }
+
+  const hash = pinModalHash;
+  try {
+    const response = await fetch(`${API}/pins`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ commitHash: hash, label, note })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+
+    closePinModal();
+    showNotification(t('timeline.pinned_success', { label }));
+    await refreshPinnedState(hash);
+  } catch (error) {
+    showNotification(`${t('app.error')}: ${error.message}`, 'error');
+  }
+}
+
+async function unpinVersion() {
+  const hash = pinModalHash;
+  const pin = pinsByHash.get(hash);
+  if (!pin) return;
+
+  try {
+    const response = await fetch(`${API}/pins/${encodeURIComponent(pin.id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+
+    closePinModal();
+    showNotification(t('timeline.unpinned_success', { label: pin.label }));
+    await refreshPinnedState(hash);
+  } catch (error) {
+    showNotification(`${t('app.error')}: ${error.message}`, 'error');
+  }
+}
+
+// Reload the timeline with the new pins and reopen the commit that was pinned
+async function refreshPinnedState(hash) {
+  if (currentMode !== 'timeline') return;
+  await loadTimeline();
+  if (document.getElementById(`commit-${hash}`)) {
+    await showCommit(hash);
+  }
+}
+
 function showNotification(message, type = 'success', duration = 3000, action = null) {
   // Create notification element
   const notification = document.createElement('div');
@@ -5604,6 +8400,8 @@ async function showRestorePreview(filePath, commitHash, commitDate) {
 
     document.getElementById('restoreDiffContent').innerHTML = '<div class="empty">Loading diff...</div>';
     document.getElementById('restorePreviewModal').classList.add('active');
+    // Config check is available for file and commit restores
+    document.getElementById('validateRestoreBtn').style.display = '';
 
     // Get both current file and commit version in parallel
     const [currentResponse, commitResponse] = await Promise.all([
@@ -5661,6 +8459,8 @@ async function showAutomationRestorePreview(automationId, commitHash, commitDate
 
     document.getElementById('restoreDiffContent').innerHTML = '<div class="empty">Loading diff...</div>';
     document.getElementById('restorePreviewModal').classList.add('active');
+    // Config check is available for file and commit restores
+    document.getElementById('validateRestoreBtn').style.display = 'none';
 
     // Get the automation history and find the specific commit
     const response = await fetch(`${API}/automation/${encodeURIComponent(automationId)}/history`);
@@ -5723,6 +8523,8 @@ async function showScriptRestorePreview(scriptId, commitHash, commitDate) {
 
     document.getElementById('restoreDiffContent').innerHTML = '<div class="empty">Loading diff...</div>';
     document.getElementById('restorePreviewModal').classList.add('active');
+    // Config check is available for file and commit restores
+    document.getElementById('validateRestoreBtn').style.display = 'none';
 
     // Get the script history and find the specific commit
     const response = await fetch(`${API}/script/${encodeURIComponent(scriptId)}/history`);
@@ -5788,6 +8590,8 @@ async function showCommitRestorePreview(commitHash, commitDate) {
 
     document.getElementById('restoreDiffContent').innerHTML = '<div class="empty">Loading diff...</div>';
     document.getElementById('restorePreviewModal').classList.add('active');
+    // Config check is available for file and commit restores
+    document.getElementById('validateRestoreBtn').style.display = '';
 
     // First get the list of files in this commit
     const detailsResponse = await fetch(`${API}/git/commit-details?commitHash=${commitHash}`);
@@ -5856,7 +8660,16 @@ async function showCommitRestorePreview(commitHash, commitDate) {
   }
 }
 
-async function doRestore() {
+// Report the result of a validate-only restore (the server has already rolled it back)
+function showConfigCheckResult(configCheck) {
+  if (configCheck && configCheck.checked && configCheck.valid) {
+    showNotification(t('restore_preview.config_valid'), 'success', 5000);
+  } else {
+    showNotification(t('restore_preview.config_check_unavailable', { error: configCheck ? configCheck.errors : '' }), 'error', 6000);
+  }
+}
+
+async function doRestore(validateOnly = false) {
   if (!restorePreviewData) {
     showNotification('No restore data available', 'error');
     return;
@@ -5865,18 +8678,20 @@ async function doRestore() {
   const { filePath, commitHash, automationId, scriptId } = restorePreviewData;
 
   try {
-    console.log(`[UI] Confirming restore...`);
+    console.log(`[UI] ${validateOnly ? 'Validating' : 'Confirming'} restore...`);
 
     if (filePath) {
       // Restore file
       const response = await fetch(`${API}/restore-file`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filePath, commitHash })
+        body: JSON.stringify({ filePath, commitHash, validateOnly })
       });
       const data = await response.json();
 
-      if (data.success) {
+      if (data.success && data.validateOnly) {
+        showConfigCheckResult(data.configCheck);
+      } else if (data.success) {
         const key = data.reloaded ? 'timeline.single_file_restored_reloaded' : 'timeline.single_file_restored';
         const message = t(key).replace('{file}', filePath);
 
@@ -5900,17 +8715,19 @@ async function doRestore() {
       const response = await fetch(`${API}/restore-commit`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ commitHash })
+        body: JSON.stringify({ commitHash, validateOnly })
       });
       const data = await response.json();
 
-      if (data.success) {
+      if (data.success && data.validateOnly) {
+        showConfigCheckResult(data.configCheck);
+      } else if (data.success) {
         // Build message based on what was reloaded
         const files = data.files || [];
         const fileNames = files.join(', ');
 
         let message;
-        if (data.automationReloaded || data.scriptReloaded) {
+        if (data.automationReloaded || data.scriptReloaded || data.sceneReloaded) {
           // Show "restored and reloaded" message like other tabs
           message = t('timeline.files_restored_and_reloaded', { files: fileNames });
         } else {
@@ -6069,7 +8886,7 @@ async function restoreCommit(sourceHash, targetHash) {
 
     if (data.success) {
       let message = '';
-      const isReloaded = data.automationReloaded || data.scriptReloaded;
+      const isReloaded = data.automationReloaded || data.scriptReloaded || data.sceneReloaded;
 
       if (data.files && data.files.length === 1) {
         // Single file restored
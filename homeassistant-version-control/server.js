@@ -17,14 +17,23 @@ import {
   gitBranch,
   gitRevparse,
   gitRmCached,
-  gitResetHead
+  gitResetHead,
+  gitSearchHistory,
+  ereToRegExp,
+  onGitCommit,
+  gitObjectInfo,
+  gitShowBlob,
+  gitBlobsAtCommit,
+  gitCommitChanges,
+  gitLogChanges,
+  gitLogStream,
+  gitReachableBlobs
 } from './utils/git.js';
 import chokidar from 'chokidar';
 import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
 import { execSync } from 'child_process';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -45,8 +54,70 @@ import {
   getAutomationHistoryMetadata,
   getAutomationAtCommit,
   getScriptHistoryMetadata,
-  getScriptAtCommit
+  getScriptAtCommit,
+  extractScenes,
+  getSceneHistory,
+  getSceneHistoryMetadata,
+  getSceneAtCommit,
+  getSceneDiff,
+  restoreScene,
+  getStagedItemChanges,
+  getCommitItemChanges,
+  findDeletedItems,
+  indexItemsInCommit
 } from './automation-parser.js';
+import { structuralDiff, parseYamlForDiff } from './utils/yaml-diff.js';
+import {
+  SCOPES,
+  authenticateRequest,
+  isAllowedOrigin,
+  requiredScope,
+  hasScope,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken
+} from './utils/auth.js';
+import { validateRequest, configureValidation, validateDirectoryPath } from './utils/validate.js';
+import { listPins, createPin, deletePin, remapPins, isValidPinId } from './utils/pins.js';
+import {
+  DEFAULT_RETENTION_TIERS,
+  retentionPeriod,
+  resolveRetentionTiers,
+  describeRetentionTiers,
+  selectTieredCommits
+} from './utils/retention.js';
+import {
+  HELPER_DOMAINS,
+  helperStorePath,
+  helperDomainOf,
+  listHelpers,
+  getHelperHistory,
+  restoreHelper,
+  getStagedHelperChanges
+} from './utils/helpers.js';
+import {
+  REGISTRY_KINDS,
+  REGISTRY_SNAPSHOT_DIR,
+  registrySourcePath,
+  registryKindOfSource,
+  writeRegistrySnapshot,
+  writeRegistrySnapshots,
+  getStagedRegistryChanges,
+  listRegistryEntities,
+  getEntityHistory
+} from './utils/registries.js';
+import {
+  listDashboards,
+  getLovelaceHistory,
+  restoreLovelaceView,
+  getStagedLovelaceChanges
+} from './utils/lovelace.js';
+import { blueprintPathOf, listBlueprints, getBlueprintHistory } from './utils/blueprints.js';
+import { parsePackageId, listPackages, getPackageHistory, restorePackageDomain } from './utils/packages.js';
+import { getExtractor, getExtractorForId, getExtractorDomains } from './utils/extractors.js';
+import { isEsphomeDeviceFile, listEsphomeDevices, getEsphomeDeviceHistory } from './utils/esphome.js';
+import { publishEvent, subscribeEvents } from './utils/events.js';
+import { pruneIndexedItems } from './utils/history-index.js';
 
 // Override console.log and console.error to add timestamps
 const originalConsoleLog = console.log;
@@ -90,23 +161,54 @@ try {
 
 app.use(express.json());
 
+// Requests may not name files excluded from tracking (secrets.yaml, ...)
+configureValidation({ getExcludedFiles: () => runtimeSettings.extensions?.exclude || [] });
+
+// Direct-access authentication
+// Ingress requests are already authenticated by Home Assistant. Everything else needs a
+// scoped API token, a Home Assistant long-lived token or Home Assistant login (Basic auth).
+// On by default for the add-on; Docker installs opt in with DIRECT_ACCESS_AUTH=true.
+// Decided before the server listens, so no request gets in while initRepo() is still starting.
+function readDirectAccessAuthOption() {
+  if (process.env.DIRECT_ACCESS_AUTH === 'true') return true;
+  try {
+    const config = JSON.parse(fs.readFileSync('/data/options.json', 'utf-8'));
+    // Add-on installs protect the direct-access port unless the option is turned off
+    return config.direct_access_auth !== false;
+  } catch (error) {
+    // No options file: not running as an add-on. An unreadable one keeps the port protected.
+    return error.code !== 'ENOENT';
+  }
+}
+
+// Requests from inside the container are trusted only on request (TRUST_LOOPBACK=true or the
+// trust_loopback option), since a reverse proxy on the same host connects from loopback too.
+function readTrustLoopbackOption() {
+  if (process.env.TRUST_LOOPBACK === 'true') return true;
+  try {
+    const config = JSON.parse(fs.readFileSync('/data/options.json', 'utf-8'));
+    return config.trust_loopback === true;
+  } catch {
+    return false;
+  }
+}
+
+const directAccessAuth = readDirectAccessAuthOption();
+const trustLoopback = directAccessAuth && readTrustLoopbackOption();
+console.log(`[init] Direct-access authentication ${directAccessAuth ? 'enabled' : 'disabled'}${trustLoopback ? ' (loopback trusted)' : ''}`);
+
 // CORS middleware for Home Assistant Ingress
 app.use((req, res, next) => {
   // Get the origin from the request
   const origin = req.headers.origin;
 
-  // Allow any localhost variation
-  if (origin && (origin.includes('localhost') ||
-    origin.includes('127.0.0.1') ||
-    origin.includes('192.168.') ||
-    origin.includes('10.') ||
-    origin.includes('172.'))) {
+  // Only allowed origins may send credentials along
+  if (origin && isAllowedOrigin(req, origin, { authEnabled: directAccessAuth })) {
     res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Vary', 'Origin');
   }
 
-  // Allow credentials
-  res.header('Access-Control-Allow-Credentials', 'true');
-
   // Allowed methods and headers
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
@@ -140,6 +242,64 @@ app.use((req, res, next) => {
   next();
 });
 
+// Require credentials on the direct-access port (see readDirectAccessAuthOption)
+app.use(async (req, res, next) => {
+  if (!directAccessAuth) return next();
+  // The container health check
+  if (req.method === 'GET' && req.path === '/api/health') return next();
+
+  try {
+    const identity = await authenticateRequest(req, { getSupervisorToken, trustLoopback });
+    if (!identity) {
+      res.set('WWW-Authenticate', 'Basic realm="Home Assistant Version Control", charset="UTF-8"');
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const scope = requiredScope(req.method, req.path);
+    if (!hasScope(identity.scope, scope)) {
+      console.log(`[auth] Denied ${req.method} ${req.path} for ${identity.via} (needs ${scope})`);
+      return res.status(403).json({
+        success: false,
+        error: `This request needs '${scope}' access, but the credentials only grant '${identity.scope}'`
+      });
+    }
+
+    res.locals.auth = identity;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Announce restore results on the event stream, whichever page or script asked for them
+const RESTORE_EVENT_ROUTE = /^\/api\/(?:(restore-file|restore-commit|git\/hard-reset)|(automation|script|scene|helper|lovelace|package|item)\/([^/]+)\/restore)$/;
+const RESTORE_KINDS = { 'restore-file': 'file', 'restore-commit': 'commit', 'git/hard-reset': 'reset' };
+
+app.use((req, res, next) => {
+  const match = req.method === 'POST' && req.path.match(RESTORE_EVENT_ROUTE);
+  if (!match || req.body?.validateOnly) return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    let id = null;
+    try {
+      id = match[3] ? decodeURIComponent(match[3]) : null;
+    } catch (error) {
+      // Malformed id - the route rejects it
+    }
+    publishEvent('restore', {
+      kind: match[2] || RESTORE_KINDS[match[1]],
+      id,
+      filePath: req.body?.filePath || null,
+      commitHash: req.body?.commitHash || req.body?.sourceHash || null,
+      success: res.statusCode < 400 && body?.success !== false,
+      error: body?.error || null
+    });
+    return json(body);
+  };
+  next();
+});
+
 // Static files - serve public directory at root
 // Add cache control headers for JSON files to prevent stale translations
 app.use((req, res, next) => {
@@ -163,41 +323,51 @@ app.get('/favicon.ico', (req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'images', 'favicon.ico'));
 });
 
-// Helper function to call Home Assistant services via Supervisor API
-async function callHomeAssistantService(domain, service, serviceData = {}) {
-  try {
-    // Try multiple ways to get the supervisor token
-    let supervisorToken = process.env.SUPERVISOR_TOKEN || process.env.HASSIO_TOKEN;
+/**
+ * Find the Supervisor token from the environment or the files the add-on runtime provides
+ * @returns {Promise<string|null>} Token, or null if none is available
+ */
+async function getSupervisorToken() {
+  // Try multiple ways to get the supervisor token
+  let supervisorToken = process.env.SUPERVISOR_TOKEN || process.env.HASSIO_TOKEN;
 
-    // If not in env, try reading from the token file
-    if (!supervisorToken) {
-      try {
-        supervisorToken = await fsPromises.readFile('/run/secrets/supervisor_token', 'utf-8');
-        supervisorToken = supervisorToken.trim();
-      } catch (e) {
-        // Token file doesn't exist
-      }
+  // If not in env, try reading from the token file
+  if (!supervisorToken) {
+    try {
+      supervisorToken = await fsPromises.readFile('/run/secrets/supervisor_token', 'utf-8');
+      supervisorToken = supervisorToken.trim();
+    } catch (e) {
+      // Token file doesn't exist
     }
+  }
 
-    // If still not found, try s6-overlay environment directory (common in HA addons)
-    if (!supervisorToken) {
-      try {
-        supervisorToken = await fsPromises.readFile('/var/run/s6/container_environment/SUPERVISOR_TOKEN', 'utf-8');
-        supervisorToken = supervisorToken.trim();
-      } catch (e) {
-        // s6 env file doesn't exist
-      }
+  // If still not found, try s6-overlay environment directory (common in HA addons)
+  if (!supervisorToken) {
+    try {
+      supervisorToken = await fsPromises.readFile('/var/run/s6/container_environment/SUPERVISOR_TOKEN', 'utf-8');
+      supervisorToken = supervisorToken.trim();
+    } catch (e) {
+      // s6 env file doesn't exist
     }
+  }
 
-    // Try HASSIO_TOKEN from s6 as well
-    if (!supervisorToken) {
-      try {
-        supervisorToken = await fsPromises.readFile('/var/run/s6/container_environment/HASSIO_TOKEN', 'utf-8');
-        supervisorToken = supervisorToken.trim();
-      } catch (e) {
-        // s6 env file doesn't exist
-      }
+  // Try HASSIO_TOKEN from s6 as well
+  if (!supervisorToken) {
+    try {
+      supervisorToken = await fsPromises.readFile('/var/run/s6/container_environment/HASSIO_TOKEN', 'utf-8');
+      supervisorToken = supervisorToken.trim();
+    } catch (e) {
+      // s6 env file doesn't exist
     }
+  }
+
+  return supervisorToken || null;
+}
+
+// Helper function to call Home Assistant services via Supervisor API
+async function callHomeAssistantService(domain, service, serviceData = {}) {
+  try {
+    const supervisorToken = await getSupervisorToken();
 
     if (!supervisorToken) {
       console.log('[HA API] SUPERVISOR_TOKEN not available, skipping service call');
@@ -267,6 +437,183 @@ async function callHomeAssistantService(domain, service, serviceData = {}) {
   }
 }
 
+/**
+ * Fire an event on Home Assistant's event bus
+ * @param {string} eventType - e.g. 'lovelace_updated'
+ * @param {Object} [eventData] - Event data
+ * @returns {Promise<Object>} { success, error }
+ */
+async function fireHomeAssistantEvent(eventType, eventData = {}) {
+  const supervisorToken = await getSupervisorToken();
+  if (!supervisorToken) {
+    console.log(`[HA API] SUPERVISOR_TOKEN not available, skipping ${eventType} event`);
+    return { success: false, error: 'SUPERVISOR_TOKEN not available' };
+  }
+
+  const haUrl = process.env.HA_URL;
+  const url = haUrl
+    ? `${haUrl.replace(/\/$/, '')}/api/events/${eventType}`
+    : `http://supervisor/core/api/events/${eventType}`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${supervisorToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(eventData),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[HA API] Firing ${eventType} failed: ${response.status} ${errorText}`);
+      return { success: false, error: `HTTP ${response.status}: ${errorText}` };
+    }
+    console.log(`[HA API] Fired ${eventType}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`[HA API] Error firing ${eventType}:`, error.message);
+    return { success: false, error: error.name === 'TimeoutError' ? 'Request timeout' : error.message };
+  }
+}
+
+/**
+ * Ask Home Assistant to validate its configuration
+ * Add-on mode uses the Supervisor core check, Docker mode (HA_URL) the core check_config API.
+ * @returns {Promise<Object>} { checked, valid, errors } - checked is false if HA couldn't be asked
+ */
+async function checkHomeAssistantConfig() {
+  const supervisorToken = await getSupervisorToken();
+  if (!supervisorToken) {
+    console.log('[config-check] SUPERVISOR_TOKEN not available, skipping config check');
+    return { checked: false, valid: null, errors: 'SUPERVISOR_TOKEN not available' };
+  }
+
+  const haUrl = process.env.HA_URL;
+  const url = haUrl
+    ? `${haUrl.replace(/\/$/, '')}/api/config/core/check_config`
+    : 'http://supervisor/core/check';
+
+  console.log('[config-check] Checking Home Assistant configuration...');
+
+  // A full config check can take a while on slower hardware
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 120000);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${supervisorToken}`,
+        'Content-Type': 'application/json'
+      },
+      signal: controller.signal
+    });
+    clearTimeout(timeoutId);
+
+    const bodyText = await response.text();
+    let body = {};
+    try {
+      body = JSON.parse(bodyText);
+    } catch (e) {
+      // Non-JSON error page
+    }
+
+    // Supervisor: { result: 'ok' } or { result: 'error', message }
+    // Core API:   { result: 'valid' } or { result: 'invalid', errors }
+    if (body.result === 'ok' || body.result === 'valid') {
+      console.log('[config-check] Configuration is valid');
+      return { checked: true, valid: true, errors: null };
+    }
+    if (body.result === 'error' || body.result === 'invalid') {
+      const errors = body.errors || body.message || 'Configuration is invalid';
+      console.log(`[config-check] Configuration is invalid: ${errors}`);
+      return { checked: true, valid: false, errors };
+    }
+
+    console.error(`[config-check] Unexpected response: ${response.status} ${bodyText}`);
+    return { checked: false, valid: null, errors: `HTTP ${response.status}: ${bodyText}` };
+  } catch (error) {
+    clearTimeout(timeoutId);
+    const message = error.name === 'AbortError' ? 'Config check timed out' : error.message;
+    console.error(`[config-check] Error: ${message}`);
+    return { checked: false, valid: null, errors: message };
+  }
+}
+
+/**
+ * Apply a restore, then roll it back if Home Assistant rejects the resulting config
+ * Auto-commits are held while this runs so a rolled-back restore never lands in history.
+ * @param {Array<string>} files - Paths (relative to CONFIG_PATH) the restore may write
+ * @param {Function} apply - Async function that performs the restore
+ * @param {Object} options - { validateOnly: roll back after checking, even if the config is valid }
+ * @returns {Promise<Object>} { checked, valid, errors, rolledBack }
+ */
+async function applyWithConfigCheck(files, apply, { validateOnly = false } = {}) {
+  autoCommitHold++;
+  try {
+    // Snapshot current content (null = file didn't exist)
+    const snapshot = new Map();
+    for (const file of files) {
+      const fullPath = path.join(CONFIG_PATH, file);
+      snapshot.set(fullPath, fs.existsSync(fullPath) ? await fsPromises.readFile(fullPath) : null);
+    }
+
+    const rollBack = async () => {
+      for (const [fullPath, content] of snapshot) {
+        try {
+          if (content === null) {
+            await fsPromises.rm(fullPath, { force: true });
+          } else {
+            await fsPromises.writeFile(fullPath, content);
+          }
+        } catch (error) {
+          console.error(`[config-check] CRITICAL: Could not roll back ${fullPath}: ${error.message}`);
+        }
+      }
+      console.log(`[config-check] Rolled back ${snapshot.size} file(s)`);
+    };
+
+    try {
+      await apply();
+    } catch (error) {
+      await rollBack();
+      throw error;
+    }
+
+    const check = await checkHomeAssistantConfig();
+    const shouldRollBack = validateOnly || (check.checked && !check.valid);
+    if (shouldRollBack) {
+      await rollBack();
+    }
+
+    return { ...check, rolledBack: shouldRollBack };
+  } finally {
+    autoCommitHold--;
+  }
+}
+
+/**
+ * File an item restore writes: automation, script, scene, helper, dashboard and integration
+ * item ids all name it as their second part ("<kind>:<encoded file>:...")
+ * @param {string} itemId - Item id
+ * @returns {string} Path relative to CONFIG_PATH
+ */
+function itemFileOf(itemId) {
+  return decodeURIComponent(itemId.split(':')[1]).replace(/^\//, '');
+}
+
+/**
+ * Format a failed config check as an error message
+ * @param {Object} configCheck - Result from applyWithConfigCheck()
+ * @returns {string} Error message
+ */
+function formatConfigCheckError(configCheck) {
+  const errors = Array.isArray(configCheck.errors) ? configCheck.errors.join('; ') : configCheck.errors;
+  return `Home Assistant configuration check failed, changes were rolled back: ${errors}`;
+}
+
 // Restart Home Assistant endpoint
 app.post('/api/ha/restart', async (req, res) => {
   try {
@@ -329,9 +676,9 @@ let runtimeSettings = {
   debounceTime: 3,
   debounceTimeUnit: 'seconds',
   historyRetention: false,
-  retentionType: 'age', // 'count' or 'age'
+  retentionType: 'time', // 'time', 'versions' or 'tiered'
   retentionValue: 30,
-  retentionUnit: 'days', // for age type
+  retentionUnit: 'days', // for time type
   // Cloud Sync Settings
   cloudSync: {
     enabled: false,
@@ -350,7 +697,11 @@ let runtimeSettings = {
   extensions: {
     include: ['yaml', 'yml'], // File extensions to track
     exclude: ['secrets.yaml'] // Specific files to ignore (always ignored regardless of extension)
-  }
+  },
+  // Track UI-managed helpers (.storage/input_boolean, ...) - off by default
+  trackHelpers: false,
+  // Keep snapshots of the entity, device and area registries - off by default
+  trackRegistries: false
 };
 
 // Global lock for cleanup operations
@@ -386,6 +737,17 @@ function getConfiguredExtensions() {
   return extensions;
 }
 
+/**
+ * Whether a file under .storage is tracked
+ * Lovelace dashboards always are; helper stores only when helper tracking is on.
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {boolean}
+ */
+function isTrackedStorageFile(relativePath) {
+  if (relativePath.startsWith('.storage/lovelace')) return true;
+  return runtimeSettings.trackHelpers === true && helperDomainOf(relativePath) !== null;
+}
+
 /**
  * Generate .gitignore content based on configured extensions
  * @returns {string} .gitignore file content
@@ -429,6 +791,20 @@ function generateGitignoreContent(extraIgnores = [], extensions = null) {
   content += `!.storage/lovelace_resources\n`;
   content += `!.storage/lovelace.*\n`;
 
+  // Add helper storage files (opt-in)
+  if (runtimeSettings.trackHelpers) {
+    content += `\n# Track UI-managed helpers\n`;
+    for (const domain of HELPER_DOMAINS) {
+      content += `!${helperStorePath(domain)}\n`;
+    }
+  }
+
+  // Add registry snapshots (opt-in) - the registries themselves stay ignored
+  if (runtimeSettings.trackRegistries) {
+    content += `\n# Track entity, device and area registry snapshots\n`;
+    content += `!${REGISTRY_SNAPSHOT_DIR}/*.json\n`;
+  }
+
   // End managed section
   content += `${MANAGED_END}\n`;
 
@@ -478,6 +854,50 @@ function formatCommitMessage(status, fallbackName = null) {
   }
 }
 
+/**
+ * Build a commit message describing which automations, scripts and scenes changed
+ * The subject reads e.g. "Automation 'Morning lights' modified; script 'bedtime' added".
+ * The body carries one "Changed-Item:" trailer (JSON) per item and one "Changed-File:"
+ * trailer per file, which the frontend parses for search and history.
+ * Changes with a "from" read as renames, e.g. "Entity 'sensor.a' renamed to 'sensor.b'".
+ * @param {Array} changes - Item changes from getStagedItemChanges()
+ * @param {Array<string>} stagedFiles - Staged file labels (as used for the plain message)
+ * @param {string} fallbackMessage - File-based message used when no items changed
+ * @returns {string} Commit message (subject, blank line, trailers)
+ */
+function formatSemanticCommitMessage(changes, stagedFiles, fallbackMessage) {
+  const MAX_SUBJECT_ITEMS = 3;
+  let subject = fallbackMessage;
+
+  if (changes.length > 0) {
+    const parts = changes.slice(0, MAX_SUBJECT_ITEMS).map(change => change.from !== undefined
+      ? `${change.type} '${change.from}' ${change.action} to '${change.name}'`
+      : `${change.type} '${change.name}' ${change.action}`);
+    if (changes.length > MAX_SUBJECT_ITEMS) {
+      parts.push(`${changes.length - MAX_SUBJECT_ITEMS} more`);
+    }
+
+    // Mention files that changed outside of any automation/script/scene
+    const itemFiles = new Set(changes.map(change => change.file));
+    const otherFiles = stagedFiles.filter(label => !itemFiles.has(label.split(' → ').pop()));
+    if (otherFiles.length === 1) {
+      parts.push(otherFiles[0]);
+    } else if (otherFiles.length > 1) {
+      parts.push(`${otherFiles.length} other files`);
+    }
+
+    subject = parts.join('; ');
+    subject = subject.charAt(0).toUpperCase() + subject.slice(1);
+  }
+
+  const trailers = [
+    ...changes.map(change => `Changed-Item: ${JSON.stringify(change)}`),
+    ...stagedFiles.map(label => `Changed-File: ${label}`)
+  ];
+
+  return `${subject}\n\n${trailers.join('\n')}`;
+}
+
 async function loadRuntimeSettings() {
   try {
     const settingsPath = '/data/runtime-settings.json';
@@ -494,6 +914,12 @@ async function loadRuntimeSettings() {
     const settings = JSON.parse(settingsData);
     runtimeSettings = { ...runtimeSettings, ...settings };
 
+    // Settings saved with the old default type names
+    const legacyRetentionTypes = { age: 'time', count: 'versions' };
+    if (legacyRetentionTypes[runtimeSettings.retentionType]) {
+      runtimeSettings.retentionType = legacyRetentionTypes[runtimeSettings.retentionType];
+    }
+
     // Ensure cloudSync exists
     if (!runtimeSettings.cloudSync) {
       runtimeSettings.cloudSync = {
@@ -692,6 +1118,15 @@ async function initRepo() {
     // Initialize git with the correct path
     global.CONFIG_PATH = CONFIG_PATH;
 
+    // Keep the history index current so automation and script history opens without parsing
+    onGitCommit(commitHash => indexItemsInCommit(commitHash, CONFIG_PATH));
+    onGitCommit(async (commitHash) => {
+      const { latest } = await gitLog({ from: commitHash, maxCount: 1 });
+      if (latest) {
+        publishEvent('commit', { hash: latest.hash, short: latest.short, message: latest.message, date: latest.date });
+      }
+    });
+
     // Check if directory exists
     try {
       await fsPromises.access(CONFIG_PATH);
@@ -877,10 +1312,54 @@ app.get('/api/app-settings', async (req, res) => {
     haAuthConfigured: false,
     liveConfigPath: CONFIG_PATH,
     backupFolderPath: null,
-    haCredentialsSource: 'none'
+    haCredentialsSource: 'none',
+    directAccessAuth
   });
 });
 
+// List API tokens
+app.get('/api/auth/tokens', async (req, res) => {
+  try {
+    res.json({ success: true, tokens: await listApiTokens() });
+  } catch (error) {
+    console.error('[auth] Error listing tokens:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Issue a scoped API token - the token is only returned once
+app.post('/api/auth/tokens', async (req, res) => {
+  try {
+    const { name, scope } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return res.status(400).json({ success: false, error: 'name is required (max 100 characters)' });
+    }
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ success: false, error: `scope must be one of: ${SCOPES.join(', ')}` });
+    }
+
+    const { token, info } = await createApiToken(name.trim(), scope);
+    res.json({ success: true, token, info });
+  } catch (error) {
+    console.error('[auth] Error creating token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an API token
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try {
+    const removed = await revokeApiToken(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[auth] Error revoking token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get runtime settings
 app.get('/api/runtime-settings', async (req, res) => {
   try {
@@ -919,7 +1398,10 @@ app.post('/api/runtime-settings', async (req, res) => {
     }
 
     if (newSettings.retentionType !== undefined) {
-      runtimeSettings.retentionType = newSettings.retentionType;
+      const validTypes = ['time', 'versions', 'tiered'];
+      if (validTypes.includes(newSettings.retentionType)) {
+        runtimeSettings.retentionType = newSettings.retentionType;
+      }
     }
 
     if (newSettings.retentionValue !== undefined) {
@@ -957,6 +1439,24 @@ app.post('/api/runtime-settings', async (req, res) => {
       }
     }
 
+    if (newSettings.trackHelpers !== undefined && newSettings.trackHelpers !== runtimeSettings.trackHelpers) {
+      runtimeSettings.trackHelpers = newSettings.trackHelpers === true;
+      try {
+        await configureHelperTracking(runtimeSettings.trackHelpers);
+      } catch (error) {
+        console.error('[settings] Failed to update helper tracking:', error);
+      }
+    }
+
+    if (newSettings.trackRegistries !== undefined && newSettings.trackRegistries !== runtimeSettings.trackRegistries) {
+      runtimeSettings.trackRegistries = newSettings.trackRegistries === true;
+      try {
+        await configureRegistryTracking(runtimeSettings.trackRegistries);
+      } catch (error) {
+        console.error('[settings] Failed to update registry snapshots:', error);
+      }
+    }
+
     // Save to file
     await saveRuntimeSettings();
 
@@ -997,13 +1497,12 @@ app.get('/api/files', async (req, res) => {
         if (entry.isDirectory() && !entry.name.startsWith('.git') && !entry.name.startsWith('node_modules')) {
           files.push(...await walkDir(fullPath, relPath));
         } else if (entry.isFile()) {
-          // Check if file matches any of the configured extensions or is a lovelace file
+          // Check if file matches any of the configured extensions or is a tracked .storage file
           const matchesExtension = allowedExtensions.some(ext =>
             entry.name.toLowerCase().endsWith(ext)
           );
-          const isLovelaceFile = relPath.startsWith('.storage/lovelace');
 
-          if (matchesExtension || isLovelaceFile) {
+          if (matchesExtension || isTrackedStorageFile(relPath)) {
             // Get file stats for mtime
             try {
               const stats = await fsPromises.stat(fullPath);
@@ -1053,20 +1552,36 @@ app.get('/api/files/deleted', async (req, res) => {
     // Get unique file paths from history
     const historicalFileSet = new Set(allHistoricalFiles);
 
+    // Map renamed files to their new location so moved files aren't reported as deleted
+    const renameOutput = await gitRaw(['log', '--all', '-M', '--name-status', '--pretty=format:', '--diff-filter=R']);
+    const renamedTo = new Map();
+    for (const line of renameOutput.split('\n')) {
+      const [statusCode, fromPath, toPath] = line.split('\t');
+      if (statusCode && statusCode.startsWith('R') && fromPath && toPath && !renamedTo.has(fromPath)) {
+        renamedTo.set(fromPath, toPath);
+      }
+    }
+
     // Filter to only include configured extensions
     const allowedExtensions = getConfiguredExtensions();
     const deletedFiles = [];
 
     for (const filePath of historicalFileSet) {
-      // Check if file matches allowed extensions or is lovelace file
+      // Check if file matches allowed extensions or is a tracked .storage file
       const matchesExtension = allowedExtensions.some(ext => filePath.toLowerCase().endsWith(ext));
-      const isLovelaceFile = filePath.startsWith('.storage/lovelace');
+      const isStorageFile = isTrackedStorageFile(filePath);
 
       // Check if file exists on disk (using absolute path)
       const absolutePath = path.join(CONFIG_PATH, filePath);
       const fileExistsOnDisk = fs.existsSync(absolutePath);
 
-      if ((matchesExtension || isLovelaceFile) && !fileExistsOnDisk) {
+      // Skip files whose most recent move landed on a path that still exists
+      const movedTo = renamedTo.get(filePath);
+      if (movedTo && fs.existsSync(path.join(CONFIG_PATH, movedTo))) {
+        continue;
+      }
+
+      if ((matchesExtension || isStorageFile) && !fileExistsOnDisk) {
         // File was tracked but no longer exists - find when it was last seen
         try {
           const lastCommitOutput = await gitRaw(['log', '-1', '--format=%H|%aI|%s', '--', filePath]);
@@ -1104,103 +1619,7 @@ app.get('/api/automations/deleted', async (req, res) => {
     ensureGitInitialized();
     console.log('[deleted-automations] Scanning git history for deleted automations...');
 
-    // Get current automations
-    const currentAutomations = await extractAutomations(CONFIG_PATH);
-    const currentAutomationIds = new Set(currentAutomations.map(a => a.id));
-
-    // Get all commits that touched automation files
-    const { automationPaths } = await getConfigFilePaths(CONFIG_PATH);
-    const allAutomationIds = new Map(); // id -> { name, file, lastSeenDate, lastSeenHash }
-
-    // Scan each automation file's history
-    for (const filePath of automationPaths) {
-      const relPath = path.relative(CONFIG_PATH, filePath);
-      try {
-        // Get commit history for this file
-        const logOutput = await gitRaw(['log', '--format=%H|%aI', '--', relPath]);
-        const commits = logOutput.trim().split('\n').filter(l => l);
-
-        for (const commitLine of commits.slice(0, 50)) { // Limit to 50 commits per file for performance
-          const [hash, date] = commitLine.split('|');
-          try {
-            // Get file content at this commit
-            const content = await gitShowFileAtCommit(hash, relPath);
-            if (content) {
-              // Parse YAML to find automation IDs
-              const parsed = yaml.load(content);
-              const automations = Array.isArray(parsed) ? parsed : (parsed && parsed.automations ? parsed.automations : []);
-
-              const isArray = Array.isArray(automations);
-              const collection = isArray ? automations : (typeof automations === 'object' ? automations : {});
-
-              if (isArray) {
-                collection.forEach((auto, index) => {
-                  if (auto && typeof auto === 'object' && auto.alias) {
-                    const uniqueId = auto.id || index;
-                    const fullId = `automations:${encodeURIComponent(relPath)}:${uniqueId}`;
-
-                    if (!currentAutomationIds.has(fullId)) {
-                      // Double check: if we used index, maybe the current version has a UUID now?
-                      // But we can't easily check that without loading the current automation content again.
-                      // For now, relying on the ID format consistency should fix the main "everything deleted" bug.
-                      // Also check if the raw ID exists in current set if available
-                      // This is tricky because currentAutomationIds IS the set of full IDs.
-
-                      // Attempt to match by raw ID if available, as a fallback?
-                      // No, extractAutomations puts UUID in the ID if available. 
-                      // So if history has UUID, fullId uses UUID. Current has UUID, fullId uses UUID. It matches.
-
-                      const existing = allAutomationIds.get(fullId);
-                      if (!existing || new Date(date) > new Date(existing.lastSeenDate)) {
-                        allAutomationIds.set(fullId, {
-                          id: fullId,
-                          rawId: auto.id,
-                          name: auto.alias || 'Unknown Automation',
-                          file: relPath,
-                          lastSeenDate: date,
-                          lastSeenHash: hash
-                        });
-                      }
-                    }
-                  }
-                });
-              } else {
-                // Object format
-                Object.keys(collection).forEach(key => {
-                  const auto = collection[key];
-                  if (auto && typeof auto === 'object' && auto.alias) {
-                    const uniqueId = auto.id || key;
-                    const fullId = `automations:${encodeURIComponent(relPath)}:${uniqueId}`;
-
-                    if (!currentAutomationIds.has(fullId)) {
-                      const existing = allAutomationIds.get(fullId);
-                      if (!existing || new Date(date) > new Date(existing.lastSeenDate)) {
-                        allAutomationIds.set(fullId, {
-                          id: fullId,
-                          rawId: auto.id,
-                          name: auto.alias || key,
-                          file: relPath,
-                          lastSeenDate: date,
-                          lastSeenHash: hash
-                        });
-                      }
-                    }
-                  }
-                });
-              }
-            }
-          } catch (e) {
-            // Skip commits where file/parsing fails
-          }
-        }
-      } catch (e) {
-        console.log(`[deleted-automations] Error scanning ${relPath}:`, e.message);
-      }
-    }
-
-    // Convert to array and sort by last seen date
-    const deletedAutomations = Array.from(allAutomationIds.values());
-    deletedAutomations.sort((a, b) => new Date(b.lastSeenDate) - new Date(a.lastSeenDate));
+    const deletedAutomations = await findDeletedItems('automation', CONFIG_PATH);
 
     console.log(`[deleted-automations] Found ${deletedAutomations.length} deleted automations`);
     res.json({ success: true, automations: deletedAutomations });
@@ -1216,93 +1635,7 @@ app.get('/api/scripts/deleted', async (req, res) => {
     ensureGitInitialized();
     console.log('[deleted-scripts] Scanning git history for deleted scripts...');
 
-    // Get current scripts
-    const currentScripts = await extractScripts(CONFIG_PATH);
-    const currentScriptIds = new Set(currentScripts.map(s => s.id));
-
-    // Get all commits that touched script files
-    const { scriptPaths } = await getConfigFilePaths(CONFIG_PATH);
-    const allScriptIds = new Map(); // id -> { name, file, lastSeenDate, lastSeenHash }
-
-    // Scan each script file's history
-    for (const filePath of scriptPaths) {
-      const relPath = path.relative(CONFIG_PATH, filePath);
-      try {
-        // Get commit history for this file
-        const logOutput = await gitRaw(['log', '--format=%H|%aI', '--', relPath]);
-        const commits = logOutput.trim().split('\n').filter(l => l);
-
-        for (const commitLine of commits.slice(0, 50)) { // Limit to 50 commits per file for performance
-          const [hash, date] = commitLine.split('|');
-          try {
-            // Get file content at this commit
-            const content = await gitShowFileAtCommit(hash, relPath);
-            if (content) {
-              // Parse YAML to find script IDs
-              const parsed = yaml.load(content);
-              if (parsed && typeof parsed === 'object') {
-                // Standard scripts.yaml is an object key->config
-                // But could technically be an array in some split configs? safely assume object for now as per previous logic
-                // Actually extractScripts handles arrays too. Let's start with Object support as that's standard for scripts.yaml
-
-                // Support array if it happens (though rare for scripts)
-                if (Array.isArray(parsed)) {
-                  parsed.forEach((script, index) => {
-                    if (script && script.alias) {
-                      const uniqueId = script.id || index;
-                      const fullId = `scripts:${encodeURIComponent(relPath)}:${uniqueId}`;
-                      if (!currentScriptIds.has(fullId)) {
-                        const existing = allScriptIds.get(fullId);
-                        if (!existing || new Date(date) > new Date(existing.lastSeenDate)) {
-                          allScriptIds.set(fullId, {
-                            id: fullId,
-                            rawId: script.id,
-                            name: script.alias || 'Unknown Script',
-                            file: relPath,
-                            lastSeenDate: date,
-                            lastSeenHash: hash
-                          });
-                        }
-                      }
-                    }
-                  });
-                } else {
-                  for (const [key, scriptConfig] of Object.entries(parsed)) {
-                    // scriptConfig might be null or not have alias
-                    if (scriptConfig && typeof scriptConfig === 'object') {
-                      const uniqueId = scriptConfig.id || key;
-                      const fullId = `scripts:${encodeURIComponent(relPath)}:${uniqueId}`;
-
-                      if (!currentScriptIds.has(fullId)) {
-                        const existing = allScriptIds.get(fullId);
-                        if (!existing || new Date(date) > new Date(existing.lastSeenDate)) {
-                          allScriptIds.set(fullId, {
-                            id: fullId,
-                            rawId: scriptConfig.id,
-                            name: scriptConfig.alias || key,
-                            file: relPath,
-                            lastSeenDate: date,
-                            lastSeenHash: hash
-                          });
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          } catch (e) {
-            // Skip commits where file/parsing fails
-          }
-        }
-      } catch (e) {
-        console.log(`[deleted-scripts] Error scanning ${relPath}:`, e.message);
-      }
-    }
-
-    // Convert to array and sort by last seen date
-    const deletedScripts = Array.from(allScriptIds.values());
-    deletedScripts.sort((a, b) => new Date(b.lastSeenDate) - new Date(a.lastSeenDate));
+    const deletedScripts = await findDeletedItems('script', CONFIG_PATH);
 
     console.log(`[deleted-scripts] Found ${deletedScripts.length} deleted scripts`);
     res.json({ success: true, scripts: deletedScripts });
@@ -1312,35 +1645,282 @@ app.get('/api/scripts/deleted', async (req, res) => {
   }
 });
 
-// Git History
-app.get('/api/git/history', async (req, res) => {
+// Get deleted scenes (scenes that exist in git history but not in current config)
+app.get('/api/scenes/deleted', async (req, res) => {
   try {
-    const log = await gitLog({ maxCount: 50 });
-    res.json({ success: true, log });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    ensureGitInitialized();
+    console.log('[deleted-scenes] Scanning git history for deleted scenes...');
 
-// Git Commit Details
-app.get('/api/git/commit-details', async (req, res) => {
-  try {
-    const { commitHash } = req.query;
-    const status = await gitCommitDetails(commitHash);
-    res.json({ success: true, status });
+    const deletedScenes = await findDeletedItems('scene', CONFIG_PATH);
+
+    console.log(`[deleted-scenes] Found ${deletedScenes.length} deleted scenes`);
+    res.json({ success: true, scenes: deletedScenes });
   } catch (error) {
+    console.error('[deleted-scenes] Error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Manually add all untracked files and commit
-app.post('/api/git/add-all-and-commit', async (req, res) => {
-  try {
-    ensureGitInitialized();
-    console.log('[add-all-and-commit] Adding all config files and committing...');
-    const configFiles = await getConfigFiles();
-    console.log(`[add-all-and-commit] Found ${configFiles.length} config files to add`);
-    await gitAdd(configFiles);
+/**
+ * Read the page size of a history request
+ * @param {string|undefined} value - The limit query parameter
+ * @param {number} fallback - Page size when no limit is given
+ * @param {number} max - Largest page allowed
+ * @returns {number|null} The limit, or null if it isn't a whole number from 1 to max
+ */
+function readPageLimit(value, fallback, max) {
+  const limit = value === undefined ? fallback : Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= max ? limit : null;
+}
+
+// History queries take the same paging parameters:
+//   cursor - continue after this commit (the previous page's nextCursor)
+//   before / after - only commits made in this date range
+const HISTORY_PAGE_FIELDS = { cursor: 'commit?', before: 'date?', after: 'date?' };
+
+// git log options for a page; one extra commit tells whether there's another page
+function historyPageOptions(query, limit) {
+  const { cursor, before, after } = query;
+  return { from: cursor, skip: cursor ? 1 : 0, before, after, maxCount: limit + 1 };
+}
+
+// Live events as Server-Sent Events: 'commit' (a new version), 'restore' (result of a restore),
+// 'retention' (cleanup progress) and 'push' (cloud push result)
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Ingress goes through nginx, which would otherwise hold events back
+  });
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = Number(req.headers['last-event-id']);
+  const unsubscribe = subscribeEvents(event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }, Number.isInteger(lastEventId) ? lastEventId : null);
+
+  // Comments keep proxies from closing a quiet connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Git History
+app.get('/api/git/history', validateRequest(HISTORY_PAGE_FIELDS), async (req, res) => {
+  try {
+    const limit = readPageLimit(req.query.limit, 50, 500);
+    if (limit === null) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 500' });
+    }
+    const log = await gitLog(historyPageOptions(req.query, limit));
+    const nextCursor = log.all.length > limit ? log.all[limit - 1].hash : null;
+    log.all = log.all.slice(0, limit);
+    log.latest = log.all[0] || null;
+    log.total = log.all.length;
+    res.json({ success: true, log, nextCursor });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The whole history (or one file's) as newline-delimited JSON, one commit per line, with no
+// count limit. Takes filePath, cursor, before and after like the paged endpoints.
+app.get('/api/git/history/stream', validateRequest({ filePath: 'path?', ...HISTORY_PAGE_FIELDS }), async (req, res) => {
+  try {
+    ensureGitInitialized();
+    const { filePath, cursor, before, after } = req.query;
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+
+    // Wait for the client to take each line before reading more from git; whichever of
+    // drain and close comes first removes the other listener, so they don't pile up
+    const writeLine = value => new Promise(resolve => {
+      if (res.destroyed || res.write(`${JSON.stringify(value)}\n`)) return resolve();
+      const settle = () => {
+        res.off('drain', settle);
+        res.off('close', settle);
+        resolve();
+      };
+      res.once('drain', settle);
+      res.once('close', settle);
+    });
+    const stream = gitLogStream({ file: filePath, from: cursor, skip: cursor ? 1 : 0, before, after }, writeLine);
+    res.on('close', () => stream.cancel());
+    await stream.done;
+    res.end();
+  } catch (error) {
+    console.error('[history-stream] Error:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    // Already streaming - end with an error line the client can recognise
+    res.end(`${JSON.stringify({ success: false, error: error.message })}\n`);
+  }
+});
+
+// A page of the Timeline: each commit with the files it changed (line counts, and whether the
+// file on disk still differs from that version) and the automations, scripts and scenes it touched
+app.get('/api/git/timeline', validateRequest(HISTORY_PAGE_FIELDS), async (req, res) => {
+  try {
+    ensureGitInitialized();
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const limit = readPageLimit(req.query.limit, 50, 200);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ success: false, error: 'offset must be a non-negative integer' });
+    }
+    if (limit === null) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 200' });
+    }
+
+    const options = historyPageOptions(req.query, limit);
+    const page = await gitLogChanges({ ...options, skip: options.skip + offset });
+    const hasMore = page.length > limit;
+    const commits = page.slice(0, limit);
+
+    const [current, itemChanges] = await Promise.all([
+      hashFilesOnDisk(commits.flatMap(commit => commit.files.map(change => change.file))),
+      getCommitItemChanges(commits, CONFIG_PATH)
+    ]);
+
+    res.json({
+      success: true,
+      commits: commits.map(({ files, ...commit }) => ({
+        ...commit,
+        files: files.map(({ file, status, newBlob, added, removed }) => ({
+          file,
+          status,
+          added,
+          removed,
+          differsFromDisk: newBlob !== current[file]
+        })),
+        items: itemChanges[commit.hash] || []
+      })),
+      offset,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? commits[commits.length - 1].hash : null
+    });
+  } catch (error) {
+    console.error('[timeline] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List pinned versions
+app.get('/api/pins', async (req, res) => {
+  try {
+    ensureGitInitialized();
+    res.json({ success: true, pins: await listPins() });
+  } catch (error) {
+    console.error('[pins] Error listing pins:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pin a version so retention cleanup keeps it - defaults to the latest version
+// { label, note?, commitHash? }
+app.post('/api/pins', validateRequest({ commitHash: 'commit?' }), async (req, res) => {
+  try {
+    ensureGitInitialized();
+    const { label, note = '' } = req.body;
+    if (!label || typeof label !== 'string' || !label.trim() || label.length > 100) {
+      return res.status(400).json({ success: false, error: 'label is required (max 100 characters)' });
+    }
+    if (typeof note !== 'string' || note.length > 2000) {
+      return res.status(400).json({ success: false, error: 'note must be a string (max 2000 characters)' });
+    }
+
+    const commitHash = req.body.commitHash || (await gitRevparse(['HEAD'])).trim();
+    const pin = await createPin(commitHash, label.trim().replace(/\s*\n\s*/g, ' '), note.trim());
+    res.json({ success: true, pin });
+  } catch (error) {
+    console.error('[pins] Error creating pin:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Unpin a version
+app.delete('/api/pins/:id', async (req, res) => {
+  try {
+    ensureGitInitialized();
+    if (!isValidPinId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid pin id' });
+    }
+    const removed = await deletePin(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Pin not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[pins] Error removing pin:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Full-text search through file contents across history
+// ?q=text [&regex=true] [&path=automations.yaml] [&since=2025-01-01] [&until=2025-02-01] [&limit=50]
+app.get('/api/git/search', validateRequest({ path: 'path?' }, { allowIgnored: true }), async (req, res) => {
+  try {
+    ensureGitInitialized();
+    const { q, path: filePath, since, until } = req.query;
+    const regex = req.query.regex === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!q) {
+      return res.status(400).json({ success: false, error: 'q is required' });
+    }
+    if (regex) {
+      try {
+        ereToRegExp(q);
+      } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+      }
+    }
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ success: false, error: `${name} must be a valid date` });
+      }
+    }
+
+    console.log(`[search] Searching history for ${regex ? 'regex' : 'text'} "${q}"${filePath ? ` in ${filePath}` : ''}`);
+    const commits = await gitSearchHistory({
+      query: q,
+      regex,
+      file: filePath || null,
+      since: since || null,
+      until: until || null,
+      maxCount: limit
+    });
+
+    res.json({ success: true, commits, total: commits.length });
+  } catch (error) {
+    console.error('[search] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Git Commit Details
+app.get('/api/git/commit-details', validateRequest({ commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { commitHash } = req.query;
+    const status = await gitCommitDetails(commitHash);
+    res.json({ success: true, status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Manually add all untracked files and commit
+app.post('/api/git/add-all-and-commit', async (req, res) => {
+  try {
+    ensureGitInitialized();
+    console.log('[add-all-and-commit] Adding all config files and committing...');
+    const configFiles = await getConfigFiles();
+    console.log(`[add-all-and-commit] Found ${configFiles.length} config files to add`);
+    await gitAdd(configFiles);
     const status = await gitStatus();
     if (status.isClean()) {
       console.log('[add-all-and-commit] No changes to commit.');
@@ -1357,7 +1937,7 @@ app.post('/api/git/add-all-and-commit', async (req, res) => {
 });
 
 // File at commit
-app.get('/api/git/file-at-commit', async (req, res) => {
+app.get('/api/git/file-at-commit', validateRequest({ commitHash: 'commit', filePath: 'path' }), async (req, res) => {
   try {
     const { commitHash, filePath } = req.query;
     const content = await gitShowFileAtCommit(commitHash, filePath);
@@ -1367,8 +1947,74 @@ app.get('/api/git/file-at-commit', async (req, res) => {
   }
 });
 
+// One file at many commits, for history views that would otherwise ask once per commit
+// Versions come back in request order; each distinct content is sent once, keyed by blob hash
+app.post('/api/git/file-at-commits', validateRequest({ filePath: 'path', commitHashes: 'commit[]' }), async (req, res) => {
+  try {
+    const { filePath, commitHashes } = req.body;
+    const versions = await Promise.all(commitHashes.map(async (commitHash) => {
+      const object = await gitObjectInfo(`${commitHash}:${filePath}`);
+      return { commitHash, blobHash: object && object.type === 'blob' ? object.oid : null };
+    }));
+
+    const contents = {};
+    for (const { blobHash } of versions) {
+      if (blobHash && !(blobHash in contents)) contents[blobHash] = await gitShowBlob(blobHash);
+    }
+    res.json({ success: true, versions, contents });
+  } catch (error) {
+    console.error('[file-at-commits] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Git blob hash of each file as it is on disk, hashed in one git call
+ * @param {Array<string>} files - Paths relative to CONFIG_PATH
+ * @returns {Promise<Object>} { path: blobHash } - null for files that don't exist
+ */
+async function hashFilesOnDisk(files) {
+  const unique = [...new Set(files)];
+  const existing = [];
+  for (const file of unique) {
+    if (await fsPromises.access(path.join(CONFIG_PATH, file)).then(() => true, () => false)) existing.push(file);
+  }
+  const hashes = Object.fromEntries(unique.map(file => [file, null]));
+  if (existing.length > 0) {
+    const output = (await gitRaw(['hash-object', '--', ...existing])).trim().split('\n');
+    existing.forEach((file, i) => { hashes[file] = output[i] || null; });
+  }
+  return hashes;
+}
+
+// Blob hashes of paths across commits, plus the hash of each path on disk
+// Without paths, every commit reports the files it changed
+app.post('/api/git/blobs', validateRequest({ commitHashes: 'commit[]', paths: 'path[]?' }), async (req, res) => {
+  try {
+    const { commitHashes, paths } = req.body;
+    const commits = {};
+    if (paths) {
+      for (const commitHash of commitHashes) {
+        const blobs = await gitBlobsAtCommit(commitHash, paths);
+        commits[commitHash] = Object.fromEntries(paths.map(file => [file, blobs[file] || null]));
+      }
+    } else {
+      const changes = await gitCommitChanges(commitHashes);
+      for (const commitHash of commitHashes) {
+        commits[commitHash] = Object.fromEntries((changes[commitHash] || []).map(change => [change.file, change.blob]));
+      }
+    }
+
+    const current = await hashFilesOnDisk(Object.values(commits).flatMap(blobs => Object.keys(blobs)));
+    res.json({ success: true, commits, current });
+  } catch (error) {
+    console.error('[blobs] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get current file content from disk
-app.get('/api/file-content', async (req, res) => {
+app.get('/api/file-content', validateRequest({ filePath: 'path' }), async (req, res) => {
   try {
     const { filePath } = req.query;
     const fullPath = path.join(CONFIG_PATH, filePath);
@@ -1380,17 +2026,27 @@ app.get('/api/file-content', async (req, res) => {
 });
 
 // File history
-app.get('/api/git/file-history', async (req, res) => {
+app.get('/api/git/file-history', validateRequest({ filePath: 'path', ...HISTORY_PAGE_FIELDS }), async (req, res) => {
   try {
     const { filePath } = req.query;
-    const maxCount = 50; // Increased from 20 to show more history
-    const log = await gitLog({ file: filePath, maxCount });
+    const limit = readPageLimit(req.query.limit, 50, 500);
+    if (limit === null) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 500' });
+    }
+    const log = await gitLog({ file: filePath, ...historyPageOptions(req.query, limit) });
+    const nextCursor = log.all.length > limit ? log.all[limit - 1].hash : null;
+    log.all = log.all.slice(0, limit);
+    // Older versions of a renamed file are under its old name; the next page asks for that one
+    const oldest = log.all[log.all.length - 1];
+    const nextFilePath = nextCursor ? (oldest.oldPath || oldest.file || filePath) : null;
+    log.latest = log.all[0] || null;
+    log.total = log.all.length;
 
     // Get current file hash
     let currentHash = '';
     try {
       // Use git hash-object to get the hash of the file on disk
-      currentHash = (await gitRaw(['hash-object', filePath])).trim();
+      currentHash = (await gitRaw(['hash-object', '--', filePath])).trim();
     } catch (e) {
       // File might not exist or other error
     }
@@ -1398,12 +2054,9 @@ app.get('/api/git/file-history', async (req, res) => {
     // Get blob hashes for each commit to allow efficient frontend filtering
     const commitsWithHashes = await Promise.all(log.all.map(async (commit) => {
       try {
-        // git ls-tree <commit> <path>
-        // Output format: <mode> blob <hash>\t<path>
-        const treeOut = await gitRaw(['ls-tree', commit.hash, filePath]);
-        const match = treeOut.match(/blob\s+([0-9a-f]+)/);
-        const blobHash = match ? match[1] : null;
-        return { ...commit, blobHash };
+        const commitPath = commit.file || filePath;
+        const blobs = await gitBlobsAtCommit(commit.hash, [commitPath]);
+        return { ...commit, blobHash: blobs[commitPath] || null };
       } catch (e) {
         console.error(`Error getting blob hash for ${commit.hash}:`, e.message);
         return { ...commit, blobHash: null };
@@ -1412,14 +2065,14 @@ app.get('/api/git/file-history', async (req, res) => {
 
     log.all = commitsWithHashes;
 
-    res.json({ success: true, log, currentHash });
+    res.json({ success: true, log, currentHash, nextCursor, nextFilePath });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // File diff
-app.get('/api/git/file-diff', async (req, res) => {
+app.get('/api/git/file-diff', validateRequest({ commitHash: 'commit', filePath: 'path' }), async (req, res) => {
   try {
     const { filePath, commitHash } = req.query;
     const diff = await gitDiff([`${commitHash}^`, commitHash, '--', filePath]);
@@ -1430,12 +2083,9 @@ app.get('/api/git/file-diff', async (req, res) => {
 });
 
 // Get full diff of a commit
-app.get('/api/git/commit-diff', async (req, res) => {
+app.get('/api/git/commit-diff', validateRequest({ commitHash: 'commit' }), async (req, res) => {
   try {
     const { commitHash } = req.query;
-    if (!commitHash) {
-      return res.status(400).json({ success: false, error: 'commitHash is required' });
-    }
     const diff = await gitDiff([`${commitHash}^`, commitHash]);
     res.json({ success: true, diff });
   } catch (error) {
@@ -1443,19 +2093,76 @@ app.get('/api/git/commit-diff', async (req, res) => {
   }
 });
 
+// Structural (tree) diff of two YAML documents
+// Accepts either raw YAML ({ oldContent, newContent }) or a file in git
+// ({ filePath, commitHash, compareHash }) - without compareHash the file on disk is used
+app.post('/api/diff/structure', validateRequest({ filePath: 'path?', commitHash: 'commit?', compareHash: 'commit?' }), async (req, res) => {
+  try {
+    const { filePath, commitHash, compareHash } = req.body;
+    let { oldContent, newContent } = req.body;
+
+    if (filePath) {
+      ensureGitInitialized();
+      if (!commitHash) {
+        return res.status(400).json({ success: false, error: 'commitHash is required' });
+      }
+      oldContent = await gitShowFileAtCommit(commitHash, filePath).catch(() => '');
+      if (compareHash) {
+        newContent = await gitShowFileAtCommit(compareHash, filePath).catch(() => '');
+      } else {
+        newContent = await fsPromises.readFile(path.join(CONFIG_PATH, filePath), 'utf-8').catch(() => '');
+      }
+    } else if (typeof oldContent !== 'string' || typeof newContent !== 'string') {
+      return res.status(400).json({ success: false, error: 'oldContent and newContent (or filePath) are required' });
+    }
+
+    let oldValue;
+    let newValue;
+    try {
+      oldValue = parseYamlForDiff(oldContent);
+      newValue = parseYamlForDiff(newContent);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: `Invalid YAML: ${parseError.message}` });
+    }
+
+    const changes = structuralDiff(oldValue, newValue);
+    res.json({ success: true, changes });
+  } catch (error) {
+    console.error('[structure-diff] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Restore file
-app.post('/api/restore-file', async (req, res) => {
+app.post('/api/restore-file', validateRequest({ commitHash: 'commit', filePath: 'path', sourcePath: 'path?' }), async (req, res) => {
   try {
-    const { commitHash, filePath } = req.body;
-    console.log(`[restore] Restoring file ${filePath} to commit ${commitHash.substring(0, 8)}`);
+    // sourcePath: the file's path in that commit, when restoring a version from before a rename
+    const { commitHash, filePath, sourcePath, validateOnly } = req.body;
+
+    // Registry snapshots are a record of .storage/core.*_registry; writing them changes nothing in Home Assistant
+    if (filePath.startsWith(`${REGISTRY_SNAPSHOT_DIR}/`)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registry snapshots are read-only history. Rename entities, devices and areas back in Home Assistant instead.'
+      });
+    }
+    console.log(`[restore] ${validateOnly ? 'Validating' : 'Restoring'} file ${filePath} to commit ${commitHash.substring(0, 8)}`);
 
     // Get the date from the commit for the commit message
     // Get the date from the commit for the commit message
     const dateStr = (await gitRaw(['show', '-s', '--format=%aI', commitHash])).trim();
     const commitDate = new Date(dateStr).toLocaleString();
 
-    // Restore the file - file watcher will detect and auto-commit
-    await gitCheckoutSafe(commitHash, filePath);
+    // Restore the file - file watcher will detect and auto-commit once the config check passes
+    const configCheck = await applyWithConfigCheck([filePath], () => gitCheckoutSafe(commitHash, filePath, sourcePath || filePath), { validateOnly });
+
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+    if (validateOnly) {
+      return res.json({ success: true, validateOnly: true, configCheck });
+    }
+
     console.log(`[restore] File restored: ${filePath}`);
     console.log(`[restore] File watcher will auto-commit this change`);
 
@@ -1478,9 +2185,17 @@ app.post('/api/restore-file', async (req, res) => {
       } else {
         message += `. Scripts reload failed: ${reloadResult.error}`;
       }
+    } else if (filePath.endsWith('scenes.yaml')) {
+      console.log('[restore] Reloading scenes in Home Assistant...');
+      const reloadResult = await callHomeAssistantService('scene', 'reload');
+      if (reloadResult.success) {
+        message += '. Scenes reloaded.';
+      } else {
+        message += `. Scenes reload failed: ${reloadResult.error}`;
+      }
     }
 
-    res.json({ success: true, message, reloaded: message.includes('reloaded') });
+    res.json({ success: true, message, reloaded: message.includes('reloaded'), configCheck });
   } catch (error) {
     console.error('[restore] Error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -1488,9 +2203,9 @@ app.post('/api/restore-file', async (req, res) => {
 });
 
 // Restore all files in a commit
-app.post('/api/restore-commit', async (req, res) => {
+app.post('/api/restore-commit', validateRequest({ sourceHash: 'commit?', targetHash: 'commit?', commitHash: 'commit?' }), async (req, res) => {
   try {
-    const { sourceHash, targetHash, commitHash } = req.body;
+    const { sourceHash, targetHash, commitHash, validateOnly } = req.body;
 
     // Backward compatibility: if only commitHash provided, use it for both source and target
     const source = sourceHash || commitHash;
@@ -1522,8 +2237,7 @@ app.post('/api/restore-commit', async (req, res) => {
       const hasAllowedExt = allowedExtensions.some(ext =>
         file.toLowerCase().endsWith(ext)
       );
-      const isLovelaceFile = file.includes('.storage/lovelace');
-      return hasAllowedExt || isLovelaceFile;
+      return hasAllowedExt || isTrackedStorageFile(file);
     });
 
     if (configFiles.length !== files.length) {
@@ -1543,8 +2257,7 @@ app.post('/api/restore-commit', async (req, res) => {
         const hasAllowedExt = allowedExtensions.some(ext =>
           file.toLowerCase().endsWith(ext)
         );
-        const isLovelaceFile = file.includes('.storage/lovelace');
-        return hasAllowedExt || isLovelaceFile;
+        return hasAllowedExt || isTrackedStorageFile(file);
       });
 
       configFiles.push(...filteredAltFiles);
@@ -1556,20 +2269,31 @@ app.post('/api/restore-commit', async (req, res) => {
     files.push(...configFiles);
 
     // Restore each file to TARGET version - file watcher will detect and auto-commit all changes
-    for (const file of files) {
-      console.log(`[restore] Restoring ${file} to version ${target.substring(0, 8)}`);
-      await gitCheckoutSafe(target, file);
+    const configCheck = await applyWithConfigCheck(files, async () => {
+      for (const file of files) {
+        console.log(`[restore] Restoring ${file} to version ${target.substring(0, 8)}`);
+        await gitCheckoutSafe(target, file);
+      }
+    }, { validateOnly });
+
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck, files });
+    }
+    if (validateOnly) {
+      return res.json({ success: true, validateOnly: true, configCheck, files });
     }
 
     console.log(`[restore] All files restored (${files.length} files)`);
     console.log(`[restore] File watcher will auto-commit these changes`);
 
-    // Check if we need to reload automations or scripts in Home Assistant
+    // Check if we need to reload automations, scripts or scenes in Home Assistant
     const needsAutomationReload = files.some(f => f.toLowerCase().includes('automations.yaml') || f.toLowerCase().includes('automations.yml'));
     const needsScriptReload = files.some(f => f.toLowerCase().includes('scripts.yaml') || f.toLowerCase().includes('scripts.yml'));
+    const needsSceneReload = files.some(f => f.toLowerCase().includes('scenes.yaml') || f.toLowerCase().includes('scenes.yml'));
 
     let automationReloaded = false;
     let scriptReloaded = false;
+    let sceneReloaded = false;
 
     if (needsAutomationReload) {
       console.log('[restore] Reloading automations in Home Assistant...');
@@ -1583,6 +2307,12 @@ app.post('/api/restore-commit', async (req, res) => {
       scriptReloaded = reloadResult.success;
     }
 
+    if (needsSceneReload) {
+      console.log('[restore] Reloading scenes in Home Assistant...');
+      const reloadResult = await callHomeAssistantService('scene', 'reload');
+      sceneReloaded = reloadResult.success;
+    }
+
     res.json({
       success: true,
       filesRestored: files.length,
@@ -1591,7 +2321,9 @@ app.post('/api/restore-commit', async (req, res) => {
       targetHash: target.substring(0, 8),
       commitHash: target.substring(0, 8), // For backward compatibility
       automationReloaded,
-      scriptReloaded
+      scriptReloaded,
+      sceneReloaded,
+      configCheck
     });
   } catch (error) {
     console.error('[restore] Error:', error);
@@ -1600,38 +2332,16 @@ app.post('/api/restore-commit', async (req, res) => {
 });
 
 // Hard reset to a specific commit (resets ALL files, not just changed ones)
-app.post('/api/git/hard-reset', async (req, res) => {
+app.post('/api/git/hard-reset', validateRequest({ commitHash: 'commit' }), async (req, res) => {
   try {
-    const { commitHash, createBackup } = req.body;
-
-    if (!commitHash) {
-      return res.status(400).json({ success: false, error: 'commitHash is required' });
-    }
-
-    console.log(`[hard-reset] Resetting ALL files to commit ${commitHash.substring(0, 8)}`);
-
-    // 1. Validate commit exists
-    let commitExists;
-    try {
-      commitExists = await gitRaw(['cat-file', '-t', commitHash]);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: `Commit ${commitHash.substring(0, 8)} not found`
-      });
-    }
+    const { commitHash, createBackup, validateOnly } = req.body;
 
-    if (!commitExists.trim().startsWith('commit')) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid commit: ${commitHash.substring(0, 8)}`
-      });
-    }
+    console.log(`[hard-reset] ${validateOnly ? 'Validating reset of' : 'Resetting'} ALL files to commit ${commitHash.substring(0, 8)}`);
 
     let backupHash = null;
 
-    // 2. Create safety backup if requested
-    if (createBackup) {
+    // 1. Create safety backup if requested (nothing is kept in validate-only mode)
+    if (createBackup && !validateOnly) {
       console.log('[hard-reset] Creating safety backup commit...');
       try {
         // Stage all current changes
@@ -1661,7 +2371,7 @@ app.post('/api/git/hard-reset', async (req, res) => {
       }
     }
 
-    // 3. Get list of all files in the target commit
+    // 2. Get list of all files in the target commit
     console.log(`[hard-reset] Getting file list from commit ${commitHash.substring(0, 8)}`);
     let filesInCommit;
     try {
@@ -1677,13 +2387,28 @@ app.post('/api/git/hard-reset', async (req, res) => {
       });
     }
 
-    // 4. Checkout each file from the target commit
+    // 3. Checkout each file from the target commit
     console.log(`[hard-reset] Checking out ${filesInCommit.length} files from ${commitHash.substring(0, 8)}`);
     try {
-      // Checkout all files
-      for (const file of filesInCommit) {
-        await gitCheckoutSafe(commitHash, file);
+      // Checkout all files, rolling back if Home Assistant rejects the result
+      const configCheck = await applyWithConfigCheck(filesInCommit, async () => {
+        for (const file of filesInCommit) {
+          await gitCheckoutSafe(commitHash, file);
+        }
+      }, { validateOnly });
+
+      if (configCheck.checked && !configCheck.valid) {
+        return res.status(422).json({
+          success: false,
+          error: formatConfigCheckError(configCheck),
+          backupCommitHash: backupHash,
+          configCheck
+        });
+      }
+      if (validateOnly) {
+        return res.json({ success: true, validateOnly: true, configCheck });
       }
+
       console.log(`[hard-reset] All files checked out from ${commitHash.substring(0, 8)}`);
 
       // Get the commit date for a better commit message
@@ -1723,6 +2448,7 @@ app.post('/api/git/hard-reset', async (req, res) => {
         backupCommitHash: backupHash,
         resetToCommit: commitHash,
         filesRestored: filesInCommit.length,
+        configCheck,
         message: `Restored ${filesInCommit.length} files to commit ${commitHash.substring(0, 8)}${backupHash ? '. Safety backup created.' : ''}`
       });
     } catch (error) {
@@ -1751,11 +2477,19 @@ app.get('/api/git/status', async (req, res) => {
 });
 
 // List YAML files (legacy)
-app.post('/api/list-yaml-files', async (req, res) => {
+app.post('/api/list-yaml-files', validateRequest({ liveConfigPath: 'directory?' }), async (req, res) => {
   try {
-    const { liveConfigPath, directory = '' } = req.body;
-    const searchPath = liveConfigPath || CONFIG_PATH;
-    const dirPath = directory ? `${searchPath}/${directory}` : searchPath;
+    const { liveConfigPath = '', directory = '' } = req.body;
+    if (typeof directory !== 'string') {
+      return res.status(400).json({ success: false, error: 'directory must be a string' });
+    }
+    // directory is relative to liveConfigPath, so it is checked once the two are joined
+    let dirPath;
+    try {
+      dirPath = path.join(CONFIG_PATH, await validateDirectoryPath(path.join(liveConfigPath, directory)));
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
 
     const allowedExtensions = getConfiguredExtensions();
     const files = fs.readdirSync(dirPath)
@@ -1781,6 +2515,17 @@ app.post('/api/list-yaml-files', async (req, res) => {
 const debounceTimers = new Map();
 let watcher = null;
 
+// Files removed within the rename window, keyed by relative path: { blobHash, timestamp }
+// A later 'add' with the same content is committed together with the removal as a rename
+const pendingUnlinks = new Map();
+
+// chokidar reports the 'add' half of a move only after polling + awaitWriteFinish have
+// settled, so removals wait at least this long before committing on their own
+const RENAME_WINDOW_MS = 6000;
+
+// While > 0, auto-commits are postponed (a restore may still be rolled back)
+let autoCommitHold = 0;
+
 function initializeWatcher() {
   console.log(`[init] Setting up file watcher for: ${CONFIG_PATH}/**/*`);
 
@@ -1805,9 +2550,14 @@ function initializeWatcher() {
         return true;
       }
 
-      // Explicitly ignore .storage files except lovelace files
-      if (filePath.includes('/.storage/') && !filePath.includes('/.storage/lovelace')) {
-        return true;
+      // Explicitly ignore .storage files except lovelace (and helpers or registries, if tracked)
+      const storageIndex = filePath.indexOf('/.storage/');
+      if (storageIndex !== -1) {
+        const storagePath = filePath.substring(storageIndex + 1);
+        const isRegistry = runtimeSettings.trackRegistries && registryKindOfSource(storagePath) !== null;
+        if (!isRegistry && !isTrackedStorageFile(storagePath)) {
+          return true;
+        }
       }
 
       // Ignore database files and related files (very frequent writes)
@@ -1841,18 +2591,64 @@ function initializeWatcher() {
     }
   });
 
-  // Handler function for both 'change' and 'add' events
+  // Handler function for 'change', 'add', 'unlink' and 'unlinkDir' events
   const handleFileEvent = async (filePath, eventType) => {
     const relativePath = filePath.replace(CONFIG_PATH + '/', '');
     console.log(`[watcher] File ${eventType}: ${relativePath}`);
 
+    // Registries aren't committed themselves - refreshing the snapshot triggers its own commit
+    const registryKind = registryKindOfSource(relativePath);
+    if (registryKind) {
+      if (runtimeSettings.trackRegistries) {
+        await writeRegistrySnapshot(CONFIG_PATH, registryKind).catch(error =>
+          console.error(`[registries] Could not update the ${registryKind} registry snapshot:`, error.message));
+      }
+      return;
+    }
+
     // Clear any existing timer for this specific file
     if (debounceTimers.has(filePath)) {
       clearTimeout(debounceTimers.get(filePath));
     }
 
-    // Set a new timer for this specific file
-    const timer = setTimeout(async () => {
+    // A removed directory is committed as one change - drop the timers of the files inside it
+    if (eventType === 'removed directory') {
+      for (const [timerPath, pendingTimer] of debounceTimers) {
+        if (timerPath.startsWith(filePath + '/')) {
+          clearTimeout(pendingTimer);
+          debounceTimers.delete(timerPath);
+        }
+      }
+    }
+
+    // If a newly added file matches a file removed moments ago, it's a move/rename.
+    // Cancel the removal's own commit so both halves land in a single rename commit.
+    if (eventType === 'added' && pendingUnlinks.size > 0) {
+      const renamedFrom = await findRenameSource(relativePath);
+      if (renamedFrom) {
+        console.log(`[watcher] Detected rename: ${renamedFrom} → ${relativePath}`);
+        // Also covers the removed parent directory when a whole folder was moved
+        const sourcePath = path.join(CONFIG_PATH, renamedFrom);
+        for (const [timerPath, pendingTimer] of debounceTimers) {
+          if (timerPath === sourcePath || sourcePath.startsWith(timerPath + '/')) {
+            clearTimeout(pendingTimer);
+            debounceTimers.delete(timerPath);
+          }
+        }
+      }
+    }
+
+    const isRemoval = eventType === 'removed' || eventType === 'removed directory';
+    const delay = isRemoval ? Math.max(getDebounceTimeMs(), RENAME_WINDOW_MS) : getDebounceTimeMs();
+
+    // Commit routine for this file's timer
+    const commitChanges = async () => {
+      // A restore is waiting on Home Assistant's config check - commit once it has settled
+      if (autoCommitHold > 0) {
+        debounceTimers.set(filePath, setTimeout(commitChanges, getDebounceTimeMs()));
+        return;
+      }
+
       try {
         // Ensure git is initialized
         if (!gitInitialized) {
@@ -1869,9 +2665,9 @@ function initializeWatcher() {
         // Clear staging area to prevent accumulation of files from previous changes
         await gitRaw(['reset']);
 
-        // Use git add . to stage all changes - git will respect user's .gitignore
-        console.log(`[watcher] Triggered by: ${relativePath}, running git add .`);
-        await gitAdd('.');
+        // Use git add -A to stage all changes including deletions - git will respect user's .gitignore
+        console.log(`[watcher] Triggered by: ${relativePath}, running git add -A`);
+        await gitAdd(['-A', '.']);
 
         // Check if there are actually changes to commit
         const status = await gitStatus();
@@ -1882,9 +2678,12 @@ function initializeWatcher() {
         }
 
         // Get all staged files (git already filtered based on .gitignore)
-        const stagedFiles = status.files
+        // Renames are listed as "old → new" so the history shows the move
+        const stagedEntries = status.files
           .filter(f => f.index !== ' ' && f.index !== '?')
-          .map(f => f.path.trim());
+          .map(f => ({ ...f, path: f.path.trim(), oldPath: f.oldPath ? f.oldPath.trim() : null }));
+        const stagedFiles = stagedEntries
+          .map(f => f.oldPath ? `${f.oldPath} → ${f.path}` : f.path);
 
         console.log(`[watcher] Staged files (respecting .gitignore): ${stagedFiles.join(', ')} (${stagedFiles.length} file(s))`);
 
@@ -1906,9 +2705,22 @@ function initializeWatcher() {
           commitMessage = `${stagedFiles.length} files`;
         }
 
-        console.log(`[watcher] Committing: ${commitMessage} (${stagedFiles.length} file(s))`);
+        // Describe which automations/scripts/helpers/registry entries changed, keeping the file-based message as fallback
+        try {
+          const itemChanges = [
+            ...await getStagedItemChanges(CONFIG_PATH, stagedEntries),
+            ...await getStagedHelperChanges(stagedEntries),
+            ...await getStagedRegistryChanges(stagedEntries),
+            ...await getStagedLovelaceChanges(stagedEntries)
+          ];
+          commitMessage = formatSemanticCommitMessage(itemChanges, stagedFiles, commitMessage);
+        } catch (e) {
+          console.error('[watcher] Could not compare automations/scripts/helpers/registries with HEAD:', e.message);
+        }
+
+        console.log(`[watcher] Committing: ${commitMessage.split('\n')[0]} (${stagedFiles.length} file(s))`);
         await gitCommit(commitMessage);
-        console.log(`Committed: ${commitMessage}`);
+        console.log(`Committed: ${commitMessage.split('\n')[0]}`);
 
         // Run retention cleanup if enabled
         if (runtimeSettings.historyRetention) {
@@ -1943,12 +2755,59 @@ function initializeWatcher() {
         // Clean up the timer reference even on error
         debounceTimers.delete(filePath);
       }
-    }, getDebounceTimeMs());
+    };
+
+    // Set a new timer for this specific file
+    const timer = setTimeout(commitChanges, delay);
 
     // Store the timer reference for this file
     debounceTimers.set(filePath, timer);
   };
 
+  /**
+   * Find a recently removed file whose last committed content matches a newly added file
+   * @param {string} relativePath - Path of the added file relative to CONFIG_PATH
+   * @returns {Promise<string|null>} Relative path of the removed file, or null if none matches
+   */
+  const findRenameSource = async (relativePath) => {
+    const now = Date.now();
+    for (const [unlinkedPath, entry] of pendingUnlinks) {
+      if (now - entry.timestamp > Math.max(getDebounceTimeMs(), RENAME_WINDOW_MS)) {
+        pendingUnlinks.delete(unlinkedPath);
+      }
+    }
+    if (pendingUnlinks.size === 0) return null;
+
+    let addedHash;
+    try {
+      addedHash = (await gitRaw(['hash-object', '--', relativePath])).trim();
+    } catch (e) {
+      return null;
+    }
+
+    for (const [unlinkedPath, entry] of pendingUnlinks) {
+      if (entry.blobHash === addedHash) {
+        pendingUnlinks.delete(unlinkedPath);
+        return unlinkedPath;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Remember the committed blob of a removed file so a matching 'add' can be paired with it
+   * @param {string} filePath - Absolute path of the removed file
+   */
+  const rememberUnlink = async (filePath) => {
+    const relativePath = filePath.replace(CONFIG_PATH + '/', '');
+    try {
+      const blobHash = (await gitRaw(['rev-parse', `HEAD:${relativePath}`])).trim();
+      pendingUnlinks.set(relativePath, { blobHash, timestamp: Date.now() });
+    } catch (e) {
+      // File was never committed - nothing to pair with
+    }
+  };
+
   // Watch for file changes
   watcher.on('change', async (filePath) => {
     await handleFileEvent(filePath, 'changed');
@@ -1959,6 +2818,17 @@ function initializeWatcher() {
     await handleFileEvent(filePath, 'added');
   });
 
+  // Watch for files being deleted or moved away
+  watcher.on('unlink', async (filePath) => {
+    await rememberUnlink(filePath);
+    await handleFileEvent(filePath, 'removed');
+  });
+
+  // Watch for whole directories being deleted
+  watcher.on('unlinkDir', async (dirPath) => {
+    await handleFileEvent(dirPath, 'removed directory');
+  });
+
   watcher.on('ready', () => {
     console.log('[init] File watcher ready and watching for changes');
   });
@@ -1996,13 +2866,18 @@ app.post('/api/retention/cleanup', async (req, res) => {
     if (Object.keys(options).length === 0) {
       return res.status(400).json({ success: false, error: 'No retention options provided' });
     }
+    try {
+      resolveRetentionTiers(options);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
     // Run cleanup in background
     cleanupHistoryOrphanMethod(options)
       .then(result => console.log('[api] Advanced cleanup completed:', result))
       .catch(err => console.error('[api] Advanced cleanup failed:', err));
 
-    res.json({ success: true, message: 'Cleanup started in background' });
+    res.json({ success: true, message: 'Cleanup started in background - progress is sent on /api/events' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -2014,7 +2889,7 @@ app.post('/api/run-retention', async (req, res) => {
     console.log('[api] Manual retention cleanup triggered');
     // Run cleanup in background to avoid timeout
     runRetentionCleanup(true).catch(err => console.error('[api] Background cleanup failed:', err));
-    res.json({ success: true, message: 'Cleanup started in background' });
+    res.json({ success: true, message: 'Cleanup started in background - progress is sent on /api/events' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -2039,7 +2914,10 @@ async function runRetentionCleanup(force = false) {
     // Convert retention settings to the format expected by cleanupHistoryOrphanMethod
     const options = {};
 
-    if (runtimeSettings.retentionType === 'time') {
+    if (runtimeSettings.retentionType === 'tiered') {
+      options.tiers = DEFAULT_RETENTION_TIERS;
+      console.log(`[retention-${cleanupId}] Tiered cleanup`);
+    } else if (runtimeSettings.retentionType === 'time') {
       // Convert the retention period to the appropriate time units
       const retentionMs = getRetentionPeriodMs();
       const retentionDays = Math.floor(retentionMs / (24 * 60 * 60 * 1000));
@@ -2106,25 +2984,131 @@ async function runRetentionCleanup(force = false) {
 }
 
 /**
- * Clean up old commits using orphan branch method
- * @param {Object} options - Cleanup options
- * @param {number} options.months - Number of months of history to keep (approx 30 days)
- * @param {number} options.weeks - Number of weeks of history to keep
- * @param {number} options.days - Number of days of history to keep
- * @param {number} options.hours - Number of hours of history to keep
- * @param {number} options.minutes - Number of minutes of history to keep
- * @param {number} options.seconds - Number of seconds of history to keep
- * @returns {Object} Cleanup results
+ * Work out which commits a cleanup keeps, merges, or keeps as snapshots in the merged range
+ * Shared by the cleanup and its preview so the two always agree.
+ * @param {Object} options - Cleanup options, see cleanupHistoryOrphanMethod()
+ * @returns {Promise<Object>} { description, cutoffDate, tierStats, allCommits, commitsToKeep, commitsToMerge, snapshots, pinsByHash }
  */
-async function cleanupHistoryOrphanMethod(options) {
-  if (!gitInitialized) {
-    throw new Error('Git repository not initialized');
+async function planHistoryCleanup(options) {
+  const tiers = resolveRetentionTiers(options);
+
+  let cutoffDate;
+  let description;
+  if (tiers) {
+    // Leading 'all' tiers are kept as they are; thinning starts after them
+    let keepAllMs = 0;
+    for (const tier of tiers) {
+      if (tier.keep !== 'all') break;
+      keepAllMs = tier.maxAgeMs;
+    }
+    cutoffDate = new Date(Date.now() - keepAllMs);
+    description = describeRetentionTiers(tiers);
+  } else {
+    const period = retentionPeriod(options);
+    cutoffDate = new Date(Date.now() - period.totalMs);
+    description = `last ${period.description}`;
   }
 
+  const log = await getLightweightGitLog();
+  const allCommits = log.all;
+
+  // CRITICAL FIX: Use a split point to ensure contiguous history
+  // Instead of filtering independently, find the first commit that is too old
+  // and merge everything from there down. This prevents gaps if child is older than parent.
+  let splitIndex = allCommits.findIndex(commit => new Date(commit.date) <= cutoffDate);
+  if (splitIndex === -1) splitIndex = allCommits.length;
+
+  const commitsToKeep = allCommits.slice(0, splitIndex);
+  const commitsToMerge = allCommits.slice(splitIndex);
+
+  // Safety check: if we are removing everything, keep at least the latest commit
+  if (commitsToKeep.length === 0 && commitsToMerge.length > 0) {
+    console.log('[retention] Safety check: Would remove all commits. Keeping the most recent commit.');
+    commitsToKeep.push(commitsToMerge.shift());
+  }
+
+  // Pinned commits, and with tiers the newest commit of each period, are kept as snapshots
+  const pinsByHash = new Map((await listPins()).map(pin => [pin.commitHash, pin]));
+  const tiered = tiers ? selectTieredCommits(allCommits, tiers) : null;
+  const snapshots = new Set(commitsToMerge
+    .filter(commit => pinsByHash.has(commit.hash) || (tiered && tiered.keep.has(commit.hash)))
+    .map(commit => commit.hash));
+
+  return {
+    description,
+    cutoffDate,
+    tierStats: tiered ? tiered.stats : null,
+    allCommits,
+    commitsToKeep,
+    commitsToMerge,
+    snapshots,
+    pinsByHash
+  };
+}
+
+/**
+ * Commit message for a commit that older versions were folded into
+ * @param {Array<Object>} commits - The folded commits, oldest first
+ * @returns {string} "Merged history <oldest date>" with the folded versions listed in the body
+ */
+function mergedHistoryMessage(commits) {
+  const MAX_LISTED = 20;
+  const listed = commits.slice(-MAX_LISTED).reverse().map(commit => `- ${commit.date} ${commit.message}`);
+  if (commits.length > MAX_LISTED) {
+    listed.push(`- ...and ${commits.length - MAX_LISTED} older versions`);
+  }
+  const count = `${commits.length} version${commits.length !== 1 ? 's' : ''}`;
+  return `Merged history ${commits[0].date}\n\nIncludes ${count}:\n${listed.join('\n')}`;
+}
+
+/**
+ * Clean up old commits using orphan branch method
+ * Either merges everything older than a time period, or thins history out in tiers
+ * (e.g. everything for 48 hours, hourly for a week, daily for a month, weekly for a year).
+ * Pinned commits are always kept.
+ * @param {Object} options - Cleanup options
+ * @param {number} options.months - Number of months of history to keep (approx 30 days)
+ * @param {number} options.weeks - Number of weeks of history to keep
+ * @param {number} options.days - Number of days of history to keep
+ * @param {number} options.hours - Number of hours of history to keep
+ * @param {number} options.minutes - Number of minutes of history to keep
+ * @param {number} options.seconds - Number of seconds of history to keep
+ * @param {boolean} options.tiered - Thin history out with the default tiers instead
+ * @param {Array<Object>} options.tiers - Custom tiers, e.g. [{ hours: 48, keep: 'all' }, { days: 7, keep: 'hourly' }]
+ * @returns {Object} Cleanup results
+ */
+async function cleanupHistoryOrphanMethod(options) {
+  // Checked before announcing anything: an overlapping automatic run isn't a failed cleanup
   if (cleanupLock) {
     throw new Error('Cleanup already in progress');
   }
 
+  publishEvent('retention', { stage: 'started' });
+  try {
+    const result = await performHistoryCleanup(options);
+    // History was rewritten (a backup branch was made): forget the merged-away versions' items
+    if (result.backupBranch) {
+      try {
+        const dropped = await pruneIndexedItems(await gitReachableBlobs());
+        console.log(`[retention] Dropped ${dropped} merged-away version(s) from the history index`);
+      } catch (error) {
+        console.error('[retention] Could not prune the history index:', error.message);
+      }
+    }
+    publishEvent('retention', { stage: 'completed', ...result });
+    return result;
+  } catch (error) {
+    publishEvent('retention', { stage: 'failed', success: false, error: error.message });
+    throw error;
+  }
+}
+
+// The cleanup itself; cleanupHistoryOrphanMethod() announces its start and result
+async function performHistoryCleanup(options) {
+  if (!gitInitialized) {
+    throw new Error('Git repository not initialized');
+  }
+
   cleanupLock = true;
 
   // Ensure working directory is clean before starting rebase-based cleanup
@@ -2137,6 +3121,9 @@ async function cleanupHistoryOrphanMethod(options) {
       const extensions = getConfiguredExtensions();
       const patterns = extensions.map(ext => `**/*${ext}`);
       patterns.push('.storage/lovelace*'); // Include lovelace files
+      if (runtimeSettings.trackHelpers) {
+        patterns.push(...HELPER_DOMAINS.map(helperStorePath));
+      }
 
       for (const pattern of patterns) {
         try {
@@ -2159,8 +3146,7 @@ async function cleanupHistoryOrphanMethod(options) {
         .filter(f => {
           const filePath = f.path.trim(); // Trim to remove leading/trailing spaces from git status
           const hasAllowedExt = getConfiguredExtensions().some(ext => filePath.endsWith(ext));
-          const isLovelaceFile = filePath.startsWith('.storage/lovelace');
-          return hasAllowedExt || isLovelaceFile;
+          return hasAllowedExt || isTrackedStorageFile(filePath);
         })
         .map(f => f.path.trim()); // Also trim when extracting the path
 
@@ -2198,50 +3184,15 @@ async function cleanupHistoryOrphanMethod(options) {
     throw new Error(`Cannot start cleanup: Working directory is dirty and auto-commit failed: ${error.message}`);
   }
 
-  // Calculate total milliseconds from all time units
-  let totalMs = 0;
-  let timeDescription = [];
-
-  if (options.months) {
-    totalMs += options.months * 30 * 24 * 60 * 60 * 1000; // Approx 30 days
-    timeDescription.push(`${options.months} month${options.months !== 1 ? 's' : ''}`);
-  }
-  if (options.weeks) {
-    totalMs += options.weeks * 7 * 24 * 60 * 60 * 1000;
-    timeDescription.push(`${options.weeks} week${options.weeks !== 1 ? 's' : ''}`);
-  }
-  if (options.days) {
-    totalMs += options.days * 24 * 60 * 60 * 1000;
-    timeDescription.push(`${options.days} day${options.days !== 1 ? 's' : ''}`);
-  }
-  if (options.hours) {
-    totalMs += options.hours * 60 * 60 * 1000;
-    timeDescription.push(`${options.hours} hour${options.hours !== 1 ? 's' : ''}`);
-  }
-  if (options.minutes) {
-    totalMs += options.minutes * 60 * 1000;
-    timeDescription.push(`${options.minutes} minute${options.minutes !== 1 ? 's' : ''}`);
-  }
-  if (options.seconds) {
-    totalMs += options.seconds * 1000;
-    timeDescription.push(`${options.seconds} second${options.seconds !== 1 ? 's' : ''}`);
-  }
-
-  const timeDesc = timeDescription.join(', ');
-  console.log(`[retention] Starting cleanup - keeping last ${timeDesc}`);
-
   try {
-    // Calculate cutoff date
-    const cutoffDate = new Date(Date.now() - totalMs);
-    console.log(`[retention] Cutoff date: ${cutoffDate.toISOString()}`);
+    const plan = await planHistoryCleanup(options);
+    const { allCommits, commitsToKeep, commitsToMerge, snapshots, pinsByHash } = plan;
+    console.log(`[retention] Starting cleanup - keeping ${plan.description}`);
+    console.log(`[retention] Cutoff date: ${plan.cutoffDate.toISOString()}`);
 
     // Get current branch name
     const currentBranch = (await gitRevparse(['--abbrev-ref', 'HEAD'])).trim();
     console.log(`[retention] Current branch: ${currentBranch}`);
-
-    // Get all commits
-    const log = await getLightweightGitLog();
-    const allCommits = log.all;
     console.log(`[retention] Total commits before cleanup: ${allCommits.length}`);
 
     if (allCommits.length === 0) {
@@ -2253,58 +3204,34 @@ async function cleanupHistoryOrphanMethod(options) {
       };
     }
 
-    // Filter commits (allCommits is ordered newest to oldest)
-    // CRITICAL FIX: Use a split point to ensure contiguous history
-    // Instead of filtering independently, find the first commit that is too old
-    // and merge everything from there down. This prevents gaps if child is older than parent.
-    let splitIndex = allCommits.findIndex(commit => {
-      const commitDate = new Date(commit.date);
-      return commitDate <= cutoffDate;
-    });
-
     // If no commits are old enough to merge, return
-    if (splitIndex === -1) {
+    if (commitsToMerge.length === 0) {
       return {
         success: true,
         message: 'All commits are within retention period',
         commitsRemoved: 0,
         commitsKept: allCommits.length,
-        oldestCommitDate: allCommits.length > 0 ? new Date(allCommits[allCommits.length - 1].date).toISOString() : null
+        oldestCommitDate: new Date(allCommits[allCommits.length - 1].date).toISOString()
       };
     }
 
-    const commitsToKeep = allCommits.slice(0, splitIndex);
-    const commitsToMerge = allCommits.slice(splitIndex);
-
     console.log(`[retention] Commits to merge (older than cutoff): ${commitsToMerge.length}`);
     console.log(`[retention] Commits to keep (newer than cutoff): ${commitsToKeep.length}`);
+    console.log(`[retention] Date range of commits to merge: ${new Date(commitsToMerge[commitsToMerge.length - 1].date).toISOString()} to ${new Date(commitsToMerge[0].date).toISOString()}`);
+    console.log(`[retention] Date range of commits to keep: ${new Date(commitsToKeep[commitsToKeep.length - 1].date).toISOString()} to ${new Date(commitsToKeep[0].date).toISOString()}`);
 
-    if (commitsToMerge.length > 0) {
-      console.log(`[retention] Date range of commits to merge: ${new Date(commitsToMerge[commitsToMerge.length - 1].date).toISOString()} to ${new Date(commitsToMerge[0].date).toISOString()}`);
-    }
-    if (commitsToKeep.length > 0) {
-      console.log(`[retention] Date range of commits to keep: ${new Date(commitsToKeep[commitsToKeep.length - 1].date).toISOString()} to ${new Date(commitsToKeep[0].date).toISOString()}`);
-    }
-
-    // Safety check: if we are keeping everything, do nothing
-    if (commitsToMerge.length === 0) {
+    // Tiered retention keeps thinned-out history as it is on later runs
+    if (commitsToMerge.every(commit => snapshots.has(commit.hash))) {
       return {
         success: true,
-        message: 'All commits are within retention period',
+        message: 'No commits to merge',
         commitsRemoved: 0,
         commitsKept: allCommits.length,
-        oldestCommitDate: allCommits.length > 0 ? allCommits[allCommits.length - 1].date : new Date().toISOString()
+        oldestCommitDate: new Date(allCommits[allCommits.length - 1].date).toISOString()
       };
     }
 
-    // Safety check: if we are removing everything, keep at least the latest commit
-    if (commitsToKeep.length === 0) {
-      console.log('[retention] Safety check: Would remove all commits. Keeping the most recent commit.');
-      commitsToKeep.push(allCommits[0]);
-      // Remove the kept commit from merge list
-      const index = commitsToMerge.findIndex(c => c.hash === allCommits[0].hash);
-      if (index !== -1) commitsToMerge.splice(index, 1);
-    }
+    publishEvent('retention', { stage: 'merging', commitsToMerge: commitsToMerge.length, commitsToKeep: commitsToKeep.length });
 
     // Create a backup branch just in case
     const backupBranch = `backup-before-cleanup-${Date.now()}`;
@@ -2382,18 +3309,52 @@ async function cleanupHistoryOrphanMethod(options) {
     // This ensures the commit timestamp reflects the most recent change included in the merge
     const baselineDateISO = newestMergedDate;
 
-    const baselineMessage = `Merged history ${oldestMergedDate}`;
-
     console.log(`[retention] Creating baseline commit...`);
     console.log(`[retention] Baseline date: ${baselineDateISO} (1 second before oldest merged commit)`);
     console.log(`[retention] This ensures baseline appears at the BOTTOM of the timeline`);
 
-    // Create the baseline commit with NO parents (making it a root/orphan commit)
-    const { stdout: baselineCommitHashOut } = await gitExec(
-      ['commit-tree', baselineTreeHash, '-m', baselineMessage],
-      { env: { ...process.env, GIT_AUTHOR_DATE: baselineDateISO, GIT_COMMITTER_DATE: baselineDateISO } }
-    );
-    const baselineCommitHash = baselineCommitHashOut.trim();
+    // Snapshots (pinned commits, and with tiered retention one commit per period) survive as
+    // their own commits, oldest first. Other merged commits are folded into the next snapshot
+    // up, or into the baseline on top if they are newer than every snapshot.
+    const rewrittenCommits = new Map();
+    let snapshotParent = null;
+    let folded = [];
+
+    for (const commit of [...commitsToMerge].reverse()) {
+      folded.push(commit);
+      if (!snapshots.has(commit.hash)) continue;
+
+      const treeHash = (await gitRaw(['rev-parse', `${commit.hash}^{tree}`])).trim();
+      const message = folded.length === 1 || pinsByHash.has(commit.hash)
+        ? (await gitRaw(['log', '-1', '--format=%B', commit.hash])).trim()
+        : mergedHistoryMessage(folded);
+      const args = ['commit-tree', treeHash, '-m', message];
+      if (snapshotParent) args.push('-p', snapshotParent);
+      const { stdout } = await gitExec(args, {
+        env: { ...process.env, GIT_AUTHOR_DATE: commit.date, GIT_COMMITTER_DATE: commit.date }
+      });
+      snapshotParent = stdout.trim();
+      rewrittenCommits.set(commit.hash, snapshotParent);
+      folded = [];
+    }
+    const snapshotCount = rewrittenCommits.size;
+    const pinnedCount = commitsToMerge.filter(commit => pinsByHash.has(commit.hash)).length;
+    console.log(`[retention] Kept ${snapshotCount} snapshot(s) from the merged range (${pinnedCount} pinned)`);
+
+    let baselineCommitHash;
+    if (folded.length === 0) {
+      // The newest merged commit is a snapshot, so it already is the baseline
+      baselineCommitHash = snapshotParent;
+    } else {
+      // Create the baseline commit (with NO parents unless snapshots precede it)
+      const args = ['commit-tree', baselineTreeHash, '-m', mergedHistoryMessage(folded)];
+      if (snapshotParent) args.push('-p', snapshotParent);
+      const { stdout: baselineCommitHashOut } = await gitExec(
+        args,
+        { env: { ...process.env, GIT_AUTHOR_DATE: baselineDateISO, GIT_COMMITTER_DATE: baselineDateISO } }
+      );
+      baselineCommitHash = baselineCommitHashOut.trim();
+    }
 
     console.log(`[retention] Created baseline commit: ${baselineCommitHash.substring(0, 8)}`);
 
@@ -2413,6 +3374,7 @@ async function cleanupHistoryOrphanMethod(options) {
     }
 
     console.log(`[retention] Rebasing kept commits onto baseline...`);
+    publishEvent('retention', { stage: 'rebasing' });
     console.log(`[retention] Replaying commits AFTER ${upstreamCommit.substring(0, 8)} onto ${baselineCommitHash.substring(0, 8)}`);
 
     // git rebase --onto <newbase> <upstream> <branch>
@@ -2421,17 +3383,35 @@ async function cleanupHistoryOrphanMethod(options) {
 
     console.log('[retention] Rebase successful!');
 
+    // Pins on kept commits follow them to their rebased hashes (matched by date and subject)
+    const { stdout: rebasedOut } = await gitExec(['log', '--format=%H%x09%aI%x09%s', `${baselineCommitHash}..HEAD`]);
+    const rebasedByKey = new Map();
+    for (const line of rebasedOut.split('\n').filter(Boolean)) {
+      const [hash, date, subject = ''] = line.split('\t');
+      const key = `${date}\t${subject}`;
+      if (!rebasedByKey.has(key)) rebasedByKey.set(key, []);
+      rebasedByKey.get(key).push(hash);
+    }
+    for (const kept of commitsToKeep) {
+      if (!pinsByHash.has(kept.hash)) continue;
+      const candidates = rebasedByKey.get(`${kept.date}\t${kept.message}`);
+      if (candidates && candidates.length > 0) rewrittenCommits.set(kept.hash, candidates.shift());
+    }
+    await remapPins(rewrittenCommits);
+
     // Clean up unreachable objects (the old merged commits)
     console.log('[retention] Cleaning up unreachable objects...');
+    publishEvent('retention', { stage: 'pruning' });
     await gitRaw(['reflog', 'expire', '--expire=now', '--all']);
     await gitRaw(['gc', '--prune=now']);
 
     // Verify the result
     const logAfter = await getLightweightGitLog();
-    const expectedTotal = commitsToKeep.length + 1; // kept commits + baseline
+    const baselineCount = snapshots.has(newestMergedCommit.hash) ? 0 : 1;
+    const expectedTotal = commitsToKeep.length + snapshotCount + baselineCount;
 
     console.log(`[retention] Cleanup complete!`);
-    console.log(`[retention] Expected commits: ${expectedTotal} (${commitsToKeep.length} kept + 1 baseline)`);
+    console.log(`[retention] Expected commits: ${expectedTotal} (${commitsToKeep.length} kept + ${snapshotCount} snapshots + ${baselineCount} baseline)`);
     console.log(`[retention] Actual commits: ${logAfter.total}`);
     if (logAfter.all.length > 0) {
       const oldestAfter = logAfter.all[logAfter.all.length - 1];
@@ -2445,9 +3425,11 @@ async function cleanupHistoryOrphanMethod(options) {
 
     return {
       success: true,
-      message: `History cleanup completed. Merged ${commitsToMerge.length} old commits.`,
-      commitsMerged: commitsToMerge.length,
+      message: `History cleanup completed. Merged ${commitsToMerge.length - snapshotCount} old commits.`,
+      commitsMerged: commitsToMerge.length - snapshotCount,
       commitsKept: commitsToKeep.length,
+      snapshotsKept: snapshotCount,
+      pinnedKept: pinnedCount,
       totalCommits: newLog.total,
       backupBranch,
       baselineCommit: baselineCommitHash.substring(0, 8),
@@ -2474,13 +3456,7 @@ async function cleanupHistoryOrphanMethod(options) {
 
 /**
  * Preview what would be deleted without actually deleting
- * @param {Object} options - Preview options
- * @param {number} options.months - Number of months of history to keep
- * @param {number} options.weeks - Number of weeks of history to keep
- * @param {number} options.days - Number of days of history to keep
- * @param {number} options.hours - Number of hours of history to keep
- * @param {number} options.minutes - Number of minutes of history to keep
- * @param {number} options.seconds - Number of seconds of history to keep
+ * @param {Object} options - Preview options, the same as for cleanupHistoryOrphanMethod()
  * @returns {Object} Preview results
  */
 async function previewHistoryCleanup(options) {
@@ -2488,58 +3464,30 @@ async function previewHistoryCleanup(options) {
     throw new Error('Git repository not initialized');
   }
 
-  // Calculate total milliseconds from all time units
-  let totalMs = 0;
-  let timeDescription = [];
+  const plan = await planHistoryCleanup(options);
+  const { allCommits, commitsToKeep, commitsToMerge, snapshots, pinsByHash } = plan;
+  console.log(`[retention-preview] Previewing cleanup - keeping ${plan.description}`);
 
-  if (options.months) {
-    totalMs += options.months * 30 * 24 * 60 * 60 * 1000; // Approx 30 days
-    timeDescription.push(`${options.months} month${options.months !== 1 ? 's' : ''}`);
-  }
-  if (options.weeks) {
-    totalMs += options.weeks * 7 * 24 * 60 * 60 * 1000;
-    timeDescription.push(`${options.weeks} week${options.weeks !== 1 ? 's' : ''}`);
-  }
-  if (options.days) {
-    totalMs += options.days * 24 * 60 * 60 * 1000;
-    timeDescription.push(`${options.days} day${options.days !== 1 ? 's' : ''}`);
-  }
-  if (options.hours) {
-    totalMs += options.hours * 60 * 60 * 1000;
-    timeDescription.push(`${options.hours} hour${options.hours !== 1 ? 's' : ''}`);
-  }
-  if (options.minutes) {
-    totalMs += options.minutes * 60 * 1000;
-    timeDescription.push(`${options.minutes} minute${options.minutes !== 1 ? 's' : ''}`);
-  }
-  if (options.seconds) {
-    totalMs += options.seconds * 1000;
-    timeDescription.push(`${options.seconds} second${options.seconds !== 1 ? 's' : ''}`);
-  }
-
-  const timeDesc = timeDescription.join(', ');
-  console.log(`[retention-preview] Previewing cleanup - keeping last ${timeDesc}`);
-
-  const cutoffDate = new Date(Date.now() - totalMs);
-  const log = await getLightweightGitLog();
-  const allCommits = log.all;
-
-  const commitsToKeep = allCommits.filter(commit => {
-    const commitDate = new Date(commit.date);
-    return commitDate > cutoffDate;
-  });
-
-  const commitsToRemove = allCommits.filter(commit => {
-    const commitDate = new Date(commit.date);
-    return commitDate <= cutoffDate;
-  });
+  const snapshotCommits = commitsToMerge.filter(commit => snapshots.has(commit.hash));
+  const commitsToRemove = commitsToMerge.filter(commit => !snapshots.has(commit.hash));
+  // Nothing is rewritten when every old commit is kept anyway
+  const nothingToMerge = commitsToRemove.length === 0;
 
   return {
     success: true,
     totalCommits: allCommits.length,
-    commitsToKeep: commitsToKeep.length,
+    commitsToKeep: nothingToMerge ? allCommits.length : commitsToKeep.length,
     commitsToRemove: commitsToRemove.length,
-    cutoffDate: cutoffDate.toISOString(),
+    snapshotsToKeep: nothingToMerge ? 0 : snapshotCommits.length,
+    pinnedSnapshots: nothingToMerge ? [] : snapshotCommits
+      .filter(c => pinsByHash.has(c.hash))
+      .map(c => ({
+        hash: c.hash.substring(0, 8),
+        date: new Date(c.date).toISOString(),
+        label: pinsByHash.get(c.hash).label
+      })),
+    tiers: plan.tierStats,
+    cutoffDate: plan.cutoffDate.toISOString(),
     oldestCommit: allCommits.length > 0 ? {
       hash: allCommits[allCommits.length - 1].hash.substring(0, 8),
       date: new Date(allCommits[allCommits.length - 1].date).toISOString(),
@@ -2561,10 +3509,17 @@ async function previewHistoryCleanup(options) {
 // API endpoint: Preview cleanup (dry-run)
 app.post('/api/retention/preview', async (req, res) => {
   try {
-    const { months, weeks, days, hours, minutes, seconds } = req.body;
+    const { months, weeks, days, hours, minutes, seconds, tiered, tiers } = req.body;
 
-    // Validate that at least one time unit is provided
-    if (!months && !weeks && !days && !hours && !minutes && !seconds) {
+    // Tiered retention replaces the time period
+    if (tiered || tiers) {
+      try {
+        resolveRetentionTiers({ tiered, tiers });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    } else if (!months && !weeks && !days && !hours && !minutes && !seconds) {
+      // Validate that at least one time unit is provided
       return res.status(400).json({
         success: false,
         error: 'At least one time parameter (months, weeks, days, hours, minutes, or seconds) must be provided.'
@@ -2580,7 +3535,7 @@ app.post('/api/retention/preview', async (req, res) => {
     }
 
     console.log(`[retention-api] Preview requested for ${months || 0}mo ${weeks || 0}w ${days || 0}d ${hours || 0}h ${minutes || 0}m ${seconds || 0}s`);
-    const preview = await previewHistoryCleanup({ months, weeks, days, hours, minutes, seconds });
+    const preview = await previewHistoryCleanup({ months, weeks, days, hours, minutes, seconds, tiered, tiers });
 
     res.json(preview);
   } catch (error) {
@@ -2595,10 +3550,17 @@ app.post('/api/retention/preview', async (req, res) => {
 // API endpoint: Execute cleanup
 app.post('/api/retention/cleanup', async (req, res) => {
   try {
-    const { months, weeks, days, hours, minutes, seconds } = req.body;
+    const { months, weeks, days, hours, minutes, seconds, tiered, tiers } = req.body;
 
-    // Validate that at least one time unit is provided
-    if (!months && !weeks && !days && !hours && !minutes && !seconds) {
+    // Tiered retention replaces the time period
+    if (tiered || tiers) {
+      try {
+        resolveRetentionTiers({ tiered, tiers });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    } else if (!months && !weeks && !days && !hours && !minutes && !seconds) {
+      // Validate that at least one time unit is provided
       return res.status(400).json({
         success: false,
         error: 'At least one time parameter (months, weeks, days, hours, minutes, or seconds) must be provided.'
@@ -2614,7 +3576,7 @@ app.post('/api/retention/cleanup', async (req, res) => {
     }
 
     console.log(`[retention-api] Cleanup requested for ${months || 0}mo ${weeks || 0}w ${days || 0}d ${hours || 0}h ${minutes || 0}m ${seconds || 0}s`);
-    const result = await cleanupHistoryOrphanMethod({ months, weeks, days, hours, minutes, seconds });
+    const result = await cleanupHistoryOrphanMethod({ months, weeks, days, hours, minutes, seconds, tiered, tiers });
 
     res.json(result);
   } catch (error) {
@@ -2712,6 +3674,12 @@ const server = app.listen(PORT, HOST, (err) => {
     .then(() => {
       initializeWatcher();
 
+      // Pick up registry changes made while the add-on wasn't running
+      if (runtimeSettings.trackRegistries) {
+        writeRegistrySnapshots(CONFIG_PATH).catch(error =>
+          console.error('[registries] Could not refresh registry snapshots:', error.message));
+      }
+
       // Start cloud sync scheduler (check every hour)
       startCloudSyncScheduler();
     })
@@ -2785,8 +3753,19 @@ app.get('/api/scripts', async (req, res) => {
   }
 });
 
+// Get all scenes
+app.get('/api/scenes', async (req, res) => {
+  try {
+    const scenes = await extractScenes(CONFIG_PATH);
+    res.json({ success: true, scenes });
+  } catch (error) {
+    console.error('[scenes] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get automation history
-app.get('/api/automation/:id/history', async (req, res) => {
+app.get('/api/automation/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { success, history, debugMessages } = await getAutomationHistory(id, CONFIG_PATH);
@@ -2798,7 +3777,7 @@ app.get('/api/automation/:id/history', async (req, res) => {
 });
 
 // Get script history
-app.get('/api/script/:id/history', async (req, res) => {
+app.get('/api/script/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { success, history, debugMessages } = await getScriptHistory(id, CONFIG_PATH);
@@ -2810,7 +3789,7 @@ app.get('/api/script/:id/history', async (req, res) => {
 });
 
 // Progressive loading: Get automation history metadata (fast - no YAML parsing)
-app.get('/api/automation/:id/history-metadata', async (req, res) => {
+app.get('/api/automation/:id/history-metadata', validateRequest({ id: 'item' }), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await getAutomationHistoryMetadata(id, CONFIG_PATH);
@@ -2822,13 +3801,10 @@ app.get('/api/automation/:id/history-metadata', async (req, res) => {
 });
 
 // Progressive loading: Get automation content at specific commit
-app.get('/api/automation/:id/at-commit', async (req, res) => {
+app.get('/api/automation/:id/at-commit', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.query;
-    if (!commitHash) {
-      return res.status(400).json({ success: false, error: 'commitHash is required' });
-    }
     const result = await getAutomationAtCommit(id, commitHash, CONFIG_PATH);
     res.json(result);
   } catch (error) {
@@ -2838,7 +3814,7 @@ app.get('/api/automation/:id/at-commit', async (req, res) => {
 });
 
 // Progressive loading: Get script history metadata (fast - no YAML parsing)
-app.get('/api/script/:id/history-metadata', async (req, res) => {
+app.get('/api/script/:id/history-metadata', validateRequest({ id: 'item' }), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await getScriptHistoryMetadata(id, CONFIG_PATH);
@@ -2850,13 +3826,10 @@ app.get('/api/script/:id/history-metadata', async (req, res) => {
 });
 
 // Progressive loading: Get script content at specific commit
-app.get('/api/script/:id/at-commit', async (req, res) => {
+app.get('/api/script/:id/at-commit', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.query;
-    if (!commitHash) {
-      return res.status(400).json({ success: false, error: 'commitHash is required' });
-    }
     const result = await getScriptAtCommit(id, commitHash, CONFIG_PATH);
     res.json(result);
   } catch (error) {
@@ -2866,7 +3839,7 @@ app.get('/api/script/:id/at-commit', async (req, res) => {
 });
 
 // Get automation diff
-app.get('/api/automation/:id/diff', async (req, res) => {
+app.get('/api/automation/:id/diff', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.query;
@@ -2879,7 +3852,7 @@ app.get('/api/automation/:id/diff', async (req, res) => {
 });
 
 // Get script diff
-app.get('/api/script/:id/diff', async (req, res) => {
+app.get('/api/script/:id/diff', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.query;
@@ -2892,24 +3865,30 @@ app.get('/api/script/:id/diff', async (req, res) => {
 });
 
 // Restore automation
-app.post('/api/automation/:id/restore', async (req, res) => {
+app.post('/api/automation/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.body;
-    const success = await restoreAutomation(id, commitHash, CONFIG_PATH);
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        if (!await restoreAutomation(id, commitHash, CONFIG_PATH)) throw new Error('Failed to restore automation');
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
 
-    if (success) {
-      // Automatically reload automations in Home Assistant
-      console.log('[restore automation] Reloading automations in Home Assistant...');
-      const reloadResult = await callHomeAssistantService('automation', 'reload');
+    // Automatically reload automations in Home Assistant
+    console.log('[restore automation] Reloading automations in Home Assistant...');
+    const reloadResult = await callHomeAssistantService('automation', 'reload');
 
-      if (reloadResult.success) {
-        res.json({ success: true, message: 'Automation restored and reloaded in Home Assistant', reloaded: true });
-      } else {
-        res.json({ success: true, message: 'Automation restored but reload failed: ' + reloadResult.error });
-      }
+    if (reloadResult.success) {
+      res.json({ success: true, message: 'Automation restored and reloaded in Home Assistant', reloaded: true, configCheck });
     } else {
-      res.json({ success: false, message: 'Failed to restore automation' });
+      res.json({ success: true, message: 'Automation restored but reload failed: ' + reloadResult.error, configCheck });
     }
   } catch (error) {
     console.error('[restore automation] Error:', error);
@@ -2918,24 +3897,30 @@ app.post('/api/automation/:id/restore', async (req, res) => {
 });
 
 // Restore script
-app.post('/api/script/:id/restore', async (req, res) => {
+app.post('/api/script/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { commitHash } = req.body;
-    const success = await restoreScript(id, commitHash, CONFIG_PATH);
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        if (!await restoreScript(id, commitHash, CONFIG_PATH)) throw new Error('Failed to restore script');
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
 
-    if (success) {
-      // Automatically reload scripts in Home Assistant
-      console.log('[restore script] Reloading scripts in Home Assistant...');
-      const reloadResult = await callHomeAssistantService('script', 'reload');
+    // Automatically reload scripts in Home Assistant
+    console.log('[restore script] Reloading scripts in Home Assistant...');
+    const reloadResult = await callHomeAssistantService('script', 'reload');
 
-      if (reloadResult.success) {
-        res.json({ success: true, message: 'Script restored and reloaded in Home Assistant', reloaded: true });
-      } else {
-        res.json({ success: true, message: 'Script restored but reload failed: ' + reloadResult.error });
-      }
+    if (reloadResult.success) {
+      res.json({ success: true, message: 'Script restored and reloaded in Home Assistant', reloaded: true, configCheck });
     } else {
-      res.json({ success: false, message: 'Failed to restore script' });
+      res.json({ success: true, message: 'Script restored but reload failed: ' + reloadResult.error, configCheck });
     }
   } catch (error) {
     console.error('[restore script] Error:', error);
@@ -2943,6 +3928,455 @@ app.post('/api/script/:id/restore', async (req, res) => {
   }
 });
 
+// Get scene history
+app.get('/api/scene/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { success, history, debugMessages } = await getSceneHistory(id, CONFIG_PATH);
+    res.json({ success, history, debugMessages });
+  } catch (error) {
+    console.error('[scene history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Progressive loading: Get scene history metadata (fast - no YAML parsing)
+app.get('/api/scene/:id/history-metadata', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getSceneHistoryMetadata(id, CONFIG_PATH);
+    res.json(result);
+  } catch (error) {
+    console.error('[scene history-metadata] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Progressive loading: Get scene content at specific commit
+app.get('/api/scene/:id/at-commit', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.query;
+    const result = await getSceneAtCommit(id, commitHash, CONFIG_PATH);
+    res.json(result);
+  } catch (error) {
+    console.error('[scene at-commit] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get scene diff
+app.get('/api/scene/:id/diff', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.query;
+    const diff = await getSceneDiff(id, commitHash, CONFIG_PATH);
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('[scene diff] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore scene
+app.post('/api/scene/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.body;
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        if (!await restoreScene(id, commitHash, CONFIG_PATH)) throw new Error('Failed to restore scene');
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+
+    // Automatically reload scenes in Home Assistant
+    console.log('[restore scene] Reloading scenes in Home Assistant...');
+    const reloadResult = await callHomeAssistantService('scene', 'reload');
+
+    if (reloadResult.success) {
+      res.json({ success: true, message: 'Scene restored and reloaded in Home Assistant', reloaded: true, configCheck });
+    } else {
+      res.json({ success: true, message: 'Scene restored but reload failed: ' + reloadResult.error, configCheck });
+    }
+  } catch (error) {
+    console.error('[restore scene] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get dashboards with their views and cards
+app.get('/api/lovelace/dashboards', async (req, res) => {
+  try {
+    const dashboards = await listDashboards(CONFIG_PATH);
+    res.json({ success: true, dashboards });
+  } catch (error) {
+    console.error('[lovelace] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the history of a dashboard view or card
+app.get('/api/lovelace/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const result = await getLovelaceHistory(req.params.id);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[lovelace history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore one view into the current dashboard
+app.post('/api/lovelace/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.body;
+    let restored;
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        restored = await restoreLovelaceView(id, commitHash, CONFIG_PATH);
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+
+    // Open dashboards reload their config when they see this event
+    const eventResult = await fireHomeAssistantEvent('lovelace_updated', { url_path: restored.urlPath });
+
+    if (eventResult.success) {
+      res.json({ success: true, message: `View '${restored.title}' restored and dashboards refreshed`, reloaded: true, configCheck });
+    } else {
+      res.json({ success: true, message: `View '${restored.title}' restored but dashboards could not be refreshed: ${eventResult.error}`, configCheck });
+    }
+  } catch (error) {
+    console.error('[restore view] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get blueprints with the automations that use them
+app.get('/api/blueprints', async (req, res) => {
+  try {
+    const automations = await extractAutomations(CONFIG_PATH);
+    const blueprints = await listBlueprints(CONFIG_PATH, automations);
+    res.json({ success: true, blueprints });
+  } catch (error) {
+    console.error('[blueprints] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the versions of a blueprint with the inputs each automation passed it at the time
+// ?path=blueprints/automation/<author>/<file>.yaml
+app.get('/api/blueprint/history', validateRequest({ path: 'path' }), async (req, res) => {
+  try {
+    if (!blueprintPathOf(req.query.path)) {
+      return res.status(400).json({ success: false, error: 'Not a blueprint file' });
+    }
+    const { automationPaths } = await getConfigFilePaths(CONFIG_PATH);
+    const automationFiles = automationPaths.map(filePath => path.relative(CONFIG_PATH, filePath));
+    const result = await getBlueprintHistory(req.query.path, automationFiles, CONFIG_PATH);
+    res.json(result);
+  } catch (error) {
+    console.error('[blueprint history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get packages with the domains each one configures
+app.get('/api/packages', async (req, res) => {
+  try {
+    const packages = await listPackages(CONFIG_PATH);
+    res.json({ success: true, packages });
+  } catch (error) {
+    console.error('[packages] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the versions of a package with the domains each version changed
+app.get('/api/package/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const result = await getPackageHistory(req.params.id);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[package history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore one domain block of a package (e.g. its template: section)
+app.post('/api/package/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash, domain } = req.body;
+    const parsed = parsePackageId(id);
+    if (!parsed) {
+      return res.status(400).json({ success: false, error: 'Not a package id' });
+    }
+    if (typeof domain !== 'string' || !domain) {
+      return res.status(400).json({ success: false, error: 'domain is required' });
+    }
+
+    let restored;
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([parsed.file], async () => {
+        restored = await restorePackageDomain(id, domain, commitHash, CONFIG_PATH);
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+
+    // "template", "automation manual" -> the integration to reload
+    const integration = domain.split(/\s+/)[0];
+    const action = restored.removed ? 'removed' : 'restored';
+    console.log(`[restore package] Reloading ${integration} in Home Assistant...`);
+    const reloadResult = await callHomeAssistantService(integration, 'reload');
+
+    if (reloadResult.success) {
+      res.json({ success: true, message: `${domain} ${action} and reloaded in Home Assistant`, reloaded: true, configCheck });
+    } else {
+      res.json({ success: true, message: `${domain} ${action}, but ${integration} could not be reloaded (a restart may be needed): ${reloadResult.error}`, configCheck });
+    }
+  } catch (error) {
+    console.error('[restore package] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the items of YAML integrations (template:, sensor:, rest_command: ...)
+// ?domain=template for one domain; any registered domain works, including automation
+app.get('/api/items', async (req, res) => {
+  try {
+    const { domain } = req.query;
+    if (domain && !getExtractor(domain)) {
+      return res.status(400).json({ success: false, error: `No extractor for ${domain}` });
+    }
+
+    const domains = domain ? [domain] : getExtractorDomains({ integrationsOnly: true });
+    const items = [];
+    for (const name of domains) {
+      items.push(...await getExtractor(name).extract(CONFIG_PATH));
+    }
+    res.json({ success: true, domains: getExtractorDomains({ integrationsOnly: true }), items });
+  } catch (error) {
+    console.error('[items] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the history of one item
+app.get('/api/item/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const extractor = getExtractorForId(req.params.id);
+    if (!extractor) {
+      return res.status(400).json({ success: false, error: 'Unknown item type' });
+    }
+    res.json(await extractor.history(req.params.id, CONFIG_PATH));
+  } catch (error) {
+    console.error('[item history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one item's content at a commit
+app.get('/api/item/:id/at-commit', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const extractor = getExtractorForId(req.params.id);
+    if (!extractor) {
+      return res.status(400).json({ success: false, error: 'Unknown item type' });
+    }
+    res.json(await extractor.atCommit(req.params.id, req.query.commitHash, CONFIG_PATH));
+  } catch (error) {
+    console.error('[item at-commit] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore one item, then reload its integration
+app.post('/api/item/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.body;
+    const extractor = getExtractorForId(id);
+    if (!extractor) {
+      return res.status(400).json({ success: false, error: 'Unknown item type' });
+    }
+
+    let restored;
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        restored = await extractor.restore(id, commitHash, CONFIG_PATH);
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+
+    console.log(`[restore item] Reloading ${restored.reloadDomain} in Home Assistant...`);
+    const reloadResult = await callHomeAssistantService(restored.reloadDomain, 'reload');
+
+    if (reloadResult.success) {
+      res.json({ success: true, message: `'${restored.name}' restored and ${restored.reloadDomain} reloaded`, reloaded: true, configCheck });
+    } else {
+      res.json({ success: true, message: `'${restored.name}' restored, but ${restored.reloadDomain} could not be reloaded (a restart may be needed): ${reloadResult.error}`, configCheck });
+    }
+  } catch (error) {
+    console.error('[restore item] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get ESPHome devices with the files each one uses and its effective config
+app.get('/api/esphome/devices', async (req, res) => {
+  try {
+    const devices = await listEsphomeDevices(CONFIG_PATH);
+    res.json({ success: true, devices });
+  } catch (error) {
+    console.error('[esphome] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the versions of a device's effective config, flagging board, framework and OTA changes
+// ?path=esphome/<device>.yaml
+app.get('/api/esphome/device/history', validateRequest({ path: 'path' }), async (req, res) => {
+  try {
+    if (!isEsphomeDeviceFile(req.query.path)) {
+      return res.status(400).json({ success: false, error: 'Not an ESPHome device file' });
+    }
+    const result = await getEsphomeDeviceHistory(req.query.path, CONFIG_PATH);
+    res.json(result);
+  } catch (error) {
+    console.error('[esphome history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all UI-managed helpers
+app.get('/api/helpers', async (req, res) => {
+  try {
+    if (!runtimeSettings.trackHelpers) {
+      return res.json({ success: true, enabled: false, helpers: [] });
+    }
+    const helpers = await listHelpers(CONFIG_PATH);
+    res.json({ success: true, enabled: true, helpers });
+  } catch (error) {
+    console.error('[helpers] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get helper history
+app.get('/api/helper/:id/history', validateRequest({ id: 'item' }), async (req, res) => {
+  try {
+    const result = await getHelperHistory(req.params.id);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[helper history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore helper
+app.post('/api/helper/:id/restore', validateRequest({ id: 'item', commitHash: 'commit' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commitHash } = req.body;
+    let restored;
+    let configCheck;
+    try {
+      configCheck = await applyWithConfigCheck([itemFileOf(id)], async () => {
+        restored = await restoreHelper(id, commitHash, CONFIG_PATH);
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (configCheck.checked && !configCheck.valid) {
+      return res.status(422).json({ success: false, error: formatConfigCheckError(configCheck), configCheck });
+    }
+
+    // A reload doesn't re-read .storage, so the helper only comes back after a restart
+    res.json({
+      success: true,
+      message: `${restored.name} restored. Restart Home Assistant to load it; changing other ${restored.domain} helpers before then undoes the restore.`,
+      restartRequired: true,
+      configCheck
+    });
+  } catch (error) {
+    console.error('[restore helper] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List entities in the registry snapshot (current and deleted)
+app.get('/api/registry/entities', async (req, res) => {
+  try {
+    if (!runtimeSettings.trackRegistries) {
+      return res.json({ success: true, enabled: false, entities: [] });
+    }
+    const entities = await listRegistryEntities(CONFIG_PATH);
+    res.json({ success: true, enabled: true, entities });
+  } catch (error) {
+    console.error('[registry entities] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the names, devices and areas an entity has had, following entity_id renames
+// ?at=<ISO date> also returns the version in effect at that time
+app.get('/api/registry/entity/:entityId/history', validateRequest({ entityId: 'entity' }), async (req, res) => {
+  try {
+    let at = null;
+    if (req.query.at) {
+      at = new Date(req.query.at);
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({ success: false, error: `Invalid date: ${String(req.query.at).substring(0, 50)}` });
+      }
+    }
+
+    const result = await getEntityHistory(req.params.entityId);
+    if (!result.success) {
+      return res.status(404).json({ success: false, error: `${req.params.entityId} not found in registry history` });
+    }
+
+    if (at) {
+      // History is newest first - the first version from before the date was in effect then
+      result.at = result.history.find(version => new Date(version.date) <= at) || null;
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[registry entity history] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // =====================================
 // Cloud Sync Functions
 // =====================================
@@ -2993,6 +4427,78 @@ async function setupGitRemote(url, token) {
 }
 
 
+/**
+ * Start or stop tracking helper stores after the setting changes
+ * Rewrites .gitignore and commits the stores right away, so history starts with the
+ * helpers as they are now (or the stores leave the index) without waiting for an edit.
+ * @param {boolean} enabled - Whether helpers should be tracked
+ */
+async function configureHelperTracking(enabled) {
+  const nestedRepos = await findNestedGitRepos();
+  await fsPromises.writeFile(path.join(CONFIG_PATH, '.gitignore'), generateGitignoreContent(nestedRepos, runtimeSettings.extensions));
+
+  const storePaths = HELPER_DOMAINS.map(helperStorePath);
+  const existingStores = storePaths.filter(storePath => fs.existsSync(path.join(CONFIG_PATH, storePath)));
+
+  if (enabled) {
+    if (existingStores.length > 0) {
+      await gitExec(['add', '--', ...existingStores]);
+    }
+    if (watcher) {
+      watcher.add(storePaths.map(storePath => path.join(CONFIG_PATH, storePath)));
+    }
+  } else {
+    // Keep the files on disk, just stop tracking them
+    await gitExec(['rm', '--cached', '-q', '--ignore-unmatch', '--', ...storePaths]);
+  }
+
+  await commitTrackingChange(storePaths, `[helpers] Helper tracking ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Start or stop keeping registry snapshots after the setting changes
+ * The snapshots are written and committed right away. When turned off they're removed
+ * from the config folder; their history stays.
+ * @param {boolean} enabled - Whether registry snapshots should be kept
+ */
+async function configureRegistryTracking(enabled) {
+  const nestedRepos = await findNestedGitRepos();
+  await fsPromises.writeFile(path.join(CONFIG_PATH, '.gitignore'), generateGitignoreContent(nestedRepos, runtimeSettings.extensions));
+
+  if (enabled) {
+    await writeRegistrySnapshots(CONFIG_PATH);
+    await gitExec(['add', '-A', '--', REGISTRY_SNAPSHOT_DIR]);
+    if (watcher) {
+      watcher.add(REGISTRY_KINDS.map(kind => path.join(CONFIG_PATH, registrySourcePath(kind))));
+    }
+  } else {
+    await gitExec(['rm', '-r', '-q', '--ignore-unmatch', '--', REGISTRY_SNAPSHOT_DIR]);
+    await fsPromises.rm(path.join(CONFIG_PATH, REGISTRY_SNAPSHOT_DIR), { recursive: true, force: true });
+  }
+
+  await commitTrackingChange([REGISTRY_SNAPSHOT_DIR], `[registries] Registry snapshots ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Commit what a tracking toggle staged, straight away
+ * The watcher resets the index before it commits, which would lose a staged "git rm --cached".
+ * @param {Array<string>} paths - Paths the toggle staged
+ * @param {string} logPrefix - Start of the log line, e.g. "[helpers] Helper tracking enabled"
+ */
+async function commitTrackingChange(paths, logPrefix) {
+  const { stdout } = await gitExec(['diff', '--cached', '--name-only', '--', ...paths]);
+  const staged = stdout.split('\n').filter(line => line.trim());
+  if (staged.length === 0) {
+    console.log(`${logPrefix}, nothing to commit`);
+    return;
+  }
+
+  const message = staged.length <= 2 ? staged.join(', ') : `${staged.length} files`;
+  // Through gitCommit() so the timeline and history index hear about it
+  await gitCommit(message);
+  console.log(`${logPrefix}: committed ${message}`);
+}
+
 /**
  * Configure secrets.yaml tracking based on settings
  * @param {boolean} include - Whether to include secrets.yaml
@@ -3118,6 +4624,7 @@ async function pushToRemote(includeSecrets = false) {
     runtimeSettings.cloudSync.lastPushError = null;
     await saveRuntimeSettings();
 
+    publishEvent('push', { success: true, branch: remoteBranch });
     return { success: true, branch: remoteBranch };
 
   } catch (error) {
@@ -3129,6 +4636,7 @@ async function pushToRemote(includeSecrets = false) {
     runtimeSettings.cloudSync.lastPushError = error.message;
     await saveRuntimeSettings();
 
+    publishEvent('push', { success: false, error: error.message });
     return { success: false, error: error.message };
   }
 }
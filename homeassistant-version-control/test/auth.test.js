@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiredScope, hasScope, isAllowedOrigin, authenticateRequest } from '../utils/auth.js';
+
+test('reads need the read scope', () => {
+    assert.equal(requiredScope('GET', '/api/git/history'), 'read');
+    assert.equal(requiredScope('POST', '/api/diff/structure'), 'read');
+});
+
+test('reads that expose credentials need the admin scope', () => {
+    for (const urlPath of ['/api/runtime-settings', '/api/cloud-sync/settings', '/api/debug', '/api/auth/tokens']) {
+        assert.equal(requiredScope('GET', urlPath), 'admin', urlPath);
+    }
+});
+
+test('a trailing slash or different case does not lower the required scope', () => {
+    for (const urlPath of [
+        '/api/runtime-settings/',
+        '/API/runtime-settings',
+        '/api/Runtime-Settings/',
+        '/api/debug/',
+        '/api/cloud-sync/settings/',
+        '/api/auth/tokens/',
+        '/api/auth/tokens//'
+    ]) {
+        assert.equal(requiredScope('GET', urlPath), 'admin', urlPath);
+    }
+    assert.equal(requiredScope('POST', '/API/Restore-File/'), 'restore');
+    assert.equal(requiredScope('POST', '/api/automation/abc/restore/'), 'restore');
+    assert.equal(requiredScope('POST', '/API/Diff/Structure/'), 'read');
+});
+
+test('changes that are not restores need the admin scope', () => {
+    assert.equal(requiredScope('POST', '/api/runtime-settings'), 'admin');
+    assert.equal(requiredScope('DELETE', '/api/auth/tokens/abc'), 'admin');
+});
+
+test('scopes are ordered read < restore < admin', () => {
+    assert.ok(hasScope('admin', 'restore'));
+    assert.ok(hasScope('restore', 'read'));
+    assert.ok(!hasScope('read', 'restore'));
+    assert.ok(!hasScope('restore', 'admin'));
+});
+
+function requestFrom(remoteAddress, headers = {}) {
+    return { socket: { remoteAddress }, headers: { host: 'homeassistant.local:54001', ...headers } };
+}
+
+test('with authentication on, only the add-on\'s own origin may make credentialed requests', () => {
+    const req = requestFrom('192.0.2.2');
+    assert.ok(isAllowedOrigin(req, 'http://homeassistant.local:54001', { authEnabled: true }));
+    for (const origin of ['http://192.168.1.20:8123', 'http://localhost:3000', 'http://evil-10.example', 'null']) {
+        assert.equal(isAllowedOrigin(req, origin, { authEnabled: true }), false, origin);
+    }
+    assert.ok(isAllowedOrigin(requestFrom('172.30.32.2'), 'http://homeassistant.local:8123', { authEnabled: true }));
+});
+
+test('with authentication off, origins are matched on the host name, not a substring', () => {
+    const req = requestFrom('192.0.2.2');
+    for (const origin of ['http://192.168.1.20:8123', 'http://10.0.0.5', 'http://172.16.0.1', 'http://localhost:3000']) {
+        assert.ok(isAllowedOrigin(req, origin, { authEnabled: false }), origin);
+    }
+    for (const origin of ['http://evil-10.example', 'http://localhost.evil.example', 'http://172.32.0.1', 'http://192.168.1.1.example']) {
+        assert.equal(isAllowedOrigin(req, origin, { authEnabled: false }), false, origin);
+    }
+});
+
+test('loopback requests are only trusted when asked to', async () => {
+    const getSupervisorToken = async () => null;
+    assert.equal(await authenticateRequest(requestFrom('127.0.0.1'), { getSupervisorToken }), null);
+    assert.deepEqual(
+        await authenticateRequest(requestFrom('::1'), { getSupervisorToken, trustLoopback: true }),
+        { scope: 'admin', via: 'loopback' }
+    );
+});
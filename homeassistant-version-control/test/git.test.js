@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gitLog, gitLogChanges, gitReachableBlobs, gitSearchHistory, ereToRegExp } from '../utils/git.js';
+
+let repo;
+
+const AUTHOR = { GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@local', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@local' };
+
+function git(args, env = {}) {
+    execFileSync('git', args, { cwd: repo, env: { ...process.env, ...AUTHOR, ...env } });
+}
+
+function commit(message, date) {
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+}
+
+before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'havc-git-test-'));
+    global.CONFIG_PATH = repo;
+    git(['init', '-q']);
+
+    const content = Array.from({ length: 20 }, (_, i) => `sensor_${i}: ${i}`).join('\n');
+    fs.writeFileSync(path.join(repo, 'tomove.yaml'), `${content}\n`);
+    commit('Add tomove.yaml', '2026-01-01T00:00:00Z');
+    fs.appendFileSync(path.join(repo, 'tomove.yaml'), 'extra: 1\n');
+    commit('Edit tomove.yaml', '2026-01-02T00:00:00Z');
+    fs.mkdirSync(path.join(repo, 'sub'));
+    fs.renameSync(path.join(repo, 'tomove.yaml'), path.join(repo, 'sub', 'tomove.yaml'));
+    commit('Move tomove.yaml', '2026-01-03T00:00:00Z');
+    fs.appendFileSync(path.join(repo, 'sub', 'tomove.yaml'), 'extra: 2\n');
+    commit('Edit sub/tomove.yaml', '2026-01-04T00:00:00Z');
+});
+
+after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+});
+
+test('a file\'s history continues through a rename', async () => {
+    const log = await gitLog({ file: 'sub/tomove.yaml' });
+
+    assert.deepEqual(log.all.map(entry => entry.message),
+        ['Edit sub/tomove.yaml', 'Move tomove.yaml', 'Edit tomove.yaml', 'Add tomove.yaml']);
+    assert.deepEqual(log.all.map(entry => entry.status), ['M', 'R', 'M', 'A']);
+    assert.deepEqual(log.all.map(entry => entry.file),
+        ['sub/tomove.yaml', 'sub/tomove.yaml', 'tomove.yaml', 'tomove.yaml']);
+    assert.equal(log.all[1].oldPath, 'tomove.yaml');
+});
+
+test('older pages of a renamed file\'s history are read under its old name', async () => {
+    const firstPage = await gitLog({ file: 'sub/tomove.yaml', maxCount: 2 });
+    const cursor = firstPage.all[1];
+    const nextPage = await gitLog({ file: cursor.oldPath, from: cursor.hash, skip: 1 });
+
+    assert.deepEqual(nextPage.all.map(entry => entry.message), ['Edit tomove.yaml', 'Add tomove.yaml']);
+});
+
+test('timeline entries have an abbreviated hash and full blob hashes', async () => {
+    const [latest] = await gitLogChanges({ maxCount: 1 });
+
+    assert.equal(latest.short, latest.hash.slice(0, 7));
+    assert.equal(latest.hash.length, 40);
+    assert.match(latest.files[0].newBlob, /^[0-9a-f]{40}$/);
+});
+
+test('every version of a file in history is reachable', async () => {
+    const blobs = await gitReachableBlobs();
+    const log = await gitLogChanges();
+
+    for (const entry of log) {
+        for (const file of entry.files.filter(file => file.newBlob)) {
+            assert.ok(blobs.has(file.newBlob), `${entry.message}: ${file.file}`);
+        }
+    }
+});
+
+test('regex search matches the same lines in git and in the hunk filter', async () => {
+    const commits = await gitSearchHistory({ query: '^extra: [[:digit:]]$', regex: true });
+
+    assert.deepEqual(commits.map(entry => entry.message), ['Edit sub/tomove.yaml', 'Edit tomove.yaml']);
+    assert.deepEqual(commits[0].files[0].hunks[0].matchedLines, ['+extra: 2']);
+    assert.deepEqual(commits[1].files[0].hunks[0].matchedLines, ['+extra: 1']);
+});
+
+test('regex syntax that git\'s extended regular expressions lack is rejected', () => {
+    for (const query of ['extra: \\d', '\\w+', '(?:extra)', 'extra.*?1', '[[:number:]]']) {
+        assert.throws(() => ereToRegExp(query), Error, query);
+    }
+    assert.equal(String(ereToRegExp('[[:digit:]]+\\.[\\]')), '/[0-9]+\\.[\\\\]/');
+});
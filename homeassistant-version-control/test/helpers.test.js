@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { restoreHelper, helperIdFor, parseHelperId, helperDomainOf } from '../utils/helpers.js';
+
+let repo;
+let firstCommit;
+
+const AUTHOR = { GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@local', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@local' };
+
+function git(args) {
+    return execFileSync('git', args, { cwd: repo, env: { ...process.env, ...AUTHOR }, encoding: 'utf-8' });
+}
+
+function writeStore(items) {
+    const store = { version: 1, minor_version: 1, key: 'input_boolean', data: { items } };
+    fs.writeFileSync(path.join(repo, '.storage', 'input_boolean'), JSON.stringify(store, null, 2));
+}
+
+function readItems() {
+    return JSON.parse(fs.readFileSync(path.join(repo, '.storage', 'input_boolean'), 'utf-8')).data.items;
+}
+
+before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'havc-helpers-test-'));
+    global.CONFIG_PATH = repo;
+    git(['init', '-q']);
+    fs.mkdirSync(path.join(repo, '.storage'));
+
+    writeStore([
+        { id: 'guest_mode', name: 'Guest mode', icon: 'mdi:account' },
+        { id: 'vacation', name: 'Vacation' }
+    ]);
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', 'Add helpers']);
+    firstCommit = git(['rev-parse', 'HEAD']).trim();
+});
+
+after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+});
+
+test('restoring a helper leaves the other helpers in the store as they are', async () => {
+    writeStore([
+        { id: 'guest_mode', name: 'Guests', icon: 'mdi:account-group' },
+        { id: 'vacation', name: 'Vacation away' }
+    ]);
+
+    const result = await restoreHelper(helperIdFor('input_boolean', 'guest_mode'), firstCommit, repo);
+
+    assert.deepEqual(result, { domain: 'input_boolean', name: 'Guest mode' });
+    assert.deepEqual(readItems(), [
+        { id: 'guest_mode', name: 'Guest mode', icon: 'mdi:account' },
+        { id: 'vacation', name: 'Vacation away' }
+    ]);
+});
+
+test('a deleted helper is added back', async () => {
+    writeStore([{ id: 'guest_mode', name: 'Guest mode', icon: 'mdi:account' }]);
+
+    await restoreHelper(helperIdFor('input_boolean', 'vacation'), firstCommit, repo);
+
+    assert.deepEqual(readItems().map(item => item.id), ['guest_mode', 'vacation']);
+});
+
+test('a helper missing from the commit is an error', async () => {
+    await assert.rejects(
+        restoreHelper(helperIdFor('input_boolean', 'nope'), firstCommit, repo),
+        /Helper nope not found/
+    );
+});
+
+test('template helpers are config entries, not helper stores', () => {
+    assert.equal(helperDomainOf('.storage/template'), null);
+    assert.equal(parseHelperId(helperIdFor('template', 'abc')), null);
+    assert.equal(helperDomainOf('.storage/counter'), 'counter');
+});
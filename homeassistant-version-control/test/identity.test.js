@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchItem } from '../utils/identity.js';
+
+function automation(index, alias, content, rawId) {
+    return { rawId, name: alias, index, content: { alias, ...content, ...(rawId ? { id: rawId } : {}) } };
+}
+
+const hallLight = {
+    trigger: [{ platform: 'state', entity_id: 'binary_sensor.hall_motion', to: 'on' }],
+    action: [{ service: 'light.turn_on', target: { entity_id: 'light.hall' } }]
+};
+const landingLight = {
+    trigger: [{ platform: 'state', entity_id: 'binary_sensor.landing_motion', to: 'on' }],
+    action: [{ service: 'light.turn_on', target: { entity_id: 'light.hall' } }]
+};
+
+test('a newly added automation without an id does not take over an existing one\'s history', () => {
+    const hall = automation(0, 'Hall light on motion', hallLight);
+    const landing = automation(1, 'Landing light on motion', landingLight);
+    // The version before Landing was added
+    const before = [automation(0, 'Hall light on motion', hallLight)];
+
+    assert.equal(matchItem(landing, before, { others: [hall] }), null);
+    assert.equal(matchItem(hall, before, { others: [landing] }), before[0]);
+});
+
+test('automations without an id are followed when one is inserted above the other', () => {
+    const landing = automation(0, 'Landing light on motion', landingLight);
+    const hall = automation(1, 'Hall light on motion', hallLight);
+    const before = [automation(0, 'Hall light on motion', hallLight)];
+
+    assert.equal(matchItem(hall, before, { others: [landing] }), before[0]);
+    assert.equal(matchItem(landing, before, { others: [hall] }), null);
+});
+
+test('a renamed automation without an id is still found by its content', () => {
+    const hall = automation(0, 'Hall light on motion', hallLight);
+    const landing = automation(1, 'Landing light on motion', landingLight);
+    const before = [
+        automation(0, 'Hall light', hallLight),
+        automation(1, 'Landing light on motion', landingLight)
+    ];
+
+    assert.equal(matchItem(hall, before, { others: [landing] }), before[0]);
+});
+
+test('a candidate with another automation\'s id is never matched by similarity', () => {
+    const hall = automation(0, 'Hall light on motion', hallLight, '100');
+    const copy = automation(1, 'Hall light copy', hallLight);
+    const before = [automation(0, 'Hall light on motion', hallLight, '100')];
+
+    assert.equal(matchItem(copy, before, { others: [hall] }), null);
+});
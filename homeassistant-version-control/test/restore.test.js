@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { restoreScript, restoreScene, InPlaceRestoreError } from '../automation-parser.js';
+
+let repo;
+let firstCommit;
+
+const AUTHOR = { GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@local', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@local' };
+
+const WAKE_UP_BEFORE = `wake_up:
+  alias: Wake up  # the original alias
+  sequence:
+    - service: light.turn_on
+      target:
+        entity_id: light.bedroom
+`;
+
+const WAKE_UP_AFTER = `wake_up:
+  alias: Wake up slowly
+  sequence:
+    - service: light.turn_on
+      data:
+        transition: 600
+      target:
+        entity_id: light.bedroom
+`;
+
+// Everything around wake_up, in the formatting a person might use (and yaml.dump wouldn't)
+const HEADER = '# Scripts\n#   edited by hand\n\n';
+const FOOTER = `
+# Evening
+good_night:
+  alias: "Good night"   # quoted on purpose
+  sequence: [{service: light.turn_off, target: {entity_id: all}}]
+`;
+
+function git(args) {
+    return execFileSync('git', args, { cwd: repo, env: { ...process.env, ...AUTHOR }, encoding: 'utf-8' });
+}
+
+function write(file, content) {
+    fs.writeFileSync(path.join(repo, file), content);
+}
+
+function read(file) {
+    return fs.readFileSync(path.join(repo, file), 'utf-8');
+}
+
+before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'havc-restore-test-'));
+    global.CONFIG_PATH = repo;
+    git(['init', '-q']);
+
+    write('scripts.yaml', `# Scripts\n\n${WAKE_UP_BEFORE}\ngood_night:\n  alias: Good night\n  sequence: []\n`);
+    write('scenes.yaml', '- id: "1001"\n  name: Movie\n  entities:\n    light.tv: "off"\n');
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', 'Add scripts and scenes']);
+    firstCommit = git(['rev-parse', 'HEAD']).trim();
+});
+
+after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+});
+
+test('restoring a script changes only its own lines', async () => {
+    write('scripts.yaml', HEADER + WAKE_UP_AFTER + FOOTER);
+
+    assert.equal(await restoreScript('script:scripts.yaml:wake_up', firstCommit, repo), true);
+    assert.equal(read('scripts.yaml'), HEADER + WAKE_UP_BEFORE + FOOTER);
+});
+
+test('a script that can\'t be spliced in place is refused, and its file is left alone', async () => {
+    // A flow-style file has no per-item line ranges to splice into
+    const flowStyle = '{wake_up: {alias: Wake up slowly, sequence: []}, good_night: {alias: Good night, sequence: []}}\n';
+    write('scripts.yaml', flowStyle);
+
+    await assert.rejects(restoreScript('script:scripts.yaml:wake_up', firstCommit, repo), InPlaceRestoreError);
+    assert.equal(read('scripts.yaml'), flowStyle);
+});
+
+test('a scene is restored into an empty file', async () => {
+    write('scenes.yaml', '');
+
+    assert.equal(await restoreScene('scene:scenes.yaml:0', firstCommit, repo), true);
+    assert.match(read('scenes.yaml'), /name: Movie/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { structuralDiff, parseYamlForDiff } from '../utils/yaml-diff.js';
+
+function diff(oldContent, newContent) {
+    return structuralDiff(parseYamlForDiff(oldContent), parseYamlForDiff(newContent));
+}
+
+test('changed, added and removed keys are reported by path', () => {
+    const changes = diff(
+        'trigger:\n  - platform: time\n    at: "07:00"\nmode: single\n',
+        'trigger:\n  - platform: time\n    at: "07:30"\ndescription: Wake up\n'
+    );
+
+    assert.deepEqual(changes, [
+        { type: 'removed', path: 'mode', oldValue: 'single' },
+        { type: 'changed', path: 'trigger[0].at', oldValue: '07:00', newValue: '07:30' },
+        { type: 'added', path: 'description', newValue: 'Wake up' }
+    ]);
+});
+
+test('reordered list items are matched by id and reported as moved', () => {
+    const changes = diff(
+        '- id: morning\n  alias: Morning\n  mode: single\n- id: night\n  alias: Night\n',
+        '- id: night\n  alias: Night\n- id: morning\n  alias: Morning\n  mode: restart\n'
+    );
+
+    assert.deepEqual(changes, [
+        { type: 'moved', path: '[1]', from: 0, to: 1, label: 'Morning' },
+        { type: 'changed', path: '[1].mode', oldValue: 'single', newValue: 'restart' }
+    ]);
+});
+
+test('Home Assistant tags are compared as text', () => {
+    assert.deepEqual(parseYamlForDiff('password: !secret wifi\nsensors: !include sensors.yaml\n'),
+        { password: '!secret wifi', sensors: '!include sensors.yaml' });
+    assert.deepEqual(diff('password: !secret wifi\n', 'password: !secret wifi_guest\n'), [
+        { type: 'changed', path: 'password', oldValue: '!secret wifi', newValue: '!secret wifi_guest' }
+    ]);
+});
+
+test('identical documents have no changes', () => {
+    assert.deepEqual(diff('a: 1\nb: [1, 2]\n', 'a: 1\nb:\n  - 1\n  - 2\n'), []);
+});
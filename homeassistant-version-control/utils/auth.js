@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import { promises as fsPromises } from 'fs';
+
+// ──────────────────────────────────────────────────
+// Authentication for the direct-access port
+// ──────────────────────────────────────────────────
+
+const TOKENS_PATH = '/data/api-tokens.json';
+const TOKEN_PREFIX = 'havc_';
+const HA_TOKEN_CACHE_MS = 5 * 60 * 1000;
+
+// Home Assistant ingress requests are proxied by the Supervisor from this address
+const INGRESS_PROXY_ADDRESSES = ['172.30.32.2', '::ffff:172.30.32.2'];
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+export const SCOPES = ['read', 'restore', 'admin'];
+
+// POST routes that only read data
+const READ_ONLY_POSTS = [
+    /^\/api\/diff\/structure$/,
+    /^\/api\/retention\/preview$/,
+    /^\/api\/git\/file-at-commits$/,
+    /^\/api\/git\/blobs$/
+];
+
+// GET routes that expose credentials or internals
+const ADMIN_READS = [
+    /^\/api\/runtime-settings$/,
+    /^\/api\/cloud-sync\/settings$/,
+    /^\/api\/github\/user$/,
+    /^\/api\/debug$/,
+    /^\/api\/auth\/tokens$/
+];
+
+const RESTORE_ROUTES = [
+    /^\/api\/restore-file$/,
+    /^\/api\/restore-commit$/,
+    /^\/api\/git\/hard-reset$/,
+    /^\/api\/git\/add-all-and-commit$/,
+    /^\/api\/pins(\/[^/]+)?$/,
+    /^\/api\/(automation|script|scene|helper|lovelace|package|item)\/[^/]+\/restore$/
+];
+
+let tokenStore = null;
+const haTokenCache = new Map();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function remoteAddressOf(req) {
+    return req.socket?.remoteAddress || '';
+}
+
+/**
+ * Whether a request came through Home Assistant ingress (already authenticated by HA)
+ * The ingress headers alone can be sent by anyone, so the proxy address is checked too.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isIngressRequest(req) {
+    return INGRESS_PROXY_ADDRESSES.includes(remoteAddressOf(req));
+}
+
+/**
+ * Whether a request came from inside the container (e.g. the health check)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isLoopbackRequest(req) {
+    return LOOPBACK_ADDRESSES.includes(remoteAddressOf(req));
+}
+
+function isPrivateHostname(hostname) {
+    if (hostname === 'localhost' || hostname === '[::1]') return true;
+    const octets = hostname.split('.');
+    if (octets.length !== 4 || !octets.every(octet => /^\d{1,3}$/.test(octet))) return false;
+    const [a, b] = octets.map(Number);
+    return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31);
+}
+
+/**
+ * Whether a browser page on another origin may call the API (CORS)
+ * Browsers send cached Basic credentials with credentialed requests, so while authentication
+ * is on only the add-on's own origin and ingress are allowed. Without authentication, pages
+ * on localhost or a private network address are allowed too.
+ * @param {Object} req - Express request
+ * @param {string} origin - Origin header
+ * @param {Object} options
+ * @param {boolean} options.authEnabled - Whether direct-access authentication is on
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(req, origin, { authEnabled }) {
+    let url;
+    try {
+        url = new URL(origin);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    if (url.host === req.headers.host || isIngressRequest(req)) return true;
+    return !authEnabled && isPrivateHostname(url.hostname);
+}
+
+/**
+ * Check that a granted scope covers the required one (read < restore < admin)
+ * @param {string} granted - Scope of the credential
+ * @param {string} required - Scope the route needs
+ * @returns {boolean}
+ */
+export function hasScope(granted, required) {
+    return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+/**
+ * Scope a request needs
+ * Reads need 'read', restores need 'restore', and everything that changes settings,
+ * pushes, prunes history or manages tokens needs 'admin'.
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Request path (without query string)
+ * @returns {string} 'read', 'restore' or 'admin'
+ */
+export function requiredScope(method, urlPath) {
+    // Express routes ignore case and a trailing slash, so the patterns have to as well
+    urlPath = urlPath.toLowerCase().replace(/\/+$/, '');
+    if (method === 'GET' || method === 'HEAD') {
+        return ADMIN_READS.some(pattern => pattern.test(urlPath)) ? 'admin' : 'read';
+    }
+    if (READ_ONLY_POSTS.some(pattern => pattern.test(urlPath))) return 'read';
+    if (RESTORE_ROUTES.some(pattern => pattern.test(urlPath))) return 'restore';
+    return 'admin';
+}
+
+async function loadTokenStore() {
+    if (tokenStore) return tokenStore;
+    try {
+        const data = await fsPromises.readFile(TOKENS_PATH, 'utf-8');
+        const parsed = JSON.parse(data);
+        tokenStore = Array.isArray(parsed.tokens) ? parsed.tokens : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[auth] Failed to read API tokens:', error.message);
+        }
+        tokenStore = [];
+    }
+    return tokenStore;
+}
+
+async function saveTokenStore() {
+    await fsPromises.writeFile(TOKENS_PATH, JSON.stringify({ tokens: tokenStore }, null, 2), {
+        encoding: 'utf-8',
+        mode: 0o600
+    });
+}
+
+function publicTokenInfo(record) {
+    const { hash, ...info } = record;
+    return info;
+}
+
+/**
+ * List issued API tokens (without their secrets)
+ * @returns {Promise<Array<Object>>} { id, name, scope, created, lastUsed }
+ */
+export async function listApiTokens() {
+    const tokens = await loadTokenStore();
+    return tokens.map(publicTokenInfo);
+}
+
+/**
+ * Issue a new scoped API token
+ * Only a hash is stored, so the token itself can't be shown again.
+ * @param {string} name - Label for the token
+ * @param {string} scope - 'read', 'restore' or 'admin'
+ * @returns {Promise<Object>} { token, info }
+ */
+export async function createApiToken(name, scope) {
+    const tokens = await loadTokenStore();
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        scope,
+        hash: hashToken(token),
+        created: new Date().toISOString(),
+        lastUsed: null
+    };
+    tokens.push(record);
+    await saveTokenStore();
+    console.log(`[auth] Issued ${scope} token "${name}" (${record.id})`);
+    return { token, info: publicTokenInfo(record) };
+}
+
+/**
+ * Revoke an API token
+ * @param {string} id - Token id
+ * @returns {Promise<boolean>} false if no token has that id
+ */
+export async function revokeApiToken(id) {
+    const tokens = await loadTokenStore();
+    const index = tokens.findIndex(record => record.id === id);
+    if (index === -1) return false;
+    const [removed] = tokens.splice(index, 1);
+    await saveTokenStore();
+    console.log(`[auth] Revoked token "${removed.name}" (${removed.id})`);
+    return true;
+}
+
+async function findApiToken(token) {
+    const tokens = await loadTokenStore();
+    const hash = hashToken(token);
+    const record = tokens.find(entry =>
+        crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), Buffer.from(hash, 'hex')));
+    if (!record) return null;
+
+    // Only persist lastUsed once a minute so polling clients don't rewrite the file constantly
+    const now = Date.now();
+    if (!record.lastUsed || now - Date.parse(record.lastUsed) > 60000) {
+        record.lastUsed = new Date(now).toISOString();
+        saveTokenStore().catch(error => console.error('[auth] Failed to save API tokens:', error.message));
+    }
+    return record;
+}
+
+/**
+ * Validate a Home Assistant long-lived access token by calling the HA API with it
+ * Results are cached for a few minutes.
+ * @param {string} token - Bearer token
+ * @returns {Promise<boolean>}
+ */
+async function validateHomeAssistantToken(token) {
+    const key = hashToken(token);
+    const cached = haTokenCache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.valid;
+
+    const haUrl = (process.env.HA_URL || 'http://homeassistant:8123').replace(/\/$/, '');
+    let valid = false;
+    try {
+        const response = await fetch(`${haUrl}/api/`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+            signal: AbortSignal.timeout(5000)
+        });
+        valid = response.ok;
+    } catch (error) {
+        console.error('[auth] Could not reach Home Assistant to validate token:', error.message);
+        // Don't cache network failures
+        return false;
+    }
+
+    haTokenCache.set(key, { valid, expires: Date.now() + HA_TOKEN_CACHE_MS });
+    return valid;
+}
+
+/**
+ * Validate a Home Assistant username/password through the Supervisor auth API
+ * @param {string} username
+ * @param {string} password
+ * @param {string|null} supervisorToken - Add-on Supervisor token
+ * @returns {Promise<boolean>}
+ */
+async function validateHomeAssistantLogin(username, password, supervisorToken) {
+    if (!supervisorToken || process.env.HA_URL) return false;
+
+    const key = hashToken(`${username}\0${password}`);
+    const cached = haTokenCache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.valid;
+
+    let valid = false;
+    try {
+        const response = await fetch('http://supervisor/auth', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${supervisorToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password }),
+            signal: AbortSignal.timeout(10000)
+        });
+        valid = response.ok;
+    } catch (error) {
+        console.error('[auth] Could not reach the Supervisor auth API:', error.message);
+        return false;
+    }
+
+    haTokenCache.set(key, { valid, expires: Date.now() + HA_TOKEN_CACHE_MS });
+    return valid;
+}
+
+async function authenticateToken(token) {
+    if (token.startsWith(TOKEN_PREFIX)) {
+        const record = await findApiToken(token);
+        return record ? { scope: record.scope, via: `token:${record.id}` } : null;
+    }
+    if (await validateHomeAssistantToken(token)) {
+        return { scope: 'admin', via: 'homeassistant-token' };
+    }
+    return null;
+}
+
+/**
+ * Work out who is making a request
+ * Accepts "Authorization: Bearer <token>" with a scoped API token or a Home Assistant
+ * long-lived access token, or Basic auth with Home Assistant credentials (add-on only).
+ * Basic auth with any username and a token as the password also works, for browsers.
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {Function} options.getSupervisorToken - Resolves the Supervisor token
+ * @param {boolean} [options.trustLoopback=false] - Grant admin to requests from inside the container
+ * @returns {Promise<Object|null>} { scope, via }, or null if unauthenticated
+ */
+export async function authenticateRequest(req, { getSupervisorToken, trustLoopback = false }) {
+    if (isIngressRequest(req)) return { scope: 'admin', via: 'ingress' };
+    // A reverse proxy on the same host connects from loopback too, so this is opt-in
+    if (trustLoopback && isLoopbackRequest(req)) return { scope: 'admin', via: 'loopback' };
+
+    const header = req.headers.authorization || '';
+    const [kind, value = ''] = header.split(/\s+/, 2);
+
+    if (/^bearer$/i.test(kind) && value) {
+        return authenticateToken(value);
+    }
+
+    if (/^basic$/i.test(kind) && value) {
+        const decoded = Buffer.from(value, 'base64').toString('utf-8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) return null;
+        const username = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+        if (!password) return null;
+
+        if (password.startsWith(TOKEN_PREFIX)) {
+            return authenticateToken(password);
+        }
+        if (await validateHomeAssistantLogin(username, password, await getSupervisorToken())) {
+            return { scope: 'admin', via: `homeassistant-user:${username}` };
+        }
+        // Long-lived tokens pasted into the browser login dialog
+        if (password.length > 100 && await validateHomeAssistantToken(password)) {
+            return { scope: 'admin', via: 'homeassistant-token' };
+        }
+    }
+
+    return null;
+}
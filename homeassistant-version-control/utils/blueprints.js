@@ -0,0 +1,208 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit } from './git.js';
+import { parseYamlForDiff } from './yaml-diff.js';
+import { parseItemsFromContent } from '../automation-parser.js';
+
+// ──────────────────────────────────────────────────
+// Blueprints in blueprints/<domain>/**.yaml and the automations that use them
+// Automations point at a blueprint with use_blueprint.path, relative to blueprints/<domain>/
+// ──────────────────────────────────────────────────
+
+export const BLUEPRINTS_DIR = 'blueprints';
+
+/**
+ * Split a blueprint file path into its domain and the path automations use
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {Object|null} { domain, path }, e.g. { domain: 'automation', path: 'homeassistant/motion_light.yaml' }
+ */
+export function blueprintPathOf(relativePath) {
+    const match = /^blueprints\/([a-z_]+)\/(.+\.ya?ml)$/.exec(relativePath);
+    return match ? { domain: match[1], path: match[2] } : null;
+}
+
+/**
+ * Read a blueprint's metadata
+ * Inputs inside sections (input: { section: { input: {...} } }) are listed flat.
+ * @param {string} content - Blueprint YAML
+ * @returns {Object|null} { name, description, domain, source_url, inputs: [{ key, name, required }] },
+ *   or null if the content isn't a blueprint
+ */
+export function parseBlueprint(content) {
+    let data;
+    try {
+        data = parseYamlForDiff(content);
+    } catch (error) {
+        return null;
+    }
+    const blueprint = data && data.blueprint;
+    if (!blueprint || typeof blueprint !== 'object') return null;
+
+    const inputs = [];
+    const collectInputs = (entries) => {
+        for (const [key, input] of Object.entries(entries || {})) {
+            if (input && typeof input === 'object' && input.input && typeof input.input === 'object') {
+                collectInputs(input.input);
+                continue;
+            }
+            inputs.push({
+                key,
+                name: (input && input.name) || key,
+                required: !(input && typeof input === 'object' && 'default' in input)
+            });
+        }
+    };
+    collectInputs(blueprint.input);
+
+    return {
+        name: blueprint.name || null,
+        description: blueprint.description || null,
+        domain: blueprint.domain || null,
+        source_url: blueprint.source_url || null,
+        inputs
+    };
+}
+
+async function findBlueprintFiles(configPath, dir) {
+    let entries;
+    try {
+        entries = await fsPromises.readdir(path.join(configPath, dir), { withFileTypes: true });
+    } catch (error) {
+        return []; // No blueprints directory
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const relativePath = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            files.push(...await findBlueprintFiles(configPath, relativePath));
+        } else if (entry.isFile() && blueprintPathOf(relativePath)) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+// What an automation passes to a blueprint version: its inputs, plus the ones that don't line up
+function describeUser(automation, blueprint) {
+    const input = (automation.content.use_blueprint && automation.content.use_blueprint.input) || {};
+    const known = blueprint ? blueprint.inputs.map(item => item.key) : [];
+    return {
+        id: automation.id,
+        name: automation.name,
+        file: automation.file,
+        input,
+        missing: blueprint ? blueprint.inputs.filter(item => item.required && !(item.key in input)).map(item => item.key) : [],
+        unknown: blueprint ? Object.keys(input).filter(key => !known.includes(key)) : []
+    };
+}
+
+function usesBlueprint(automation, blueprintPath) {
+    const useBlueprint = automation.content && automation.content.use_blueprint;
+    return !!useBlueprint && typeof useBlueprint.path === 'string' &&
+        path.posix.normalize(useBlueprint.path.replace(/^\/+/, '')) === blueprintPath;
+}
+
+/**
+ * List the blueprints on disk with the automations that currently use them
+ * @param {string} configPath - Path to the config directory
+ * @param {Array} automations - Automations from extractAutomations()
+ * @returns {Promise<Array<Object>>} { file, domain, path, name, description, source_url, inputs, users, mtime }
+ */
+export async function listBlueprints(configPath, automations) {
+    const blueprints = [];
+
+    for (const file of await findBlueprintFiles(configPath, BLUEPRINTS_DIR)) {
+        const fullPath = path.join(configPath, file);
+        let content;
+        let stats;
+        try {
+            [content, stats] = await Promise.all([
+                fsPromises.readFile(fullPath, 'utf-8'),
+                fsPromises.stat(fullPath)
+            ]);
+        } catch (error) {
+            continue;
+        }
+
+        const location = blueprintPathOf(file);
+        const blueprint = parseBlueprint(content);
+        if (!blueprint) {
+            console.log(`[blueprints] Skipping ${file}: not a blueprint`);
+            continue;
+        }
+
+        const users = location.domain === 'automation'
+            ? automations.filter(automation => usesBlueprint(automation, location.path))
+            : [];
+        blueprints.push({
+            file,
+            domain: location.domain,
+            path: location.path,
+            ...blueprint,
+            name: blueprint.name || location.path,
+            users: users.map(automation => describeUser(automation, blueprint)),
+            mtime: stats.mtimeMs
+        });
+    }
+
+    return blueprints;
+}
+
+/**
+ * Get the versions of a blueprint, newest first, each with the automations that used it at that commit
+ * Automation files are read at the same commit, so every version shows the inputs as they were then.
+ * @param {string} file - Blueprint file relative to CONFIG_PATH
+ * @param {Array<string>} automationFiles - Automation files relative to CONFIG_PATH
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, content, blueprint, users }] }
+ */
+export async function getBlueprintHistory(file, automationFiles, configPath) {
+    const location = blueprintPathOf(file);
+    if (!location) return { success: false, history: [], error: 'Not a blueprint file' };
+
+    const log = await gitLog({ file });
+    const history = [];
+
+    for (const commit of log.all) {
+        let content = null;
+        try {
+            content = await gitShowFileAtCommit(commit.hash, file);
+        } catch (error) {
+            // Deleted in this commit
+        }
+        const blueprint = content !== null ? parseBlueprint(content) : null;
+
+        const users = [];
+        if (location.domain === 'automation') {
+            for (const automationFile of automationFiles) {
+                let automationContent;
+                try {
+                    automationContent = await gitShowFileAtCommit(commit.hash, automationFile);
+                } catch (error) {
+                    continue; // File didn't exist at this commit
+                }
+                const automations = parseItemsFromContent(automationContent, automationFile, configPath, 'automation') || [];
+                for (const automation of automations) {
+                    if (usesBlueprint(automation, location.path)) {
+                        users.push(describeUser(automation, blueprint));
+                    }
+                }
+            }
+        }
+
+        history.push({
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            deleted: content === null,
+            content,
+            blueprint,
+            users
+        });
+    }
+
+    return { success: history.length > 0, history };
+}
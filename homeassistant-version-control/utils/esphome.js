@@ -0,0 +1,358 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import yaml from 'js-yaml';
+import { gitLog, gitShowFileAtCommit } from './git.js';
+import { HaTag } from './includes.js';
+
+// ──────────────────────────────────────────────────
+// ESPHome devices in esphome/*.yaml, with the packages and !include fragments they use
+// A device's effective config is built the way ESPHome builds it: includes are read, packages
+// merged under the device's own config, then substitutions applied.
+// ──────────────────────────────────────────────────
+
+export const ESPHOME_DIR = 'esphome';
+
+const ESPHOME_TAGS = ['!include', '!secret', '!lambda', '!extend', '!remove', '!include_dir_list',
+    '!include_dir_merge_list', '!include_dir_named', '!include_dir_merge_named', '!env_var'];
+
+// Components that set the chip a device is built for
+const PLATFORM_KEYS = ['esp32', 'esp8266', 'rp2040', 'bk72xx', 'rtl87xx', 'ln882x', 'libretiny', 'nrf52', 'host'];
+
+const MAX_INCLUDE_DEPTH = 20;
+
+const kindOf = value => (Array.isArray(value) ? 'sequence' : (value !== null && typeof value === 'object' ? 'mapping' : 'scalar'));
+
+// ESPHome tags may wrap scalars (!secret x), mappings (!include { file, vars }) or lists
+const ESPHOME_SCHEMA = yaml.DEFAULT_SCHEMA.extend(ESPHOME_TAGS.flatMap(tag => ['scalar', 'mapping', 'sequence'].map(kind => new yaml.Type(tag, {
+    kind,
+    construct: data => new HaTag(tag, data === null ? '' : data),
+    instanceOf: HaTag,
+    predicate: value => value.tag === tag && kindOf(value.value) === kind,
+    represent: value => value.value
+}))));
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof HaTag);
+}
+
+function dumpConfig(config) {
+    return yaml.dump(config, { schema: ESPHOME_SCHEMA, indent: 2, lineWidth: -1, noRefs: true, sortKeys: false });
+}
+
+/**
+ * Replace $name and ${name} in every string of a config, including tag values like !lambda
+ * @param {*} node - Config node
+ * @param {Object} vars - Substitutions
+ * @returns {*} New node
+ */
+function substitute(node, vars) {
+    if (typeof node === 'string') {
+        return node.replace(/\$\{(\w+)\}|\$(\w+)/g, (match, braced, bare) => {
+            const name = braced || bare;
+            return Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match;
+        });
+    }
+    if (node instanceof HaTag) return new HaTag(node.tag, substitute(node.value, vars));
+    if (Array.isArray(node)) return node.map(item => substitute(item, vars));
+    if (isPlainObject(node)) {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, substitute(value, vars)]));
+    }
+    return node;
+}
+
+/**
+ * Merge a config over another like ESPHome merges packages
+ * Mappings merge key by key, lists are joined, and list items with "id: !extend x" or
+ * "id: !remove x" change the item with that id. A "!remove" value drops the key.
+ * @param {*} base - Config merged into
+ * @param {*} override - Config that wins
+ * @returns {*} Merged config (undefined if removed)
+ */
+function mergeConfig(base, override) {
+    if (override instanceof HaTag && override.tag === '!remove') return undefined;
+
+    if (isPlainObject(base) && isPlainObject(override)) {
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            const merged = key in result ? mergeConfig(result[key], value) : value;
+            if (merged === undefined || (merged instanceof HaTag && merged.tag === '!remove')) {
+                delete result[key];
+            } else {
+                result[key] = merged;
+            }
+        }
+        return result;
+    }
+
+    if (Array.isArray(base) && Array.isArray(override)) {
+        const result = [...base];
+        for (const item of override) {
+            const idTag = isPlainObject(item) && item.id instanceof HaTag && ['!extend', '!remove'].includes(item.id.tag) ? item.id : null;
+            if (!idTag) {
+                result.push(item);
+                continue;
+            }
+            const index = result.findIndex(existing => isPlainObject(existing) && String(existing.id) === String(idTag.value));
+            if (index === -1) continue;
+            if (idTag.tag === '!remove') {
+                result.splice(index, 1);
+            } else {
+                result[index] = mergeConfig(result[index], { ...item, id: result[index].id });
+            }
+        }
+        return result;
+    }
+
+    return override;
+}
+
+/**
+ * Build a device's effective config from one revision of its files
+ * @param {string} file - Device file relative to CONFIG_PATH
+ * @param {Function} read - async (relativePath) => content; throws if the file doesn't exist
+ * @returns {Promise<Object>} { config, files, remotePackages, missing } - files are the local files
+ *   the device uses (its own first), missing the includes that couldn't be read
+ * @throws {Error} If the device file itself can't be read or parsed
+ */
+async function resolveDevice(file, read) {
+    const files = [];
+    const missing = [];
+    const remotePackages = [];
+
+    const loadFile = async (relativePath, depth) => {
+        if (depth > MAX_INCLUDE_DEPTH) throw new Error(`Includes nested too deep in ${relativePath}`);
+        const data = yaml.load(await read(relativePath), { schema: ESPHOME_SCHEMA });
+        if (!files.includes(relativePath)) files.push(relativePath);
+        return resolveIncludes(data, path.posix.dirname(relativePath), depth);
+    };
+
+    const resolveIncludes = async (node, dir, depth) => {
+        if (node instanceof HaTag && node.tag === '!include') {
+            const { file: target, vars } = isPlainObject(node.value) ? node.value : { file: node.value };
+            const includedPath = path.posix.normalize(path.posix.join(dir, String(target).trim()));
+            if (includedPath.startsWith('..')) return node;
+            try {
+                const included = await loadFile(includedPath, depth + 1);
+                return isPlainObject(vars) ? substitute(included, vars) : included;
+            } catch (error) {
+                missing.push(includedPath);
+                return node;
+            }
+        }
+        if (Array.isArray(node)) {
+            const items = [];
+            for (const item of node) items.push(await resolveIncludes(item, dir, depth));
+            return items;
+        }
+        if (isPlainObject(node)) {
+            const result = {};
+            for (const [key, value] of Object.entries(node)) result[key] = await resolveIncludes(value, dir, depth);
+            return result;
+        }
+        return node;
+    };
+
+    // Packages are merged in order, then the config that lists them goes on top
+    const applyPackages = (config) => {
+        if (!isPlainObject(config) || !config.packages) return config;
+        const { packages, ...own } = config;
+        const entries = Array.isArray(packages) ? packages.map((pkg, index) => [String(index), pkg]) : Object.entries(packages);
+
+        let merged = {};
+        for (const [name, pkg] of entries) {
+            if (isPlainObject(pkg) && !pkg.url) {
+                merged = mergeConfig(merged, applyPackages(pkg));
+            } else {
+                // Remote packages (url: or github://) are fetched by ESPHome at compile time
+                remotePackages.push(isPlainObject(pkg) ? `${name}: ${pkg.url}` : `${name}: ${pkg}`);
+            }
+        }
+        return mergeConfig(merged, own);
+    };
+
+    const raw = await loadFile(file, 0);
+    let config = applyPackages(raw);
+    if (isPlainObject(config)) {
+        // Substitutions may use each other, so resolve them among themselves first
+        let vars = isPlainObject(config.substitutions) ? config.substitutions : {};
+        for (let pass = 0; pass < 5; pass++) vars = substitute(vars, vars);
+        const { substitutions, ...rest } = config;
+        config = substitute(rest, vars);
+    }
+
+    return { config, files, remotePackages, missing };
+}
+
+function platformOf(config) {
+    const key = PLATFORM_KEYS.find(name => config[name] !== undefined);
+    if (key) return key;
+    // Older configs set the platform under esphome:
+    return isPlainObject(config.esphome) && config.esphome.platform ? String(config.esphome.platform).toLowerCase() : null;
+}
+
+function boardOf(config) {
+    const platform = platformOf(config);
+    const board = (platform && isPlainObject(config[platform]) && config[platform].board) ||
+        (isPlainObject(config.esphome) && config.esphome.board);
+    return board ? String(board) : null;
+}
+
+// Settings that change what gets flashed or how it gets there
+const COMPILE_SETTINGS = [
+    {
+        kind: 'board',
+        read: config => [platformOf(config), boardOf(config)].filter(Boolean).join(' / ') || null
+    },
+    {
+        kind: 'framework',
+        read: (config) => {
+            const platform = platformOf(config);
+            const framework = platform && isPlainObject(config[platform]) ? config[platform].framework : undefined;
+            return framework !== undefined ? dumpConfig(framework).trim() : null;
+        }
+    },
+    {
+        kind: 'ota',
+        read: config => (config.ota !== undefined ? dumpConfig(config.ota).trim() : null)
+    }
+];
+
+function compileSettingChanges(before, after) {
+    return COMPILE_SETTINGS.flatMap(({ kind, read }) => {
+        const previous = read(before);
+        const current = read(after);
+        return previous !== current ? [{ kind, before: previous, after: current }] : [];
+    });
+}
+
+async function findYamlFiles(configPath, dir) {
+    let entries;
+    try {
+        entries = await fsPromises.readdir(path.join(configPath, dir), { withFileTypes: true });
+    } catch (error) {
+        return []; // No esphome directory
+    }
+    return entries
+        .filter(entry => entry.isFile() && /\.ya?ml$/.test(entry.name) && entry.name !== 'secrets.yaml' && !entry.name.startsWith('.'))
+        .map(entry => `${dir}/${entry.name}`)
+        .sort();
+}
+
+const readFromDisk = configPath => relativePath => fsPromises.readFile(path.join(configPath, relativePath), 'utf-8');
+const readAtCommit = commitHash => relativePath => gitShowFileAtCommit(commitHash, relativePath);
+
+/**
+ * Check whether a file is an ESPHome device config
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {boolean}
+ */
+export function isEsphomeDeviceFile(relativePath) {
+    return new RegExp(`^${ESPHOME_DIR}/[^/]+\\.ya?ml$`).test(relativePath) && !relativePath.endsWith('/secrets.yaml');
+}
+
+/**
+ * List the ESPHome devices: every esphome/*.yaml whose effective config has an esphome: section
+ * Other YAML files there are fragments that devices include.
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<Object>>} { file, name, friendlyName, platform, board, files, remotePackages, missing, config, mtime }
+ */
+export async function listEsphomeDevices(configPath) {
+    const devices = [];
+
+    for (const file of await findYamlFiles(configPath, ESPHOME_DIR)) {
+        let resolved;
+        let stats;
+        try {
+            [resolved, stats] = await Promise.all([
+                resolveDevice(file, readFromDisk(configPath)),
+                fsPromises.stat(path.join(configPath, file))
+            ]);
+        } catch (error) {
+            console.log(`[esphome] Skipping ${file}: ${error.message}`);
+            continue;
+        }
+
+        const { config } = resolved;
+        if (!isPlainObject(config) || !isPlainObject(config.esphome)) continue; // A fragment
+
+        devices.push({
+            file,
+            name: config.esphome.name ? String(config.esphome.name) : path.basename(file).replace(/\.ya?ml$/, ''),
+            friendlyName: config.esphome.friendly_name ? String(config.esphome.friendly_name) : null,
+            platform: platformOf(config),
+            board: boardOf(config),
+            files: resolved.files,
+            remotePackages: resolved.remotePackages,
+            missing: resolved.missing,
+            config: dumpConfig(config),
+            mtime: stats.mtimeMs
+        });
+    }
+
+    return devices;
+}
+
+/**
+ * Get the versions of a device's effective config, newest first
+ * Any commit touching the device file or a file it uses counts; commits that don't change
+ * the effective config are collapsed into the oldest one. Each version lists the board,
+ * framework and OTA settings it changed compared to the version before it.
+ * @param {string} file - Device file relative to CONFIG_PATH
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, config, files, remotePackages, missing, changes }] }
+ */
+export async function getEsphomeDeviceHistory(file, configPath) {
+    if (!isEsphomeDeviceFile(file)) return { success: false, history: [], error: 'Not an ESPHome device file' };
+
+    // Files the device uses now; fragments it used to include but no longer does are still read
+    // at older commits, but don't add commits of their own
+    let files = [file];
+    try {
+        files = (await resolveDevice(file, readFromDisk(configPath))).files;
+    } catch (error) {
+        // Deleted or broken on disk - follow the device file alone
+    }
+
+    const log = await gitLog({ files });
+    const history = [];
+    let candidate = null;
+
+    for (const commit of log.all) {
+        let resolved = null;
+        try {
+            resolved = await resolveDevice(file, readAtCommit(commit.hash));
+        } catch (error) {
+            // Device file missing or invalid at this commit
+        }
+
+        if (!resolved || !isPlainObject(resolved.config)) {
+            // Device missing - the last candidate was where it was created
+            if (candidate) history.push(candidate);
+            candidate = null;
+            continue;
+        }
+
+        const version = {
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            config: dumpConfig(resolved.config),
+            files: resolved.files,
+            remotePackages: resolved.remotePackages,
+            missing: resolved.missing,
+            parsed: resolved.config
+        };
+        if (candidate && candidate.config !== version.config) history.push(candidate);
+        candidate = version;
+    }
+    if (candidate) history.push(candidate);
+
+    history.forEach((version, index) => {
+        const previous = history[index + 1];
+        version.changes = previous ? compileSettingChanges(previous.parsed, version.parsed) : [];
+    });
+    history.forEach(version => delete version.parsed);
+
+    return { success: history.length > 0, history };
+}
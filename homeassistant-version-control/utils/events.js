@@ -0,0 +1,49 @@
+// ──────────────────────────────────────────────────
+// Live events for the UI, sent over GET /api/events (Server-Sent Events)
+// New versions, restore results, cleanup progress and cloud push results are published
+// here as they happen, so open pages don't have to poll.
+// ──────────────────────────────────────────────────
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const REPLAY_SIZE = 100;
+
+let nextId = 1;
+const recentEvents = [];
+const listeners = new Set();
+
+/**
+ * Publish an event to every connected client
+ * @param {string} type - 'commit', 'restore', 'retention' or 'push'
+ * @param {Object} data - JSON-serializable payload
+ */
+export function publishEvent(type, data) {
+    const event = { id: nextId++, type, data: { ...data, time: new Date().toISOString() } };
+    recentEvents.push(event);
+    if (recentEvents.length > REPLAY_SIZE) recentEvents.shift();
+
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            console.log(`[events] Listener failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Receive published events
+ * @param {Function} listener - (event) => void, with event { id, type, data }
+ * @param {number|null} [lastEventId] - Replay kept events published after this one. An id from
+ *   before a restart (higher than any published since) replays everything kept.
+ * @returns {Function} Call to stop receiving events
+ */
+export function subscribeEvents(listener, lastEventId = null) {
+    if (lastEventId !== null) {
+        const since = lastEventId >= nextId ? 0 : lastEventId;
+        for (const event of recentEvents) {
+            if (event.id > since) listener(event);
+        }
+    }
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,110 @@
+import {
+    extractAutomations,
+    extractScripts,
+    extractScenes,
+    getAutomationHistory,
+    getScriptHistory,
+    getSceneHistory,
+    getAutomationAtCommit,
+    getScriptAtCommit,
+    getSceneAtCommit,
+    restoreAutomation,
+    restoreScript,
+    restoreScene
+} from '../automation-parser.js';
+import { createIntegrationExtractor, platformItems, entityBlockItems, namedItems } from './integrations.js';
+
+// ──────────────────────────────────────────────────
+// Item extractors, keyed by domain
+// An extractor lists a domain's items, gets an item's history and its content at a commit, and
+// restores it: { domain, idPrefix, extract, history, atCommit, restore }. Item ids start with
+// the extractor's idPrefix, so routes can find the extractor from the id alone.
+// ──────────────────────────────────────────────────
+
+const extractors = new Map();
+
+/**
+ * Add an extractor, replacing any for the same domain
+ * @param {Object} extractor - { domain, idPrefix, extract, history, atCommit, restore }
+ */
+export function registerExtractor(extractor) {
+    extractors.set(extractor.domain, extractor);
+}
+
+/**
+ * Get the extractor for a domain
+ * @param {string} domain - e.g. 'template'
+ * @returns {Object|null}
+ */
+export function getExtractor(domain) {
+    return extractors.get(domain) || null;
+}
+
+/**
+ * Get the extractor an item id belongs to
+ * @param {string} itemId - Item id
+ * @returns {Object|null}
+ */
+export function getExtractorForId(itemId) {
+    const prefix = String(itemId).split(':')[0];
+    return [...extractors.values()].find(extractor => extractor.idPrefix === prefix) || null;
+}
+
+/**
+ * List the registered domains
+ * @param {Object} [options]
+ * @param {boolean} [options.integrationsOnly=false] - Leave out automations, scripts and scenes
+ * @returns {Array<string>}
+ */
+export function getExtractorDomains({ integrationsOnly = false } = {}) {
+    return [...extractors.values()]
+        .filter(extractor => !integrationsOnly || !extractor.builtIn)
+        .map(extractor => extractor.domain);
+}
+
+// Automations, scripts and scenes have their own parsers; adapt them to the extractor shape
+function builtInExtractor(domain, idPrefix, { extract, history, atCommit, restore }) {
+    return {
+        domain,
+        idPrefix,
+        builtIn: true,
+        extract,
+        history: async (itemId, configPath) => {
+            const result = await history(itemId, configPath);
+            return {
+                success: result.success,
+                history: result.history.map(({ [domain]: content, ...commit }) => ({ ...commit, content }))
+            };
+        },
+        atCommit: async (itemId, commitHash, configPath) => {
+            const result = await atCommit(itemId, commitHash, configPath);
+            return { success: result.success, content: result[domain], error: result.error };
+        },
+        restore: async (itemId, commitHash, configPath) => {
+            if (!await restore(itemId, commitHash, configPath)) {
+                throw new Error(`Could not restore ${domain} ${itemId.split(':')[2]}`);
+            }
+            return { name: itemId.split(':')[2], file: decodeURIComponent(itemId.split(':')[1]), reloadDomain: domain };
+        }
+    };
+}
+
+registerExtractor(builtInExtractor('automation', 'automations', {
+    extract: extractAutomations, history: getAutomationHistory, atCommit: getAutomationAtCommit, restore: restoreAutomation
+}));
+registerExtractor(builtInExtractor('script', 'scripts', {
+    extract: extractScripts, history: getScriptHistory, atCommit: getScriptAtCommit, restore: restoreScript
+}));
+registerExtractor(builtInExtractor('scene', 'scenes', {
+    extract: extractScenes, history: getSceneHistory, atCommit: getSceneAtCommit, restore: restoreScene
+}));
+
+// YAML integrations
+registerExtractor(createIntegrationExtractor('template', entityBlockItems));
+registerExtractor(createIntegrationExtractor('sensor', platformItems, { reloadPlatform: true }));
+registerExtractor(createIntegrationExtractor('binary_sensor', platformItems, { reloadPlatform: true }));
+registerExtractor(createIntegrationExtractor('mqtt', entityBlockItems));
+registerExtractor(createIntegrationExtractor('rest', entityBlockItems));
+registerExtractor(createIntegrationExtractor('command_line', entityBlockItems));
+registerExtractor(createIntegrationExtractor('rest_command', namedItems));
+registerExtractor(createIntegrationExtractor('shell_command', namedItems));
@@ -1,7 +1,8 @@
-import { execFile } from 'child_process';
+import { execFile, spawn } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
+import { StringDecoder } from 'string_decoder';
 
 const execFileAsync = promisify(execFile);
 
@@ -28,38 +29,253 @@ export async function gitExec(args, options = {}) {
     return execFileAsync('git', args, execOptions);
 }
 
+// ──────────────────────────────────────────────────
+// Long-lived "git cat-file" readers
+// History views read a file at dozens of commits; starting git for each read dominated the
+// time. One --batch and one --batch-check process stay open, answer requests in the order
+// they were written, and close after a while without use.
+// ──────────────────────────────────────────────────
+
+const CAT_FILE_IDLE_MS = 30000;
+
+class CatFileReader {
+    constructor(mode) {
+        this.mode = mode; // 'batch' (header and content) or 'batch-check' (header only)
+        this.child = null;
+        this.cwd = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+        this.idleTimer = null;
+    }
+
+    start() {
+        const child = spawn('git', ['cat-file', `--${this.mode}`], {
+            cwd: global.CONFIG_PATH,
+            env: { GIT_TERMINAL_PROMPT: '0', ...process.env },
+            windowsHide: true
+        });
+        this.child = child;
+        this.cwd = global.CONFIG_PATH;
+        this.buffer = Buffer.alloc(0);
+
+        child.stdout.on('data', chunk => {
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+            this.drain();
+        });
+        child.stderr.resume();
+        child.stdin.on('error', error => this.stop(child, error));
+        child.on('error', error => this.stop(child, error));
+        child.on('exit', code => this.stop(child, new Error(`git cat-file exited with code ${code}`)));
+
+        this.setBusy(false);
+    }
+
+    // Only keep the event loop alive while answers are outstanding, so an idle reader doesn't
+    // hold the process (or a script using this module) open
+    setBusy(busy) {
+        if (!this.child) return;
+        for (const handle of [this.child, this.child.stdin, this.child.stdout, this.child.stderr]) {
+            if (busy) handle.ref?.();
+            else handle.unref?.();
+        }
+    }
+
+    stop(child = this.child, error = new Error('git cat-file closed')) {
+        if (!child || child !== this.child) return;
+        this.child = null;
+        clearTimeout(this.idleTimer);
+        child.stdin.end();
+        for (const { reject } of this.pending.splice(0)) reject(error);
+    }
+
+    drain() {
+        while (this.pending.length > 0) {
+            const newline = this.buffer.indexOf(10);
+            if (newline === -1) return;
+
+            // "<oid> <type> <size>", or "<name> missing" / "<name> ambiguous"
+            const match = this.buffer.toString('utf8', 0, newline).match(/^([0-9a-f]+) (\w+) (\d+)$/);
+            let object = null;
+            if (!match) {
+                this.buffer = this.buffer.subarray(newline + 1);
+            } else if (this.mode === 'batch') {
+                const end = newline + 1 + Number(match[3]);
+                if (this.buffer.length < end + 1) return; // Content (and its trailing newline) still arriving
+                object = { oid: match[1], type: match[2], size: Number(match[3]), content: this.buffer.subarray(newline + 1, end) };
+                this.buffer = this.buffer.subarray(end + 1);
+            } else {
+                object = { oid: match[1], type: match[2], size: Number(match[3]) };
+                this.buffer = this.buffer.subarray(newline + 1);
+            }
+            this.pending.shift().resolve(object);
+        }
+        if (this.pending.length === 0) this.setBusy(false);
+    }
+
+    read(objectName) {
+        if (!global.CONFIG_PATH) {
+            return Promise.reject(new Error('CONFIG_PATH not initialized'));
+        }
+        // One name per line - anything else would desync the responses
+        if (/[\r\n]/.test(objectName)) {
+            return Promise.reject(new Error(`Invalid object name: ${JSON.stringify(objectName)}`));
+        }
+        if (this.child && this.cwd !== global.CONFIG_PATH) this.stop();
+        if (!this.child) this.start();
+
+        clearTimeout(this.idleTimer);
+        const scheduleIdle = () => {
+            this.idleTimer = setTimeout(() => (this.pending.length ? scheduleIdle() : this.stop()), CAT_FILE_IDLE_MS);
+            this.idleTimer.unref();
+        };
+        scheduleIdle();
+
+        if (this.pending.length === 0) this.setBusy(true);
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.child.stdin.write(`${objectName}\n`);
+        });
+    }
+}
+
+const catFileReaders = {
+    batch: new CatFileReader('batch'),
+    check: new CatFileReader('batch-check')
+};
+
+/**
+ * Read an object through the shared "git cat-file --batch" process
+ * @param {string} objectName - Anything git can resolve, e.g. a blob hash or "<commit>:<path>"
+ * @returns {Promise<Object|null>} { oid, type, size, content (Buffer) }, or null if there's no such object
+ */
+export function gitCatFile(objectName) {
+    return catFileReaders.batch.read(objectName);
+}
+
+/**
+ * Look up an object's hash, type and size without reading it ("git cat-file --batch-check")
+ * @param {string} objectName - Anything git can resolve, e.g. "<rev>^{commit}" or "<commit>:<path>"
+ * @returns {Promise<Object|null>} { oid, type, size }, or null if there's no such object
+ */
+export function gitObjectInfo(objectName) {
+    return catFileReaders.check.read(objectName);
+}
+
 // ──────────────────────────────────────────────────
 // Exact replacements for your current simple-git calls
 // ──────────────────────────────────────────────────
 
-export async function gitLog(options = {}) {
+const LOG_DELIMITER = '§§§§';
+const LOG_COMMIT_DELIMITER = '±±±±';
+
+// "git log" arguments for gitLog() and gitLogStream()
+function logArgs(options) {
     // Handle object options if passed (simple-git style)
     let maxCount = 500;
-    let file = null;
+    let files = [];
+    let range = {};
 
     if (typeof options === 'object') {
-        if (options.maxCount) maxCount = options.maxCount;
-        if (options.file) file = options.file;
+        if (options.maxCount !== undefined) maxCount = options.maxCount;
+        if (options.file) files = [options.file];
+        if (options.files) files = options.files; // Commits touching any of them
+        range = options;
     } else if (typeof options === 'number') {
         maxCount = options;
     }
 
-    const DELIMITER = '§§§§';
-    const COMMIT_DELIMITER = '±±±±';
-
     // Put delimiter at the START so we can capture the file status that comes after the body
     const args = [
         'log',
-        `--max-count=${maxCount}`,
         '--date=iso',
-        `--pretty=format:${COMMIT_DELIMITER}%H${DELIMITER}%h${DELIMITER}%an${DELIMITER}%ae${DELIMITER}%at${DELIMITER}%s${DELIMITER}%b`
+        `--pretty=format:${LOG_COMMIT_DELIMITER}%H${LOG_DELIMITER}%h${LOG_DELIMITER}%an${LOG_DELIMITER}%ae${LOG_DELIMITER}%at${LOG_DELIMITER}%s${LOG_DELIMITER}%b`
     ];
+    if (maxCount) args.push(`--max-count=${maxCount}`);
+    if (range.skip) args.push(`--skip=${range.skip}`);
+    if (range.before) args.push(`--before=${range.before}`);
+    if (range.after) args.push(`--after=${range.after}`);
+    if (range.from) args.push(range.from);
 
-    if (file) {
+    if (files.length > 0) {
         args.push('--name-status'); // Include file status (A, M, D)
-        args.push('--', file);
+        // A single file's history continues through renames (listed under its older name)
+        if (files.length === 1) args.push('--follow');
+        args.push('--', ...files);
     }
+    return { args, files };
+}
 
+function parseLogEntry(rawCommit, withStatus) {
+    // The rawCommit string contains the formatted part AND the status lines (if any)
+    // We need to separate them. The formatted part ends with the last field (%b)
+    // But since %b can contain anything, we rely on the delimiters.
+
+    // Actually, since we split by LOG_COMMIT_DELIMITER, rawCommit is:
+    // HASH§...§BODY\n\nSTATUS_LINES
+
+    const parts = rawCommit.split(LOG_DELIMITER);
+    const hash = parts[0] ? parts[0].trim() : '';
+    const short = parts[1] ? parts[1].trim() : '';
+    const authorName = parts[2] ? parts[2].trim() : '';
+    const authorEmail = parts[3] ? parts[3].trim() : '';
+    const timestamp = parts[4] ? parts[4].trim() : '';
+    const subject = parts[5] ? parts[5].trim() : '';
+
+    // The last part contains BODY + STATUS lines
+    let bodyAndStatus = parts[6] || '';
+    let body = bodyAndStatus;
+    let status = null;
+    let file = null;
+    let oldPath = null;
+
+    // If we requested a single file's status, try to extract it
+    if (withStatus) {
+        // The status line looks like "M\tfilename" or "A\tfilename"
+        // It appears after the body, separated by newlines.
+        // Since we filtered by specific file, we look for that file's status
+        // But simpler: look for the last line that matches status format
+        const lines = bodyAndStatus.trim().split('\n');
+        const lastLine = lines[lines.length - 1];
+
+        // Check if last line looks like a status line (e.g. "M\tfile.yaml", "A\tfile.yaml" or "R100\told.yaml\tnew.yaml")
+        if (lastLine && /^([AMD]|R\d*)\s+/.test(lastLine)) {
+            status = lastLine.charAt(0); // 'A', 'M', 'D' or 'R'
+            const paths = lastLine.split('\t').slice(1);
+            file = paths[paths.length - 1] || null;
+            if (status === 'R') oldPath = paths[0];
+            // Remove status line from body
+            body = lines.slice(0, -1).join('\n').trim();
+        }
+    }
+
+    return {
+        hash,
+        short,
+        authorName,
+        authorEmail,
+        date: new Date(parseInt(timestamp) * 1000).toISOString(),
+        message: subject,
+        body: body.trim(),
+        status: status, // 'A' = Added, 'M' = Modified, 'D' = Deleted, 'R' = Renamed, null = unknown
+        file, // The file's path in this commit (older versions of a renamed file have its old path)
+        oldPath // For 'R', the path it was renamed from
+    };
+}
+
+/**
+ * Read the commit log
+ * @param {Object|number} [options] - Options, or just maxCount
+ * @param {number} [options.maxCount=500] - Maximum number of commits (0 for no limit)
+ * @param {string} [options.file] - Only commits touching this file (entries get its status)
+ * @param {Array<string>} [options.files] - Only commits touching any of these files
+ * @param {string} [options.from] - Start from this commit instead of HEAD
+ * @param {number} [options.skip] - Leave out this many of the newest matching commits
+ * @param {string} [options.before] - Only commits made before this date (ISO)
+ * @param {string} [options.after] - Only commits made after this date (ISO)
+ * @returns {Promise<Object>} { all: [{ hash, short, authorName, authorEmail, date, message, body, status }], latest, total }
+ */
+export async function gitLog(options = {}) {
+    const { args, files } = logArgs(options);
     const { stdout } = await gitExec(args);
 
     if (!stdout.trim()) {
@@ -67,59 +283,277 @@ export async function gitLog(options = {}) {
     }
 
     // Split by delimiter (skip the first empty element if string starts with delimiter)
-    const rawCommits = stdout.split(COMMIT_DELIMITER).filter(c => c.trim());
+    const rawCommits = stdout.split(LOG_COMMIT_DELIMITER).filter(c => c.trim());
+    const commits = rawCommits.map(rawCommit => parseLogEntry(rawCommit, files.length === 1));
 
-    const commits = rawCommits.map(rawCommit => {
-        // The rawCommit string contains the formatted part AND the status lines (if any)
-        // We need to separate them. The formatted part ends with the last field (%b)
-        // But since %b can contain anything, we rely on the delimiters.
+    return { all: commits, latest: commits[0] || null, total: commits.length };
+}
+
+/**
+ * Stream the commit log one commit at a time, for histories too long to read in one go
+ * Reading pauses while onCommit's promise is pending, so a slow client holds git back
+ * instead of filling memory.
+ * @param {Object} options - Same as gitLog(); maxCount defaults to no limit
+ * @param {Function} onCommit - async (commit) => void, with commits shaped like gitLog() entries
+ * @returns {{ done: Promise<void>, cancel: Function }} done settles when the log has been read;
+ *   cancel() stops git early
+ */
+export function gitLogStream(options, onCommit) {
+    if (!global.CONFIG_PATH) {
+        throw new Error('CONFIG_PATH not initialized');
+    }
+    const { args, files } = logArgs({ maxCount: 0, ...options });
+    const child = spawn('git', args, {
+        cwd: global.CONFIG_PATH,
+        env: { GIT_TERMINAL_PROMPT: '0', ...process.env },
+        windowsHide: true
+    });
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+    let stderr = '';
+    let cancelled = false;
+    let queue = Promise.resolve();
+
+    // A commit is complete once the next one starts (or the output ends)
+    const emit = rawCommits => {
+        const commits = rawCommits.filter(c => c.trim()).map(raw => parseLogEntry(raw, files.length === 1));
+        if (commits.length === 0) return;
+        child.stdout.pause();
+        queue = queue.then(async () => {
+            for (const commit of commits) {
+                if (!cancelled) await onCommit(commit);
+            }
+        }).finally(() => child.stdout.resume());
+    };
 
-        // Actually, since we split by COMMIT_DELIMITER, rawCommit is:
-        // HASH§...§BODY\n\nSTATUS_LINES
+    child.stdout.on('data', chunk => {
+        const parts = (pending + decoder.write(chunk)).split(LOG_COMMIT_DELIMITER);
+        pending = parts.pop();
+        emit(parts);
+    });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const done = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', code => {
+            emit([pending + decoder.end()]);
+            queue.then(() => {
+                if (code === 0 || cancelled) resolve();
+                else reject(new Error(stderr.trim() || `git log exited with code ${code}`));
+            }, reject);
+        });
+    });
+
+    return {
+        done,
+        cancel: () => {
+            cancelled = true;
+            child.kill();
+        }
+    };
+}
+
+/**
+ * Hashes of every file version in the current branch's history
+ * Streamed: a long history lists more objects than gitExec() buffers.
+ * @returns {Promise<Set<string>>}
+ */
+export function gitReachableBlobs() {
+    if (!global.CONFIG_PATH) {
+        throw new Error('CONFIG_PATH not initialized');
+    }
+    const child = spawn('git', ['rev-list', '--objects', '--no-object-names', '--filter=object:type=blob', 'HEAD'], {
+        cwd: global.CONFIG_PATH,
+        env: { GIT_TERMINAL_PROMPT: '0', ...process.env },
+        windowsHide: true
+    });
+    // Commits are listed too; they never match a blob hash, so they're left in
+    const hashes = new Set();
+    let pending = '';
+    let stderr = '';
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            if (line) hashes.add(line);
+        }
+    });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    return new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', code => {
+            if (pending) hashes.add(pending);
+            if (code === 0) resolve(hashes);
+            else reject(new Error(stderr.trim() || `git rev-list exited with code ${code}`));
+        });
+    });
+}
+
+// POSIX bracket classes, as JavaScript character class ranges
+const POSIX_CLASSES = {
+    alnum: 'A-Za-z0-9',
+    alpha: 'A-Za-z',
+    blank: ' \\t',
+    cntrl: '\\x00-\\x1f\\x7f',
+    digit: '0-9',
+    graph: '!-~',
+    lower: 'a-z',
+    print: ' -~',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: ' \\t\\n\\r\\f\\v',
+    upper: 'A-Z',
+    xdigit: '0-9A-Fa-f'
+};
 
+/**
+ * Translate a POSIX extended regular expression (what git's -G uses) to a JavaScript RegExp
+ * Syntax that only JavaScript understands (\d, \w, (?:...), lazy quantifiers) is rejected
+ * rather than passed on, since git would read it differently and silently match nothing.
+ * @param {string} pattern - Extended regular expression
+ * @returns {RegExp} Equivalent JavaScript expression
+ * @throws {Error} If the pattern is invalid or uses syntax extended regular expressions don't have
+ */
+export function ereToRegExp(pattern) {
+    let source = '';
+    let i = 0;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+        const next = pattern[i + 1];
+
+        if (char === '\\') {
+            if (next === undefined) throw new Error('Regular expression ends with a backslash');
+            if (/[A-Za-z0-9]/.test(next)) {
+                throw new Error(`\\${next} is not supported: search uses POSIX extended regular expressions (try [0-9], [[:alpha:]] or [[:space:]])`);
+            }
+            source += `\\${next}`;
+            i += 2;
+        } else if (char === '(' && next === '?') {
+            throw new Error('(?...) groups are not supported: search uses POSIX extended regular expressions');
+        } else if ('*+?}'.includes(char) && next === '?') {
+            throw new Error(`Lazy quantifier ${char}? is not supported: search uses POSIX extended regular expressions`);
+        } else if (char === '[') {
+            // Bracket expression: backslashes are literal and [:class:] names a character class
+            let j = i + 1;
+            let body = '';
+            if (pattern[j] === '^') {
+                body += '^';
+                j++;
+            }
+            if (pattern[j] === ']') {
+                body += '\\]';
+                j++;
+            }
+            while (j < pattern.length && pattern[j] !== ']') {
+                if (pattern.startsWith('[:', j)) {
+                    const end = pattern.indexOf(':]', j + 2);
+                    const name = end === -1 ? '' : pattern.slice(j + 2, end);
+                    if (!POSIX_CLASSES[name]) throw new Error(`Unknown character class [:${name}:]`);
+                    body += POSIX_CLASSES[name];
+                    j = end + 2;
+                } else if (pattern.startsWith('[=', j) || pattern.startsWith('[.', j)) {
+                    throw new Error('Equivalence classes and collating symbols are not supported');
+                } else {
+                    body += pattern[j] === '\\' ? '\\\\' : pattern[j];
+                    j++;
+                }
+            }
+            if (j >= pattern.length) throw new Error('Unterminated [ in regular expression');
+            source += `[${body}]`;
+            i = j + 1;
+        } else {
+            source += char;
+            i++;
+        }
+    }
+
+    return new RegExp(source);
+}
+
+/**
+ * Search file contents across history with git's pickaxe
+ * String searches use -S (commits that add or remove the text), regex searches use -G
+ * (commits whose changed lines match). Each result carries only the hunks that match.
+ *
+ * @param {Object} options
+ * @param {string} options.query - Text or regular expression to search for
+ * @param {boolean} [options.regex=false] - Treat query as an extended regular expression (see ereToRegExp)
+ * @param {string} [options.file] - Limit the search to a path (file or directory)
+ * @param {string} [options.since] - Only commits after this date
+ * @param {string} [options.until] - Only commits before this date
+ * @param {number} [options.maxCount=50] - Maximum number of commits
+ * @returns {Promise<Array>} [{ hash, short, authorName, date, message, files: [{ path, hunks: [{ header, lines, matchedLines }] }] }]
+ */
+export async function gitSearchHistory(options) {
+    const { query, regex = false, file = null, since = null, until = null, maxCount = 50 } = options;
+
+    const DELIMITER = '§§§§';
+    const COMMIT_DELIMITER = '±±±±';
+
+    const args = [
+        'log',
+        `--max-count=${maxCount}`,
+        regex ? `-G${query}` : `-S${query}`,
+        '-p',
+        '--no-color',
+        '--no-ext-diff',
+        `--pretty=format:${COMMIT_DELIMITER}%H${DELIMITER}%h${DELIMITER}%an${DELIMITER}%at${DELIMITER}%s${DELIMITER}`
+    ];
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+    if (file) args.push('--', file);
+
+    const { stdout } = await gitExec(args, { timeout: 60000 });
+    if (!stdout.trim()) return [];
+
+    // Used to keep only the hunks whose changed lines contain the match
+    const matcher = regex ? ereToRegExp(query) : null;
+    const lineMatches = line => (matcher ? matcher.test(line) : line.includes(query));
+
+    return stdout.split(COMMIT_DELIMITER).filter(c => c.trim()).map(rawCommit => {
         const parts = rawCommit.split(DELIMITER);
-        const hash = parts[0] ? parts[0].trim() : '';
-        const short = parts[1] ? parts[1].trim() : '';
-        const authorName = parts[2] ? parts[2].trim() : '';
-        const authorEmail = parts[3] ? parts[3].trim() : '';
-        const timestamp = parts[4] ? parts[4].trim() : '';
-        const subject = parts[5] ? parts[5].trim() : '';
-
-        // The last part contains BODY + STATUS lines
-        let bodyAndStatus = parts[6] || '';
-        let body = bodyAndStatus;
-        let status = null;
-
-        // If we requested file status, try to extract it
-        if (file) {
-            // The status line looks like "M\tfilename" or "A\tfilename"
-            // It appears after the body, separated by newlines.
-            // Since we filtered by specific file, we look for that file's status
-            // But simpler: look for the last line that matches status format
-            const lines = bodyAndStatus.trim().split('\n');
-            const lastLine = lines[lines.length - 1];
-
-            // Check if last line looks like a status line (e.g. "M\tfile.yaml" or "A\tfile.yaml")
-            if (lastLine && /^[AMD]\s+/.test(lastLine)) {
-                status = lastLine.charAt(0); // 'A', 'M', or 'D'
-                // Remove status line from body
-                body = lines.slice(0, -1).join('\n').trim();
+        const patch = parts[5] || '';
+        const files = [];
+        let currentFile = null;
+        let currentHunk = null;
+
+        for (const line of patch.split('\n')) {
+            if (line.startsWith('diff --git ')) {
+                currentFile = { path: null, hunks: [] };
+                currentHunk = null;
+                files.push(currentFile);
+            } else if (currentFile && !currentHunk && line.startsWith('+++ ')) {
+                currentFile.path = line === '+++ /dev/null' ? currentFile.path : line.substring(6);
+            } else if (currentFile && !currentHunk && line.startsWith('--- ')) {
+                if (line !== '--- /dev/null') currentFile.path = line.substring(6);
+            } else if (currentFile && line.startsWith('@@')) {
+                currentHunk = { header: line, lines: [] };
+                currentFile.hunks.push(currentHunk);
+            } else if (currentHunk && /^[ +\-\\]/.test(line)) {
+                currentHunk.lines.push(line);
+            }
+        }
+
+        for (const entry of files) {
+            for (const hunk of entry.hunks) {
+                hunk.matchedLines = hunk.lines.filter(line =>
+                    (line.startsWith('+') || line.startsWith('-')) && lineMatches(line.substring(1)));
             }
+            entry.hunks = entry.hunks.filter(hunk => hunk.matchedLines.length > 0);
         }
 
         return {
-            hash,
-            short,
-            authorName,
-            authorEmail,
-            date: new Date(parseInt(timestamp) * 1000).toISOString(),
-            message: subject,
-            body: body.trim(),
-            status: status // 'A' = Added, 'M' = Modified, 'D' = Deleted, null = unknown
+            hash: parts[0] ? parts[0].trim() : '',
+            short: parts[1] ? parts[1].trim() : '',
+            authorName: parts[2] ? parts[2].trim() : '',
+            date: new Date(parseInt(parts[3]) * 1000).toISOString(),
+            message: parts[4] ? parts[4].trim() : '',
+            files: files.filter(entry => entry.path && entry.hunks.length > 0)
         };
     });
-
-    return { all: commits, latest: commits[0] || null, total: commits.length };
 }
 
 export async function gitStatus() {
@@ -158,11 +592,206 @@ export async function gitStatus() {
     };
 }
 
+/**
+ * Get the blob hash of each file at a commit
+ * @param {string} commitHash - Commit hash or ref
+ * @param {Array<string>} files - Paths relative to CONFIG_PATH
+ * @returns {Promise<Object>} { path: blobHash } - files that don't exist at the commit are left out
+ */
+export async function gitBlobsAtCommit(commitHash, files) {
+    const blobs = {};
+    await Promise.all(files.map(async (file) => {
+        const object = await gitObjectInfo(`${commitHash}:${file}`);
+        if (object && object.type === 'blob') blobs[file] = object.oid;
+    }));
+    return blobs;
+}
+
+export async function gitShowBlob(blobHash) {
+    const object = await gitCatFile(blobHash);
+    if (!object || object.type !== 'blob') {
+        throw new Error(`Not a blob: ${blobHash}`);
+    }
+    return object.content.toString('utf8');
+}
+
+/**
+ * List the commits touching some files, with the blob every one of the files had at each commit
+ * Reading blobs from the log (instead of "git show" per commit) lets callers skip versions
+ * they've already seen.
+ * @param {Array<string>} files - Paths relative to CONFIG_PATH
+ * @param {Object} [options]
+ * @param {number} [options.maxCount=500] - Maximum number of commits
+ * @returns {Promise<Array>} [{ hash, authorName, date, message, blobs: { path: blobHash|null } }], newest first
+ */
+export async function gitFileVersions(files, { maxCount = 500 } = {}) {
+    if (files.length === 0) return [];
+
+    const DELIMITER = '§§§§';
+    const COMMIT_DELIMITER = '±±±±';
+    const NO_BLOB = /^0+$/;
+
+    const { stdout } = await gitExec([
+        '-c', 'core.quotePath=false',
+        'log',
+        `--max-count=${maxCount}`,
+        '--raw',
+        '--no-abbrev',
+        '--no-renames',
+        `--pretty=format:${COMMIT_DELIMITER}%H${DELIMITER}%an${DELIMITER}%at${DELIMITER}%s`,
+        '--', ...files
+    ]);
+
+    const commits = stdout.split(COMMIT_DELIMITER).filter(c => c.trim()).map(rawCommit => {
+        const [header, ...lines] = rawCommit.split('\n');
+        const [hash, authorName, timestamp, subject] = header.split(DELIMITER);
+        // ":100644 100644 <old blob> <new blob> M\t<path>"
+        const changes = lines
+            .map(line => line.match(/^:\d+ \d+ ([0-9a-f]+) ([0-9a-f]+) \w+\t(.+)$/))
+            .filter(Boolean)
+            .map(([, oldBlob, newBlob, file]) => ({
+                file,
+                oldBlob: NO_BLOB.test(oldBlob) ? null : oldBlob,
+                newBlob: NO_BLOB.test(newBlob) ? null : newBlob
+            }));
+        return {
+            hash: hash.trim(),
+            authorName: (authorName || '').trim(),
+            date: new Date(parseInt(timestamp) * 1000).toISOString(),
+            message: (subject || '').trim(),
+            changes
+        };
+    });
+    if (commits.length === 0) return [];
+
+    // Blobs at the newest commit, then walk back through each change
+    const state = await gitBlobsAtCommit(commits[0].hash, files);
+    for (const file of files) {
+        if (!(file in state)) state[file] = null;
+    }
+    return commits.map(({ changes, ...commit }) => {
+        const blobs = { ...state };
+        for (const change of changes) state[change.file] = change.oldBlob;
+        return { ...commit, blobs };
+    });
+}
+
 export async function gitShowFileAtCommit(commitHash, filePath) {
-    // Properly escape filePath for git (handles spaces, special chars)
-    // Actually execFile handles arguments safely, we don't need manual quoting if passed as array arg
-    const { stdout } = await gitExec(['show', `${commitHash}:${filePath}`]);
-    return stdout;
+    const object = await gitCatFile(`${commitHash}:${filePath}`);
+    if (!object || object.type !== 'blob') {
+        throw new Error(`Path '${filePath}' does not exist in '${commitHash}'`);
+    }
+    return object.content.toString('utf8');
+}
+
+/**
+ * List the files each commit changed, with their blob after the commit, in one "git log" call
+ * @param {Array<string>} commitHashes - Full commit hashes
+ * @returns {Promise<Object>} { commitHash: [{ file, status, blob|null }] }
+ */
+export async function gitCommitChanges(commitHashes) {
+    if (commitHashes.length === 0) return {};
+    const COMMIT_DELIMITER = '±±±±';
+    const { stdout } = await gitExec([
+        '-c', 'core.quotePath=false',
+        'log',
+        '--no-walk=unsorted',
+        '--raw',
+        '--no-abbrev',
+        '--no-renames',
+        `--pretty=format:${COMMIT_DELIMITER}%H`,
+        ...commitHashes,
+        '--'
+    ]);
+
+    const changes = {};
+    for (const rawCommit of stdout.split(COMMIT_DELIMITER).filter(c => c.trim())) {
+        const [hash, ...lines] = rawCommit.split('\n');
+        // ":100644 100644 <old blob> <new blob> M\t<path>"
+        changes[hash.trim()] = lines
+            .map(line => line.match(/^:\d+ \d+ [0-9a-f]+ ([0-9a-f]+) (\w)\w*\t(.+)$/))
+            .filter(Boolean)
+            .map(([, blob, status, file]) => ({ file, status, blob: /^0+$/.test(blob) ? null : blob }));
+    }
+    return changes;
+}
+
+/**
+ * List commits with the files each one changed, in a single "git log" pass
+ * @param {Object} [options]
+ * @param {number} [options.skip=0] - Number of newest commits to skip
+ * @param {number} [options.maxCount=50] - Maximum number of commits
+ * @param {string} [options.from] - Start from this commit instead of HEAD
+ * @param {string} [options.before] - Only commits made before this date (ISO)
+ * @param {string} [options.after] - Only commits made after this date (ISO)
+ * @returns {Promise<Array>} [{ hash, short, authorName, authorEmail, date, message, body,
+ *   files: [{ file, status, oldBlob, newBlob, added, removed }] }], newest first. added and
+ *   removed are line counts (null for binary files); blobs are null where the file doesn't exist.
+ */
+export async function gitLogChanges({ skip = 0, maxCount = 50, from, before, after } = {}) {
+    const DELIMITER = '§§§§';
+    const COMMIT_DELIMITER = '±±±±';
+    const BODY_END = '¶¶¶¶';
+    const NO_BLOB = /^0+$/;
+
+    const { stdout } = await gitExec([
+        '-c', 'core.quotePath=false',
+        'log',
+        `--skip=${skip}`,
+        `--max-count=${maxCount}`,
+        '--raw',
+        '--numstat',
+        '--no-abbrev', // Full blob hashes in the --raw lines; it makes %h full length too
+        '--no-renames',
+        `--pretty=format:${COMMIT_DELIMITER}%H${DELIMITER}%an${DELIMITER}%ae${DELIMITER}%at${DELIMITER}%s${DELIMITER}%b${BODY_END}`,
+        ...(before ? [`--before=${before}`] : []),
+        ...(after ? [`--after=${after}`] : []),
+        ...(from ? [from] : [])
+    ]);
+
+    return stdout.split(COMMIT_DELIMITER).filter(c => c.trim()).map(rawCommit => {
+        const [header, changeLines = ''] = rawCommit.split(BODY_END);
+        const [hash, authorName, authorEmail, timestamp, subject, body] = header.split(DELIMITER);
+
+        // --raw lines (":100644 100644 <old blob> <new blob> M\t<path>") come first, then
+        // --numstat lines ("<added>\t<removed>\t<path>", "-" for binary files)
+        const files = [];
+        const byPath = new Map();
+        for (const line of changeLines.split('\n')) {
+            const raw = line.match(/^:\d+ \d+ ([0-9a-f]+) ([0-9a-f]+) (\w)\w*\t(.+)$/);
+            if (raw) {
+                const [, oldBlob, newBlob, status, file] = raw;
+                const entry = {
+                    file,
+                    status,
+                    oldBlob: NO_BLOB.test(oldBlob) ? null : oldBlob,
+                    newBlob: NO_BLOB.test(newBlob) ? null : newBlob,
+                    added: null,
+                    removed: null
+                };
+                files.push(entry);
+                byPath.set(file, entry);
+                continue;
+            }
+            const numstat = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+            if (numstat && byPath.has(numstat[3])) {
+                const entry = byPath.get(numstat[3]);
+                entry.added = numstat[1] === '-' ? null : Number(numstat[1]);
+                entry.removed = numstat[2] === '-' ? null : Number(numstat[2]);
+            }
+        }
+
+        return {
+            hash: hash.trim(),
+            short: hash.trim().slice(0, 7),
+            authorName: (authorName || '').trim(),
+            authorEmail: (authorEmail || '').trim(),
+            date: new Date(parseInt(timestamp) * 1000).toISOString(),
+            message: (subject || '').trim(),
+            body: (body || '').trim(),
+            files
+        };
+    });
 }
 
 export async function gitCommitDetails(commitHash) {
@@ -175,8 +804,26 @@ export async function gitAdd(files) {
     await gitExec(['add', ...fileList]);
 }
 
+const commitListeners = [];
+
+/**
+ * Run a function after every commit made with gitCommit()
+ * @param {Function} listener - async (commitHash) => void; errors are logged, not thrown
+ */
+export function onGitCommit(listener) {
+    commitListeners.push(listener);
+}
+
 export async function gitCommit(message) {
     await gitExec(['commit', '-m', message]);
+    if (commitListeners.length === 0) return;
+
+    const { stdout } = await gitExec(['rev-parse', 'HEAD']);
+    for (const listener of commitListeners) {
+        Promise.resolve()
+            .then(() => listener(stdout.trim()))
+            .catch(error => console.log(`[git] Commit listener failed: ${error.message}`));
+    }
 }
 
 export async function gitRaw(args) {
@@ -246,8 +893,9 @@ export async function gitCheckout(args) {
  * 
  * @param {string} commitHash - The commit hash to restore from
  * @param {string} filePath - The file path relative to CONFIG_PATH
+ * @param {string} [sourcePath] - The file's path in that commit, if it has been renamed since
  */
-export async function gitCheckoutSafe(commitHash, filePath) {
+export async function gitCheckoutSafe(commitHash, filePath, sourcePath = filePath) {
     const fullPath = path.join(global.CONFIG_PATH, filePath);
     let backupContent = null;
 
@@ -261,7 +909,7 @@ export async function gitCheckoutSafe(commitHash, filePath) {
     try {
         // Get the file content from the commit using git show
         // This avoids git checkout entirely, which has issues with CIFS/SMB mounts
-        const { stdout: newContent } = await gitExec(['show', `${commitHash}:${filePath}`]);
+        const { stdout: newContent } = await gitExec(['show', `${commitHash}:${sourcePath}`]);
 
         // Ensure parent directory exists
         const dir = path.dirname(fullPath);
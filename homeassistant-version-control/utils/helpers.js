@@ -0,0 +1,276 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit, gitRaw } from './git.js';
+import { readStoreFile, writeStoreFile } from './storage.js';
+
+// ──────────────────────────────────────────────────
+// UI-managed helpers stored in .storage/<domain>
+// Each store is JSON: { version, minor_version, key, data: { items: [{ id, name, ... }] } }
+// ──────────────────────────────────────────────────
+
+export const HELPER_DOMAINS = [
+    'input_boolean',
+    'input_number',
+    'input_select',
+    'input_datetime',
+    'input_text',
+    'counter',
+    'timer',
+    'schedule'
+];
+
+/**
+ * Store file of a helper domain, relative to CONFIG_PATH
+ * @param {string} domain - Helper domain, e.g. 'input_boolean'
+ * @returns {string} e.g. '.storage/input_boolean'
+ */
+export function helperStorePath(domain) {
+    return `.storage/${domain}`;
+}
+
+/**
+ * Helper domain a path belongs to
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {string|null} Domain, or null if the path isn't a helper store
+ */
+export function helperDomainOf(relativePath) {
+    const match = /^\.storage\/([a-z_]+)$/.exec(relativePath);
+    return match && HELPER_DOMAINS.includes(match[1]) ? match[1] : null;
+}
+
+/**
+ * Read the helpers out of one revision of a store file
+ * @param {string} content - Store file content
+ * @returns {Array<Object>|null} Helper items, or null if the content isn't a valid store
+ */
+export function parseHelperStore(content) {
+    try {
+        const store = JSON.parse(content);
+        return Array.isArray(store?.data?.items) ? store.data.items : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build a helper id ("helpers:<encoded store path>:<helper id>")
+ * Same shape as automation and script ids, so validateItemId() checks the store path.
+ * @param {string} domain - Helper domain
+ * @param {string} itemId - Helper id inside the store
+ * @returns {string}
+ */
+export function helperIdFor(domain, itemId) {
+    return `helpers:${encodeURIComponent(helperStorePath(domain))}:${itemId}`;
+}
+
+/**
+ * Split a helper id into its store and item
+ * @param {string} helperId - Helper id from helperIdFor()
+ * @returns {Object|null} { domain, storePath, itemId }, or null if it doesn't name a helper store
+ */
+export function parseHelperId(helperId) {
+    const [kind, encodedPath, ...rest] = String(helperId).split(':');
+    if (kind !== 'helpers' || !encodedPath || rest.length === 0) return null;
+
+    let storePath;
+    try {
+        storePath = decodeURIComponent(encodedPath);
+    } catch (error) {
+        return null;
+    }
+    const domain = helperDomainOf(storePath);
+    return domain ? { domain, storePath, itemId: rest.join(':') } : null;
+}
+
+function describeHelper(domain, item) {
+    return {
+        id: helperIdFor(domain, item.id),
+        itemId: item.id,
+        name: item.name || item.id,
+        domain,
+        file: helperStorePath(domain),
+        content: item
+    };
+}
+
+/**
+ * List the helpers currently in the store files
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<Object>>} { id, itemId, name, domain, file, content, mtime }
+ */
+export async function listHelpers(configPath) {
+    const helpers = [];
+
+    for (const domain of HELPER_DOMAINS) {
+        const fullPath = path.join(configPath, helperStorePath(domain));
+        let content;
+        let stats;
+        try {
+            [content, stats] = await Promise.all([
+                fsPromises.readFile(fullPath, 'utf-8'),
+                fsPromises.stat(fullPath)
+            ]);
+        } catch (error) {
+            continue; // No helpers of this type
+        }
+
+        const items = parseHelperStore(content);
+        if (!items) {
+            console.log(`[helpers] Skipping ${helperStorePath(domain)}: not a valid store file`);
+            continue;
+        }
+        for (const item of items) {
+            if (item && item.id) {
+                helpers.push({ ...describeHelper(domain, item), mtime: stats.mtimeMs });
+            }
+        }
+    }
+
+    return helpers;
+}
+
+/**
+ * Get the versions of one helper, newest first
+ * Consecutive commits where the helper didn't change are collapsed into the oldest one.
+ * @param {string} helperId - Helper id
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, helper }] }
+ */
+export async function getHelperHistory(helperId) {
+    const parsed = parseHelperId(helperId);
+    if (!parsed) return { success: false, history: [], error: 'Not a helper id' };
+
+    const log = await gitLog({ file: parsed.storePath });
+    const history = [];
+    let candidate = null;
+
+    for (const commit of log.all) {
+        let item = null;
+        try {
+            const items = parseHelperStore(await gitShowFileAtCommit(commit.hash, parsed.storePath));
+            item = items ? items.find(entry => entry && entry.id === parsed.itemId) : null;
+        } catch (error) {
+            // Store didn't exist at this commit
+        }
+
+        if (!item) {
+            // Helper missing - the last candidate was where it was created
+            if (candidate) history.push(candidate);
+            candidate = null;
+            continue;
+        }
+
+        if (candidate && JSON.stringify(candidate.helper) !== JSON.stringify(item)) {
+            history.push(candidate);
+        }
+        candidate = {
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            helper: item
+        };
+    }
+    if (candidate) history.push(candidate);
+
+    return { success: history.length > 0, history };
+}
+
+/**
+ * Put one helper back the way it was at a commit
+ * The rest of the store is left as it is on disk. A helper that no longer exists is appended.
+ * Home Assistant only reads the store at startup and overwrites it on its next save, so the
+ * restored helper takes effect after a restart.
+ * @param {string} helperId - Helper id
+ * @param {string} commitHash - Commit to restore from
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { domain, name }
+ * @throws {Error} If the helper isn't in that commit or the store on disk can't be parsed
+ */
+export async function restoreHelper(helperId, commitHash, configPath) {
+    const parsed = parseHelperId(helperId);
+    if (!parsed) throw new Error('Not a helper id');
+
+    const committedItems = parseHelperStore(await gitShowFileAtCommit(commitHash, parsed.storePath));
+    const restored = committedItems ? committedItems.find(entry => entry && entry.id === parsed.itemId) : null;
+    if (!restored) {
+        throw new Error(`Helper ${parsed.itemId} not found in ${parsed.storePath} at ${commitHash.substring(0, 8)}`);
+    }
+
+    const fullPath = path.join(configPath, parsed.storePath);
+    let store;
+    let format;
+    try {
+        ({ store, format } = await readStoreFile(fullPath));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read ${parsed.storePath}: ${error.message}`);
+        }
+        // The whole store is gone - start from the committed one, without its other helpers
+        store = JSON.parse(await gitShowFileAtCommit(commitHash, parsed.storePath));
+        store.data.items = [];
+    }
+
+    if (!Array.isArray(store?.data?.items)) {
+        throw new Error(`${parsed.storePath} is not a valid store file`);
+    }
+    const index = store.data.items.findIndex(entry => entry && entry.id === parsed.itemId);
+    if (index === -1) {
+        store.data.items.push(restored);
+    } else {
+        store.data.items[index] = restored;
+    }
+
+    await writeStoreFile(fullPath, store, format);
+    console.log(`[helpers] Restored ${parsed.domain} '${restored.name || parsed.itemId}' from ${commitHash.substring(0, 8)}`);
+    return { domain: parsed.domain, name: restored.name || parsed.itemId };
+}
+
+/**
+ * Compare staged helper stores against HEAD
+ * @param {Array} stagedFiles - Staged entries from gitStatus() ({ path, oldPath, index })
+ * @returns {Promise<Array>} List of changes: { type: 'helper', action, id, name, file }
+ */
+export async function getStagedHelperChanges(stagedFiles) {
+    const changes = [];
+    const readRevision = async (revision, filePath) => {
+        try {
+            return await gitRaw(['show', `${revision}:${filePath}`]);
+        } catch (error) {
+            return ''; // File doesn't exist at this revision
+        }
+    };
+
+    for (const stagedFile of stagedFiles) {
+        const domain = helperDomainOf(stagedFile.path);
+        if (!domain) continue;
+
+        const beforeContent = await readRevision('HEAD', stagedFile.path);
+        const before = beforeContent ? parseHelperStore(beforeContent) : [];
+        const after = stagedFile.index === 'D' ? [] : parseHelperStore(await readRevision('', stagedFile.path));
+        if (before === null || after === null) continue;
+
+        const beforeById = new Map(before.filter(item => item && item.id).map(item => [item.id, item]));
+        const afterById = new Map(after.filter(item => item && item.id).map(item => [item.id, item]));
+        const change = (action, item) => ({
+            type: 'helper',
+            action,
+            id: helperIdFor(domain, item.id),
+            name: item.name || item.id,
+            file: stagedFile.path
+        });
+
+        for (const [id, item] of afterById) {
+            const previous = beforeById.get(id);
+            if (!previous) {
+                changes.push(change('added', item));
+            } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+                changes.push(change('modified', item));
+            }
+        }
+        for (const [id, item] of beforeById) {
+            if (!afterById.has(id)) changes.push(change('removed', item));
+        }
+    }
+
+    return changes;
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { HaTag } from './includes.js';
+
+// ──────────────────────────────────────────────────
+// Parsed-item index, kept in /data across restarts
+// The items in a version of automations.yaml depend only on that version's content, so once a
+// git blob is parsed its items are remembered by blob hash. Each distinct item content is
+// stored once, under a hash of its JSON, so a blob entry is just a list of small records.
+// ──────────────────────────────────────────────────
+
+const INDEX_PATH = '/data/history-index.json';
+
+// Bump when the parsers change what they return, so entries from older versions are rebuilt
+const INDEX_VERSION = 1;
+
+// Parsing a long history adds many entries at once; write them out together
+const SAVE_DELAY_MS = 2000;
+
+let indexPromise = null;
+let saveTimer = null;
+
+// HaTags (!input, !secret...) serialize to plain strings; keep them as tags in the index
+function encodeTags(key, value) {
+    const original = this[key];
+    return original instanceof HaTag ? { __haTag: original.tag, value: original.value } : value;
+}
+
+function decodeTags(key, value) {
+    return value && typeof value === 'object' && typeof value.__haTag === 'string'
+        ? new HaTag(value.__haTag, value.value)
+        : value;
+}
+
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = fs.promises.readFile(INDEX_PATH, 'utf-8')
+            .then(text => JSON.parse(text))
+            .then(data => (data.version === INDEX_VERSION ? data : null))
+            .catch(() => null) // First run - entries are added as history is read
+            .then(data => data || { version: INDEX_VERSION, blobs: {}, contents: {} });
+    }
+    return indexPromise;
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            const index = await loadIndex();
+            const tempPath = `${INDEX_PATH}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(index));
+            await fs.promises.rename(tempPath, INDEX_PATH);
+        } catch (error) {
+            console.log(`[history-index] Could not save ${INDEX_PATH}: ${error.message}`);
+        }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * Build the index key for a file version
+ * Single-item script files take their key from the file name, so for scripts the name is
+ * part of the key.
+ * @param {string} blobHash - Git blob hash of the file version
+ * @param {string} type - 'automation', 'script' or 'scene'
+ * @param {string} file - File path relative to the config directory
+ * @returns {string}
+ */
+export function indexKey(blobHash, type, file) {
+    return type === 'script' ? `${type}:${path.posix.basename(file)}:${blobHash}` : `${type}:${blobHash}`;
+}
+
+/**
+ * Get the items indexed for a file version
+ * @param {string} key - indexKey() of the version
+ * @returns {Promise<Array<Object>|null>} Items with their content and contentHash, or null if
+ *   the version hasn't been indexed
+ */
+export async function getIndexedItems(key) {
+    const { blobs, contents } = await loadIndex();
+    const records = blobs[key];
+    if (!records) return null;
+    return records.map(record => ({ ...record, content: JSON.parse(contents[record.contentHash], decodeTags) }));
+}
+
+/**
+ * Index the items of a file version
+ * @param {string} key - indexKey() of the version
+ * @param {Array<Object>} items - Items as plain records, each with a content object
+ */
+export async function setIndexedItems(key, items) {
+    const index = await loadIndex();
+    index.blobs[key] = items.map(({ content, ...record }) => {
+        const text = JSON.stringify(content, encodeTags);
+        const contentHash = crypto.createHash('sha1').update(text).digest('hex');
+        index.contents[contentHash] = text;
+        return { ...record, contentHash };
+    });
+    scheduleSave();
+}
+
+/**
+ * Drop the entries of file versions that are no longer in history
+ * Nothing is dropped as history grows, so this runs after a cleanup rewrites it.
+ * @param {Set<string>} blobHashes - Blob hashes still in history (see gitReachableBlobs())
+ * @returns {Promise<number>} Number of versions dropped
+ */
+export async function pruneIndexedItems(blobHashes) {
+    const index = await loadIndex();
+    let dropped = 0;
+    for (const key of Object.keys(index.blobs)) {
+        // The blob hash is the last part of every indexKey()
+        if (!blobHashes.has(key.slice(key.lastIndexOf(':') + 1))) {
+            delete index.blobs[key];
+            dropped++;
+        }
+    }
+
+    // Item contents only the dropped versions had
+    const used = new Set();
+    for (const records of Object.values(index.blobs)) {
+        for (const record of records) used.add(record.contentHash);
+    }
+    let unused = 0;
+    for (const contentHash of Object.keys(index.contents)) {
+        if (!used.has(contentHash)) {
+            delete index.contents[contentHash];
+            unused++;
+        }
+    }
+
+    if (dropped > 0 || unused > 0) scheduleSave();
+    return dropped;
+}
@@ -0,0 +1,125 @@
+// ──────────────────────────────────────────────────
+// Item identity across versions
+// Automations without an id are keyed by their position in the file, which shifts whenever one
+// is inserted above them. These helpers find the same logical item in another version of a
+// file: by id, then key, then alias, then by how similar the content is.
+// ──────────────────────────────────────────────────
+
+// Share of matching content needed to call two items the same without an id or alias
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Top-level keys that name an item rather than describe what it does
+const IDENTITY_KEYS = ['id', 'alias'];
+
+function idOf(item) {
+    return item.rawId === undefined || item.rawId === null ? null : String(item.rawId);
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+// "path=value" for every leaf; list positions are left out so reordering triggers doesn't count
+function leafEntries(node, prefix, entries) {
+    if (Array.isArray(node)) {
+        node.forEach(item => leafEntries(item, `${prefix}[]`, entries));
+    } else if (node !== null && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (!prefix && IDENTITY_KEYS.includes(key)) continue;
+            leafEntries(value, prefix ? `${prefix}.${key}` : key, entries);
+        }
+    } else {
+        entries.add(`${prefix}=${JSON.stringify(node)}`);
+    }
+    return entries;
+}
+
+/**
+ * Score how alike two items' content is, ignoring their id and alias
+ * @param {*} a - Item content
+ * @param {*} b - Item content
+ * @returns {number} 0 (nothing shared) to 1 (same content)
+ */
+export function contentSimilarity(a, b) {
+    const left = leafEntries(a, '', new Set());
+    const right = leafEntries(b, '', new Set());
+    if (left.size === 0 && right.size === 0) return 1;
+
+    let shared = 0;
+    for (const entry of left) {
+        if (right.has(entry)) shared++;
+    }
+    return (2 * shared) / (left.size + right.size);
+}
+
+// The candidate that is item by id, then by key
+function exactMatch(item, candidates) {
+    const id = idOf(item);
+    if (id !== null) {
+        const sameId = candidates.find(candidate => idOf(candidate) === id);
+        if (sameId) return sameId;
+    }
+    if (item.key !== undefined) {
+        return candidates.find(candidate => candidate.key === item.key) || null;
+    }
+    return null;
+}
+
+// Most similar first; on a tie, the one closest to the item's position
+function rankBySimilarity(item, candidates) {
+    return candidates
+        .map(candidate => ({ candidate, score: contentSimilarity(item.content, candidate.content) }))
+        .sort((a, b) => (b.score - a.score) ||
+            (Math.abs((a.candidate.index ?? 0) - (item.index ?? 0)) - Math.abs((b.candidate.index ?? 0) - (item.index ?? 0))));
+}
+
+/**
+ * Find the item in another version that is the same logical item as reference
+ * Matching is one-to-one: the candidates the other current items match by id, key or alias
+ * are theirs, and reference is only matched against the rest. Tried in order: same id, same
+ * key, same alias (the most similar one if several share it), then the most similar content.
+ * @param {Object} reference - Parsed item ({ rawId, key, name, index, content })
+ * @param {Array<Object>} candidates - Parsed items of the other version
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.others] - The other items that exist now, parsed the same way
+ * @param {boolean} [options.bySimilarity=true] - Allow matches on content alone
+ * @returns {Object|null} Matching candidate
+ */
+export function matchItem(reference, candidates, { others = [], bySimilarity = true } = {}) {
+    const referenceId = idOf(reference);
+    if (referenceId !== null) {
+        const sameId = candidates.find(candidate => idOf(candidate) === referenceId);
+        if (sameId) return sameId;
+    }
+
+    // Candidates carrying another item's id belong to it even if that item isn't in this version
+    const otherIds = new Set(others.map(idOf).filter(id => id !== null));
+    let unclaimed = candidates.filter(candidate => idOf(candidate) === null || !otherIds.has(idOf(candidate)));
+    for (const other of others) {
+        const match = exactMatch(other, unclaimed);
+        if (match) unclaimed = unclaimed.filter(candidate => candidate !== match);
+    }
+
+    if (reference.key !== undefined) {
+        const sameKey = unclaimed.find(candidate => candidate.key === reference.key);
+        if (sameKey) return sameKey;
+    }
+
+    // Other items claim their alias matches too, unless they share reference's alias
+    const name = normalizeName(reference.name);
+    for (const other of others) {
+        const otherName = normalizeName(other.name);
+        if (otherName === name) continue;
+        const sameName = unclaimed.filter(candidate => normalizeName(candidate.name) === otherName);
+        if (sameName.length === 0) continue;
+        const [{ candidate: match }] = rankBySimilarity(other, sameName);
+        unclaimed = unclaimed.filter(candidate => candidate !== match);
+    }
+
+    const sameName = unclaimed.filter(candidate => normalizeName(candidate.name) === name);
+    if (sameName.length > 0) return rankBySimilarity(reference, sameName)[0].candidate;
+
+    if (!bySimilarity) return null;
+    const [best] = rankBySimilarity(reference, unclaimed);
+    return best && best.score >= SIMILARITY_THRESHOLD ? best.candidate : null;
+}
@@ -0,0 +1,226 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import yaml from 'js-yaml';
+
+// ──────────────────────────────────────────────────
+// Home Assistant YAML tags and the include graph of configuration.yaml
+// ──────────────────────────────────────────────────
+
+export const HA_TAGS = ['!include', '!include_dir_list', '!include_dir_merge_list', '!include_dir_named',
+    '!include_dir_merge_named', '!secret', '!env_var', '!input'];
+
+const DIR_TAGS = ['!include_dir_list', '!include_dir_merge_list', '!include_dir_named', '!include_dir_merge_named'];
+
+/**
+ * A Home Assistant tag left unresolved, e.g. !include automations.yaml
+ * Serializes to "!include automations.yaml" in JSON and back to the tag when dumped as YAML.
+ */
+export class HaTag {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+
+    toJSON() {
+        return `${this.tag} ${this.value}`;
+    }
+
+    toString() {
+        return this.toJSON();
+    }
+}
+
+export const HA_SCHEMA = yaml.DEFAULT_SCHEMA.extend(HA_TAGS.map(tag => new yaml.Type(tag, {
+    kind: 'scalar',
+    construct: data => new HaTag(tag, data),
+    instanceOf: HaTag,
+    predicate: value => value.tag === tag,
+    represent: value => value.value
+})));
+
+/**
+ * Parse YAML that may contain Home Assistant tags
+ * @param {string} content - YAML text
+ * @returns {*} Parsed value, with tags as HaTag instances
+ */
+export function loadHaYaml(content) {
+    return yaml.load(content, { schema: HA_SCHEMA });
+}
+
+/**
+ * Serialize data parsed with loadHaYaml(), writing HaTag values back as tags
+ * @param {*} data - Data to serialize
+ * @returns {string} YAML text
+ */
+export function dumpHaYaml(data) {
+    return yaml.dump(data, {
+        schema: HA_SCHEMA,
+        indent: 2,
+        lineWidth: -1,  // Don't wrap lines
+        noRefs: true,   // Don't use references
+        sortKeys: false // Keep key order
+    });
+}
+
+/**
+ * Domain a configuration key configures
+ * Home Assistant also accepts labelled keys ("automation manual:") for the same domain.
+ * @param {string} key - Top-level configuration or package key
+ * @returns {string|null} 'automation', 'script' or 'scene', or null for any other key
+ */
+export function itemDomainOfKey(key) {
+    const match = /^(automation|script|scene)(\s+\S.*)?$/.exec(key);
+    return match ? match[1] : null;
+}
+
+/**
+ * Integration a configuration key configures
+ * Platform-based integrations can be split over labelled keys ("sensor 2:", "sensor old:").
+ * @param {string} key - Top-level configuration or package key
+ * @returns {string|null} e.g. 'sensor' for "sensor 2", or null if the key isn't a domain
+ */
+export function domainOfKey(key) {
+    const match = /^([a-z0-9_]+)(\s+\S.*)?$/.exec(key);
+    return match ? match[1] : null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof HaTag);
+}
+
+// Files an !include_dir_* tag reads, like Home Assistant: recursive, sorted, without hidden files or secrets.yaml
+async function findIncludedFiles(dir) {
+    let entries;
+    try {
+        entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return []; // Directory might not exist
+    }
+
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await findIncludedFiles(fullPath));
+        } else if (entry.isFile() && /\.ya?ml$/.test(entry.name) && entry.name !== 'secrets.yaml') {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Files an include tag points at
+ * @param {HaTag} tag - !include or !include_dir_* tag
+ * @param {string} fromFile - Absolute path of the file the tag is in
+ * @returns {Promise<Array<string>>} Absolute file paths (none for other tags)
+ */
+export async function expandInclude(tag, fromFile) {
+    const target = path.resolve(path.dirname(fromFile), String(tag.value).trim());
+    if (tag.tag === '!include') return [target];
+    if (DIR_TAGS.includes(tag.tag)) return findIncludedFiles(target);
+    return [];
+}
+
+/**
+ * Follow configuration.yaml's includes to the files that hold automations, scripts and scenes
+ * Understands every !include variant, labelled keys ("automation manual:"), recursive include
+ * directories and packages (homeassistant: packages:, inline or included), including includes
+ * inside package files.
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object|null>} { automation, script, scene } arrays of absolute file paths,
+ *   packages: [{ name, file, keyPath }] (keyPath leads from the file's root to the package) and
+ *   blocks: [{ domain, file, keyPath, value }], every top-level key of configuration.yaml and the
+ *   packages, with its value unresolved; or null if configuration.yaml can't be read
+ */
+export async function resolveIncludeGraph(configPath) {
+    const sources = { automation: new Set(), script: new Set(), scene: new Set() };
+    const packages = [];
+    const blocks = [];
+    const loadedFiles = new Set();
+
+    const loadFile = async (filePath) => {
+        if (loadedFiles.has(filePath)) return null; // Include cycle
+        loadedFiles.add(filePath);
+        try {
+            return loadHaYaml(await fsPromises.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            console.log(`[includes] Skipping ${path.relative(configPath, filePath)}: ${error.code === 'ENOENT' ? 'not found' : 'invalid YAML'}`);
+            return null;
+        }
+    };
+
+    const addDomainValue = async (domain, value, file) => {
+        if (value instanceof HaTag) {
+            for (const includedFile of await expandInclude(value, file)) {
+                sources[domain].add(includedFile);
+            }
+        } else if (value && typeof value === 'object') {
+            sources[domain].add(file); // Defined inline
+        }
+    };
+
+    const walkPackage = async (pkg, file, name, keyPath) => {
+        if (!isPlainObject(pkg)) return;
+        packages.push({ name, file, keyPath });
+        for (const [key, value] of Object.entries(pkg)) {
+            blocks.push({ domain: domainOfKey(key), file, keyPath: [...keyPath, key], value });
+            const domain = itemDomainOfKey(key);
+            if (domain) await addDomainValue(domain, value, file);
+        }
+    };
+
+    // A map of package name -> package (inline, or an !include of the package)
+    const walkPackageMap = async (packageMap, file, keyPath) => {
+        if (!isPlainObject(packageMap)) return;
+        for (const [name, pkg] of Object.entries(packageMap)) {
+            if (pkg instanceof HaTag && pkg.tag === '!include') {
+                const [includedFile] = await expandInclude(pkg, file);
+                await walkPackage(await loadFile(includedFile), includedFile, name, []);
+            } else {
+                await walkPackage(pkg, file, name, [...keyPath, name]);
+            }
+        }
+    };
+
+    const walkPackages = async (value, file) => {
+        if (!(value instanceof HaTag)) {
+            await walkPackageMap(value, file, ['homeassistant', 'packages']);
+            return;
+        }
+        for (const includedFile of await expandInclude(value, file)) {
+            const data = await loadFile(includedFile);
+            if (value.tag === '!include_dir_named') {
+                // One package per file, named after the file
+                await walkPackage(data, includedFile, path.basename(includedFile).replace(/\.ya?ml$/, ''), []);
+            } else {
+                await walkPackageMap(data, includedFile, []);
+            }
+        }
+    };
+
+    const configFile = path.join(configPath, 'configuration.yaml');
+    const config = await loadFile(configFile);
+    if (!isPlainObject(config)) return null;
+
+    for (const [key, value] of Object.entries(config)) {
+        if (key !== 'homeassistant') blocks.push({ domain: domainOfKey(key), file: configFile, keyPath: [key], value });
+        const domain = itemDomainOfKey(key);
+        if (domain) {
+            await addDomainValue(domain, value, configFile);
+        } else if (key === 'homeassistant' && isPlainObject(value) && value.packages) {
+            await walkPackages(value.packages, configFile);
+        }
+    }
+
+    // Only files inside the config directory have history
+    const inside = filePath => !path.relative(configPath, filePath).startsWith('..');
+    return {
+        automation: [...sources.automation].filter(inside),
+        script: [...sources.script].filter(inside),
+        scene: [...sources.scene].filter(inside),
+        packages: packages.filter(pkg => inside(pkg.file)),
+        blocks: blocks.filter(block => block.domain && inside(block.file))
+    };
+}
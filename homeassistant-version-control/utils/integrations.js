@@ -0,0 +1,456 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit } from './git.js';
+import { HaTag, loadHaYaml, dumpHaYaml, expandInclude, resolveIncludeGraph } from './includes.js';
+
+// ──────────────────────────────────────────────────
+// Items inside YAML integration blocks (template:, sensor:, rest_command: ...)
+// A domain's extractor only says which items its config holds (see platformItems() and friends).
+// This module finds that config wherever configuration.yaml puts it - inline, in included files
+// or in packages - and gives every item its own history and restore.
+// Item ids are "<domain>:<encoded file>:<encoded identifier>"; the identifier is the item's
+// unique_id, else its name.
+// ──────────────────────────────────────────────────
+
+// Keys that hold entities in template:, mqtt:, rest: and command_line: blocks
+const ENTITY_DOMAINS = [
+    'alarm_control_panel', 'binary_sensor', 'button', 'camera', 'climate', 'cover', 'date', 'datetime',
+    'device_tracker', 'event', 'fan', 'humidifier', 'image', 'lawn_mower', 'light', 'lock', 'notify',
+    'number', 'scene', 'select', 'sensor', 'siren', 'switch', 'tag', 'text', 'time', 'update', 'vacuum',
+    'valve', 'water_heater', 'weather'
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof HaTag);
+}
+
+function describeItem(config, itemPath, kind) {
+    return {
+        path: itemPath,
+        kind,
+        uniqueId: config.unique_id !== undefined && config.unique_id !== null ? String(config.unique_id) : null,
+        name: typeof config.name === 'string' ? config.name : null
+    };
+}
+
+/**
+ * Items of platform-based integrations (sensor:, binary_sensor:): one per "- platform: ..." entry
+ * @param {*} value - The domain's config
+ * @returns {Array<Object>} { path, kind, uniqueId, name } - path leads from the value to the item
+ */
+export function platformItems(value) {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap((entry, index) => (isPlainObject(entry) ? [describeItem(entry, [index], entry.platform || null)] : []));
+}
+
+/**
+ * Entities of integrations that group them by entity domain (template:, mqtt:, rest:, command_line:)
+ * The config is a list of blocks or a single block; a block's sensor:, binary_sensor: ... keys hold
+ * one entity or a list of them.
+ * @param {*} value - The domain's config
+ * @returns {Array<Object>} { path, kind, uniqueId, name }
+ */
+export function entityBlockItems(value) {
+    const blocks = Array.isArray(value) ? value.map((block, index) => [block, [index]]) : [[value, []]];
+    const items = [];
+    for (const [block, blockPath] of blocks) {
+        if (!isPlainObject(block)) continue;
+        for (const [key, entities] of Object.entries(block)) {
+            if (!ENTITY_DOMAINS.includes(key)) continue;
+            if (Array.isArray(entities)) {
+                entities.forEach((entity, index) => {
+                    if (isPlainObject(entity)) items.push(describeItem(entity, [...blockPath, key, index], key));
+                });
+            } else if (isPlainObject(entities)) {
+                items.push(describeItem(entities, [...blockPath, key], key));
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Named entries (rest_command:, shell_command:): one item per key
+ * @param {*} value - The domain's config
+ * @returns {Array<Object>} { path, kind, uniqueId, name }
+ */
+export function namedItems(value) {
+    if (!isPlainObject(value)) return [];
+    return Object.keys(value).map(key => ({ path: [key], kind: null, uniqueId: null, name: key }));
+}
+
+function parseItemId(itemId) {
+    const [domain, encodedFile, encodedIdentifier] = itemId.split(':');
+    return {
+        domain,
+        file: decodeURIComponent(encodedFile).replace(/^\//, ''),
+        identifier: decodeURIComponent(encodedIdentifier)
+    };
+}
+
+function valueAt(data, nodePath) {
+    let value = data;
+    for (const step of nodePath) {
+        if (value === null || typeof value !== 'object' || value instanceof HaTag) return undefined;
+        value = value[step];
+    }
+    return value;
+}
+
+/**
+ * Find where configuration.yaml puts a domain's config
+ * !include_dir_list files hold one list entry each and !include_dir_named files the value of
+ * one key, so their items are found as if the file were wrapped in that list or mapping.
+ * @param {string} configPath - Path to the config directory
+ * @param {string} domain - e.g. 'template'
+ * @returns {Promise<Array<Object>>} { file, keyPath, shape: 'value'|'entry'|'named', name }, file relative to configPath
+ */
+async function findDomainSources(configPath, domain) {
+    const graph = await resolveIncludeGraph(configPath);
+    if (!graph) return [];
+
+    const sources = [];
+    for (const block of graph.blocks) {
+        if (block.domain !== domain) continue;
+        if (!(block.value instanceof HaTag)) {
+            sources.push({ file: block.file, keyPath: block.keyPath, shape: 'value' });
+            continue;
+        }
+        const shape = { '!include_dir_list': 'entry', '!include_dir_named': 'named' }[block.value.tag] || 'value';
+        for (const file of await expandInclude(block.value, block.file)) {
+            sources.push({ file, keyPath: [], shape, name: path.basename(file).replace(/\.ya?ml$/, '') });
+        }
+    }
+
+    return sources
+        .map(source => ({ ...source, file: path.relative(configPath, source.file) }))
+        .filter(source => !source.file.startsWith('..'));
+}
+
+/**
+ * List the items of one domain in one revision of a file
+ * Identifiers that appear twice get a "#2", "#3" ... suffix so every item stays addressable.
+ * @param {*} data - Parsed file content
+ * @param {Array<Object>} sources - findDomainSources() entries for this file
+ * @param {Object} extractor - The domain's extractor
+ * @returns {Array<Object>} { identifier, name, kind, nodePath, content } - nodePath leads from the file's root
+ */
+function itemsInFile(data, sources, extractor) {
+    const items = [];
+    const seen = new Map();
+
+    for (const source of sources) {
+        let value = valueAt(data, source.keyPath);
+        if (value === undefined || value === null) continue;
+        if (source.shape === 'entry') value = [value];
+        if (source.shape === 'named') value = { [source.name]: value };
+
+        for (const item of extractor.listItems(value)) {
+            const nodePath = [...source.keyPath, ...(source.shape === 'value' ? item.path : item.path.slice(1))];
+            let identifier = item.uniqueId || item.name || `${item.kind || extractor.domain}@${nodePath.join('.')}`;
+            const count = (seen.get(identifier) || 0) + 1;
+            seen.set(identifier, count);
+            if (count > 1) identifier = `${identifier}#${count}`;
+
+            items.push({
+                identifier,
+                name: item.name || item.uniqueId || identifier,
+                kind: item.kind,
+                nodePath,
+                content: valueAt(data, nodePath)
+            });
+        }
+    }
+    return items;
+}
+
+async function findItemSources(extractor, itemId, configPath) {
+    const parsed = parseItemId(itemId);
+    const sources = (await findDomainSources(configPath, extractor.domain)).filter(source => source.file === parsed.file);
+    return { ...parsed, sources };
+}
+
+async function findItemAtCommit(extractor, parsed, commitHash) {
+    const content = await gitShowFileAtCommit(commitHash, parsed.file);
+    const item = itemsInFile(loadHaYaml(content), parsed.sources, extractor).find(i => i.identifier === parsed.identifier);
+    return item ? { item, content } : null;
+}
+
+const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && line.trim() !== '---';
+const indentOf = line => line.length - line.trimStart().length;
+const isSequenceItem = text => /^-(\s|$)/.test(text);
+
+function keyLinePattern(key) {
+    const escaped = String(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^(["']?)${escaped}\\1\\s*:(\\s|$)`);
+}
+
+/**
+ * Find the lines of a node in block-style YAML
+ * A list item's first key may share the "- " line, so that line is read from the column after the dash.
+ * @param {Array<string>} lines - File lines
+ * @param {Array<string|number>} nodePath - Keys and list indexes from the root
+ * @returns {Object|null} { start, end, indent, prefix } - the node's key or "- " line up to the next
+ *   sibling (trailing blank lines and comments excluded), the column it starts at and the text before it
+ */
+function findNodeLines(lines, nodePath) {
+    let region = { from: 0, to: lines.length, inline: null };
+    let node = null;
+
+    for (const step of nodePath) {
+        const columnOf = i => (region.inline && region.inline.line === i ? region.inline.column : indentOf(lines[i]));
+
+        // The first line of the region sets the column of its entries
+        let column = null;
+        const starts = [];
+        for (let i = region.from; i < region.to; i++) {
+            if (!isContent(lines[i])) continue;
+            if (column === null) column = columnOf(i);
+            if (columnOf(i) < column) return null;
+            if (columnOf(i) === column) starts.push(i);
+        }
+        if (column === null) return null;
+
+        // A mapping's value may be a list at the key's own indentation ("key:\n- item")
+        const isIndex = typeof step === 'number';
+        const entries = starts.filter(i => isSequenceItem(lines[i].substring(column)) === isIndex);
+        const start = isIndex ? entries[step] : entries.find(i => keyLinePattern(step).test(lines[i].substring(column)));
+        if (start === undefined) return null;
+
+        const next = entries.find(i => i > start);
+        let end = next !== undefined ? next : region.to;
+        while (end > start + 1 && !isContent(lines[end - 1])) end--;
+        node = { start, end, indent: column, prefix: lines[start].substring(0, column) };
+
+        const afterDash = lines[start].substring(column).replace(/^-\s*/, '');
+        if (isIndex && afterDash && !afterDash.startsWith('#')) {
+            region = { from: start, to: end, inline: { line: start, column: lines[start].length - afterDash.length } };
+        } else {
+            region = { from: start + 1, to: end, inline: null };
+        }
+    }
+    return node;
+}
+
+// A node's lines, moved to start at a prefix/column
+function placeNodeLines(sourceLines, source, prefix, indent) {
+    const [first, ...rest] = sourceLines.slice(source.start, source.end);
+    return [
+        prefix + first.substring(source.indent),
+        ...rest.map(line => (line.trim() ? ' '.repeat(indent) + line.substring(Math.min(source.indent, indentOf(line))) : line))
+    ];
+}
+
+// Replace a node's text, or add it after a sibling, keeping the rest of the file as it is
+function spliceNode(committedContent, sourcePath, currentContent, targetPath, siblingPath) {
+    const eol = currentContent.includes('\r\n') ? '\r\n' : '\n';
+    const lines = currentContent.split(/\r?\n/);
+    const committedLines = committedContent.split(/\r?\n/);
+
+    const source = findNodeLines(committedLines, sourcePath);
+    if (!source) return null;
+
+    if (targetPath) {
+        const target = findNodeLines(lines, targetPath);
+        if (!target) return null;
+        lines.splice(target.start, target.end - target.start, ...placeNodeLines(committedLines, source, target.prefix, target.indent));
+    } else {
+        const sibling = findNodeLines(lines, siblingPath);
+        if (!sibling) return null;
+        lines.splice(sibling.end, 0, ...placeNodeLines(committedLines, source, ' '.repeat(sibling.indent), sibling.indent));
+    }
+    return lines.join(eol);
+}
+
+/**
+ * Build the extractor for a YAML integration domain
+ * @param {string} domain - Integration domain, e.g. 'template'
+ * @param {Function} listItems - (value) => [{ path, kind, uniqueId, name }], e.g. entityBlockItems
+ * @param {Object} [options]
+ * @param {boolean} [options.reloadPlatform=false] - Reload the item's platform instead of the domain
+ *   (sensor: entries belong to the integration named by their platform)
+ * @returns {Object} Extractor: { domain, idPrefix, extract, history, atCommit, restore }
+ */
+export function createIntegrationExtractor(domain, listItems, { reloadPlatform = false } = {}) {
+    const extractor = { domain, idPrefix: domain, listItems };
+
+    /**
+     * List the domain's items as they are on disk
+     * @param {string} configPath - Path to the config directory
+     * @returns {Promise<Array<Object>>} { id, domain, kind, name, file, content, mtime }
+     */
+    extractor.extract = async (configPath) => {
+        const sources = await findDomainSources(configPath, domain);
+        const files = [...new Set(sources.map(source => source.file))];
+        const items = [];
+
+        for (const file of files) {
+            const fullPath = path.join(configPath, file);
+            let content;
+            let stats;
+            try {
+                [content, stats] = await Promise.all([
+                    fsPromises.readFile(fullPath, 'utf-8'),
+                    fsPromises.stat(fullPath)
+                ]);
+            } catch (error) {
+                continue;
+            }
+
+            let data;
+            try {
+                data = loadHaYaml(content);
+            } catch (error) {
+                console.log(`[integrations] Skipping ${file}: invalid YAML`);
+                continue;
+            }
+            for (const item of itemsInFile(data, sources.filter(source => source.file === file), extractor)) {
+                items.push({
+                    id: `${domain}:${encodeURIComponent(file)}:${encodeURIComponent(item.identifier)}`,
+                    domain,
+                    kind: item.kind,
+                    name: item.name,
+                    file,
+                    content: item.content,
+                    mtime: stats.mtimeMs
+                });
+            }
+        }
+        return items;
+    };
+
+    /**
+     * Get the versions of an item, newest first
+     * Consecutive commits where the item didn't change are collapsed into the oldest one.
+     * @param {string} itemId - Item id
+     * @param {string} configPath - Path to the config directory
+     * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, content }] }
+     */
+    extractor.history = async (itemId, configPath) => {
+        const parsed = await findItemSources(extractor, itemId, configPath);
+        if (parsed.sources.length === 0) return { success: false, history: [] };
+
+        const log = await gitLog({ file: parsed.file });
+        const history = [];
+        let candidate = null;
+
+        for (const commit of log.all) {
+            let found = null;
+            try {
+                found = await findItemAtCommit(extractor, parsed, commit.hash);
+            } catch (error) {
+                // File missing or invalid at this commit
+            }
+
+            if (!found) {
+                // Item missing - the last candidate was where it was created
+                if (candidate) history.push(candidate);
+                candidate = null;
+                continue;
+            }
+
+            if (candidate && JSON.stringify(candidate.content) !== JSON.stringify(found.item.content)) {
+                history.push(candidate);
+            }
+            candidate = {
+                hash: commit.hash,
+                date: commit.date,
+                message: commit.message,
+                author: commit.author_name,
+                content: found.item.content
+            };
+        }
+        if (candidate) history.push(candidate);
+
+        return { success: history.length > 0, history };
+    };
+
+    /**
+     * Get an item's config at a commit
+     * @param {string} itemId - Item id
+     * @param {string} commitHash - Commit hash
+     * @param {string} configPath - Path to the config directory
+     * @returns {Promise<Object>} { success, content }
+     */
+    extractor.atCommit = async (itemId, commitHash, configPath) => {
+        const parsed = await findItemSources(extractor, itemId, configPath);
+        try {
+            const found = await findItemAtCommit(extractor, parsed, commitHash);
+            return { success: !!found, content: found ? found.item.content : null };
+        } catch (error) {
+            return { success: false, content: null, error: error.message };
+        }
+    };
+
+    /**
+     * Put an item back the way it was at a commit
+     * The item's text is spliced into the file so comments and other items stay as they are.
+     * An item that no longer exists is added back to the end of the list (or mapping) it was in.
+     * @param {string} itemId - Item id
+     * @param {string} commitHash - Commit to restore from
+     * @param {string} configPath - Path to the config directory
+     * @returns {Promise<Object>} { name, file, reloadDomain }
+     * @throws {Error} If the item can't be found or put back on its own
+     */
+    extractor.restore = async (itemId, commitHash, configPath) => {
+        const parsed = await findItemSources(extractor, itemId, configPath);
+        if (parsed.sources.length === 0) throw new Error(`${parsed.file} has no ${domain} configuration`);
+
+        const found = await findItemAtCommit(extractor, parsed, commitHash);
+        if (!found) throw new Error(`${parsed.identifier} not found in ${parsed.file} at ${commitHash.substring(0, 8)}`);
+        const { item: restored, content: committedContent } = found;
+        const reloadDomain = reloadPlatform && restored.kind ? restored.kind : domain;
+        const fullPath = path.join(configPath, parsed.file);
+
+        // A file holding just this item (!include_dir_list) is restored whole
+        if (restored.nodePath.length === 0) {
+            await fsPromises.writeFile(fullPath, committedContent);
+            console.log(`[integrations] Restored ${domain} '${restored.name}' in ${parsed.file} from ${commitHash.substring(0, 8)}`);
+            return { name: restored.name, file: parsed.file, reloadDomain };
+        }
+
+        const currentContent = await fsPromises.readFile(fullPath, 'utf-8');
+        const expected = loadHaYaml(currentContent);
+        const current = itemsInFile(expected, parsed.sources, extractor).find(i => i.identifier === parsed.identifier);
+
+        let targetPath = null;
+        let siblingPath = null;
+        if (current) {
+            targetPath = current.nodePath;
+            const parent = valueAt(expected, targetPath.slice(0, -1));
+            parent[targetPath[targetPath.length - 1]] = restored.content;
+        } else {
+            const parentPath = restored.nodePath.slice(0, -1);
+            const parent = valueAt(expected, parentPath);
+            const last = restored.nodePath[restored.nodePath.length - 1];
+            if (Array.isArray(parent) && typeof last === 'number' && parent.length > 0) {
+                siblingPath = [...parentPath, parent.length - 1];
+                parent.push(restored.content);
+            } else if (isPlainObject(parent) && typeof last === 'string' && Object.keys(parent).length > 0 && !(last in parent)) {
+                siblingPath = [...parentPath, Object.keys(parent).pop()];
+                parent[last] = restored.content;
+            } else {
+                throw new Error(`Can't put '${restored.name}' back on its own in ${parsed.file}; restore the whole file instead`);
+            }
+        }
+
+        // Make sure the spliced file parses to exactly the expected config
+        let updatedContent = spliceNode(committedContent, restored.nodePath, currentContent, targetPath, siblingPath);
+        let verified = false;
+        try {
+            verified = updatedContent !== null && JSON.stringify(loadHaYaml(updatedContent)) === JSON.stringify(expected);
+        } catch (error) {
+            // Spliced text doesn't parse
+        }
+        if (!verified) {
+            console.log(`[integrations] Could not restore '${restored.name}' in place, rewriting ${parsed.file}`);
+            updatedContent = dumpHaYaml(expected);
+        }
+
+        await fsPromises.writeFile(fullPath, updatedContent);
+        console.log(`[integrations] Restored ${domain} '${restored.name}' in ${parsed.file} from ${commitHash.substring(0, 8)}`);
+        return { name: restored.name, file: parsed.file, reloadDomain };
+    };
+
+    return extractor;
+}
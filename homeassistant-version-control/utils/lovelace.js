@@ -0,0 +1,335 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit, gitRaw } from './git.js';
+import { readStoreFile, writeStoreFile } from './storage.js';
+
+// ──────────────────────────────────────────────────
+// Lovelace dashboards stored in .storage/lovelace (the default dashboard)
+// and .storage/lovelace.<dashboard id>. Each is { key, data: { config: { views: [...] } } }.
+// Titles and URLs of the extra dashboards are in .storage/lovelace_dashboards.
+// Views are identified by their path, or by position ("#2") if they have none.
+// Cards are identified by their position in the view, e.g. "cards.3" or "sections.1.cards.0".
+// ──────────────────────────────────────────────────
+
+const DASHBOARDS_PATH = '.storage/lovelace_dashboards';
+const DEFAULT_DASHBOARD_TITLE = 'Overview';
+
+/**
+ * Dashboard a store file belongs to
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {Object|null} { dashboardId } (null for the default dashboard), or null if it isn't a dashboard
+ */
+export function lovelaceDashboardOf(relativePath) {
+    if (relativePath === '.storage/lovelace') return { dashboardId: null };
+    const match = /^\.storage\/lovelace\.([^/]+)$/.exec(relativePath);
+    return match ? { dashboardId: match[1] } : null;
+}
+
+function parseDashboardConfig(content) {
+    try {
+        const config = JSON.parse(content)?.data?.config;
+        return config && typeof config === 'object' ? config : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function viewsOf(config) {
+    // Strategy dashboards are generated by Home Assistant and have no views of their own
+    return config && Array.isArray(config.views) ? config.views : [];
+}
+
+function viewKeyOf(view, index) {
+    return view && view.path ? String(view.path) : `#${index}`;
+}
+
+function findView(views, viewKey) {
+    const byPosition = viewKey.startsWith('#');
+    const index = byPosition
+        ? Number(viewKey.substring(1))
+        : views.findIndex(view => view && view.path === viewKey);
+    const view = views[index];
+    // A view that has since been given a path no longer answers to its position
+    if (!view || (byPosition && view.path)) return { index: -1, view: null };
+    return { index, view };
+}
+
+/**
+ * List the top-level cards of a view, including cards inside sections
+ * @param {Object} view - Lovelace view
+ * @returns {Array<Object>} { cardPath, card }
+ */
+export function listViewCards(view) {
+    const cards = [];
+    (Array.isArray(view?.cards) ? view.cards : []).forEach((card, index) => {
+        cards.push({ cardPath: `cards.${index}`, card });
+    });
+    (Array.isArray(view?.sections) ? view.sections : []).forEach((section, sectionIndex) => {
+        (Array.isArray(section?.cards) ? section.cards : []).forEach((card, index) => {
+            cards.push({ cardPath: `sections.${sectionIndex}.cards.${index}`, card });
+        });
+    });
+    return cards;
+}
+
+function cardAt(view, cardPath) {
+    return cardPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), view) ?? null;
+}
+
+function describeCard(card) {
+    return card?.title || card?.name || card?.heading || card?.entity || card?.type || 'card';
+}
+
+/**
+ * Build a dashboard view or card id ("lovelace:<encoded store path>:<encoded view key>[/<card path>]")
+ * Same shape as automation and script ids, so validateItemId() checks the store path.
+ * @param {string} storePath - Dashboard store file
+ * @param {string} viewKey - View path, or "#<index>"
+ * @param {string} [cardPath] - Card position inside the view
+ * @returns {string}
+ */
+export function lovelaceIdFor(storePath, viewKey, cardPath = null) {
+    const id = `lovelace:${encodeURIComponent(storePath)}:${encodeURIComponent(viewKey)}`;
+    return cardPath ? `${id}/${cardPath}` : id;
+}
+
+/**
+ * Split a dashboard view or card id
+ * @param {string} lovelaceId - Id from lovelaceIdFor()
+ * @returns {Object|null} { storePath, dashboardId, viewKey, cardPath }, or null if it doesn't name a dashboard view
+ */
+export function parseLovelaceId(lovelaceId) {
+    const [kind, encodedPath, ...rest] = String(lovelaceId).split(':');
+    if (kind !== 'lovelace' || !encodedPath || rest.length !== 1) return null;
+
+    const [encodedViewKey, cardPath = null] = rest[0].split('/');
+    if (cardPath !== null && !/^(sections\.\d+\.)?cards\.\d+$/.test(cardPath)) return null;
+
+    let storePath;
+    let viewKey;
+    try {
+        storePath = decodeURIComponent(encodedPath);
+        viewKey = decodeURIComponent(encodedViewKey);
+    } catch (error) {
+        return null;
+    }
+    const dashboard = lovelaceDashboardOf(storePath);
+    if (!dashboard || !viewKey) return null;
+    return { storePath, dashboardId: dashboard.dashboardId, viewKey, cardPath };
+}
+
+// Dashboard id → { title, urlPath }
+async function readDashboardInfo(configPath) {
+    const info = new Map();
+    try {
+        const { store } = await readStoreFile(path.join(configPath, DASHBOARDS_PATH));
+        for (const item of store?.data?.items || []) {
+            if (item && item.id) info.set(item.id, { title: item.title || item.url_path || item.id, urlPath: item.url_path || null });
+        }
+    } catch (error) {
+        // No dashboards besides the default one
+    }
+    return info;
+}
+
+/**
+ * List dashboards with their views and cards
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<Object>>} { file, urlPath, title, views: [{ id, key, title, path, content, cards: [{ id, cardPath, label }] }] }
+ */
+export async function listDashboards(configPath) {
+    const info = await readDashboardInfo(configPath);
+    let files;
+    try {
+        files = await fsPromises.readdir(path.join(configPath, '.storage'));
+    } catch (error) {
+        return [];
+    }
+
+    const dashboards = [];
+    for (const name of files.sort()) {
+        const storePath = `.storage/${name}`;
+        const dashboard = lovelaceDashboardOf(storePath);
+        if (!dashboard) continue;
+
+        let config;
+        try {
+            config = parseDashboardConfig(await fsPromises.readFile(path.join(configPath, storePath), 'utf-8'));
+        } catch (error) {
+            continue;
+        }
+        if (!config) continue;
+
+        const { title, urlPath } = dashboard.dashboardId
+            ? info.get(dashboard.dashboardId) || { title: dashboard.dashboardId, urlPath: null }
+            : { title: DEFAULT_DASHBOARD_TITLE, urlPath: null };
+        dashboards.push({
+            file: storePath,
+            urlPath,
+            title,
+            views: viewsOf(config).map((view, index) => {
+                const key = viewKeyOf(view, index);
+                return {
+                    id: lovelaceIdFor(storePath, key),
+                    key,
+                    title: view.title || view.path || `View ${index + 1}`,
+                    path: view.path || null,
+                    content: view,
+                    cards: listViewCards(view).map(({ cardPath, card }) => ({
+                        id: lovelaceIdFor(storePath, key, cardPath),
+                        cardPath,
+                        label: describeCard(card)
+                    }))
+                };
+            })
+        });
+    }
+
+    // Default dashboard first
+    const isDefault = dashboard => dashboard.file === '.storage/lovelace';
+    return dashboards.sort((a, b) => (isDefault(a) ? -1 : isDefault(b) ? 1 : a.title.localeCompare(b.title)));
+}
+
+/**
+ * Get the versions of a dashboard view or card, newest first
+ * Consecutive commits where it didn't change are collapsed into the oldest one.
+ * @param {string} lovelaceId - View or card id
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, content }] }
+ */
+export async function getLovelaceHistory(lovelaceId) {
+    const parsed = parseLovelaceId(lovelaceId);
+    if (!parsed) return { success: false, history: [], error: 'Not a dashboard view or card id' };
+
+    const log = await gitLog({ file: parsed.storePath });
+    const history = [];
+    let candidate = null;
+
+    for (const commit of log.all) {
+        let content = null;
+        try {
+            const config = parseDashboardConfig(await gitShowFileAtCommit(commit.hash, parsed.storePath));
+            const { view } = findView(viewsOf(config), parsed.viewKey);
+            content = view && parsed.cardPath ? cardAt(view, parsed.cardPath) : view;
+        } catch (error) {
+            // Dashboard didn't exist at this commit
+        }
+
+        if (!content) {
+            // View or card missing - the last candidate was where it appeared
+            if (candidate) history.push(candidate);
+            candidate = null;
+            continue;
+        }
+
+        if (candidate && JSON.stringify(candidate.content) !== JSON.stringify(content)) {
+            history.push(candidate);
+        }
+        candidate = {
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            content
+        };
+    }
+    if (candidate) history.push(candidate);
+
+    return { success: history.length > 0, history };
+}
+
+/**
+ * Put one view of a dashboard back the way it was at a commit
+ * The other views are left as they are on disk. A view that no longer exists is appended.
+ * @param {string} lovelaceId - View id
+ * @param {string} commitHash - Commit to restore from
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { urlPath, title } - urlPath is null for the default dashboard
+ * @throws {Error} If the view isn't in that commit or the dashboard on disk can't be parsed
+ */
+export async function restoreLovelaceView(lovelaceId, commitHash, configPath) {
+    const parsed = parseLovelaceId(lovelaceId);
+    if (!parsed || parsed.cardPath) throw new Error('Not a dashboard view id');
+
+    const committedConfig = parseDashboardConfig(await gitShowFileAtCommit(commitHash, parsed.storePath));
+    const { view: restored } = findView(viewsOf(committedConfig), parsed.viewKey);
+    if (!restored) {
+        throw new Error(`View ${parsed.viewKey} not found in ${parsed.storePath} at ${commitHash.substring(0, 8)}`);
+    }
+
+    const fullPath = path.join(configPath, parsed.storePath);
+    let store;
+    let format;
+    try {
+        ({ store, format } = await readStoreFile(fullPath));
+    } catch (error) {
+        throw new Error(`Could not read ${parsed.storePath}: ${error.message}`);
+    }
+
+    const config = store?.data?.config;
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${parsed.storePath} is not a valid dashboard file`);
+    }
+    if (!Array.isArray(config.views)) {
+        throw new Error(`${parsed.storePath} is generated by Home Assistant (strategy dashboard) and has no views to restore into`);
+    }
+
+    const { index } = findView(config.views, parsed.viewKey);
+    if (index === -1) {
+        config.views.push(restored);
+    } else {
+        config.views[index] = restored;
+    }
+
+    await writeStoreFile(fullPath, store, format);
+    const title = restored.title || restored.path || parsed.viewKey;
+    console.log(`[lovelace] Restored view '${title}' in ${parsed.storePath} from ${commitHash.substring(0, 8)}`);
+    const urlPath = parsed.dashboardId ? (await readDashboardInfo(configPath)).get(parsed.dashboardId)?.urlPath || null : null;
+    return { urlPath, title };
+}
+
+/**
+ * Compare staged dashboards against HEAD
+ * @param {Array} stagedFiles - Staged entries from gitStatus() ({ path, oldPath, index })
+ * @returns {Promise<Array>} List of changes: { type: 'view', action, id, name, file }
+ */
+export async function getStagedLovelaceChanges(stagedFiles) {
+    const changes = [];
+    const readViews = async (revision, filePath) => {
+        try {
+            return viewsOf(parseDashboardConfig(await gitRaw(['show', `${revision}:${filePath}`])));
+        } catch (error) {
+            return []; // File doesn't exist at this revision
+        }
+    };
+
+    for (const stagedFile of stagedFiles) {
+        if (!lovelaceDashboardOf(stagedFile.path)) continue;
+
+        const before = await readViews('HEAD', stagedFile.path);
+        const after = stagedFile.index === 'D' ? [] : await readViews('', stagedFile.path);
+        const byKey = views => new Map(views.map((view, index) => [viewKeyOf(view, index), view]));
+        const beforeByKey = byKey(before);
+        const afterByKey = byKey(after);
+        const change = (action, key, view) => ({
+            type: 'view',
+            action,
+            id: lovelaceIdFor(stagedFile.path, key),
+            name: view.title || view.path || key,
+            file: stagedFile.path
+        });
+
+        for (const [key, view] of afterByKey) {
+            const previous = beforeByKey.get(key);
+            if (!previous) {
+                changes.push(change('added', key, view));
+            } else if (JSON.stringify(previous) !== JSON.stringify(view)) {
+                changes.push(change('modified', key, view));
+            }
+        }
+        for (const [key, view] of beforeByKey) {
+            if (!afterByKey.has(key)) changes.push(change('removed', key, view));
+        }
+    }
+
+    return changes;
+}
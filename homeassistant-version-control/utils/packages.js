@@ -0,0 +1,308 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit } from './git.js';
+import { HaTag, loadHaYaml, dumpHaYaml, resolveIncludeGraph } from './includes.js';
+
+// ──────────────────────────────────────────────────
+// Packages (homeassistant: packages:) and their top-level domain blocks
+// A package is a whole file (!include_dir_named) or one entry of a package map, so it's
+// addressed by its file and the keys leading to it.
+// ──────────────────────────────────────────────────
+
+/**
+ * Build a package id ("packages:<encoded file>:<encoded key path>")
+ * @param {string} file - File relative to CONFIG_PATH
+ * @param {Array<string>} keyPath - Keys from the file's root to the package ([] for a whole file)
+ * @returns {string}
+ */
+export function packageIdFor(file, keyPath) {
+    return `packages:${encodeURIComponent(file)}:${encodeURIComponent(keyPath.join('/'))}`;
+}
+
+/**
+ * Split a package id into its file and key path
+ * @param {string} packageId - Package id from packageIdFor()
+ * @returns {Object|null} { file, keyPath }, or null if it isn't a package id
+ */
+export function parsePackageId(packageId) {
+    const [kind, encodedFile, encodedKeyPath, ...rest] = String(packageId).split(':');
+    if (kind !== 'packages' || !encodedFile || encodedKeyPath === undefined || rest.length > 0) return null;
+    try {
+        const keyPath = decodeURIComponent(encodedKeyPath);
+        return { file: decodeURIComponent(encodedFile), keyPath: keyPath ? keyPath.split('/') : [] };
+    } catch (error) {
+        return null;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof HaTag);
+}
+
+function packageAt(data, keyPath) {
+    let value = data;
+    for (const key of keyPath) {
+        if (!isPlainObject(value)) return null;
+        value = value[key];
+    }
+    return isPlainObject(value) ? value : null;
+}
+
+function parsePackage(content, keyPath) {
+    try {
+        return packageAt(loadHaYaml(content), keyPath);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Each top-level domain block as YAML text, so tags like !include show as written
+function packageBlocks(pkg) {
+    return Object.fromEntries(Object.entries(pkg).map(([key, value]) => [key, dumpHaYaml(value)]));
+}
+
+/**
+ * List the packages configuration.yaml loads, with the domains each one configures
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<Object>>} { id, name, file, domains, blocks, mtime }
+ */
+export async function listPackages(configPath) {
+    const graph = await resolveIncludeGraph(configPath);
+    if (!graph) return [];
+
+    const packages = [];
+    for (const { name, file, keyPath } of graph.packages) {
+        const relativePath = path.relative(configPath, file);
+        let content;
+        let stats;
+        try {
+            [content, stats] = await Promise.all([
+                fsPromises.readFile(file, 'utf-8'),
+                fsPromises.stat(file)
+            ]);
+        } catch (error) {
+            continue;
+        }
+
+        const pkg = parsePackage(content, keyPath);
+        if (!pkg) continue;
+        packages.push({
+            id: packageIdFor(relativePath, keyPath),
+            name,
+            file: relativePath,
+            domains: Object.keys(pkg),
+            blocks: packageBlocks(pkg),
+            mtime: stats.mtimeMs
+        });
+    }
+
+    return packages;
+}
+
+/**
+ * Get the versions of a package, newest first, with the domains each version changed
+ * Consecutive commits where the package didn't change are collapsed into the oldest one.
+ * @param {string} packageId - Package id
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, author, blocks, changes: [{ domain, action }] }] }
+ */
+export async function getPackageHistory(packageId) {
+    const parsed = parsePackageId(packageId);
+    if (!parsed) return { success: false, history: [], error: 'Not a package id' };
+
+    const log = await gitLog({ file: parsed.file });
+    const history = [];
+    let candidate = null;
+
+    for (const commit of log.all) {
+        let pkg = null;
+        try {
+            pkg = parsePackage(await gitShowFileAtCommit(commit.hash, parsed.file), parsed.keyPath);
+        } catch (error) {
+            // File didn't exist at this commit
+        }
+
+        if (!pkg) {
+            // Package missing - the last candidate was where it was created
+            if (candidate) history.push(candidate);
+            candidate = null;
+            continue;
+        }
+
+        const blocks = packageBlocks(pkg);
+        if (candidate && JSON.stringify(candidate.blocks) !== JSON.stringify(blocks)) {
+            history.push(candidate);
+        }
+        candidate = {
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            blocks
+        };
+    }
+    if (candidate) history.push(candidate);
+
+    // What each version changed compared to the one before it
+    history.forEach((version, index) => {
+        const previous = history[index + 1] ? history[index + 1].blocks : {};
+        const domains = [...new Set([...Object.keys(version.blocks), ...Object.keys(previous)])];
+        version.changes = domains.flatMap(domain => {
+            if (!(domain in previous)) return [{ domain, action: 'added' }];
+            if (!(domain in version.blocks)) return [{ domain, action: 'removed' }];
+            return previous[domain] !== version.blocks[domain] ? [{ domain, action: 'modified' }] : [];
+        });
+    });
+
+    return { success: history.length > 0, history };
+}
+
+const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && line.trim() !== '---';
+const indentOf = line => line.length - line.trimStart().length;
+const isSequenceItem = line => /^-(\s|$)/.test(line.trimStart());
+
+function keyLinePattern(key) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^(["']?)${escaped}\\1\\s*:(\\s|$)`);
+}
+
+/**
+ * Find the lines of a block-style mapping entry
+ * @param {Array<string>} lines - File lines
+ * @param {Array<string>} keyPath - Keys leading to the entry ([] for the whole document)
+ * @returns {Object|null} { start, end, indent } - start is the key line (0 for the document),
+ *   end excludes trailing blank lines and comments, indent is the key's indentation
+ */
+function findKeyBlock(lines, keyPath) {
+    let start = 0;
+    let end = lines.length;
+    let block = { start: 0, end: lines.length, indent: -1 };
+
+    for (const key of keyPath) {
+        // The first line of the parent's value sets the indentation of its keys
+        let childIndent = null;
+        let keyLine = -1;
+        for (let i = block.indent === -1 ? start : start + 1; i < end; i++) {
+            if (!isContent(lines[i])) continue;
+            if (childIndent === null) childIndent = indentOf(lines[i]);
+            if (indentOf(lines[i]) === childIndent && keyLinePattern(key).test(lines[i].trimStart())) {
+                keyLine = i;
+                break;
+            }
+        }
+        if (keyLine === -1 || childIndent <= block.indent) return null;
+
+        // The value runs until the next line at the key's level (a "- item" there still belongs to it)
+        let valueEnd = end;
+        for (let i = keyLine + 1; i < end; i++) {
+            if (!isContent(lines[i])) continue;
+            const lineIndent = indentOf(lines[i]);
+            if (lineIndent < childIndent || (lineIndent === childIndent && !isSequenceItem(lines[i]))) {
+                valueEnd = i;
+                break;
+            }
+        }
+        while (valueEnd > keyLine + 1 && !isContent(lines[valueEnd - 1])) valueEnd--;
+
+        block = { start: keyLine, end: valueEnd, indent: childIndent };
+        start = keyLine;
+        end = valueEnd;
+    }
+
+    if (keyPath.length === 0) {
+        while (end > 0 && !isContent(lines[end - 1])) end--;
+        block = { start: 0, end, indent: -1 };
+    }
+    return block;
+}
+
+function reindent(lines, delta) {
+    if (delta === 0) return lines;
+    return lines.map(line => {
+        if (!line.trim()) return line;
+        if (delta > 0) return ' '.repeat(delta) + line;
+        return line.substring(Math.min(-delta, indentOf(line)));
+    });
+}
+
+// Replace, add or remove one domain block in the text of a file, keeping everything else as it is
+function spliceDomainBlock(committedContent, currentContent, keyPath, domain) {
+    const eol = currentContent.includes('\r\n') ? '\r\n' : '\n';
+    const lines = currentContent.split(/\r?\n/);
+    const committedLines = committedContent.split(/\r?\n/);
+
+    const source = findKeyBlock(committedLines, [...keyPath, domain]);
+    const target = findKeyBlock(lines, [...keyPath, domain]);
+
+    if (source && target) {
+        const blockLines = reindent(committedLines.slice(source.start, source.end), target.indent - source.indent);
+        lines.splice(target.start, target.end - target.start, ...blockLines);
+    } else if (source) {
+        // Add it at the end of the package, at the indentation of its other keys
+        const pkg = findKeyBlock(lines, keyPath);
+        if (!pkg) return null;
+        const firstKey = lines.slice(keyPath.length ? pkg.start + 1 : 0, pkg.end).find(isContent);
+        const indent = firstKey !== undefined ? indentOf(firstKey) : pkg.indent + 2;
+        lines.splice(pkg.end, 0, ...reindent(committedLines.slice(source.start, source.end), indent - source.indent));
+    } else if (target) {
+        lines.splice(target.start, target.end - target.start);
+    } else {
+        return null;
+    }
+
+    return lines.join(eol);
+}
+
+/**
+ * Put one domain block of a package (e.g. its template: section) back the way it was at a commit
+ * The block's text is spliced into the file so comments and the other blocks stay as they are.
+ * A block that didn't exist at that commit is removed.
+ * @param {string} packageId - Package id
+ * @param {string} domain - Top-level key of the block, e.g. 'template' or 'automation manual'
+ * @param {string} commitHash - Commit to restore from
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Object>} { file, domain, removed }
+ * @throws {Error} If the package or block can't be found
+ */
+export async function restorePackageDomain(packageId, domain, commitHash, configPath) {
+    const parsed = parsePackageId(packageId);
+    if (!parsed) throw new Error('Not a package id');
+
+    const committedContent = await gitShowFileAtCommit(commitHash, parsed.file);
+    const committedPkg = parsePackage(committedContent, parsed.keyPath);
+    if (!committedPkg) {
+        throw new Error(`Package not found in ${parsed.file} at ${commitHash.substring(0, 8)}`);
+    }
+
+    const fullPath = path.join(configPath, parsed.file);
+    const currentContent = await fsPromises.readFile(fullPath, 'utf-8');
+    const expected = loadHaYaml(currentContent);
+    const currentPkg = packageAt(expected, parsed.keyPath);
+    if (!currentPkg) throw new Error(`Package not found in ${parsed.file}`);
+    if (!(domain in committedPkg) && !(domain in currentPkg)) {
+        throw new Error(`${domain} is not part of this package`);
+    }
+
+    const removed = !(domain in committedPkg);
+    if (removed) {
+        delete currentPkg[domain];
+    } else {
+        currentPkg[domain] = committedPkg[domain];
+    }
+
+    // Make sure the spliced file parses to exactly the expected config
+    let updatedContent = spliceDomainBlock(committedContent, currentContent, parsed.keyPath, domain);
+    let verified = false;
+    try {
+        verified = updatedContent !== null && JSON.stringify(loadHaYaml(updatedContent)) === JSON.stringify(expected);
+    } catch (error) {
+        // Spliced text doesn't parse
+    }
+    if (!verified) {
+        console.log(`[packages] Could not restore ${domain} in place, rewriting ${parsed.file}`);
+        updatedContent = dumpHaYaml(expected);
+    }
+
+    await fsPromises.writeFile(fullPath, updatedContent);
+    console.log(`[packages] ${removed ? 'Removed' : 'Restored'} ${domain} in ${parsed.file} from ${commitHash.substring(0, 8)}`);
+    return { file: parsed.file, domain, removed };
+}
@@ -0,0 +1,140 @@
+import { gitExec } from './git.js';
+
+// ──────────────────────────────────────────────────
+// Pinned versions
+// Stored as annotated tags under refs/tags/pin/ - the tag message holds
+// the label (first line) and an optional note (the rest).
+// ──────────────────────────────────────────────────
+
+const PIN_REF_PREFIX = 'refs/tags/pin/';
+const PIN_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+function slugify(label) {
+    return label
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/\.{2,}/g, '.')
+        .replace(/^[-._]+|[-._]+$/g, '')
+        .replace(/\.lock$/, '')
+        .substring(0, 60);
+}
+
+/**
+ * Check that a pin id is safe to use in a tag name
+ * @param {string} id - Pin id (the part after "pin/")
+ * @returns {boolean}
+ */
+export function isValidPinId(id) {
+    return typeof id === 'string' && PIN_ID_PATTERN.test(id) && !id.endsWith('.lock');
+}
+
+/**
+ * List all pinned versions, newest commit first
+ * @returns {Promise<Array<Object>>} { id, label, note, commitHash, pinnedAt, commitDate, commitMessage }
+ */
+export async function listPins() {
+    const FIELD = '§§§§';
+    const RECORD = '±±±±';
+    const format = [
+        '%(refname)',
+        '%(*objectname)',
+        '%(taggerdate:iso-strict)',
+        '%(*authordate:iso-strict)',
+        '%(*subject)',
+        '%(contents)'
+    ].join(FIELD) + RECORD;
+
+    const { stdout } = await gitExec(['for-each-ref', `--format=${format}`, PIN_REF_PREFIX]);
+
+    return stdout
+        .split(RECORD)
+        .map(record => record.replace(/^\n/, ''))
+        .filter(record => record.trim())
+        .map(record => {
+            const [refname, commitHash, pinnedAt, commitDate, commitMessage, contents = ''] = record.split(FIELD);
+            const [label, ...noteLines] = contents.trim().split('\n');
+            return {
+                id: refname.substring(PIN_REF_PREFIX.length),
+                label: label || '',
+                note: noteLines.join('\n').trim(),
+                commitHash,
+                pinnedAt,
+                commitDate,
+                commitMessage
+            };
+        })
+        .filter(pin => pin.commitHash)
+        .sort((a, b) => new Date(b.commitDate) - new Date(a.commitDate));
+}
+
+async function writePinTag(id, commitHash, label, note, pinnedAt = null) {
+    const message = note ? `${label}\n\n${note}` : label;
+    // Keep the original pin time when a pin is moved to a rewritten commit
+    const env = pinnedAt ? { GIT_COMMITTER_DATE: pinnedAt } : undefined;
+    await gitExec(['tag', '-f', '-a', `pin/${id}`, '-m', message, commitHash], { env });
+}
+
+/**
+ * Pin a commit with a label and optional note
+ * A commit has at most one pin; pinning it again replaces the label and note.
+ * @param {string} commitHash - Full commit hash
+ * @param {string} label - Short label, e.g. "Before upgrade to 2026.11"
+ * @param {string} [note] - Longer description
+ * @returns {Promise<Object>} The pin, as returned by listPins()
+ */
+export async function createPin(commitHash, label, note = '') {
+    const pins = await listPins();
+    const existing = pins.find(pin => pin.commitHash === commitHash);
+    if (existing) {
+        await deletePin(existing.id);
+    }
+
+    const base = slugify(label) || commitHash.substring(0, 8);
+    const taken = new Set(pins.filter(pin => pin !== existing).map(pin => pin.id));
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+
+    await writePinTag(id, commitHash, label, note);
+    console.log(`[pins] Pinned ${commitHash.substring(0, 8)} as "${label}" (pin/${id})`);
+
+    const created = (await listPins()).find(pin => pin.id === id);
+    return created;
+}
+
+/**
+ * Remove a pin (the commit itself is untouched)
+ * @param {string} id - Pin id
+ * @returns {Promise<boolean>} false if there is no such pin
+ */
+export async function deletePin(id) {
+    if (!isValidPinId(id)) return false;
+    try {
+        await gitExec(['tag', '-d', `pin/${id}`]);
+        console.log(`[pins] Removed pin/${id}`);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Move pins to rewritten commits after history has been rewritten (retention cleanup)
+ * @param {Map<string, string>} rewritten - Old commit hash → new commit hash
+ * @returns {Promise<number>} Number of pins moved
+ */
+export async function remapPins(rewritten) {
+    let moved = 0;
+    for (const pin of await listPins()) {
+        const newHash = rewritten.get(pin.commitHash);
+        if (!newHash || newHash === pin.commitHash) continue;
+        await writePinTag(pin.id, newHash, pin.label, pin.note, pin.pinnedAt);
+        moved++;
+    }
+    if (moved > 0) {
+        console.log(`[pins] Moved ${moved} pin(s) to rewritten commits`);
+    }
+    return moved;
+}
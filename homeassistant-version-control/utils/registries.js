@@ -0,0 +1,336 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitLog, gitShowFileAtCommit, gitRaw } from './git.js';
+
+// ──────────────────────────────────────────────────
+// Entity, device and area registry snapshots
+// Home Assistant rewrites .storage/core.*_registry constantly (timestamps, capabilities),
+// so instead of tracking those files we keep a copy without the high-churn fields.
+// ──────────────────────────────────────────────────
+
+export const REGISTRY_SNAPSHOT_DIR = '.version_control/registries';
+
+const REGISTRIES = {
+    entity: { source: '.storage/core.entity_registry', lists: ['entities', 'deleted_entities'] },
+    device: { source: '.storage/core.device_registry', lists: ['devices', 'deleted_devices'] },
+    area: { source: '.storage/core.area_registry', lists: ['areas'] }
+};
+
+export const REGISTRY_KINDS = Object.keys(REGISTRIES);
+
+// Fields Home Assistant updates without the user changing anything
+const CHURN_FIELDS = [
+    'created_at',
+    'modified_at',
+    'orphaned_timestamp',
+    'capabilities',
+    'sw_version',
+    'hw_version'
+];
+
+/**
+ * Snapshot file of a registry, relative to CONFIG_PATH
+ * @param {string} kind - 'entity', 'device' or 'area'
+ * @returns {string} e.g. '.version_control/registries/entity_registry.json'
+ */
+export function registrySnapshotPath(kind) {
+    return `${REGISTRY_SNAPSHOT_DIR}/${kind}_registry.json`;
+}
+
+/**
+ * Home Assistant store file of a registry, relative to CONFIG_PATH
+ * @param {string} kind - 'entity', 'device' or 'area'
+ * @returns {string} e.g. '.storage/core.entity_registry'
+ */
+export function registrySourcePath(kind) {
+    return REGISTRIES[kind].source;
+}
+
+/**
+ * Registry a Home Assistant store file belongs to
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @returns {string|null} 'entity', 'device' or 'area', or null if it isn't a registry
+ */
+export function registryKindOfSource(relativePath) {
+    return REGISTRY_KINDS.find(kind => REGISTRIES[kind].source === relativePath) || null;
+}
+
+function registryKindOfSnapshot(relativePath) {
+    return REGISTRY_KINDS.find(kind => registrySnapshotPath(kind) === relativePath) || null;
+}
+
+/**
+ * Strip a registry store down to what's worth keeping history of
+ * @param {string} kind - 'entity', 'device' or 'area'
+ * @param {string} content - Store file content
+ * @returns {Object|null} { entities, deleted_entities } etc., or null if the content isn't a valid store
+ */
+export function sanitizeRegistry(kind, content) {
+    let store;
+    try {
+        store = JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+    if (!store || typeof store.data !== 'object' || store.data === null) return null;
+
+    const snapshot = {};
+    for (const list of REGISTRIES[kind].lists) {
+        snapshot[list] = (Array.isArray(store.data[list]) ? store.data[list] : []).map(item => {
+            const clean = { ...item };
+            for (const field of CHURN_FIELDS) delete clean[field];
+            return clean;
+        });
+    }
+    return snapshot;
+}
+
+function parseSnapshot(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Refresh the snapshot of one registry from its store file
+ * The snapshot is only rewritten when its content changes, so the watcher doesn't commit noise.
+ * @param {string} configPath - Path to the config directory
+ * @param {string} kind - 'entity', 'device' or 'area'
+ * @returns {Promise<boolean>} Whether the snapshot was written
+ */
+export async function writeRegistrySnapshot(configPath, kind) {
+    let content;
+    try {
+        content = await fsPromises.readFile(path.join(configPath, REGISTRIES[kind].source), 'utf-8');
+    } catch (error) {
+        return false; // Registry doesn't exist (yet)
+    }
+
+    const snapshot = sanitizeRegistry(kind, content);
+    if (!snapshot) {
+        console.log(`[registries] Skipping ${REGISTRIES[kind].source}: not a valid store file`);
+        return false;
+    }
+
+    const snapshotPath = path.join(configPath, registrySnapshotPath(kind));
+    const newContent = JSON.stringify(snapshot, null, 2) + '\n';
+    try {
+        if (await fsPromises.readFile(snapshotPath, 'utf-8') === newContent) return false;
+    } catch (error) {
+        // No snapshot yet
+    }
+
+    await fsPromises.mkdir(path.dirname(snapshotPath), { recursive: true });
+    await fsPromises.writeFile(snapshotPath, newContent);
+    console.log(`[registries] Updated ${registrySnapshotPath(kind)}`);
+    return true;
+}
+
+/**
+ * Refresh the snapshots of all registries
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<string>>} Snapshot paths that were written
+ */
+export async function writeRegistrySnapshots(configPath) {
+    const written = [];
+    for (const kind of REGISTRY_KINDS) {
+        if (await writeRegistrySnapshot(configPath, kind)) {
+            written.push(registrySnapshotPath(kind));
+        }
+    }
+    return written;
+}
+
+function deviceName(device) {
+    return device.name_by_user || device.name || device.id;
+}
+
+/**
+ * Compare staged registry snapshots against HEAD
+ * Entities are matched by their registry id, so a changed entity_id shows up as a rename.
+ * @param {Array} stagedFiles - Staged entries from gitStatus() ({ path, oldPath, index })
+ * @returns {Promise<Array>} List of changes: { type, action, id, name, file, from? }
+ */
+export async function getStagedRegistryChanges(stagedFiles) {
+    const changes = [];
+    const readRevision = async (revision, filePath) => {
+        try {
+            return parseSnapshot(await gitRaw(['show', `${revision}:${filePath}`]));
+        } catch (error) {
+            return null; // File doesn't exist at this revision
+        }
+    };
+
+    for (const stagedFile of stagedFiles) {
+        const kind = registryKindOfSnapshot(stagedFile.path);
+        if (!kind) continue;
+
+        // The first snapshot records what's there, it doesn't add every entity
+        const before = await readRevision('HEAD', stagedFile.path);
+        if (!before || stagedFile.index === 'D') continue;
+        const after = await readRevision('', stagedFile.path);
+        if (!after) continue;
+
+        const list = REGISTRIES[kind].lists[0];
+        const keyOf = item => item.id || item.entity_id;
+        const nameOf = kind === 'entity' ? item => item.entity_id : (kind === 'device' ? deviceName : item => item.name || item.id);
+        const beforeById = new Map((before[list] || []).map(item => [keyOf(item), item]));
+        const afterById = new Map((after[list] || []).map(item => [keyOf(item), item]));
+        const change = (action, item, from) => ({
+            type: kind,
+            action,
+            id: keyOf(item),
+            name: nameOf(item),
+            file: stagedFile.path,
+            ...(from !== undefined ? { from } : {})
+        });
+
+        for (const [id, item] of afterById) {
+            const previous = beforeById.get(id);
+            if (!previous) {
+                changes.push(change('added', item));
+            } else if (nameOf(previous) !== nameOf(item)) {
+                changes.push(change('renamed', item, nameOf(previous)));
+            } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+                changes.push(change('modified', item));
+            }
+        }
+        for (const [id, item] of beforeById) {
+            if (!afterById.has(id)) changes.push(change('removed', item));
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * List the entities in the current snapshot, including deleted ones Home Assistant still remembers
+ * @param {string} configPath - Path to the config directory
+ * @returns {Promise<Array<Object>>} { entity_id, name, platform, deleted }
+ */
+export async function listRegistryEntities(configPath) {
+    let snapshot;
+    try {
+        snapshot = parseSnapshot(await fsPromises.readFile(path.join(configPath, registrySnapshotPath('entity')), 'utf-8'));
+    } catch (error) {
+        return [];
+    }
+    if (!snapshot) return [];
+
+    return [
+        ...(snapshot.entities || []).map(entity => ({
+            entity_id: entity.entity_id,
+            name: entity.name || entity.original_name || null,
+            platform: entity.platform,
+            deleted: false
+        })),
+        ...(snapshot.deleted_entities || []).map(entity => ({
+            entity_id: entity.entity_id,
+            name: null,
+            platform: entity.platform,
+            deleted: true
+        }))
+    ];
+}
+
+async function readSnapshotAtCommit(hash, kind) {
+    try {
+        return parseSnapshot(await gitShowFileAtCommit(hash, registrySnapshotPath(kind)));
+    } catch (error) {
+        return null;
+    }
+}
+
+// What an entity looked like at one commit, with its device and area resolved by name
+async function describeEntityAtCommit(hash, snapshot, registryId, entityId) {
+    const matches = item => (registryId ? item.id === registryId : item.entity_id === entityId);
+    const entity = (snapshot.entities || []).find(matches);
+    if (!entity) {
+        const deleted = (snapshot.deleted_entities || []).find(matches);
+        return deleted ? { entity_id: deleted.entity_id, deleted: true } : null;
+    }
+
+    const [devices, areas] = await Promise.all([
+        entity.device_id ? readSnapshotAtCommit(hash, 'device') : null,
+        readSnapshotAtCommit(hash, 'area')
+    ]);
+    const device = devices ? (devices.devices || []).find(item => item.id === entity.device_id) : null;
+    // Entities without their own area use their device's area
+    const areaId = entity.area_id || (device ? device.area_id : null) || null;
+    const area = areaId && areas ? (areas.areas || []).find(item => item.id === areaId) : null;
+
+    return {
+        entity_id: entity.entity_id,
+        name: entity.name || entity.original_name || null,
+        platform: entity.platform,
+        area_id: areaId,
+        area_name: area ? area.name : null,
+        area_from_device: !entity.area_id && !!areaId,
+        device_id: entity.device_id || null,
+        device_name: device ? deviceName(device) : null,
+        disabled_by: entity.disabled_by || null,
+        deleted: false
+    };
+}
+
+/**
+ * Get the history of an entity, following it through entity_id renames
+ * Accepts the current entity_id or any earlier one.
+ * Consecutive commits where nothing about the entity changed are collapsed into the oldest one.
+ * @param {string} entityId - Entity id, e.g. 'sensor.kitchen_temperature'
+ * @returns {Promise<Object>} { success, history: [{ hash, date, message, entity_id, name, area_name, ... }] }
+ */
+export async function getEntityHistory(entityId) {
+    const log = await gitLog({ file: registrySnapshotPath('entity') });
+
+    // Load every snapshot once; the registry id is found in the newest one that knows the entity_id
+    const snapshots = [];
+    let registryId = null;
+    let found = false;
+    for (const commit of log.all) {
+        const snapshot = await readSnapshotAtCommit(commit.hash, 'entity');
+        if (!snapshot) continue;
+        snapshots.push({ commit, snapshot });
+
+        if (!found) {
+            const match = [...(snapshot.entities || []), ...(snapshot.deleted_entities || [])]
+                .find(item => item.entity_id === entityId);
+            if (match) {
+                found = true;
+                registryId = match.id || null;
+            }
+        }
+    }
+    if (!found) return { success: false, history: [] };
+
+    const history = [];
+    let candidate = null;
+    for (const { commit, snapshot } of snapshots) {
+        const state = await describeEntityAtCommit(commit.hash, snapshot, registryId, entityId);
+        if (!state) {
+            // Entity not in the registry yet - the last candidate was where it appeared
+            if (candidate) history.push(candidate);
+            candidate = null;
+            continue;
+        }
+
+        if (candidate && JSON.stringify(candidate.state) !== JSON.stringify(state)) {
+            history.push(candidate);
+        }
+        candidate = {
+            hash: commit.hash,
+            date: commit.date,
+            message: commit.message,
+            author: commit.author_name,
+            state
+        };
+    }
+    if (candidate) history.push(candidate);
+
+    return {
+        success: true,
+        history: history.map(({ state, ...commit }) => ({ ...commit, ...state }))
+    };
+}
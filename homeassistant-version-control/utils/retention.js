@@ -0,0 +1,160 @@
+// ──────────────────────────────────────────────────
+// Retention periods and tiered (grandfather-father-son) thinning
+// ──────────────────────────────────────────────────
+
+const UNIT_MS = {
+    months: 30 * 24 * 60 * 60 * 1000, // Approx 30 days
+    weeks: 7 * 24 * 60 * 60 * 1000,
+    days: 24 * 60 * 60 * 1000,
+    hours: 60 * 60 * 1000,
+    minutes: 60 * 1000,
+    seconds: 1000
+};
+
+const UNIT_NAMES = {
+    months: 'month',
+    weeks: 'week',
+    days: 'day',
+    hours: 'hour',
+    minutes: 'minute',
+    seconds: 'second'
+};
+
+// Within a tier, the newest version in each period is kept
+const KEEP_MODES = ['all', 'hourly', 'daily', 'weekly', 'monthly'];
+
+/**
+ * Default tiers: everything for 48 hours, then hourly for a week,
+ * daily for a month and weekly for a year. Anything older is merged.
+ */
+export const DEFAULT_RETENTION_TIERS = [
+    { hours: 48, keep: 'all' },
+    { days: 7, keep: 'hourly' },
+    { days: 30, keep: 'daily' },
+    { days: 365, keep: 'weekly' }
+];
+
+/**
+ * Add up a retention period given in time units
+ * @param {Object} options - Any of months, weeks, days, hours, minutes, seconds
+ * @returns {Object} { totalMs, description } e.g. { totalMs: 172800000, description: '2 days' }
+ */
+export function retentionPeriod(options) {
+    let totalMs = 0;
+    const description = [];
+
+    for (const [unit, ms] of Object.entries(UNIT_MS)) {
+        const value = options[unit];
+        if (!value) continue;
+        totalMs += value * ms;
+        description.push(`${value} ${UNIT_NAMES[unit]}${value !== 1 ? 's' : ''}`);
+    }
+
+    return { totalMs, description: description.join(', ') };
+}
+
+/**
+ * Work out the tiers to thin history with, if any
+ * @param {Object} options - Cleanup options: { tiered: true } for the default tiers, or
+ *   { tiers: [{ days: 7, keep: 'hourly' }, ...] } with tiers ordered from newest to oldest
+ * @returns {Array<Object>|null} Tiers as { maxAgeMs, keep, description }, or null if not tiered
+ * @throws {Error} If the tiers are invalid
+ */
+export function resolveRetentionTiers(options) {
+    if (!options.tiers && !options.tiered) return null;
+
+    const tiers = options.tiers || DEFAULT_RETENTION_TIERS;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('tiers must be a non-empty array');
+    }
+
+    let previousMs = 0;
+    return tiers.map((tier, index) => {
+        if (!tier || typeof tier !== 'object') {
+            throw new Error(`Tier ${index + 1} must be an object`);
+        }
+        if (!KEEP_MODES.includes(tier.keep)) {
+            throw new Error(`Tier ${index + 1}: keep must be one of ${KEEP_MODES.join(', ')}`);
+        }
+        if (Object.keys(UNIT_MS).some(unit => tier[unit] !== undefined && !(tier[unit] > 0))) {
+            throw new Error(`Tier ${index + 1}: time values must be positive numbers`);
+        }
+
+        const { totalMs, description } = retentionPeriod(tier);
+        if (totalMs <= previousMs) {
+            throw new Error(`Tier ${index + 1} must reach further back than the tier before it`);
+        }
+        previousMs = totalMs;
+        return { maxAgeMs: totalMs, keep: tier.keep, description };
+    });
+}
+
+/**
+ * Describe tiers for logs, e.g. "all for 48 hours, hourly for 7 days"
+ * @param {Array<Object>} tiers - Tiers from resolveRetentionTiers()
+ * @returns {string}
+ */
+export function describeRetentionTiers(tiers) {
+    return tiers.map(tier => `${tier.keep} for ${tier.description}`).join(', ');
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Periods use local time so "daily" means calendar days where the user lives
+function periodKey(date, keep) {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    switch (keep) {
+        case 'hourly':
+            return `${day}T${pad(date.getHours())}`;
+        case 'daily':
+            return day;
+        case 'weekly': {
+            // Weeks start on Monday
+            const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+            return `W${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+        }
+        case 'monthly':
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Pick the commits that tiered retention keeps as their own versions
+ * Each commit falls in the first tier its age fits in. 'all' tiers keep every commit;
+ * the others keep the newest commit of each hour/day/week/month. Commits older than
+ * the last tier aren't kept.
+ * @param {Array<Object>} commits - Commits ({ hash, date }), newest first
+ * @param {Array<Object>} tiers - Tiers from resolveRetentionTiers()
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {Object} { keep: Set of hashes, stats: [{ keep, description, commits, kept }] }
+ */
+export function selectTieredCommits(commits, tiers, now = Date.now()) {
+    const keep = new Set();
+    const seenPeriods = new Set();
+    const stats = tiers.map(tier => ({ keep: tier.keep, description: tier.description, commits: 0, kept: 0 }));
+
+    for (const commit of commits) {
+        const date = new Date(commit.date);
+        const age = now - date.getTime();
+        const tierIndex = tiers.findIndex(tier => age < tier.maxAgeMs);
+        if (tierIndex === -1) continue;
+
+        const tier = tiers[tierIndex];
+        stats[tierIndex].commits++;
+
+        if (tier.keep !== 'all') {
+            const period = `${tierIndex}:${periodKey(date, tier.keep)}`;
+            if (seenPeriods.has(period)) continue;
+            seenPeriods.add(period);
+        }
+
+        keep.add(commit.hash);
+        stats[tierIndex].kept++;
+    }
+
+    return { keep, stats };
+}
@@ -0,0 +1,37 @@
+import { promises as fsPromises } from 'fs';
+
+// ──────────────────────────────────────────────────
+// Home Assistant .storage files
+// JSON documents: { version, minor_version, key, data }
+// ──────────────────────────────────────────────────
+
+// Home Assistant writes stores with two-space indentation; keep whatever the file uses
+// so a restore only changes the lines it means to
+function detectIndent(content) {
+    const match = /\n([ \t]+)"/.exec(content);
+    return match ? match[1] : 2;
+}
+
+/**
+ * Read a store file along with its formatting
+ * @param {string} fullPath - Absolute path of the store file
+ * @returns {Promise<Object>} { store, format } - pass format back to writeStoreFile()
+ * @throws {Error} If the file can't be read (error.code 'ENOENT' if it doesn't exist) or isn't JSON
+ */
+export async function readStoreFile(fullPath) {
+    const content = await fsPromises.readFile(fullPath, 'utf-8');
+    return {
+        store: JSON.parse(content),
+        format: { indent: detectIndent(content), trailer: content.endsWith('\n') ? '\n' : '' }
+    };
+}
+
+/**
+ * Write a store file
+ * @param {string} fullPath - Absolute path of the store file
+ * @param {Object} store - Store document
+ * @param {Object} [format] - Formatting from readStoreFile()
+ */
+export async function writeStoreFile(fullPath, store, format = { indent: 2, trailer: '' }) {
+    await fsPromises.writeFile(fullPath, JSON.stringify(store, null, format.indent) + format.trailer);
+}
@@ -0,0 +1,291 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { gitExec, gitObjectInfo } from './git.js';
+
+// ──────────────────────────────────────────────────
+// Shared validation for file paths and commit hashes
+// ──────────────────────────────────────────────────
+
+// Abbreviated or full hashes, optionally with parent/ancestor suffixes ("a1b2c3d^", "a1b2c3d~2")
+const REVISION_PATTERN = /^[0-9a-f]{4,40}([~^]\d*)*$/i;
+// Home Assistant entity ids ("sensor.kitchen_temperature")
+const ENTITY_ID_PATTERN = /^[a-z0-9_]+\.[a-z0-9_]+$/;
+// Most values a list field ("commit[]") accepts in one request
+const MAX_LIST_LENGTH = 1000;
+
+let getExcludedFiles = () => [];
+
+export class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Set where the excluded file patterns (e.g. "secrets.yaml") come from
+ * @param {Object} options
+ * @param {Function} options.getExcludedFiles - Returns the current exclude patterns
+ */
+export function configureValidation(options) {
+    if (options.getExcludedFiles) getExcludedFiles = options.getExcludedFiles;
+}
+
+function globToRegExp(pattern) {
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*/g, '\u0000')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\u0000/g, '.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a path matches one of the excluded file patterns
+ * Patterns follow .gitignore rules: without a slash they match the file name anywhere,
+ * with a slash they match from the config root.
+ * @param {string} relativePath - Path relative to CONFIG_PATH
+ * @param {Array<string>} patterns - Exclude patterns
+ * @returns {boolean}
+ */
+export function isExcludedFile(relativePath, patterns) {
+    return patterns.some(pattern => {
+        const clean = pattern.trim();
+        if (!clean || clean.startsWith('#') || clean.startsWith('!')) return false;
+        if (clean.replace(/\/$/, '').includes('/')) {
+            const rooted = clean.replace(/^\//, '').replace(/\/$/, '');
+            return globToRegExp(rooted).test(relativePath) || relativePath.startsWith(`${rooted}/`);
+        }
+        const segments = relativePath.split('/');
+        return segments.some(segment => globToRegExp(clean.replace(/\/$/, '')).test(segment));
+    });
+}
+
+/**
+ * Resolve a user-supplied path against CONFIG_PATH
+ * Absolute paths are accepted if they point inside CONFIG_PATH.
+ * @param {string} filePath - Relative or absolute path
+ * @returns {string} Path relative to CONFIG_PATH with forward slashes ('' for CONFIG_PATH itself)
+ * @throws {ValidationError} If the path leaves CONFIG_PATH or points into .git
+ */
+export function resolveConfigPath(filePath) {
+    if (typeof filePath !== 'string' || filePath.includes('\0')) {
+        throw new ValidationError('Invalid path');
+    }
+
+    const root = path.resolve(global.CONFIG_PATH);
+    const relative = path.relative(root, path.resolve(root, filePath));
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new ValidationError(`Path is outside the config directory: ${filePath}`);
+    }
+
+    const segments = relative ? relative.split(path.sep) : [];
+    if (segments.includes('.git')) {
+        throw new ValidationError(`Path is inside the git directory: ${filePath}`);
+    }
+    return segments.join('/');
+}
+
+// Symlinks inside /config could still point elsewhere
+async function assertRealPathInside(relativePath, originalPath) {
+    const root = await fsPromises.realpath(global.CONFIG_PATH);
+    let real;
+    try {
+        real = await fsPromises.realpath(path.join(root, relativePath));
+    } catch (error) {
+        // Files that only exist in history can't be symlinks on disk
+        return;
+    }
+    const relative = path.relative(root, real);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new ValidationError(`Path is outside the config directory: ${originalPath}`);
+    }
+}
+
+async function isIgnoredByGit(relativePath) {
+    try {
+        await gitExec(['check-ignore', '-q', '--', relativePath]);
+        return true;
+    } catch (error) {
+        // Exit code 1 means not ignored; anything else (e.g. no repository yet) can't tell us more
+        return false;
+    }
+}
+
+/**
+ * Validate a file path from a request
+ * @param {string} filePath - Relative or absolute path
+ * @param {Object} [options]
+ * @param {boolean} [options.allowIgnored=false] - Allow files that are excluded or ignored by .gitignore
+ * @returns {Promise<string>} Path relative to CONFIG_PATH
+ * @throws {ValidationError}
+ */
+export async function validateFilePath(filePath, { allowIgnored = false } = {}) {
+    const relative = resolveConfigPath(filePath);
+    if (!relative) {
+        throw new ValidationError('Path must point to a file inside the config directory');
+    }
+    await assertRealPathInside(relative, filePath);
+
+    if (!allowIgnored) {
+        if (isExcludedFile(relative, getExcludedFiles() || [])) {
+            throw new ValidationError(`${relative} is excluded from version control`);
+        }
+        if (await isIgnoredByGit(relative)) {
+            throw new ValidationError(`${relative} is not tracked (ignored by .gitignore)`);
+        }
+    }
+    return relative;
+}
+
+/**
+ * Validate a directory path from a request
+ * @param {string} dirPath - Relative or absolute path ('' or '.' for the config root)
+ * @returns {Promise<string>} Path relative to CONFIG_PATH ('' for the root)
+ * @throws {ValidationError}
+ */
+export async function validateDirectoryPath(dirPath) {
+    const relative = resolveConfigPath(dirPath);
+    await assertRealPathInside(relative, dirPath);
+    return relative;
+}
+
+/**
+ * Validate that a revision names a commit in the repository
+ * @param {string} revision - Commit hash, optionally with ^ or ~ suffixes
+ * @returns {Promise<string>} Full commit hash
+ * @throws {ValidationError}
+ */
+export async function validateCommit(revision) {
+    if (typeof revision !== 'string' || !REVISION_PATTERN.test(revision)) {
+        throw new ValidationError(`Invalid commit hash: ${String(revision).substring(0, 50)}`);
+    }
+    let object = null;
+    try {
+        object = await gitObjectInfo(`${revision}^{commit}`);
+    } catch (error) {
+        // No repository yet - same as not found
+    }
+    if (!object) {
+        throw new ValidationError(`Commit ${revision} not found`);
+    }
+    return object.oid;
+}
+
+/**
+ * Validate an automation, script or scene id ("automations:<encoded file path>:<identifier>")
+ * The file path inside the id is checked like any other path.
+ * @param {string} itemId - Item id
+ * @returns {Promise<string>} The id, unchanged
+ * @throws {ValidationError}
+ */
+export async function validateItemId(itemId) {
+    const [, encodedPath, identifier] = itemId.split(':');
+    if (!encodedPath || identifier === undefined) {
+        throw new ValidationError(`Invalid id: ${itemId.substring(0, 100)}`);
+    }
+    let filePath;
+    try {
+        filePath = decodeURIComponent(encodedPath);
+    } catch (error) {
+        throw new ValidationError(`Invalid id: ${itemId.substring(0, 100)}`);
+    }
+    await validateFilePath(filePath.replace(/^\//, ''));
+    return itemId;
+}
+
+/**
+ * Validate a Home Assistant entity id
+ * @param {string} entityId - e.g. 'sensor.kitchen_temperature'
+ * @returns {string} The entity id, unchanged
+ * @throws {ValidationError}
+ */
+export function validateEntityId(entityId) {
+    if (!ENTITY_ID_PATTERN.test(entityId) || entityId.length > 255) {
+        throw new ValidationError(`Invalid entity id: ${entityId.substring(0, 100)}`);
+    }
+    return entityId;
+}
+
+/**
+ * Validate a date from a request
+ * @param {string} value - ISO date or time ("2026-10-12", "2026-10-12T08:00:00Z") or Unix seconds
+ * @returns {string} ISO timestamp
+ * @throws {ValidationError}
+ */
+export function validateDate(value) {
+    const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid date: ${value.substring(0, 50)}`);
+    }
+    return date.toISOString();
+}
+
+const VALIDATORS = {
+    path: (value, options) => validateFilePath(value, options),
+    directory: value => validateDirectoryPath(value),
+    commit: value => validateCommit(value),
+    item: value => validateItemId(value),
+    entity: value => validateEntityId(value),
+    date: value => validateDate(value)
+};
+
+/**
+ * Express middleware that validates request fields before the route runs
+ * Fields are read from the route params if present, else from the query string for GET
+ * requests and from the JSON body otherwise.
+ * Valid values replace the originals: paths become relative to CONFIG_PATH,
+ * revisions become full commit hashes and dates become ISO timestamps. Invalid
+ * requests get a 400 { success: false, error }.
+ * A type ending in '[]' takes a non-empty list (JSON body only) and validates each entry.
+ * @param {Object} fields - Field name → 'path' | 'directory' | 'commit' | 'item' | 'entity' | 'date', or a list
+ *   of one ('commit[]') (append '?' if optional)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowIgnored=false] - Allow paths that are excluded or ignored
+ * @returns {Function} Express middleware
+ */
+export function validateRequest(fields, options = {}) {
+    return async (req, res, next) => {
+        const input = req.method === 'GET' ? req.query : (req.body || {});
+        try {
+            for (const [name, rule] of Object.entries(fields)) {
+                const optional = rule.endsWith('?');
+                const base = optional ? rule.slice(0, -1) : rule;
+                const isList = base.endsWith('[]');
+                const type = isList ? base.slice(0, -2) : base;
+                const source = name in req.params ? req.params : input;
+                const value = source[name];
+
+                if (value === undefined || value === null || value === '') {
+                    if (optional) continue;
+                    throw new ValidationError(`${name} is required`);
+                }
+                if (isList) {
+                    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH) {
+                        throw new ValidationError(`${name} must be a list of 1 to ${MAX_LIST_LENGTH} values`);
+                    }
+                    if (value.some(entry => typeof entry !== 'string')) {
+                        throw new ValidationError(`${name} must be a list of strings`);
+                    }
+                    const validated = [];
+                    for (const entry of value) validated.push(await VALIDATORS[type](entry, options));
+                    source[name] = validated;
+                    continue;
+                }
+                if (typeof value !== 'string') {
+                    throw new ValidationError(`${name} must be a string`);
+                }
+                source[name] = await VALIDATORS[type](value, options);
+            }
+            next();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                console.log(`[validate] Rejected ${req.method} ${req.path}: ${error.message}`);
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    };
+}
@@ -0,0 +1,194 @@
+import yaml from 'js-yaml';
+import { HA_TAGS } from './includes.js';
+
+// ──────────────────────────────────────────────────
+// Structural (tree) diff of two YAML documents
+// ──────────────────────────────────────────────────
+
+// Home Assistant tags are kept as plain strings ("!secret wifi_password") so files
+// like configuration.yaml can be parsed without resolving includes or secrets
+const HA_SCHEMA = yaml.DEFAULT_SCHEMA.extend(HA_TAGS.map(tag => new yaml.Type(tag, {
+    kind: 'scalar',
+    construct: data => `${tag} ${data}`
+})));
+
+/**
+ * Parse YAML text, tolerating Home Assistant tags
+ * @param {string} content - YAML text
+ * @returns {*} Parsed value (null for empty documents)
+ */
+export function parseYamlForDiff(content) {
+    const parsed = yaml.load(content || '', { schema: HA_SCHEMA });
+    return parsed === undefined ? null : parsed;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function joinKey(basePath, key) {
+    const segment = /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+    if (!basePath) return segment;
+    return /^[A-Za-z_][\w-]*$/.test(key) ? `${basePath}.${segment}` : `${basePath}[${segment}]`;
+}
+
+// List items are matched by id, then alias, so reordering doesn't show as edits
+function identityOf(item) {
+    if (!isPlainObject(item)) return null;
+    if (item.id !== undefined && item.id !== null) return `id:${item.id}`;
+    if (item.alias !== undefined && item.alias !== null) return `alias:${item.alias}`;
+    return null;
+}
+
+/**
+ * Indices (into pairs) that keep their relative order - everything else was moved
+ * Longest increasing subsequence over the new indices of pairs sorted by old index.
+ */
+function findStablePairs(pairs) {
+    const tails = [];
+    const previous = new Array(pairs.length).fill(-1);
+
+    pairs.forEach((pair, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (pairs[tails[mid]].newIndex < pair.newIndex) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0) previous[i] = tails[low - 1];
+        tails[low] = i;
+    });
+
+    const stable = new Set();
+    let index = tails.length ? tails[tails.length - 1] : -1;
+    while (index !== -1) {
+        stable.add(index);
+        index = previous[index];
+    }
+    return stable;
+}
+
+function diffArrays(oldList, newList, basePath, changes) {
+    const pairs = [];
+    const usedOld = new Set();
+    const usedNew = new Set();
+
+    // 1. Match items that carry an id or alias
+    const oldByIdentity = new Map();
+    oldList.forEach((item, index) => {
+        const identity = identityOf(item);
+        if (identity && !oldByIdentity.has(identity)) oldByIdentity.set(identity, index);
+    });
+    newList.forEach((item, newIndex) => {
+        const identity = identityOf(item);
+        if (identity && oldByIdentity.has(identity)) {
+            const oldIndex = oldByIdentity.get(identity);
+            oldByIdentity.delete(identity);
+            pairs.push({ oldIndex, newIndex });
+            usedOld.add(oldIndex);
+            usedNew.add(newIndex);
+        }
+    });
+
+    // 2. Match identical items (e.g. the same trigger moved up)
+    newList.forEach((item, newIndex) => {
+        if (usedNew.has(newIndex)) return;
+        const oldIndex = oldList.findIndex((oldItem, i) => !usedOld.has(i) && isEqual(oldItem, item));
+        if (oldIndex !== -1) {
+            pairs.push({ oldIndex, newIndex });
+            usedOld.add(oldIndex);
+            usedNew.add(newIndex);
+        }
+    });
+
+    // 3. Pair the remaining items by position so edits show as changed fields
+    const remainingOld = oldList.map((_, i) => i).filter(i => !usedOld.has(i));
+    const remainingNew = newList.map((_, i) => i).filter(i => !usedNew.has(i));
+    const positional = Math.min(remainingOld.length, remainingNew.length);
+    for (let i = 0; i < positional; i++) {
+        const oldIndex = remainingOld[i];
+        const newIndex = remainingNew[i];
+        // Items with different identities are separate entries, not edits of each other
+        const oldIdentity = identityOf(oldList[oldIndex]);
+        const newIdentity = identityOf(newList[newIndex]);
+        if (oldIdentity && newIdentity && oldIdentity !== newIdentity) continue;
+        pairs.push({ oldIndex, newIndex });
+        usedOld.add(oldIndex);
+        usedNew.add(newIndex);
+    }
+
+    pairs.sort((a, b) => a.oldIndex - b.oldIndex);
+    const stable = findStablePairs(pairs);
+
+    pairs.forEach((pair, i) => {
+        if (!stable.has(i)) {
+            changes.push({
+                type: 'moved',
+                path: `${basePath}[${pair.newIndex}]`,
+                from: pair.oldIndex,
+                to: pair.newIndex,
+                label: newList[pair.newIndex]?.alias || newList[pair.newIndex]?.id || null
+            });
+        }
+        diffNodes(oldList[pair.oldIndex], newList[pair.newIndex], `${basePath}[${pair.newIndex}]`, changes);
+    });
+
+    oldList.forEach((item, oldIndex) => {
+        if (!usedOld.has(oldIndex)) {
+            changes.push({ type: 'removed', path: `${basePath}[${oldIndex}]`, oldValue: item });
+        }
+    });
+    newList.forEach((item, newIndex) => {
+        if (!usedNew.has(newIndex)) {
+            changes.push({ type: 'added', path: `${basePath}[${newIndex}]`, newValue: item });
+        }
+    });
+}
+
+function diffNodes(oldValue, newValue, basePath, changes) {
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+        for (const key of Object.keys(oldValue)) {
+            if (!(key in newValue)) {
+                changes.push({ type: 'removed', path: joinKey(basePath, key), oldValue: oldValue[key] });
+            }
+        }
+        for (const key of Object.keys(newValue)) {
+            const childPath = joinKey(basePath, key);
+            if (!(key in oldValue)) {
+                changes.push({ type: 'added', path: childPath, newValue: newValue[key] });
+            } else {
+                diffNodes(oldValue[key], newValue[key], childPath, changes);
+            }
+        }
+        return;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+        diffArrays(oldValue, newValue, basePath, changes);
+        return;
+    }
+
+    if (!isEqual(oldValue, newValue)) {
+        changes.push({ type: 'changed', path: basePath, oldValue, newValue });
+    }
+}
+
+/**
+ * Compute a structural diff between two parsed YAML values
+ * Paths use dotted keys and list indices, e.g. "trigger[0].at". List items are
+ * matched by id/alias (then by content, then position); reordered items are
+ * reported as 'moved' with their old and new index.
+ * @param {*} oldValue - Parsed old document
+ * @param {*} newValue - Parsed new document
+ * @returns {Array<Object>} Changes: { type: 'added'|'removed'|'changed'|'moved', path, oldValue?, newValue?, from?, to?, label? }
+ */
+export function structuralDiff(oldValue, newValue) {
+    const changes = [];
+    diffNodes(oldValue, newValue, '', changes);
+    return changes;
+}